@@ -1,3 +1,4 @@
+using System.Text.Json;
 using Microsoft.AspNetCore.Mvc;
 using MDConverter360.Services;
 
@@ -8,77 +9,81 @@ namespace MDConverter360.Controllers;
 public class ConversionController : ControllerBase
 {
     private readonly IConverterService _converterService;
+    private readonly ConversionJobQueue _jobQueue;
     private readonly ILogger<ConversionController> _logger;
-    private readonly string _downloadsPath;
 
-    public ConversionController(IConverterService converterService, ILogger<ConversionController> logger)
+    /// <summary>
+    /// Response header carrying the <see cref="ConversionMetadata"/> of a single-file conversion as JSON
+    /// </summary>
+    public const string MetadataHeader = "X-Conversion-Metadata";
+
+    // Comment lines sent while a job is quiet, so proxies do not close the event stream
+    private static readonly TimeSpan KeepAliveInterval = TimeSpan.FromSeconds(15);
+
+    public ConversionController(IConverterService converterService, ConversionJobQueue jobQueue, ILogger<ConversionController> logger)
     {
         _converterService = converterService;
+        _jobQueue = jobQueue;
         _logger = logger;
-        _downloadsPath = GetDownloadsFolder();
-    }
-
-    private static string GetDownloadsFolder()
-    {
-        // Primary: D:\Downloads (known user location)
-        const string primaryPath = @"D:\Downloads";
-        if (Directory.Exists(primaryPath))
-            return primaryPath;
-
-        // Fallback: Standard Windows Downloads
-        var standardPath = Path.Combine(Environment.GetFolderPath(Environment.SpecialFolder.UserProfile), "Downloads");
-        if (Directory.Exists(standardPath))
-            return standardPath;
-
-        // Last resort: Create D:\Downloads
-        try
-        {
-            Directory.CreateDirectory(primaryPath);
-            return primaryPath;
-        }
-        catch
-        {
-            return Environment.GetFolderPath(Environment.SpecialFolder.UserProfile);
-        }
     }
 
     /// <summary>
     /// Convert a single file
     /// </summary>
+    /// <param name="options">Optional JSON-encoded <see cref="ConversionOptions"/> for PDF/DOCX output</param>
+    /// <param name="assets">Optional images referenced by a Markdown file; file names are paths relative to the bundle root</param>
+    /// <param name="templates">Optional DOCX templates, picked by file name through <see cref="ConversionOptions.Template"/></param>
     [HttpPost("convert")]
     public async Task<IActionResult> ConvertFile(
         IFormFile file,
         [FromQuery] string? targetFormat = null,
-        [FromQuery] bool saveToDownloads = false)
+        [FromForm] string? options = null,
+        [FromForm] List<IFormFile>? assets = null,
+        [FromForm] List<IFormFile>? templates = null)
     {
         if (file == null || file.Length == 0)
         {
-            return BadRequest(new { error = "No file provided" });
+            return BadRequest(new { error = "No file provided", code = ConversionErrorCodes.NoFile });
+        }
+
+        if (!TryParseOptions(options, out var conversionOptions, out var optionsError))
+        {
+            return BadRequest(new { error = optionsError, code = ConversionErrorCodes.InvalidOptions });
         }
 
         if (!_converterService.IsSupported(file.FileName))
         {
-            return BadRequest(new { error = $"Unsupported file format: {Path.GetExtension(file.FileName)}" });
+            return BadRequest(new { error = $"Unsupported file format: {Path.GetExtension(file.FileName)}", code = ConversionErrorCodes.UnsupportedFormat });
+        }
+
+        var (docxTemplates, templateError) = await ReadTemplatesAsync(templates);
+        if (templateError != null)
+        {
+            return BadRequest(new { error = templateError, code = ConversionErrorCodes.InvalidTemplate });
+        }
+
+        if (!TryGetTemplate(conversionOptions, docxTemplates, out var template))
+        {
+            return BadRequest(new { error = $"Template not uploaded: {conversionOptions!.Template}", code = ConversionErrorCodes.InvalidTemplate });
         }
 
         try
         {
             var conversionType = _converterService.DetectConversionType(file.FileName, targetFormat);
 
+            var assetBundle = await ReadAssetsAsync(assets);
+
             using var stream = file.OpenReadStream();
-            var result = await _converterService.ConvertAsync(stream, file.FileName, conversionType);
+            var result = await _converterService.ConvertAsync(stream, file.FileName, conversionType, conversionOptions, assetBundle, template);
 
             if (!result.Success)
             {
-                return BadRequest(new { error = result.ErrorMessage });
+                return BadRequest(new { error = result.ErrorMessage, code = result.ErrorCode ?? ConversionErrorCodes.ConversionFailed });
             }
 
-            // Save to Downloads folder if requested
-            if (saveToDownloads && result.OutputData != null && result.OutputFileName != null)
+            if (result.Metadata != null)
             {
-                var downloadPath = GetUniqueFilePath(_downloadsPath, result.OutputFileName);
-                await System.IO.File.WriteAllBytesAsync(downloadPath, result.OutputData);
-                _logger.LogInformation("File saved to Downloads: {Path}", downloadPath);
+                Response.Headers[MetadataHeader] = JsonSerializer.Serialize(result.Metadata, ApiJson.Settings);
             }
 
             // Return the file
@@ -87,24 +92,49 @@ public class ConversionController : ControllerBase
         catch (Exception ex)
         {
             _logger.LogError(ex, "Conversion failed for {FileName}", file.FileName);
-            return StatusCode(500, new { error = "Conversion failed", details = ex.Message });
+            return StatusCode(500, new { error = "Conversion failed", code = ConversionErrorCodes.ConversionFailed, details = ex.Message });
         }
     }
 
     /// <summary>
     /// Convert multiple files (batch conversion)
     /// </summary>
+    /// <param name="options">Optional JSON-encoded <see cref="ConversionOptions"/> applied to every file</param>
+    /// <param name="fileOptions">Optional JSON object of per-file option overrides, keyed by file name</param>
+    /// <param name="assets">Optional images shared by the Markdown files; file names are paths relative to the bundle root</param>
+    /// <param name="templates">Optional DOCX templates, picked per file by file name through <see cref="ConversionOptions.Template"/></param>
     [HttpPost("convert-batch")]
     public async Task<IActionResult> ConvertBatch(
         [FromForm] List<IFormFile> files,
         [FromQuery] string? targetFormat = null,
-        [FromQuery] bool saveToDownloads = true)
+        [FromQuery] bool includeContent = false,
+        [FromForm] string? options = null,
+        [FromForm] string? fileOptions = null,
+        [FromForm] List<IFormFile>? assets = null,
+        [FromForm] List<IFormFile>? templates = null)
     {
         if (files == null || files.Count == 0)
         {
-            return BadRequest(new { error = "No files provided" });
+            return BadRequest(new { error = "No files provided", code = ConversionErrorCodes.NoFiles });
+        }
+
+        if (!TryParseOptions(options, out var batchOptions, out var optionsError))
+        {
+            return BadRequest(new { error = optionsError, code = ConversionErrorCodes.InvalidOptions });
+        }
+
+        if (!TryParseFileOptions(fileOptions, out var perFileOptions, out var fileOptionsError))
+        {
+            return BadRequest(new { error = fileOptionsError, code = ConversionErrorCodes.InvalidFileOptions });
+        }
+
+        var (docxTemplates, templateError) = await ReadTemplatesAsync(templates);
+        if (templateError != null)
+        {
+            return BadRequest(new { error = templateError, code = ConversionErrorCodes.InvalidTemplate });
         }
 
+        var assetBundle = await ReadAssetsAsync(assets);
         var results = new List<BatchConversionResult>();
 
         foreach (var file in files)
@@ -118,6 +148,7 @@ public class ConversionController : ControllerBase
             {
                 itemResult.Success = false;
                 itemResult.Error = $"Unsupported format: {Path.GetExtension(file.FileName)}";
+                itemResult.ErrorCode = ConversionErrorCodes.UnsupportedFormat;
                 results.Add(itemResult);
                 continue;
             }
@@ -126,8 +157,19 @@ public class ConversionController : ControllerBase
             {
                 var conversionType = _converterService.DetectConversionType(file.FileName, targetFormat);
 
+                var itemOptions = GetFileOptions(perFileOptions, file.FileName, batchOptions);
+
+                if (!TryGetTemplate(itemOptions, docxTemplates, out var template))
+                {
+                    itemResult.Success = false;
+                    itemResult.Error = $"Template not uploaded: {itemOptions!.Template}";
+                    itemResult.ErrorCode = ConversionErrorCodes.InvalidTemplate;
+                    results.Add(itemResult);
+                    continue;
+                }
+
                 using var stream = file.OpenReadStream();
-                var result = await _converterService.ConvertAsync(stream, file.FileName, conversionType);
+                var result = await _converterService.ConvertAsync(stream, file.FileName, conversionType, itemOptions, assetBundle, template);
 
                 if (result.Success && result.OutputData != null && result.OutputFileName != null)
                 {
@@ -135,24 +177,25 @@ public class ConversionController : ControllerBase
                     itemResult.OutputFileName = result.OutputFileName;
                     itemResult.Metadata = result.Metadata;
 
-                    if (saveToDownloads)
+                    // Return the converted bytes so remote clients can download them
+                    if (includeContent)
                     {
-                        var downloadPath = GetUniqueFilePath(_downloadsPath, result.OutputFileName);
-                        await System.IO.File.WriteAllBytesAsync(downloadPath, result.OutputData);
-                        itemResult.SavedPath = downloadPath;
-                        _logger.LogInformation("Batch file saved: {Path}", downloadPath);
+                        itemResult.Content = Convert.ToBase64String(result.OutputData);
+                        itemResult.MimeType = result.OutputMimeType;
                     }
                 }
                 else
                 {
                     itemResult.Success = false;
                     itemResult.Error = result.ErrorMessage;
+                    itemResult.ErrorCode = result.ErrorCode ?? ConversionErrorCodes.ConversionFailed;
                 }
             }
             catch (Exception ex)
             {
                 itemResult.Success = false;
                 itemResult.Error = ex.Message;
+                itemResult.ErrorCode = ConversionErrorCodes.ConversionFailed;
                 _logger.LogError(ex, "Batch conversion failed for {FileName}", file.FileName);
             }
 
@@ -168,9 +211,214 @@ public class ConversionController : ControllerBase
         });
     }
 
+    /// <summary>
+    /// Start a background conversion job; takes the same form fields as convert-batch
+    /// </summary>
+    /// <remarks>
+    /// Answers 202 with the job state right away. Follow the job through
+    /// <c>jobs/{id}/events</c> and fetch each converted file from <c>jobs/{id}/files/{index}</c>.
+    /// </remarks>
+    [HttpPost("jobs")]
+    public async Task<IActionResult> CreateJob(
+        [FromForm] List<IFormFile> files,
+        [FromQuery] string? targetFormat = null,
+        [FromForm] string? options = null,
+        [FromForm] string? fileOptions = null,
+        [FromForm] List<IFormFile>? assets = null,
+        [FromForm] List<IFormFile>? templates = null)
+    {
+        if (files == null || files.Count == 0)
+        {
+            return BadRequest(new { error = "No files provided", code = ConversionErrorCodes.NoFiles });
+        }
+
+        if (!TryParseOptions(options, out var batchOptions, out var optionsError))
+        {
+            return BadRequest(new { error = optionsError, code = ConversionErrorCodes.InvalidOptions });
+        }
+
+        if (!TryParseFileOptions(fileOptions, out var perFileOptions, out var fileOptionsError))
+        {
+            return BadRequest(new { error = fileOptionsError, code = ConversionErrorCodes.InvalidFileOptions });
+        }
+
+        var (docxTemplates, templateError) = await ReadTemplatesAsync(templates);
+        if (templateError != null)
+        {
+            return BadRequest(new { error = templateError, code = ConversionErrorCodes.InvalidTemplate });
+        }
+
+        var assetBundle = await ReadAssetsAsync(assets);
+        var inputs = new List<ConversionJobInput>();
+
+        // The uploads only live as long as this request, so every file is read now
+        foreach (var file in files)
+        {
+            var input = new ConversionJobInput { FileName = file.FileName, Assets = assetBundle };
+            inputs.Add(input);
+
+            if (!_converterService.IsSupported(file.FileName))
+            {
+                input.Error = $"Unsupported format: {Path.GetExtension(file.FileName)}";
+                input.ErrorCode = ConversionErrorCodes.UnsupportedFormat;
+                continue;
+            }
+
+            input.Options = GetFileOptions(perFileOptions, file.FileName, batchOptions);
+            if (!TryGetTemplate(input.Options, docxTemplates, out var template))
+            {
+                input.Error = $"Template not uploaded: {input.Options!.Template}";
+                input.ErrorCode = ConversionErrorCodes.InvalidTemplate;
+                continue;
+            }
+
+            using var memoryStream = new MemoryStream();
+            await file.CopyToAsync(memoryStream);
+            input.Content = memoryStream.ToArray();
+            input.ConversionType = _converterService.DetectConversionType(file.FileName, targetFormat);
+            input.Template = template;
+        }
+
+        var job = _jobQueue.Enqueue(inputs);
+        _logger.LogInformation("Queued conversion job {JobId} with {Count} files", job.Id, files.Count);
+
+        Response.Headers.Location = Url.Action(nameof(GetJob), new { id = job.Id });
+        return ApiJsonResult(job.GetSnapshot().Snapshot, StatusCodes.Status202Accepted);
+    }
+
+    /// <summary>
+    /// Current state of a conversion job
+    /// </summary>
+    [HttpGet("jobs/{id}")]
+    public IActionResult GetJob(string id)
+    {
+        if (!_jobQueue.TryGet(id, out var job))
+        {
+            return JobNotFound(id);
+        }
+
+        return ApiJsonResult(job.GetSnapshot().Snapshot);
+    }
+
+    /// <summary>
+    /// Progress of a conversion job as Server-Sent Events
+    /// </summary>
+    /// <remarks>
+    /// The stream starts with a <c>job</c> event holding the full state, so a
+    /// client that reconnects is up to date again. Then come <c>file-started</c>,
+    /// <c>file-progress</c> (page N of M), <c>file-finished</c> (with metadata),
+    /// <c>file-failed</c> and <c>file-cancelled</c>, each carrying the file's state,
+    /// and finally <c>job-finished</c>, after which the stream ends.
+    /// </remarks>
+    [HttpGet("jobs/{id}/events")]
+    public async Task GetJobEvents(string id, CancellationToken cancellationToken)
+    {
+        if (!_jobQueue.TryGet(id, out var job))
+        {
+            Response.StatusCode = StatusCodes.Status404NotFound;
+            await Response.WriteAsJsonAsync(new { error = $"Job not found: {id}", code = ConversionErrorCodes.JobNotFound }, cancellationToken);
+            return;
+        }
+
+        Response.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        // Keep reverse proxies (nginx, Render) from buffering the stream
+        Response.Headers["X-Accel-Buffering"] = "no";
+
+        try
+        {
+            var (snapshot, lastEventId) = job.GetSnapshot();
+            await WriteEventAsync(lastEventId, "job", JsonSerializer.Serialize(snapshot, ApiJson.Settings), cancellationToken);
+
+            if (snapshot.Status is ConversionJobStatus.Completed or ConversionJobStatus.Cancelled)
+                return;
+
+            while (true)
+            {
+                var events = await job.WaitForEventsAsync(lastEventId, KeepAliveInterval, cancellationToken);
+                if (events.Count == 0)
+                {
+                    if (job.IsFinished)
+                        break;
+                    await Response.WriteAsync(": keep-alive\n\n", cancellationToken);
+                    await Response.Body.FlushAsync(cancellationToken);
+                    continue;
+                }
+
+                foreach (var jobEvent in events)
+                {
+                    await WriteEventAsync(jobEvent.Id, jobEvent.Name, jobEvent.Data, cancellationToken);
+                    lastEventId = jobEvent.Id;
+                }
+
+                if (events[^1].Name == ConversionJob.JobFinishedEvent)
+                    break;
+            }
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            // The client went away; it can reconnect and gets the current state again
+        }
+    }
+
+    /// <summary>
+    /// Download one converted file of a job
+    /// </summary>
+    /// <param name="index">Position of the file in the submitted list</param>
+    [HttpGet("jobs/{id}/files/{index:int}")]
+    public IActionResult GetJobFile(string id, int index)
+    {
+        if (!_jobQueue.TryGet(id, out var job))
+        {
+            return JobNotFound(id);
+        }
+
+        var result = job.GetResult(index);
+        if (result == null)
+        {
+            return NotFound(new { error = $"Job {id} has no file {index}", code = ConversionErrorCodes.ResultNotAvailable });
+        }
+
+        var (file, output) = result.Value;
+        if (output == null)
+        {
+            return Conflict(new { error = $"{file.FileName} has no result ({file.Status})", code = ConversionErrorCodes.ResultNotAvailable });
+        }
+
+        if (file.Metadata != null)
+        {
+            Response.Headers[MetadataHeader] = JsonSerializer.Serialize(file.Metadata, ApiJson.Settings);
+        }
+
+        return File(output, file.MimeType!, file.OutputFileName);
+    }
+
+    /// <summary>
+    /// Cancel a conversion job; files already converted stay available
+    /// </summary>
+    [HttpDelete("jobs/{id}")]
+    public IActionResult CancelJob(string id)
+    {
+        if (!_jobQueue.TryGet(id, out var job))
+        {
+            return JobNotFound(id);
+        }
+
+        if (job.Cancel())
+        {
+            _logger.LogInformation("Cancelled conversion job {JobId}", id);
+        }
+
+        return ApiJsonResult(job.GetSnapshot().Snapshot);
+    }
+
     /// <summary>
     /// Get supported formats
     /// </summary>
+    /// <remarks>
+    /// The frontend builds its accepted file types, badges and target format
+    /// choices from this matrix, so it is the single source of truth.
+    /// </remarks>
     [HttpGet("formats")]
     public IActionResult GetSupportedFormats()
     {
@@ -178,18 +426,18 @@ public class ConversionController : ControllerBase
         {
             inputFormats = new[]
             {
-                new { extension = ".pdf", description = "PDF Document", convertsTo = "Markdown (.md)" },
-                new { extension = ".docx", description = "Microsoft Word", convertsTo = "Markdown (.md)" },
-                new { extension = ".doc", description = "Microsoft Word (Legacy)", convertsTo = "Markdown (.md)" },
-                new { extension = ".odt", description = "OpenDocument Text", convertsTo = "Markdown (.md)" },
-                new { extension = ".md", description = "Markdown", convertsTo = "PDF (.pdf) or Word (.docx)" },
-                new { extension = ".markdown", description = "Markdown", convertsTo = "PDF (.pdf) or Word (.docx)" }
+                new { extension = ".pdf", description = "PDF Document", convertsTo = "Markdown (.md)", category = "pdf", targetFormats = new[] { "md" } },
+                new { extension = ".docx", description = "Microsoft Word", convertsTo = "Markdown (.md)", category = "word", targetFormats = new[] { "md" } },
+                new { extension = ".doc", description = "Microsoft Word (Legacy)", convertsTo = "Markdown (.md)", category = "word", targetFormats = new[] { "md" } },
+                new { extension = ".odt", description = "OpenDocument Text", convertsTo = "Markdown (.md)", category = "odt", targetFormats = new[] { "md" } },
+                new { extension = ".md", description = "Markdown", convertsTo = "PDF (.pdf) or Word (.docx)", category = "markdown", targetFormats = new[] { "pdf", "docx" } },
+                new { extension = ".markdown", description = "Markdown", convertsTo = "PDF (.pdf) or Word (.docx)", category = "markdown", targetFormats = new[] { "pdf", "docx" } }
             },
             outputFormats = new[]
             {
-                new { extension = ".md", mimeType = "text/markdown" },
-                new { extension = ".pdf", mimeType = "application/pdf" },
-                new { extension = ".docx", mimeType = "application/vnd.openxmlformats-officedocument.wordprocessingml.document" }
+                new { extension = ".md", mimeType = "text/markdown", label = "Markdown" },
+                new { extension = ".pdf", mimeType = "application/pdf", label = "PDF" },
+                new { extension = ".docx", mimeType = "application/vnd.openxmlformats-officedocument.wordprocessingml.document", label = "Word (DOCX)" }
             }
         });
     }
@@ -203,27 +451,136 @@ public class ConversionController : ControllerBase
         return Ok(new
         {
             status = "healthy",
-            service = "MD.converter360",
+            service = ServerDiagnostics.ServiceName,
             timestamp = DateTime.UtcNow,
-            version = "1.0.0",
-            downloadsPath = _downloadsPath
+            version = ServerDiagnostics.Version
         });
     }
 
-    private string GetUniqueFilePath(string directory, string fileName)
+    /// <summary>
+    /// Extended health check: build, uptime, available engines, the engine each
+    /// conversion goes to for every engine option, and installed fonts
+    /// </summary>
+    [HttpGet("health/details")]
+    public async Task<IActionResult> HealthDetails([FromServices] ServerDiagnostics diagnostics)
     {
-        var baseName = Path.GetFileNameWithoutExtension(fileName);
-        var extension = Path.GetExtension(fileName);
-        var filePath = Path.Combine(directory, fileName);
+        return ApiJsonResult(await diagnostics.GetReportAsync());
+    }
 
-        var counter = 1;
-        while (System.IO.File.Exists(filePath))
+    private static bool TryParseOptions(string? json, out ConversionOptions? options, out string? error)
+    {
+        options = null;
+        error = null;
+        if (string.IsNullOrWhiteSpace(json))
+            return true;
+
+        try
+        {
+            options = JsonSerializer.Deserialize<ConversionOptions>(json, ApiJson.Settings);
+        }
+        catch (JsonException)
+        {
+            error = "Invalid conversion options";
+            return false;
+        }
+
+        if (options != null && !options.TryValidate(out var validationError))
         {
-            filePath = Path.Combine(directory, $"{baseName}_{counter}{extension}");
-            counter++;
+            error = $"Invalid conversion options: {validationError}";
+            return false;
         }
+        return true;
+    }
+
+    private static bool TryParseFileOptions(string? json, out Dictionary<string, ConversionOptions>? options, out string? error)
+    {
+        options = null;
+        error = null;
+        if (string.IsNullOrWhiteSpace(json))
+            return true;
+
+        try
+        {
+            options = JsonSerializer.Deserialize<Dictionary<string, ConversionOptions>>(json, ApiJson.Settings);
+        }
+        catch (JsonException)
+        {
+            error = "Invalid per-file conversion options";
+            return false;
+        }
+
+        foreach (var (fileName, fileOptions) in options ?? new Dictionary<string, ConversionOptions>())
+        {
+            if (fileOptions != null && !fileOptions.TryValidate(out var validationError))
+            {
+                error = $"Invalid conversion options for {fileName}: {validationError}";
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Per-file overrides replace the batch options as a whole
+    private static ConversionOptions? GetFileOptions(Dictionary<string, ConversionOptions>? perFileOptions, string fileName, ConversionOptions? batchOptions) =>
+        perFileOptions != null && perFileOptions.TryGetValue(fileName, out var overrides) ? overrides : batchOptions;
+
+    // Job and diagnostics payloads carry enums, written as strings
+    private static JsonResult ApiJsonResult(object value, int statusCode = StatusCodes.Status200OK) =>
+        new(value, ApiJson.Settings) { StatusCode = statusCode };
+
+    private NotFoundObjectResult JobNotFound(string id) =>
+        NotFound(new { error = $"Job not found: {id}", code = ConversionErrorCodes.JobNotFound });
+
+    private async Task WriteEventAsync(long id, string name, string data, CancellationToken cancellationToken)
+    {
+        await Response.WriteAsync($"id: {id}\nevent: {name}\ndata: {data}\n\n", cancellationToken);
+        await Response.Body.FlushAsync(cancellationToken);
+    }
+
+    private async Task<AssetBundle?> ReadAssetsAsync(List<IFormFile>? assets)
+    {
+        if (assets == null || assets.Count == 0)
+            return null;
+
+        var bundle = new AssetBundle();
+        foreach (var asset in assets)
+        {
+            using var memoryStream = new MemoryStream();
+            await asset.CopyToAsync(memoryStream);
+            if (!bundle.Add(asset.FileName, memoryStream.ToArray()))
+            {
+                _logger.LogWarning("Ignoring asset outside the bundle root: {FileName}", asset.FileName);
+            }
+        }
+        return bundle;
+    }
+
+    private static async Task<(Dictionary<string, DocxTemplate> Templates, string? Error)> ReadTemplatesAsync(List<IFormFile>? templates)
+    {
+        var result = new Dictionary<string, DocxTemplate>(StringComparer.OrdinalIgnoreCase);
+        if (templates == null)
+            return (result, null);
+
+        foreach (var upload in templates)
+        {
+            using var memoryStream = new MemoryStream();
+            await upload.CopyToAsync(memoryStream);
+            if (!DocxTemplate.TryLoad(upload.FileName, memoryStream.ToArray(), out var template, out var error))
+                return (result, error);
+
+            result[upload.FileName] = template!;
+        }
+        return (result, null);
+    }
+
+    // No template requested is fine; naming one that was not uploaded is not
+    private static bool TryGetTemplate(ConversionOptions? options, Dictionary<string, DocxTemplate> templates, out DocxTemplate? template)
+    {
+        template = null;
+        if (string.IsNullOrEmpty(options?.Template))
+            return true;
 
-        return filePath;
+        return templates.TryGetValue(options.Template, out template);
     }
 }
 
@@ -232,7 +589,9 @@ public class BatchConversionResult
     public string OriginalFileName { get; set; } = string.Empty;
     public bool Success { get; set; }
     public string? OutputFileName { get; set; }
-    public string? SavedPath { get; set; }
+    public string? Content { get; set; }
+    public string? MimeType { get; set; }
     public string? Error { get; set; }
+    public string? ErrorCode { get; set; }
     public ConversionMetadata? Metadata { get; set; }
 }
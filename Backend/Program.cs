@@ -1,3 +1,4 @@
+using MDConverter360.Controllers;
 using MDConverter360.Services;
 using QuestPDF.Infrastructure;
 using Serilog;
@@ -38,6 +39,13 @@ try
     // Main converter service (uses Pandoc when available, falls back to C# implementation)
     builder.Services.AddScoped<IConverterService, ConverterService>();
 
+    // Background conversion jobs with progress streamed over Server-Sent Events
+    builder.Services.AddSingleton<ConversionJobQueue>();
+    builder.Services.AddHostedService<ConversionJobWorker>();
+
+    // Build, engine and font report behind the extended health endpoint
+    builder.Services.AddScoped<ServerDiagnostics>();
+
     // Configure CORS for frontend
     builder.Services.AddCors(options =>
     {
@@ -50,7 +58,8 @@ try
                     "https://md-converter-api.onrender.com"
                 )
                 .AllowAnyMethod()
-                .AllowAnyHeader();
+                .AllowAnyHeader()
+                .WithExposedHeaders("Content-Disposition", ConversionController.MetadataHeader);
         });
 
         // Allow all origins in production (alternative)
@@ -58,7 +67,8 @@ try
         {
             policy.AllowAnyOrigin()
                 .AllowAnyMethod()
-                .AllowAnyHeader();
+                .AllowAnyHeader()
+                .WithExposedHeaders("Content-Disposition", ConversionController.MetadataHeader);
         });
     });
 
@@ -92,8 +102,8 @@ try
     app.MapGet("/api/health", () => Results.Ok(new
     {
         status = "healthy",
-        service = "MD.converter360",
-        version = "1.0.0",
+        service = ServerDiagnostics.ServiceName,
+        version = ServerDiagnostics.Version,
         environment = environment,
         timestamp = DateTime.UtcNow
     }));
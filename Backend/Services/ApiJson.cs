@@ -0,0 +1,18 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace MDConverter360.Services;
+
+/// <summary>
+/// JSON settings for what the API serializes itself: conversion options read
+/// from form fields, the metadata header, job snapshots and events, and the
+/// diagnostics report. Enums are written as camelCase strings here; other
+/// responses keep the MVC defaults.
+/// </summary>
+public static class ApiJson
+{
+    public static readonly JsonSerializerOptions Settings = new(JsonSerializerDefaults.Web)
+    {
+        Converters = { new JsonStringEnumConverter(JsonNamingPolicy.CamelCase) }
+    };
+}
@@ -0,0 +1,107 @@
+namespace MDConverter360.Services;
+
+/// <summary>
+/// Files uploaded together with Markdown documents (images and other assets),
+/// keyed by their path relative to the bundle root. Documents resolve their
+/// references against their own folder, so <c>docs/guide.md</c> referencing
+/// <c>img/arch.png</c> finds the asset uploaded as <c>docs/img/arch.png</c>.
+/// </summary>
+public class AssetBundle
+{
+    private readonly Dictionary<string, byte[]> _files = new(StringComparer.OrdinalIgnoreCase);
+
+    public int Count => _files.Count;
+
+    public IEnumerable<string> Paths => _files.Keys;
+
+    /// <summary>
+    /// Add an asset. Paths that would escape the bundle root are ignored.
+    /// </summary>
+    public bool Add(string path, byte[] content)
+    {
+        var normalized = NormalizePath(path);
+        if (normalized == null) return false;
+
+        _files[normalized] = content;
+        return true;
+    }
+
+    /// <summary>
+    /// Find the asset a document references, e.g. the URL of a Markdown image.
+    /// Returns null for remote URLs and references that are not in the bundle.
+    /// </summary>
+    public byte[]? Resolve(string documentPath, string reference)
+    {
+        var path = ResolvePath(documentPath, reference);
+        return path != null && _files.TryGetValue(path, out var content) ? content : null;
+    }
+
+    /// <summary>
+    /// Bundle path a document reference points to, or null when it is remote or invalid
+    /// </summary>
+    public static string? ResolvePath(string documentPath, string reference)
+    {
+        if (string.IsNullOrWhiteSpace(reference)) return null;
+
+        // Remote (http:, data:, ...) and protocol-relative references are left alone
+        // ("/img/a.png" parses as an absolute file URI on Unix, so test for the leading slash first)
+        if (reference.StartsWith("//"))
+            return null;
+        if (!reference.StartsWith('/') && Uri.TryCreate(reference, UriKind.Absolute, out var uri) && uri.Scheme.Length > 1)
+            return null;
+
+        var end = reference.IndexOfAny(new[] { '?', '#' });
+        if (end >= 0) reference = reference[..end];
+        reference = Uri.UnescapeDataString(reference);
+
+        var documentFolder = GetFolder(documentPath);
+        var combined = reference.StartsWith('/') ? reference : $"{documentFolder}/{reference}";
+        return NormalizePath(combined);
+    }
+
+    /// <summary>
+    /// Write the bundle to a directory, keeping its folder structure
+    /// (for tools such as Pandoc that read images from disk).
+    /// </summary>
+    public async Task ExtractToAsync(string directory)
+    {
+        foreach (var (path, content) in _files)
+        {
+            var target = Path.Combine(directory, path.Replace('/', Path.DirectorySeparatorChar));
+            Directory.CreateDirectory(Path.GetDirectoryName(target)!);
+            await File.WriteAllBytesAsync(target, content);
+        }
+    }
+
+    /// <summary>
+    /// Folder of a document inside the bundle, "" for the root
+    /// </summary>
+    public static string GetFolder(string documentPath)
+    {
+        var normalized = NormalizePath(documentPath) ?? "";
+        var slash = normalized.LastIndexOf('/');
+        return slash < 0 ? "" : normalized[..slash];
+    }
+
+    /// <summary>
+    /// Forward slashes, no "." or ".." segments; null if the path leaves the root
+    /// </summary>
+    public static string? NormalizePath(string path)
+    {
+        var segments = new List<string>();
+        foreach (var segment in path.Replace('\\', '/').Split('/', StringSplitOptions.RemoveEmptyEntries))
+        {
+            if (segment == ".") continue;
+            if (segment == "..")
+            {
+                if (segments.Count == 0) return null;
+                segments.RemoveAt(segments.Count - 1);
+                continue;
+            }
+            if (segment.Contains(':')) return null;
+            segments.Add(segment);
+        }
+
+        return segments.Count == 0 ? null : string.Join('/', segments);
+    }
+}
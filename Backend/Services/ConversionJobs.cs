@@ -0,0 +1,459 @@
+using System.Collections.Concurrent;
+using System.Text.Json;
+using System.Threading.Channels;
+
+namespace MDConverter360.Services;
+
+public enum ConversionJobStatus
+{
+    Queued,
+    Running,
+    Completed,
+    Cancelled
+}
+
+public enum ConversionJobFileStatus
+{
+    Queued,
+    Converting,
+    Done,
+    Failed,
+    Cancelled
+}
+
+/// <summary>
+/// State of one file in a job, as sent to clients. Page progress is only
+/// known for inputs converted page by page (PDF).
+/// </summary>
+public class ConversionJobFile
+{
+    public int Index { get; set; }
+    public string FileName { get; set; } = string.Empty;
+    public ConversionJobFileStatus Status { get; set; }
+    public int Page { get; set; }
+    public int PageCount { get; set; }
+    public string? OutputFileName { get; set; }
+    public string? MimeType { get; set; }
+    public string? Error { get; set; }
+    public string? ErrorCode { get; set; }
+    public ConversionMetadata? Metadata { get; set; }
+
+    public ConversionJobFile Clone() => (ConversionJobFile)MemberwiseClone();
+}
+
+public class ConversionJobSnapshot
+{
+    public string Id { get; set; } = string.Empty;
+    public ConversionJobStatus Status { get; set; }
+    public DateTime CreatedAt { get; set; }
+    public DateTime? FinishedAt { get; set; }
+    public List<ConversionJobFile> Files { get; set; } = new();
+}
+
+/// <summary>
+/// What the worker needs to convert one file of a job
+/// </summary>
+public class ConversionJobInput
+{
+    public string FileName { get; set; } = string.Empty;
+    public byte[] Content { get; set; } = Array.Empty<byte>();
+    public ConversionType ConversionType { get; set; }
+    public ConversionOptions? Options { get; set; }
+    public DocxTemplate? Template { get; set; }
+    public AssetBundle? Assets { get; set; }
+
+    /// <summary>
+    /// Set when the file was rejected while the job was created (unsupported format, missing template)
+    /// </summary>
+    public string? Error { get; set; }
+    public string? ErrorCode { get; set; }
+}
+
+/// <summary>
+/// One event of a job's progress stream; <see cref="Data"/> is already serialized JSON
+/// </summary>
+public record ConversionJobEvent(long Id, string Name, string Data);
+
+/// <summary>
+/// A batch conversion running in the background. Every state change is
+/// recorded as a numbered event, so Server-Sent Events clients can follow the
+/// job and pick up where they left off after reconnecting.
+/// </summary>
+public class ConversionJob
+{
+    public const string FileStartedEvent = "file-started";
+    public const string FileProgressEvent = "file-progress";
+    public const string FileFinishedEvent = "file-finished";
+    public const string FileFailedEvent = "file-failed";
+    public const string FileCancelledEvent = "file-cancelled";
+    public const string JobFinishedEvent = "job-finished";
+
+    private readonly object _lock = new();
+    private readonly List<ConversionJobFile> _files;
+    private readonly ConversionJobInput?[] _inputs;
+    private readonly byte[]?[] _outputs;
+    private readonly List<ConversionJobEvent> _events = new();
+    private readonly CancellationTokenSource _cancellation = new();
+    private TaskCompletionSource _changed = new(TaskCreationOptions.RunContinuationsAsynchronously);
+    private ConversionJobStatus _status = ConversionJobStatus.Queued;
+
+    public string Id { get; } = Guid.NewGuid().ToString("N");
+    public DateTime CreatedAt { get; } = DateTime.UtcNow;
+    public DateTime? FinishedAt { get; private set; }
+    public CancellationToken CancellationToken => _cancellation.Token;
+    public int FileCount => _files.Count;
+
+    public ConversionJob(IReadOnlyList<ConversionJobInput> inputs)
+    {
+        _inputs = inputs.ToArray();
+        _outputs = new byte[]?[inputs.Count];
+        _files = inputs.Select((input, index) => new ConversionJobFile
+        {
+            Index = index,
+            FileName = input.FileName,
+            Status = input.Error == null ? ConversionJobFileStatus.Queued : ConversionJobFileStatus.Failed,
+            Error = input.Error,
+            ErrorCode = input.ErrorCode
+        }).ToList();
+    }
+
+    public bool IsFinished
+    {
+        get
+        {
+            lock (_lock) return _status is ConversionJobStatus.Completed or ConversionJobStatus.Cancelled;
+        }
+    }
+
+    /// <summary>
+    /// The current state and the id of the last event it includes
+    /// </summary>
+    public (ConversionJobSnapshot Snapshot, long LastEventId) GetSnapshot()
+    {
+        lock (_lock)
+        {
+            var snapshot = new ConversionJobSnapshot
+            {
+                Id = Id,
+                Status = _status,
+                CreatedAt = CreatedAt,
+                FinishedAt = FinishedAt,
+                Files = _files.Select(file => file.Clone()).ToList()
+            };
+            return (snapshot, _events.Count == 0 ? 0 : _events[^1].Id);
+        }
+    }
+
+    /// <summary>
+    /// Events after <paramref name="afterId"/>; waits up to <paramref name="timeout"/>
+    /// for new ones and returns an empty list when none arrived
+    /// </summary>
+    public async Task<IReadOnlyList<ConversionJobEvent>> WaitForEventsAsync(long afterId, TimeSpan timeout, CancellationToken cancellationToken)
+    {
+        Task changed;
+        lock (_lock)
+        {
+            var pending = _events.Where(e => e.Id > afterId).ToList();
+            if (pending.Count > 0 || IsFinishedUnlocked)
+                return pending;
+            changed = _changed.Task;
+        }
+
+        try
+        {
+            await changed.WaitAsync(timeout, cancellationToken);
+        }
+        catch (TimeoutException)
+        {
+            return Array.Empty<ConversionJobEvent>();
+        }
+
+        lock (_lock)
+        {
+            return _events.Where(e => e.Id > afterId).ToList();
+        }
+    }
+
+    /// <summary>
+    /// The converted bytes of a finished file, or null while it is not done
+    /// </summary>
+    public (ConversionJobFile File, byte[]? Output)? GetResult(int index)
+    {
+        lock (_lock)
+        {
+            if (index < 0 || index >= _files.Count)
+                return null;
+            return (_files[index].Clone(), _outputs[index]);
+        }
+    }
+
+    /// <summary>
+    /// Take the input of the next queued file and mark it as converting
+    /// </summary>
+    internal bool TryStartNext(out int index, out ConversionJobInput input)
+    {
+        lock (_lock)
+        {
+            index = _files.FindIndex(file => file.Status == ConversionJobFileStatus.Queued);
+            input = index < 0 ? null! : _inputs[index]!;
+            if (index < 0 || _cancellation.IsCancellationRequested)
+                return false;
+
+            _status = ConversionJobStatus.Running;
+            _files[index].Status = ConversionJobFileStatus.Converting;
+            Publish(FileStartedEvent, _files[index]);
+            return true;
+        }
+    }
+
+    internal void ReportProgress(int index, ConversionProgress progress)
+    {
+        lock (_lock)
+        {
+            var file = _files[index];
+            if (file.Status != ConversionJobFileStatus.Converting)
+                return;
+
+            file.Page = progress.Page;
+            file.PageCount = progress.PageCount;
+            Publish(FileProgressEvent, file);
+        }
+    }
+
+    internal void CompleteFile(int index, ConversionResult result)
+    {
+        lock (_lock)
+        {
+            var file = _files[index];
+            _inputs[index] = null;
+
+            if (result.Success && result.OutputData != null)
+            {
+                file.Status = ConversionJobFileStatus.Done;
+                file.OutputFileName = result.OutputFileName;
+                file.MimeType = result.OutputMimeType;
+                file.Metadata = result.Metadata;
+                _outputs[index] = result.OutputData;
+                Publish(FileFinishedEvent, file);
+            }
+            else
+            {
+                file.Status = ConversionJobFileStatus.Failed;
+                file.Error = result.ErrorMessage;
+                file.ErrorCode = result.ErrorCode ?? ConversionErrorCodes.ConversionFailed;
+                Publish(FileFailedEvent, file);
+            }
+        }
+    }
+
+    /// <summary>
+    /// Stop the job: files not yet converted are cancelled, the running one at
+    /// its next cancellation check. Returns false when the job had already finished.
+    /// </summary>
+    public bool Cancel()
+    {
+        lock (_lock)
+        {
+            if (IsFinishedUnlocked)
+                return false;
+
+            _cancellation.Cancel();
+            foreach (var file in _files.Where(f => f.Status == ConversionJobFileStatus.Queued))
+            {
+                file.Status = ConversionJobFileStatus.Cancelled;
+                file.ErrorCode = ConversionErrorCodes.ConversionCancelled;
+                _inputs[file.Index] = null;
+                Publish(FileCancelledEvent, file);
+            }
+
+            // A job the worker has not picked up yet has nothing left to wait for
+            if (_status == ConversionJobStatus.Queued)
+                FinishUnlocked();
+            return true;
+        }
+    }
+
+    internal void CancelFile(int index)
+    {
+        lock (_lock)
+        {
+            var file = _files[index];
+            file.Status = ConversionJobFileStatus.Cancelled;
+            file.ErrorCode = ConversionErrorCodes.ConversionCancelled;
+            _inputs[index] = null;
+            Publish(FileCancelledEvent, file);
+        }
+    }
+
+    internal void Finish()
+    {
+        lock (_lock)
+        {
+            if (!IsFinishedUnlocked)
+                FinishUnlocked();
+        }
+    }
+
+    private bool IsFinishedUnlocked => _status is ConversionJobStatus.Completed or ConversionJobStatus.Cancelled;
+
+    private void FinishUnlocked()
+    {
+        _status = _cancellation.IsCancellationRequested ? ConversionJobStatus.Cancelled : ConversionJobStatus.Completed;
+        FinishedAt = DateTime.UtcNow;
+        Publish(JobFinishedEvent, new
+        {
+            status = _status,
+            successful = _files.Count(f => f.Status == ConversionJobFileStatus.Done),
+            failed = _files.Count(f => f.Status == ConversionJobFileStatus.Failed),
+            cancelled = _files.Count(f => f.Status == ConversionJobFileStatus.Cancelled)
+        });
+    }
+
+    // Callers hold _lock
+    private void Publish(string name, object data)
+    {
+        _events.Add(new ConversionJobEvent(_events.Count + 1, name, JsonSerializer.Serialize(data, ApiJson.Settings)));
+
+        var changed = _changed;
+        _changed = new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
+        changed.SetResult();
+    }
+}
+
+/// <summary>
+/// Jobs submitted through the API, waiting for or handled by <see cref="ConversionJobWorker"/>.
+/// Finished jobs and their outputs are kept for <see cref="Retention"/>, then dropped
+/// by <see cref="ConversionJobWorker"/>'s periodic sweep or the next submission.
+/// </summary>
+public class ConversionJobQueue
+{
+    public static readonly TimeSpan Retention = TimeSpan.FromMinutes(30);
+
+    private readonly ConcurrentDictionary<string, ConversionJob> _jobs = new();
+    private readonly Channel<ConversionJob> _pending = Channel.CreateUnbounded<ConversionJob>();
+
+    public ConversionJob Enqueue(IReadOnlyList<ConversionJobInput> inputs)
+    {
+        RemoveExpired();
+
+        var job = new ConversionJob(inputs);
+        _jobs[job.Id] = job;
+        _pending.Writer.TryWrite(job);
+        return job;
+    }
+
+    public bool TryGet(string id, out ConversionJob job) => _jobs.TryGetValue(id, out job!);
+
+    public IAsyncEnumerable<ConversionJob> ReadAllAsync(CancellationToken cancellationToken) =>
+        _pending.Reader.ReadAllAsync(cancellationToken);
+
+    /// <summary>
+    /// Drop jobs that finished more than <see cref="Retention"/> ago; returns how many were dropped
+    /// </summary>
+    public int RemoveExpired()
+    {
+        var cutoff = DateTime.UtcNow - Retention;
+        var removed = 0;
+        foreach (var job in _jobs.Values.Where(j => j.FinishedAt < cutoff))
+        {
+            if (_jobs.TryRemove(job.Id, out _))
+                removed++;
+        }
+        return removed;
+    }
+}
+
+/// <summary>
+/// Converts queued jobs one at a time, file by file, reporting progress to the job.
+/// Also sweeps expired jobs, so an idle server does not hold on to the last outputs.
+/// </summary>
+public class ConversionJobWorker : BackgroundService
+{
+    private static readonly TimeSpan SweepInterval = TimeSpan.FromMinutes(1);
+
+    private readonly ConversionJobQueue _queue;
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly ILogger<ConversionJobWorker> _logger;
+
+    public ConversionJobWorker(ConversionJobQueue queue, IServiceScopeFactory scopeFactory, ILogger<ConversionJobWorker> logger)
+    {
+        _queue = queue;
+        _scopeFactory = scopeFactory;
+        _logger = logger;
+    }
+
+    protected override Task ExecuteAsync(CancellationToken stoppingToken) =>
+        Task.WhenAll(RunJobsAsync(stoppingToken), SweepExpiredAsync(stoppingToken));
+
+    private async Task SweepExpiredAsync(CancellationToken stoppingToken)
+    {
+        using var timer = new PeriodicTimer(SweepInterval);
+        try
+        {
+            while (await timer.WaitForNextTickAsync(stoppingToken))
+            {
+                var removed = _queue.RemoveExpired();
+                if (removed > 0)
+                    _logger.LogInformation("Removed {Count} expired conversion jobs", removed);
+            }
+        }
+        catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+        {
+            // Shutting down
+        }
+    }
+
+    private async Task RunJobsAsync(CancellationToken stoppingToken)
+    {
+        await foreach (var job in _queue.ReadAllAsync(stoppingToken))
+        {
+            if (job.IsFinished)
+                continue;
+
+            _logger.LogInformation("Starting conversion job {JobId} with {Count} files", job.Id, job.FileCount);
+
+            using var scope = _scopeFactory.CreateScope();
+            var converter = scope.ServiceProvider.GetRequiredService<IConverterService>();
+
+            while (job.TryStartNext(out var index, out var input))
+            {
+                using var cancellation = CancellationTokenSource.CreateLinkedTokenSource(job.CancellationToken, stoppingToken);
+                try
+                {
+                    var result = await converter.ConvertAsync(input.Content, input.FileName, input.ConversionType,
+                        input.Options, input.Assets, input.Template,
+                        new SynchronousProgress<ConversionProgress>(progress => job.ReportProgress(index, progress)),
+                        cancellation.Token);
+                    job.CompleteFile(index, result);
+                }
+                catch (OperationCanceledException) when (cancellation.IsCancellationRequested)
+                {
+                    job.CancelFile(index);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Job {JobId} failed for {FileName}", job.Id, input.FileName);
+                    job.CompleteFile(index, new ConversionResult
+                    {
+                        Success = false,
+                        ErrorMessage = ex.Message,
+                        ErrorCode = ConversionErrorCodes.ConversionFailed
+                    });
+                }
+            }
+
+            job.Finish();
+            _logger.LogInformation("Conversion job {JobId} finished", job.Id);
+        }
+    }
+
+    // Progress<T> posts to the thread pool, which could deliver a page update after the file finished
+    private sealed class SynchronousProgress<T> : IProgress<T>
+    {
+        private readonly Action<T> _handler;
+
+        public SynchronousProgress(Action<T> handler) => _handler = handler;
+
+        public void Report(T value) => _handler(value);
+    }
+}
@@ -1,9 +1,13 @@
 using System.Diagnostics;
+using System.Globalization;
 using System.Text;
 using System.Text.RegularExpressions;
 using DocumentFormat.OpenXml;
 using DocumentFormat.OpenXml.Packaging;
 using DocumentFormat.OpenXml.Wordprocessing;
+using A = DocumentFormat.OpenXml.Drawing;
+using DW = DocumentFormat.OpenXml.Drawing.Wordprocessing;
+using PIC = DocumentFormat.OpenXml.Drawing.Pictures;
 using Markdig;
 using Markdig.Syntax;
 using Markdig.Syntax.Inlines;
@@ -47,14 +51,14 @@ public class ConverterService : IConverterService
             _logger.LogInformation("Pandoc not available - using basic C# converter");
     }
 
-    public async Task<ConversionResult> ConvertAsync(Stream inputStream, string inputFileName, ConversionType conversionType)
+    public async Task<ConversionResult> ConvertAsync(Stream inputStream, string inputFileName, ConversionType conversionType, ConversionOptions? options = null, AssetBundle? assets = null, DocxTemplate? template = null, IProgress<ConversionProgress>? progress = null, CancellationToken cancellationToken = default)
     {
         using var memoryStream = new MemoryStream();
-        await inputStream.CopyToAsync(memoryStream);
-        return await ConvertAsync(memoryStream.ToArray(), inputFileName, conversionType);
+        await inputStream.CopyToAsync(memoryStream, cancellationToken);
+        return await ConvertAsync(memoryStream.ToArray(), inputFileName, conversionType, options, assets, template, progress, cancellationToken);
     }
 
-    public async Task<ConversionResult> ConvertAsync(byte[] inputBytes, string inputFileName, ConversionType conversionType)
+    public async Task<ConversionResult> ConvertAsync(byte[] inputBytes, string inputFileName, ConversionType conversionType, ConversionOptions? options = null, AssetBundle? assets = null, DocxTemplate? template = null, IProgress<ConversionProgress>? progress = null, CancellationToken cancellationToken = default)
     {
         var stopwatch = Stopwatch.StartNew();
 
@@ -64,11 +68,11 @@ public class ConverterService : IConverterService
 
             var result = conversionType switch
             {
-                ConversionType.PdfToMarkdown => await ConvertPdfToMarkdownAsync(inputBytes, inputFileName),
+                ConversionType.PdfToMarkdown => await ConvertPdfToMarkdownAsync(inputBytes, inputFileName, progress, cancellationToken),
                 ConversionType.DocxToMarkdown => await ConvertDocxToMarkdownAsync(inputBytes, inputFileName),
                 ConversionType.OdtToMarkdown => await ConvertOdtToMarkdownAsync(inputBytes, inputFileName),
-                ConversionType.MarkdownToPdf => await ConvertMarkdownToPdfAsync(inputBytes, inputFileName),
-                ConversionType.MarkdownToDocx => await ConvertMarkdownToDocxAsync(inputBytes, inputFileName),
+                ConversionType.MarkdownToPdf => await ConvertMarkdownToPdfAsync(inputBytes, inputFileName, options, assets),
+                ConversionType.MarkdownToDocx => await ConvertMarkdownToDocxAsync(inputBytes, inputFileName, options, assets, template),
                 _ => throw new ArgumentException($"Unsupported conversion type: {conversionType}")
             };
 
@@ -84,13 +88,19 @@ public class ConverterService : IConverterService
 
             return result;
         }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            _logger.LogInformation("Conversion cancelled: {FileName}", inputFileName);
+            throw;
+        }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Conversion failed for {FileName}", inputFileName);
             return new ConversionResult
             {
                 Success = false,
-                ErrorMessage = ex.Message
+                ErrorMessage = ex.Message,
+                ErrorCode = ConversionErrorCodes.ConversionFailed
             };
         }
     }
@@ -115,6 +125,21 @@ public class ConverterService : IConverterService
         };
     }
 
+    public ConversionEngine ResolveEngine(ConversionType conversionType, ConversionEngine requested)
+    {
+        if (_pandocConverter?.IsPandocAvailable != true)
+            return ConversionEngine.Native;
+
+        // Same choices as the conversion methods below
+        return conversionType switch
+        {
+            ConversionType.DocxToMarkdown => ConversionEngine.Pandoc,
+            ConversionType.MarkdownToDocx when requested != ConversionEngine.Native => ConversionEngine.Pandoc,
+            ConversionType.MarkdownToPdf when requested == ConversionEngine.Pandoc => ConversionEngine.Pandoc,
+            _ => ConversionEngine.Native
+        };
+    }
+
     public bool IsSupported(string fileName)
     {
         var ext = Path.GetExtension(fileName).ToLowerInvariant();
@@ -123,7 +148,7 @@ public class ConverterService : IConverterService
 
     #region PDF to Markdown
 
-    private Task<ConversionResult> ConvertPdfToMarkdownAsync(byte[] pdfBytes, string fileName)
+    private Task<ConversionResult> ConvertPdfToMarkdownAsync(byte[] pdfBytes, string fileName, IProgress<ConversionProgress>? progress, CancellationToken cancellationToken)
     {
         var markdown = new StringBuilder();
         var metadata = new ConversionMetadata { SourceFormat = "PDF", TargetFormat = "Markdown" };
@@ -131,12 +156,16 @@ public class ConverterService : IConverterService
         using var docReader = DocLib.Instance.GetDocReader(pdfBytes, new PageDimensions(1080, 1920));
         metadata.PageCount = docReader.GetPageCount();
 
-        for (int i = 0; i < docReader.GetPageCount(); i++)
+        for (int i = 0; i < metadata.PageCount; i++)
         {
+            cancellationToken.ThrowIfCancellationRequested();
+
             using var pageReader = docReader.GetPageReader(i);
             var pageText = pageReader.GetText();
             var processedText = ProcessPdfPageText(pageText);
             markdown.Append(processedText);
+
+            progress?.Report(new ConversionProgress { Page = i + 1, PageCount = metadata.PageCount });
         }
 
         var markdownText = CleanupMarkdown(markdown.ToString());
@@ -237,7 +266,7 @@ public class ConverterService : IConverterService
             _logger.LogDebug("Using Pandoc for DOCX to Markdown conversion");
             var pandocResult = await _pandocConverter.ConvertDocxToMarkdownAsync(docxBytes, fileName);
             if (pandocResult.Success)
-                return pandocResult;
+                return WithDocxFrontMatter(pandocResult, docxBytes);
 
             _logger.LogWarning("Pandoc conversion failed, falling back to C# converter: {Error}", pandocResult.ErrorMessage);
         }
@@ -256,7 +285,8 @@ public class ConverterService : IConverterService
             return new ConversionResult
             {
                 Success = false,
-                ErrorMessage = "Invalid DOCX document: no body found"
+                ErrorMessage = "Invalid DOCX document: no body found",
+                ErrorCode = ConversionErrorCodes.InvalidDocument
             };
         }
 
@@ -273,6 +303,8 @@ public class ConverterService : IConverterService
         metadata.CharacterCount = markdownText.Length;
         metadata.PageCount = 1;
 
+        markdownText = FrontMatter.Prepend(ReadDocxProperties(document), markdownText);
+
         var outputFileName = Path.GetFileNameWithoutExtension(fileName) + ".md";
 
         return new ConversionResult
@@ -285,6 +317,42 @@ public class ConverterService : IConverterService
         };
     }
 
+    /// <summary>
+    /// Replace the title block Pandoc writes (and CleanupPandocMarkdown strips)
+    /// with front matter built from the DOCX core properties
+    /// </summary>
+    private ConversionResult WithDocxFrontMatter(ConversionResult result, byte[] docxBytes)
+    {
+        try
+        {
+            using var memoryStream = new MemoryStream(docxBytes);
+            using var document = WordprocessingDocument.Open(memoryStream, false);
+            var (_, body) = FrontMatter.Split(Encoding.UTF8.GetString(result.OutputData!));
+            result.OutputData = Encoding.UTF8.GetBytes(FrontMatter.Prepend(ReadDocxProperties(document), body));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Could not read DOCX properties for front matter");
+        }
+
+        return result;
+    }
+
+    private static DocumentProperties ReadDocxProperties(WordprocessingDocument document)
+    {
+        var package = document.PackageProperties;
+        return new DocumentProperties
+        {
+            Title = package.Title,
+            Author = package.Creator,
+            Date = package.Created?.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture),
+            Version = package.Version,
+            Keywords = (package.Keywords ?? "")
+                .Split(new[] { ',', ';' }, StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .ToList()
+        };
+    }
+
     private void ProcessDocxElement(OpenXmlElement element, StringBuilder markdown,
         NumberingDefinitionsPart? numberingPart, StyleDefinitionsPart? stylesPart)
     {
@@ -467,7 +535,8 @@ public class ConverterService : IConverterService
             return new ConversionResult
             {
                 Success = false,
-                ErrorMessage = "Invalid ODT document: content.xml not found"
+                ErrorMessage = "Invalid ODT document: content.xml not found",
+                ErrorCode = ConversionErrorCodes.InvalidDocument
             };
         }
 
@@ -533,40 +602,87 @@ public class ConverterService : IConverterService
 
     #region Markdown to PDF
 
-    private Task<ConversionResult> ConvertMarkdownToPdfAsync(byte[] mdBytes, string fileName)
+    private async Task<ConversionResult> ConvertMarkdownToPdfAsync(byte[] mdBytes, string fileName, ConversionOptions? options, AssetBundle? assets)
     {
-        var markdownText = Encoding.UTF8.GetString(mdBytes);
+        // Pandoc is only used for PDF when explicitly requested (needs a PDF engine)
+        if (options?.Engine == ConversionEngine.Pandoc && _pandocConverter?.IsPandocAvailable == true)
+        {
+            _logger.LogDebug("Using Pandoc for Markdown to PDF conversion");
+            var pandocResult = await _pandocConverter.ConvertMarkdownToPdfAsync(mdBytes, fileName, options, assets);
+            if (pandocResult.Success)
+                return pandocResult;
+
+            _logger.LogWarning("Pandoc conversion failed, falling back to QuestPDF: {Error}", pandocResult.ErrorMessage);
+        }
+
+        var (properties, markdownText) = FrontMatter.Split(Encoding.UTF8.GetString(mdBytes));
         var metadata = new ConversionMetadata { SourceFormat = "Markdown", TargetFormat = "PDF" };
+        var layout = options ?? new ConversionOptions();
+        var resolveImage = CreateImageResolver(fileName, assets);
 
         QuestPDF.Settings.License = LicenseType.Community;
 
-        var pdfBytes = QuestPDF.Fluent.Document.Create(container =>
+        var pdfDocument = QuestPDF.Fluent.Document.Create(container =>
         {
             container.Page(page =>
             {
-                page.Size(PageSizes.A4);
-                page.Margin(2, Unit.Centimetre);
+                page.Size(GetPdfPageSize(layout));
+                page.MarginTop((float)layout.MarginTop, Unit.Centimetre);
+                page.MarginBottom((float)layout.MarginBottom, Unit.Centimetre);
+                page.MarginLeft((float)layout.MarginLeft, Unit.Centimetre);
+                page.MarginRight((float)layout.MarginRight, Unit.Centimetre);
                 page.PageColor(Colors.White);
-                page.DefaultTextStyle(x => x.FontSize(11).FontFamily("Arial"));
+                page.DefaultTextStyle(x => x.FontSize((float)layout.FontSize).FontFamily(layout.FontFamily));
+
+                if (!string.IsNullOrWhiteSpace(layout.HeaderText))
+                {
+                    page.Header()
+                        .PaddingBottom(8)
+                        .AlignCenter()
+                        .Text(layout.HeaderText)
+                        .FontSize(9)
+                        .FontColor(Colors.Grey.Darken1);
+                }
 
                 page.Content()
                     .Column(column =>
                     {
                         column.Spacing(8);
-                        RenderMarkdownToPdf(column, markdownText);
+                        if (layout.IncludeTitlePage && properties?.HasValues == true)
+                        {
+                            RenderTitlePageToPdf(column, properties);
+                        }
+                        RenderMarkdownToPdf(column, markdownText, layout.IncludeTableOfContents, resolveImage);
                     });
 
                 page.Footer()
                     .AlignCenter()
                     .Text(x =>
                     {
-                        x.Span("Page ");
-                        x.CurrentPageNumber();
-                        x.Span(" / ");
-                        x.TotalPages();
+                        if (!string.IsNullOrWhiteSpace(layout.FooterText))
+                        {
+                            x.Span(layout.FooterText);
+                            if (layout.ShowPageNumbers)
+                                x.Span("  |  ");
+                        }
+
+                        if (layout.ShowPageNumbers)
+                        {
+                            x.Span("Page ");
+                            x.CurrentPageNumber();
+                            x.Span(" / ");
+                            x.TotalPages();
+                        }
                     });
             });
-        }).GeneratePdf();
+        });
+
+        if (properties != null)
+        {
+            pdfDocument = pdfDocument.WithMetadata(CreatePdfMetadata(properties));
+        }
+
+        var pdfBytes = pdfDocument.GeneratePdf();
 
         metadata.WordCount = CountWords(markdownText);
         metadata.CharacterCount = markdownText.Length;
@@ -574,27 +690,117 @@ public class ConverterService : IConverterService
 
         var outputFileName = Path.GetFileNameWithoutExtension(fileName) + ".pdf";
 
-        return Task.FromResult(new ConversionResult
+        return new ConversionResult
         {
             Success = true,
             OutputData = pdfBytes,
             OutputFileName = outputFileName,
             OutputMimeType = MimeTypes[".pdf"],
             Metadata = metadata
-        });
+        };
+    }
+
+    private static QuestPDF.Helpers.PageSize GetPdfPageSize(ConversionOptions options)
+    {
+        var size = options.PageSize.ToUpperInvariant() switch
+        {
+            "LETTER" => PageSizes.Letter,
+            "LEGAL" => PageSizes.Legal,
+            "A3" => PageSizes.A3,
+            "A5" => PageSizes.A5,
+            _ => PageSizes.A4
+        };
+
+        return options.IsLandscape ? size.Landscape() : size;
+    }
+
+    private static void RenderTitlePageToPdf(ColumnDescriptor column, DocumentProperties properties)
+    {
+        column.Item().PaddingTop(150).AlignCenter()
+            .Text(properties.Title ?? "").FontSize(28).Bold();
+
+        foreach (var line in GetTitlePageDetails(properties))
+        {
+            column.Item().AlignCenter().Text(line).FontSize(13).FontColor(Colors.Grey.Darken2);
+        }
+
+        column.Item().PageBreak();
+    }
+
+    private static DocumentMetadata CreatePdfMetadata(DocumentProperties properties)
+    {
+        var metadata = new DocumentMetadata
+        {
+            Title = properties.Title,
+            Author = properties.Author,
+            Keywords = properties.Keywords.Count > 0 ? string.Join(", ", properties.Keywords) : null,
+            Subject = string.IsNullOrWhiteSpace(properties.Version) ? null : $"Version {properties.Version}"
+        };
+        if (TryParseDocumentDate(properties.Date, out var date))
+        {
+            metadata.CreationDate = date;
+        }
+        return metadata;
+    }
+
+    // Author, date and version lines under the title, in that order
+    private static IEnumerable<string> GetTitlePageDetails(DocumentProperties properties)
+    {
+        if (!string.IsNullOrWhiteSpace(properties.Author))
+            yield return properties.Author;
+        if (!string.IsNullOrWhiteSpace(properties.Date))
+            yield return properties.Date;
+        if (!string.IsNullOrWhiteSpace(properties.Version))
+            yield return $"Version {properties.Version}";
     }
 
-    private void RenderMarkdownToPdf(ColumnDescriptor column, string markdown)
+    private static bool TryParseDocumentDate(string? value, out DateTime date) =>
+        DateTime.TryParse(value, CultureInfo.InvariantCulture,
+            DateTimeStyles.AssumeUniversal | DateTimeStyles.AdjustToUniversal, out date);
+
+    private void RenderMarkdownToPdf(ColumnDescriptor column, string markdown, bool includeTableOfContents = false, ImageResolver? resolveImage = null)
     {
         var doc = Markdig.Markdown.Parse(markdown, _markdownPipeline);
 
+        if (includeTableOfContents)
+        {
+            RenderTableOfContentsToPdf(column, doc);
+        }
+
         foreach (var block in doc)
         {
-            RenderBlockToPdf(column, block);
+            RenderBlockToPdf(column, block, resolveImage);
         }
     }
 
-    private void RenderBlockToPdf(ColumnDescriptor column, Block block)
+    private void RenderTableOfContentsToPdf(ColumnDescriptor column, MarkdownDocument doc)
+    {
+        var headings = doc.Descendants<HeadingBlock>().Where(h => h.Level <= 3).ToList();
+        if (headings.Count == 0) return;
+
+        column.Item().Text("Contents").FontSize(20).Bold();
+        column.Item().Column(tocCol =>
+        {
+            tocCol.Spacing(3);
+            foreach (var heading in headings)
+            {
+                var sectionName = GetPdfSectionName(heading);
+                tocCol.Item()
+                    .PaddingLeft((heading.Level - 1) * 15)
+                    .SectionLink(sectionName)
+                    .Row(row =>
+                    {
+                        row.RelativeItem().Text(GetInlineText(heading.Inline));
+                        row.ConstantItem(40).AlignRight().Text(x => x.BeginPageNumberOfSection(sectionName));
+                    });
+            }
+        });
+        column.Item().PageBreak();
+    }
+
+    private static string GetPdfSectionName(HeadingBlock heading) => $"heading-{heading.Line}";
+
+    private void RenderBlockToPdf(ColumnDescriptor column, Block block, ImageResolver? resolveImage)
     {
         switch (block)
         {
@@ -610,19 +816,27 @@ public class ConverterService : IConverterService
                     _ => 11
                 };
                 column.Item().PaddingTop(heading.Level <= 2 ? 12 : 8)
+                    .Section(GetPdfSectionName(heading))
                     .Text(headingText).FontSize(fontSize).Bold();
                 break;
 
             case ParagraphBlock para:
-                var paraText = GetInlineText(para.Inline);
+                // Images found in the asset bundle are drawn below the paragraph text
+                // instead of their alt text
+                var images = ResolveImages(para.Inline, resolveImage);
+                var paraText = GetInlineText(para.Inline, images.Keys);
                 if (!string.IsNullOrWhiteSpace(paraText))
                 {
-                    column.Item().Text(paraText).FontSize(11);
+                    column.Item().Text(paraText);
+                }
+                foreach (var (image, data) in images)
+                {
+                    RenderImageToPdf(column, image, data);
                 }
                 break;
 
             case ListBlock list:
-                RenderListToPdf(column, list, 0);
+                RenderListToPdf(column, list, 0, resolveImage);
                 break;
 
             case QuoteBlock quote:
@@ -634,7 +848,7 @@ public class ConverterService : IConverterService
                     {
                         foreach (var quoteBlock in quote)
                         {
-                            RenderBlockToPdf(quoteCol, quoteBlock);
+                            RenderBlockToPdf(quoteCol, quoteBlock, resolveImage);
                         }
                     });
                 break;
@@ -659,7 +873,7 @@ public class ConverterService : IConverterService
         }
     }
 
-    private void RenderListToPdf(ColumnDescriptor column, ListBlock list, int indent)
+    private void RenderListToPdf(ColumnDescriptor column, ListBlock list, int indent, ImageResolver? resolveImage)
     {
         var index = 1;
         foreach (var item in list)
@@ -678,11 +892,11 @@ public class ConverterService : IConverterService
                         {
                             if (itemBlock is ListBlock nestedList)
                             {
-                                RenderListToPdf(itemCol, nestedList, indent + 1);
+                                RenderListToPdf(itemCol, nestedList, indent + 1, resolveImage);
                             }
                             else
                             {
-                                RenderBlockToPdf(itemCol, itemBlock);
+                                RenderBlockToPdf(itemCol, itemBlock, resolveImage);
                             }
                         }
                     });
@@ -737,7 +951,7 @@ public class ConverterService : IConverterService
         });
     }
 
-    private string GetInlineText(ContainerInline? inline)
+    private string GetInlineText(ContainerInline? inline, ICollection<LinkInline>? skip = null)
     {
         if (inline == null) return "";
 
@@ -747,9 +961,10 @@ public class ConverterService : IConverterService
             result.Append(item switch
             {
                 LiteralInline literal => literal.Content.ToString(),
-                EmphasisInline emphasis => GetInlineText(emphasis),
+                EmphasisInline emphasis => GetInlineText(emphasis, skip),
                 CodeInline code => code.Content,
-                LinkInline link => GetInlineText(link),
+                LinkInline link when skip?.Contains(link) == true => "",
+                LinkInline link => GetInlineText(link, skip),
                 LineBreakInline => " ",
                 _ => ""
             });
@@ -774,13 +989,13 @@ public class ConverterService : IConverterService
 
     #region Markdown to DOCX
 
-    private async Task<ConversionResult> ConvertMarkdownToDocxAsync(byte[] mdBytes, string fileName)
+    private async Task<ConversionResult> ConvertMarkdownToDocxAsync(byte[] mdBytes, string fileName, ConversionOptions? options, AssetBundle? assets, DocxTemplate? template)
     {
-        // Try Pandoc first for high-quality conversion
-        if (_pandocConverter?.IsPandocAvailable == true)
+        // Try Pandoc first for high-quality conversion, unless the native engine was requested
+        if (options?.Engine != ConversionEngine.Native && _pandocConverter?.IsPandocAvailable == true)
         {
             _logger.LogDebug("Using Pandoc for Markdown to DOCX conversion");
-            var pandocResult = await _pandocConverter.ConvertMarkdownToDocxAsync(mdBytes, fileName);
+            var pandocResult = await _pandocConverter.ConvertMarkdownToDocxAsync(mdBytes, fileName, options, assets, template);
             if (pandocResult.Success)
                 return pandocResult;
 
@@ -789,8 +1004,9 @@ public class ConverterService : IConverterService
 
         // Fallback to C# implementation
         _logger.LogDebug("Using C# OpenXML for Markdown to DOCX conversion");
-        var markdownText = Encoding.UTF8.GetString(mdBytes);
+        var (properties, markdownText) = FrontMatter.Split(Encoding.UTF8.GetString(mdBytes));
         var metadata = new ConversionMetadata { SourceFormat = "Markdown", TargetFormat = "DOCX" };
+        var resolveImage = CreateImageResolver(fileName, assets);
 
         using var memoryStream = new MemoryStream();
         using (var wordDoc = WordprocessingDocument.Create(memoryStream, WordprocessingDocumentType.Document, true))
@@ -800,7 +1016,7 @@ public class ConverterService : IConverterService
             var body = mainPart.Document.AppendChild(new Body());
 
             // Add proper styles
-            AddDocxStyles(mainPart);
+            AddDocxStyles(mainPart, options, template);
 
             // Add numbering for lists
             AddDocxNumbering(mainPart);
@@ -808,16 +1024,31 @@ public class ConverterService : IConverterService
             // Parse markdown using Markdig
             var doc = Markdig.Markdown.Parse(markdownText, _markdownPipeline);
 
+            if (properties != null)
+            {
+                SetDocxProperties(wordDoc, properties);
+                if (options?.IncludeTitlePage != false && properties.HasValues)
+                {
+                    AddDocxTitlePage(body, properties);
+                }
+            }
+
+            if (options?.IncludeTableOfContents == true)
+            {
+                AddDocxTableOfContents(body, mainPart);
+            }
+
             foreach (var block in doc)
             {
-                RenderBlockToDocx(body, mainPart, block, 0);
+                RenderBlockToDocx(body, mainPart, block, 0, resolveImage);
             }
 
             // Add section properties for proper page layout
-            var sectPr = new SectionProperties(
-                new DocumentFormat.OpenXml.Wordprocessing.PageSize() { Width = 12240, Height = 15840 }, // Letter size in twips
-                new PageMargin() { Top = 1440, Bottom = 1440, Left = 1440, Right = 1440 }
-            );
+            var sectPr = options == null
+                ? new SectionProperties(
+                    new DocumentFormat.OpenXml.Wordprocessing.PageSize() { Width = 12240, Height = 15840 }, // Letter size in twips
+                    new PageMargin() { Top = 1440, Bottom = 1440, Left = 1440, Right = 1440 })
+                : DocxLayout.CreateSectionProperties(mainPart, options);
             body.AppendChild(sectPr);
 
             wordDoc.Save();
@@ -839,7 +1070,64 @@ public class ConverterService : IConverterService
         };
     }
 
-    private void AddDocxStyles(MainDocumentPart mainPart)
+    private static void SetDocxProperties(WordprocessingDocument wordDoc, DocumentProperties properties)
+    {
+        var package = wordDoc.PackageProperties;
+        package.Title = properties.Title;
+        package.Creator = properties.Author;
+        package.Version = properties.Version;
+        if (properties.Keywords.Count > 0)
+            package.Keywords = string.Join(", ", properties.Keywords);
+        if (TryParseDocumentDate(properties.Date, out var date))
+            package.Created = date;
+    }
+
+    private static void AddDocxTitlePage(Body body, DocumentProperties properties)
+    {
+        var titlePara = DocxLayout.CreateCenteredParagraph(new Run(
+            new RunProperties(new Bold(), new FontSize { Val = "56" }),
+            new Text(properties.Title ?? "")));
+        // The schema puts spacing before justification in paragraph properties
+        var titleProps = titlePara.ParagraphProperties!;
+        titleProps.InsertBefore(new SpacingBetweenLines { Before = "3000", After = "400" }, titleProps.Justification);
+        body.Append(titlePara);
+
+        foreach (var line in GetTitlePageDetails(properties))
+        {
+            body.Append(DocxLayout.CreateCenteredParagraph(new Run(
+                new RunProperties(new DocumentFormat.OpenXml.Wordprocessing.Color { Val = "595959" }, new FontSize { Val = "26" }),
+                new Text(line))));
+        }
+
+        body.Append(new Paragraph(new Run(new Break { Type = BreakValues.Page })));
+    }
+
+    private void AddDocxTableOfContents(Body body, MainDocumentPart mainPart)
+    {
+        var titlePara = new Paragraph(
+            new ParagraphProperties(new ParagraphStyleId { Val = "Heading1" }),
+            new Run(new Text("Contents")));
+        body.Append(titlePara);
+
+        // TOC field, filled in by Word when the document is opened
+        var tocPara = new Paragraph(
+            new Run(new FieldChar { FieldCharType = FieldCharValues.Begin }),
+            new Run(new FieldCode(" TOC \\o \"1-3\" \\h \\z \\u ") { Space = SpaceProcessingModeValues.Preserve }),
+            new Run(new FieldChar { FieldCharType = FieldCharValues.Separate }),
+            new Run(new Text("Right-click and choose Update Field to build the table of contents.")),
+            new Run(new FieldChar { FieldCharType = FieldCharValues.End }));
+        body.Append(tocPara);
+        body.Append(new Paragraph(new Run(new Break { Type = BreakValues.Page })));
+
+        var settingsPart = mainPart.AddNewPart<DocumentSettingsPart>();
+        settingsPart.Settings = new Settings(new UpdateFieldsOnOpen { Val = true });
+    }
+
+    /// <summary>
+    /// Built-in styles, or the template's styles completed with any built-in
+    /// style the renderer refers to that the template does not define
+    /// </summary>
+    private void AddDocxStyles(MainDocumentPart mainPart, ConversionOptions? options = null, DocxTemplate? template = null)
     {
         var stylesPart = mainPart.AddNewPart<StyleDefinitionsPart>();
         var styles = new Styles();
@@ -853,8 +1141,10 @@ public class ConverterService : IConverterService
         };
         normalStyle.Append(new StyleName() { Val = "Normal" });
         var normalRPr = new StyleRunProperties();
-        normalRPr.Append(new RunFonts() { Ascii = "Calibri", HighAnsi = "Calibri" });
-        normalRPr.Append(new FontSize() { Val = "22" }); // 11pt
+        var fontFamily = options?.FontFamily ?? "Calibri";
+        var fontSizeHalfPoints = (int)Math.Round((options?.FontSize ?? 11) * 2);
+        normalRPr.Append(new RunFonts() { Ascii = fontFamily, HighAnsi = fontFamily });
+        normalRPr.Append(new FontSize() { Val = fontSizeHalfPoints.ToString() });
         normalStyle.Append(normalRPr);
         var normalPPr = new StyleParagraphProperties();
         normalPPr.Append(new SpacingBetweenLines() { After = "200", Line = "276", LineRule = LineSpacingRuleValues.Auto });
@@ -916,6 +1206,22 @@ public class ConverterService : IConverterService
         codeStyle.Append(codeRPr);
         styles.Append(codeStyle);
 
+        if (template != null)
+        {
+            var templateStyles = template.CloneStyles();
+            var defined = templateStyles.Elements<Style>()
+                .Select(style => style.StyleId?.Value)
+                .ToHashSet(StringComparer.OrdinalIgnoreCase);
+
+            foreach (var style in styles.Elements<Style>().Where(style => !defined.Contains(style.StyleId?.Value)))
+            {
+                templateStyles.Append(style.CloneNode(true));
+            }
+
+            template.AddThemeTo(mainPart);
+            styles = templateStyles;
+        }
+
         stylesPart.Styles = styles;
     }
 
@@ -965,7 +1271,7 @@ public class ConverterService : IConverterService
         numberingPart.Numbering = numbering;
     }
 
-    private void RenderBlockToDocx(Body body, MainDocumentPart mainPart, Block block, int listLevel)
+    private void RenderBlockToDocx(Body body, MainDocumentPart mainPart, Block block, int listLevel, ImageResolver? resolveImage)
     {
         switch (block)
         {
@@ -980,12 +1286,12 @@ public class ConverterService : IConverterService
 
             case ParagraphBlock para:
                 var paragraph = new Paragraph();
-                AddInlineToDocx(paragraph, para.Inline);
+                AddInlineToDocx(paragraph, para.Inline, mainPart, resolveImage);
                 body.Append(paragraph);
                 break;
 
             case ListBlock list:
-                RenderListToDocx(body, mainPart, list, 0);
+                RenderListToDocx(body, mainPart, list, 0, resolveImage);
                 break;
 
             case QuoteBlock quote:
@@ -1051,7 +1357,7 @@ public class ConverterService : IConverterService
         }
     }
 
-    private void RenderListToDocx(Body body, MainDocumentPart mainPart, ListBlock list, int level)
+    private void RenderListToDocx(Body body, MainDocumentPart mainPart, ListBlock list, int level, ImageResolver? resolveImage)
     {
         var numId = list.IsOrdered ? 2 : 1;
 
@@ -1072,12 +1378,12 @@ public class ConverterService : IConverterService
                         paraProps.Append(numProps);
 
                         para.Append(paraProps);
-                        AddInlineToDocx(para, itemPara.Inline);
+                        AddInlineToDocx(para, itemPara.Inline, mainPart, resolveImage);
                         body.Append(para);
                     }
                     else if (itemBlock is ListBlock nestedList)
                     {
-                        RenderListToDocx(body, mainPart, nestedList, level + 1);
+                        RenderListToDocx(body, mainPart, nestedList, level + 1, resolveImage);
                     }
                 }
             }
@@ -1148,20 +1454,28 @@ public class ConverterService : IConverterService
         body.Append(new Paragraph()); // Space after table
     }
 
-    private void AddInlineToDocx(Paragraph para, ContainerInline? inline)
+    private void AddInlineToDocx(Paragraph para, ContainerInline? inline, MainDocumentPart? mainPart = null, ImageResolver? resolveImage = null)
     {
         if (inline == null) return;
 
         foreach (var item in inline)
         {
-            AddSingleInlineToDocx(para, item);
+            AddSingleInlineToDocx(para, item, mainPart, resolveImage);
         }
     }
 
-    private void AddSingleInlineToDocx(Paragraph para, Inline item)
+    private void AddSingleInlineToDocx(Paragraph para, Inline item, MainDocumentPart? mainPart = null, ImageResolver? resolveImage = null)
     {
         switch (item)
         {
+            case LinkInline { IsImage: true } image when mainPart != null && resolveImage?.Invoke(image.Url) is { } imageData:
+                var imageRun = CreateDocxImageRun(mainPart, image, imageData);
+                if (imageRun != null)
+                    para.Append(imageRun);
+                else
+                    para.Append(new Run(new Text(GetInlineText(image)) { Space = SpaceProcessingModeValues.Preserve }));
+                break;
+
             case LiteralInline literal:
                 var literalRun = new Run(new Text(literal.Content.ToString()) { Space = SpaceProcessingModeValues.Preserve });
                 para.Append(literalRun);
@@ -1228,6 +1542,172 @@ public class ConverterService : IConverterService
 
     #endregion
 
+    #region Images
+
+    /// <summary>
+    /// Looks up the bytes of an image referenced by a Markdown document
+    /// </summary>
+    private delegate byte[]? ImageResolver(string? url);
+
+    private const long EmusPerPixel = 9525; // at 96 DPI
+    private const long MaxDocxImageWidthEmus = 6 * 914400; // 6 inches
+
+    private static ImageResolver? CreateImageResolver(string fileName, AssetBundle? assets)
+    {
+        if (assets == null || assets.Count == 0) return null;
+        return url => url == null ? null : assets.Resolve(fileName, url);
+    }
+
+    // Images of a paragraph that can be resolved, in document order
+    private static Dictionary<LinkInline, byte[]> ResolveImages(ContainerInline? inline, ImageResolver? resolveImage)
+    {
+        var images = new Dictionary<LinkInline, byte[]>();
+        if (inline == null || resolveImage == null) return images;
+
+        foreach (var link in inline.Descendants<LinkInline>().Where(l => l.IsImage))
+        {
+            if (resolveImage(link.Url) is { } data)
+                images[link] = data;
+        }
+        return images;
+    }
+
+    private void RenderImageToPdf(ColumnDescriptor column, LinkInline image, byte[] data)
+    {
+        try
+        {
+            if (Path.GetExtension(image.Url ?? "").Equals(".svg", StringComparison.OrdinalIgnoreCase))
+            {
+                column.Item().AlignCenter().MaxHeight(500).Svg(Encoding.UTF8.GetString(data)).FitArea();
+                return;
+            }
+
+            // Decode up front so a corrupt file falls back to its alt text instead of failing the document
+            var pdfImage = QuestPDF.Infrastructure.Image.FromBinaryData(data);
+            column.Item().AlignCenter().MaxHeight(500).Image(pdfImage).FitArea();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Could not render image {Url}", image.Url);
+            column.Item().Text(GetInlineText(image)).Italic();
+        }
+    }
+
+    /// <summary>
+    /// Embed an image as an inline drawing, scaled down to the text width.
+    /// Returns null for formats Word cannot display without conversion (e.g. SVG).
+    /// </summary>
+    private Run? CreateDocxImageRun(MainDocumentPart mainPart, LinkInline image, byte[] data)
+    {
+        var partType = GetImagePartType(data);
+        if (partType == null || !TryGetImageSize(data, out var pixelWidth, out var pixelHeight))
+            return null;
+
+        var imagePart = mainPart.AddImagePart(partType.Value);
+        using (var stream = new MemoryStream(data))
+        {
+            imagePart.FeedData(stream);
+        }
+        var relationshipId = mainPart.GetIdOfPart(imagePart);
+
+        var width = pixelWidth * EmusPerPixel;
+        var height = pixelHeight * EmusPerPixel;
+        if (width > MaxDocxImageWidthEmus)
+        {
+            height = height * MaxDocxImageWidthEmus / width;
+            width = MaxDocxImageWidthEmus;
+        }
+
+        var id = (uint)mainPart.ImageParts.Count();
+        var name = Path.GetFileName(image.Url ?? $"image{id}");
+        var description = GetInlineText(image);
+
+        var drawing = new Drawing(
+            new DW.Inline(
+                new DW.Extent() { Cx = width, Cy = height },
+                new DW.EffectExtent() { LeftEdge = 0L, TopEdge = 0L, RightEdge = 0L, BottomEdge = 0L },
+                new DW.DocProperties() { Id = id, Name = name, Description = description },
+                new DW.NonVisualGraphicFrameDrawingProperties(new A.GraphicFrameLocks() { NoChangeAspect = true }),
+                new A.Graphic(
+                    new A.GraphicData(
+                        new PIC.Picture(
+                            new PIC.NonVisualPictureProperties(
+                                new PIC.NonVisualDrawingProperties() { Id = id, Name = name },
+                                new PIC.NonVisualPictureDrawingProperties()),
+                            new PIC.BlipFill(
+                                new A.Blip() { Embed = relationshipId },
+                                new A.Stretch(new A.FillRectangle())),
+                            new PIC.ShapeProperties(
+                                new A.Transform2D(
+                                    new A.Offset() { X = 0L, Y = 0L },
+                                    new A.Extents() { Cx = width, Cy = height }),
+                                new A.PresetGeometry(new A.AdjustValueList()) { Preset = A.ShapeTypeValues.Rectangle }))
+                    ) { Uri = "http://schemas.openxmlformats.org/drawingml/2006/picture" })
+            ) { DistanceFromTop = 0U, DistanceFromBottom = 0U, DistanceFromLeft = 0U, DistanceFromRight = 0U });
+
+        return new Run(drawing);
+    }
+
+    private static PartTypeInfo? GetImagePartType(byte[] data)
+    {
+        if (data.Length < 4) return null;
+        if (data[0] == 0x89 && data[1] == 'P' && data[2] == 'N' && data[3] == 'G') return ImagePartType.Png;
+        if (data[0] == 0xFF && data[1] == 0xD8) return ImagePartType.Jpeg;
+        if (data[0] == 'G' && data[1] == 'I' && data[2] == 'F') return ImagePartType.Gif;
+        if (data[0] == 'B' && data[1] == 'M') return ImagePartType.Bmp;
+        return null;
+    }
+
+    // Pixel size from the PNG, GIF, BMP or JPEG header
+    private static bool TryGetImageSize(byte[] data, out long width, out long height)
+    {
+        width = height = 0;
+        try
+        {
+            if (data[0] == 0x89 && data.Length >= 24)
+            {
+                width = (data[16] << 24) | (data[17] << 16) | (data[18] << 8) | data[19];
+                height = (data[20] << 24) | (data[21] << 16) | (data[22] << 8) | data[23];
+            }
+            else if (data[0] == 'G' && data.Length >= 10)
+            {
+                width = data[6] | (data[7] << 8);
+                height = data[8] | (data[9] << 8);
+            }
+            else if (data[0] == 'B' && data.Length >= 26)
+            {
+                width = BitConverter.ToInt32(data, 18);
+                height = Math.Abs(BitConverter.ToInt32(data, 22));
+            }
+            else if (data[0] == 0xFF)
+            {
+                // Walk the JPEG segments up to the first start-of-frame marker
+                var offset = 2;
+                while (offset + 9 < data.Length)
+                {
+                    if (data[offset] != 0xFF) return false;
+                    var marker = data[offset + 1];
+                    var length = (data[offset + 2] << 8) | data[offset + 3];
+                    if (marker >= 0xC0 && marker <= 0xCF && marker != 0xC4 && marker != 0xC8 && marker != 0xCC)
+                    {
+                        height = (data[offset + 5] << 8) | data[offset + 6];
+                        width = (data[offset + 7] << 8) | data[offset + 8];
+                        break;
+                    }
+                    offset += 2 + length;
+                }
+            }
+        }
+        catch (IndexOutOfRangeException)
+        {
+            return false;
+        }
+
+        return width > 0 && height > 0;
+    }
+
+    #endregion
+
     #region Helpers
 
     private int CountWords(string text)
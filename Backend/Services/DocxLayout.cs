@@ -0,0 +1,129 @@
+using DocumentFormat.OpenXml;
+using DocumentFormat.OpenXml.Packaging;
+using DocumentFormat.OpenXml.Wordprocessing;
+
+namespace MDConverter360.Services;
+
+/// <summary>
+/// Page setup, header, footer and body font from <see cref="ConversionOptions"/>,
+/// shared by the native DOCX writer and the Pandoc output, which has no
+/// command-line options for them.
+/// </summary>
+public static class DocxLayout
+{
+    /// <summary>
+    /// Apply the layout options to a finished document. The reference document's
+    /// page setup, headers and footers are replaced; its body font is kept when
+    /// <paramref name="includeFont"/> is false, e.g. for an uploaded template.
+    /// </summary>
+    public static byte[] Apply(byte[] docx, ConversionOptions options, bool includeFont)
+    {
+        using var memoryStream = new MemoryStream();
+        memoryStream.Write(docx);
+        memoryStream.Position = 0;
+
+        using (var wordDoc = WordprocessingDocument.Open(memoryStream, true))
+        {
+            var mainPart = wordDoc.MainDocumentPart!;
+            var body = mainPart.Document.Body!;
+
+            foreach (var sectPr in body.Elements<SectionProperties>().ToList())
+                sectPr.Remove();
+            mainPart.DeleteParts(mainPart.HeaderParts.ToList());
+            mainPart.DeleteParts(mainPart.FooterParts.ToList());
+            body.AppendChild(CreateSectionProperties(mainPart, options));
+
+            if (includeFont && mainPart.StyleDefinitionsPart?.Styles is { } styles)
+                SetBodyFont(styles, options);
+
+            wordDoc.Save();
+        }
+
+        return memoryStream.ToArray();
+    }
+
+    public static SectionProperties CreateSectionProperties(MainDocumentPart mainPart, ConversionOptions options)
+    {
+        // Page sizes in twips (1/1440 inch)
+        var (width, height) = options.PageSize.ToUpperInvariant() switch
+        {
+            "LETTER" => (12240u, 15840u),
+            "LEGAL" => (12240u, 20160u),
+            "A3" => (16838u, 23811u),
+            "A5" => (8391u, 11906u),
+            _ => (11906u, 16838u)
+        };
+
+        var pageSize = new PageSize
+        {
+            Width = options.IsLandscape ? height : width,
+            Height = options.IsLandscape ? width : height,
+            Orient = options.IsLandscape ? PageOrientationValues.Landscape : PageOrientationValues.Portrait
+        };
+
+        var sectPr = new SectionProperties();
+
+        if (!string.IsNullOrWhiteSpace(options.HeaderText))
+        {
+            var headerPart = mainPart.AddNewPart<HeaderPart>();
+            headerPart.Header = new Header(CreateCenteredParagraph(new Run(new Text(options.HeaderText))));
+            sectPr.Append(new HeaderReference { Type = HeaderFooterValues.Default, Id = mainPart.GetIdOfPart(headerPart) });
+        }
+
+        if (!string.IsNullOrWhiteSpace(options.FooterText) || options.ShowPageNumbers)
+        {
+            var footerPara = CreateCenteredParagraph();
+            if (!string.IsNullOrWhiteSpace(options.FooterText))
+            {
+                footerPara.Append(new Run(new Text(options.FooterText) { Space = SpaceProcessingModeValues.Preserve }));
+                if (options.ShowPageNumbers)
+                    footerPara.Append(new Run(new Text("  |  ") { Space = SpaceProcessingModeValues.Preserve }));
+            }
+            if (options.ShowPageNumbers)
+            {
+                footerPara.Append(new Run(new Text("Page ") { Space = SpaceProcessingModeValues.Preserve }));
+                footerPara.Append(new SimpleField(new Run(new Text("1"))) { Instruction = " PAGE " });
+                footerPara.Append(new Run(new Text(" / ") { Space = SpaceProcessingModeValues.Preserve }));
+                footerPara.Append(new SimpleField(new Run(new Text("1"))) { Instruction = " NUMPAGES " });
+            }
+
+            var footerPart = mainPart.AddNewPart<FooterPart>();
+            footerPart.Footer = new Footer(footerPara);
+            sectPr.Append(new FooterReference { Type = HeaderFooterValues.Default, Id = mainPart.GetIdOfPart(footerPart) });
+        }
+
+        sectPr.Append(pageSize);
+        sectPr.Append(new PageMargin
+        {
+            Top = CentimetresToTwips(options.MarginTop),
+            Bottom = CentimetresToTwips(options.MarginBottom),
+            Left = (uint)CentimetresToTwips(options.MarginLeft),
+            Right = (uint)CentimetresToTwips(options.MarginRight)
+        });
+
+        return sectPr;
+    }
+
+    public static Paragraph CreateCenteredParagraph(params OpenXmlElement[] children)
+    {
+        var para = new Paragraph(new ParagraphProperties(new Justification { Val = JustificationValues.Center }));
+        para.Append(children);
+        return para;
+    }
+
+    // Body text styles are based on the default paragraph style; headings keep their own font and size.
+    // The typed property setters put each element where the schema expects it.
+    private static void SetBodyFont(Styles styles, ConversionOptions options)
+    {
+        var normal = styles.Elements<Style>()
+            .FirstOrDefault(style => style.Type?.Value == StyleValues.Paragraph && style.Default?.Value == true);
+        if (normal == null)
+            return;
+
+        var runProperties = normal.StyleRunProperties ??= new StyleRunProperties();
+        runProperties.RunFonts = new RunFonts { Ascii = options.FontFamily, HighAnsi = options.FontFamily };
+        runProperties.FontSize = new FontSize { Val = ((int)Math.Round(options.FontSize * 2)).ToString() };
+    }
+
+    private static int CentimetresToTwips(double centimetres) => (int)Math.Round(centimetres * 567);
+}
@@ -0,0 +1,97 @@
+using DocumentFormat.OpenXml.Packaging;
+using DocumentFormat.OpenXml.Wordprocessing;
+
+namespace MDConverter360.Services;
+
+/// <summary>
+/// A user-supplied reference document for Markdown to DOCX. Pandoc takes the
+/// whole file as <c>--reference-doc</c>; the native converter copies its
+/// styles and theme into the generated document.
+/// </summary>
+public class DocxTemplate
+{
+    public const long MaxSize = 10 * 1024 * 1024;
+
+    private readonly string _stylesXml;
+    private readonly byte[]? _theme;
+
+    public string Name { get; }
+    public byte[] Content { get; }
+
+    private DocxTemplate(string name, byte[] content, string stylesXml, byte[]? theme)
+    {
+        Name = name;
+        Content = content;
+        _stylesXml = stylesXml;
+        _theme = theme;
+    }
+
+    /// <summary>
+    /// Validate an uploaded template: it must be a Word document (not a macro
+    /// or .dotx template) under <see cref="MaxSize"/> with a styles part.
+    /// </summary>
+    public static bool TryLoad(string name, byte[] content, out DocxTemplate? template, out string? error)
+    {
+        template = null;
+        error = null;
+
+        if (content.Length == 0 || content.Length > MaxSize)
+        {
+            error = $"Template {name} must be between 1 byte and {MaxSize / (1024 * 1024)} MB";
+            return false;
+        }
+
+        try
+        {
+            using var stream = new MemoryStream(content);
+            using var document = WordprocessingDocument.Open(stream, false);
+
+            if (document.DocumentType != WordprocessingDocumentType.Document)
+            {
+                error = $"Template {name} is not a .docx document";
+                return false;
+            }
+
+            var styles = document.MainDocumentPart?.StyleDefinitionsPart?.Styles;
+            if (styles == null)
+            {
+                error = $"Template {name} has no style definitions";
+                return false;
+            }
+
+            byte[]? theme = null;
+            if (document.MainDocumentPart!.ThemePart is { } themePart)
+            {
+                using var themeStream = themePart.GetStream();
+                using var themeCopy = new MemoryStream();
+                themeStream.CopyTo(themeCopy);
+                theme = themeCopy.ToArray();
+            }
+
+            template = new DocxTemplate(name, content, styles.OuterXml, theme);
+            return true;
+        }
+        catch (Exception ex) when (ex is OpenXmlPackageException or InvalidDataException or FormatException or IOException)
+        {
+            error = $"Template {name} is not a valid .docx file";
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// A copy of the template's styles, to be owned by a new document
+    /// </summary>
+    public Styles CloneStyles() => new(_stylesXml);
+
+    /// <summary>
+    /// Give a new document the template's theme (theme fonts and colours its styles refer to)
+    /// </summary>
+    public void AddThemeTo(MainDocumentPart mainPart)
+    {
+        if (_theme == null) return;
+
+        var themePart = mainPart.AddNewPart<ThemePart>();
+        using var stream = new MemoryStream(_theme);
+        themePart.FeedData(stream);
+    }
+}
@@ -0,0 +1,156 @@
+using System.Buffers.Binary;
+using System.Text;
+
+namespace MDConverter360.Services;
+
+/// <summary>
+/// Font families installed on the server, read from the name table of the font
+/// files in the system and user font folders. QuestPDF and Pandoc pick fonts
+/// from the same folders, so a family missing here is replaced by a default.
+/// </summary>
+public static class FontCatalog
+{
+    private const uint CollectionTag = 0x74746366; // "ttcf"
+    private const uint NameTableTag = 0x6E616D65; // "name"
+    private const ushort FamilyNameId = 1;
+    private const ushort WindowsPlatform = 3;
+    private const ushort MacintoshPlatform = 1;
+    private const ushort EnglishUnitedStates = 0x409;
+
+    private static readonly string[] FontExtensions = { ".ttf", ".otf", ".ttc" };
+
+    // Scanned once; fonts are installed with the image, not at runtime
+    private static readonly Lazy<IReadOnlyList<string>> Families = new(ScanFamilies);
+
+    public static IReadOnlyList<string> GetFamilies() => Families.Value;
+
+    private static IEnumerable<string> GetFontFolders()
+    {
+        var home = Environment.GetFolderPath(Environment.SpecialFolder.UserProfile);
+        return new[]
+        {
+            Environment.GetFolderPath(Environment.SpecialFolder.Fonts),
+            Path.Combine(Environment.GetFolderPath(Environment.SpecialFolder.LocalApplicationData), "Microsoft", "Windows", "Fonts"),
+            "/usr/share/fonts",
+            "/usr/local/share/fonts",
+            Path.Combine(home, ".fonts"),
+            Path.Combine(home, ".local", "share", "fonts"),
+            "/Library/Fonts",
+            "/System/Library/Fonts",
+            Path.Combine(home, "Library", "Fonts")
+        }
+        .Where(folder => !string.IsNullOrEmpty(folder) && Directory.Exists(folder))
+        .Distinct();
+    }
+
+    private static IReadOnlyList<string> ScanFamilies()
+    {
+        var families = new SortedSet<string>(StringComparer.OrdinalIgnoreCase);
+        var enumeration = new EnumerationOptions { RecurseSubdirectories = true, IgnoreInaccessible = true };
+
+        foreach (var folder in GetFontFolders())
+        {
+            var fontFiles = Directory.EnumerateFiles(folder, "*", enumeration)
+                .Where(file => FontExtensions.Contains(Path.GetExtension(file).ToLowerInvariant()));
+
+            foreach (var file in fontFiles)
+            {
+                try
+                {
+                    families.UnionWith(ReadFamilyNames(file));
+                }
+                catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+                {
+                    // Unreadable or truncated font files are skipped
+                }
+            }
+        }
+
+        return families.ToList();
+    }
+
+    // A collection (.ttc) holds several fonts, each with its own table directory
+    private static List<string> ReadFamilyNames(string path)
+    {
+        using var stream = File.OpenRead(path);
+
+        var offsets = new List<uint> { 0 };
+        if (ReadUInt32(stream, 0) == CollectionTag)
+        {
+            var fontCount = ReadUInt32(stream, 8);
+            offsets = Enumerable.Range(0, (int)Math.Min(fontCount, 256u))
+                .Select(index => ReadUInt32(stream, 12 + 4 * index))
+                .ToList();
+        }
+
+        return offsets
+            .Select(offset => ReadFamilyName(stream, offset))
+            .OfType<string>()
+            .ToList();
+    }
+
+    private static string? ReadFamilyName(Stream stream, uint fontOffset)
+    {
+        var tableCount = ReadUInt16(stream, fontOffset + 4);
+        for (var i = 0; i < tableCount; i++)
+        {
+            var record = fontOffset + 12 + 16 * (uint)i;
+            if (ReadUInt32(stream, record) == NameTableTag)
+                return ReadNameTable(stream, ReadUInt32(stream, record + 8));
+        }
+        return null;
+    }
+
+    // Prefer the US English Windows name, then any Windows name, then the Macintosh Roman one
+    private static string? ReadNameTable(Stream stream, uint tableOffset)
+    {
+        var recordCount = ReadUInt16(stream, tableOffset + 2);
+        var stringsOffset = tableOffset + ReadUInt16(stream, tableOffset + 4);
+
+        string? bestName = null;
+        var bestRank = 0;
+        for (var i = 0; i < recordCount; i++)
+        {
+            var record = tableOffset + 6 + 12 * (uint)i;
+            if (ReadUInt16(stream, record + 6) != FamilyNameId)
+                continue;
+
+            var platform = ReadUInt16(stream, record);
+            var language = ReadUInt16(stream, record + 4);
+            var rank = platform switch
+            {
+                WindowsPlatform when language == EnglishUnitedStates => 3,
+                WindowsPlatform => 2,
+                MacintoshPlatform when language == 0 => 1,
+                _ => 0
+            };
+            if (rank <= bestRank)
+                continue;
+
+            var bytes = ReadBytes(stream, stringsOffset + ReadUInt16(stream, record + 10), ReadUInt16(stream, record + 8));
+            var encoding = platform == WindowsPlatform ? Encoding.BigEndianUnicode : Encoding.Latin1;
+            var name = encoding.GetString(bytes).Trim();
+            if (name.Length > 0)
+            {
+                bestName = name;
+                bestRank = rank;
+            }
+        }
+        return bestName;
+    }
+
+    // Font files are big-endian throughout
+    private static byte[] ReadBytes(Stream stream, long position, int count)
+    {
+        var buffer = new byte[count];
+        stream.Position = position;
+        stream.ReadExactly(buffer);
+        return buffer;
+    }
+
+    private static ushort ReadUInt16(Stream stream, long position) =>
+        BinaryPrimitives.ReadUInt16BigEndian(ReadBytes(stream, position, 2));
+
+    private static uint ReadUInt32(Stream stream, long position) =>
+        BinaryPrimitives.ReadUInt32BigEndian(ReadBytes(stream, position, 4));
+}
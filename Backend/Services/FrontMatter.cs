@@ -0,0 +1,157 @@
+using System.Text;
+
+namespace MDConverter360.Services;
+
+/// <summary>
+/// Document properties carried by YAML front matter in Markdown and by the
+/// core properties of DOCX/PDF output (title page, document info).
+/// </summary>
+public class DocumentProperties
+{
+    public string? Title { get; set; }
+    public string? Author { get; set; }
+    public string? Date { get; set; }
+    public string? Version { get; set; }
+    public List<string> Keywords { get; set; } = new();
+
+    public bool HasValues =>
+        !string.IsNullOrWhiteSpace(Title) || !string.IsNullOrWhiteSpace(Author) ||
+        !string.IsNullOrWhiteSpace(Date) || !string.IsNullOrWhiteSpace(Version) || Keywords.Count > 0;
+}
+
+/// <summary>
+/// Reads and writes the YAML front matter block at the top of a Markdown file.
+/// Only the flat subset documents use for metadata is understood: scalar
+/// <c>key: value</c> pairs (optionally quoted), inline <c>[a, b]</c> lists and
+/// block lists of <c>- item</c> lines. Other keys are skipped.
+/// </summary>
+public static class FrontMatter
+{
+    /// <summary>
+    /// Split a Markdown document into its front matter and body. Returns null
+    /// properties and the unchanged text when there is no front matter block.
+    /// </summary>
+    public static (DocumentProperties? Properties, string Body) Split(string markdown)
+    {
+        var text = markdown.TrimStart('\uFEFF');
+        var lines = text.Replace("\r\n", "\n").Split('\n');
+        if (lines.Length < 2 || lines[0].TrimEnd() != "---")
+            return (null, markdown);
+
+        var end = Array.FindIndex(lines, 1, line => line.TrimEnd() is "---" or "...");
+        if (end < 0)
+            return (null, markdown);
+
+        var values = ParseValues(lines[1..end]);
+        var properties = new DocumentProperties
+        {
+            Title = GetScalar(values, "title"),
+            Author = GetScalar(values, "author"),
+            Date = GetScalar(values, "date"),
+            Version = GetScalar(values, "version"),
+            Keywords = values.TryGetValue("keywords", out var keywords) ? keywords : new()
+        };
+
+        // A single "keywords: a, b" string is split like a list
+        if (properties.Keywords.Count == 1 && properties.Keywords[0].Contains(','))
+            properties.Keywords = SplitList(properties.Keywords[0]);
+
+        return (properties, string.Join('\n', lines[(end + 1)..]).TrimStart('\n'));
+    }
+
+    /// <summary>
+    /// YAML front matter block for the properties that are set, ending with a blank line
+    /// </summary>
+    public static string Serialize(DocumentProperties properties)
+    {
+        var yaml = new StringBuilder("---\n");
+        AppendScalar(yaml, "title", properties.Title);
+        AppendScalar(yaml, "author", properties.Author);
+        AppendScalar(yaml, "date", properties.Date);
+        AppendScalar(yaml, "version", properties.Version);
+        if (properties.Keywords.Count > 0)
+            yaml.Append("keywords: [").Append(string.Join(", ", properties.Keywords.Select(Quote))).Append("]\n");
+        yaml.Append("---\n\n");
+        return yaml.ToString();
+    }
+
+    /// <summary>
+    /// Prefix a Markdown body with front matter, unless there are no properties to write
+    /// </summary>
+    public static string Prepend(DocumentProperties? properties, string body) =>
+        properties?.HasValues == true ? Serialize(properties) + body : body;
+
+    private static Dictionary<string, List<string>> ParseValues(IEnumerable<string> lines)
+    {
+        var values = new Dictionary<string, List<string>>(StringComparer.OrdinalIgnoreCase);
+        List<string>? currentList = null;
+
+        foreach (var line in lines)
+        {
+            var trimmed = line.Trim();
+            if (trimmed.Length == 0 || trimmed.StartsWith('#'))
+                continue;
+
+            // "- item" continues the list of the previous key
+            if (trimmed.StartsWith("- ") && currentList != null)
+            {
+                currentList.Add(Unquote(trimmed[2..].Trim()));
+                continue;
+            }
+
+            currentList = null;
+            if (char.IsWhiteSpace(line[0]))
+                continue; // nested mappings are not supported
+
+            var colon = trimmed.IndexOf(':');
+            if (colon <= 0)
+                continue;
+
+            var key = trimmed[..colon].Trim();
+            var value = trimmed[(colon + 1)..].Trim();
+
+            if (value.Length == 0)
+            {
+                currentList = values[key] = new List<string>();
+            }
+            else if (value.StartsWith('[') && value.EndsWith(']'))
+            {
+                values[key] = SplitList(value[1..^1]);
+            }
+            else
+            {
+                values[key] = new List<string> { Unquote(value) };
+            }
+        }
+
+        return values;
+    }
+
+    // Lists of authors become "A, B"
+    private static string? GetScalar(Dictionary<string, List<string>> values, string key) =>
+        values.TryGetValue(key, out var value) && value.Count > 0 ? string.Join(", ", value) : null;
+
+    private static List<string> SplitList(string value) =>
+        value.Split(',')
+            .Select(item => Unquote(item.Trim()))
+            .Where(item => item.Length > 0)
+            .ToList();
+
+    private static string Unquote(string value)
+    {
+        if (value.Length >= 2 && value[0] == '"' && value[^1] == '"')
+            return value[1..^1].Replace("\\\"", "\"").Replace("\\\\", "\\");
+        if (value.Length >= 2 && value[0] == '\'' && value[^1] == '\'')
+            return value[1..^1].Replace("''", "'");
+        return value;
+    }
+
+    private static string Quote(string value) =>
+        "\"" + value.Replace("\\", "\\\\").Replace("\"", "\\\"") + "\"";
+
+    private static void AppendScalar(StringBuilder yaml, string key, string? value)
+    {
+        if (!string.IsNullOrWhiteSpace(value))
+            yaml.Append(key).Append(": ").Append(Quote(value.Trim())).Append('\n');
+    }
+}
@@ -2,9 +2,17 @@ namespace MDConverter360.Services;
 
 public interface IConverterService
 {
-    Task<ConversionResult> ConvertAsync(Stream inputStream, string inputFileName, ConversionType conversionType);
-    Task<ConversionResult> ConvertAsync(byte[] inputBytes, string inputFileName, ConversionType conversionType);
+    /// <param name="assets">Images and other files referenced by a Markdown document, resolved relative to <paramref name="inputFileName"/></param>
+    /// <param name="template">Reference document styling Markdown to DOCX output instead of the bundled one</param>
+    /// <param name="progress">Receives page progress for inputs that are read page by page (PDF)</param>
+    /// <param name="cancellationToken">Checked between pages; cancellation is thrown, not reported as a failed result</param>
+    Task<ConversionResult> ConvertAsync(Stream inputStream, string inputFileName, ConversionType conversionType, ConversionOptions? options = null, AssetBundle? assets = null, DocxTemplate? template = null, IProgress<ConversionProgress>? progress = null, CancellationToken cancellationToken = default);
+    Task<ConversionResult> ConvertAsync(byte[] inputBytes, string inputFileName, ConversionType conversionType, ConversionOptions? options = null, AssetBundle? assets = null, DocxTemplate? template = null, IProgress<ConversionProgress>? progress = null, CancellationToken cancellationToken = default);
     ConversionType DetectConversionType(string inputFileName, string? targetFormat = null);
+    /// <summary>
+    /// Engine a conversion goes to when <paramref name="requested"/> is asked for, before any fallback after a Pandoc failure
+    /// </summary>
+    ConversionEngine ResolveEngine(ConversionType conversionType, ConversionEngine requested);
     bool IsSupported(string fileName);
 }
 
@@ -24,9 +32,38 @@ public class ConversionResult
     public string? OutputFileName { get; set; }
     public string? OutputMimeType { get; set; }
     public string? ErrorMessage { get; set; }
+    public string? ErrorCode { get; set; }
     public ConversionMetadata? Metadata { get; set; }
 }
 
+/// <summary>
+/// Progress of a conversion that works page by page: <see cref="Page"/> of <see cref="PageCount"/> pages are done
+/// </summary>
+public class ConversionProgress
+{
+    public int Page { get; set; }
+    public int PageCount { get; set; }
+}
+
+/// <summary>
+/// Stable, machine-readable error codes returned by the API alongside the
+/// English error message. Clients map these to translated messages.
+/// </summary>
+public static class ConversionErrorCodes
+{
+    public const string NoFile = "NO_FILE";
+    public const string NoFiles = "NO_FILES";
+    public const string InvalidOptions = "INVALID_OPTIONS";
+    public const string InvalidFileOptions = "INVALID_FILE_OPTIONS";
+    public const string InvalidTemplate = "INVALID_TEMPLATE";
+    public const string UnsupportedFormat = "UNSUPPORTED_FORMAT";
+    public const string InvalidDocument = "INVALID_DOCUMENT";
+    public const string ConversionFailed = "CONVERSION_FAILED";
+    public const string ConversionCancelled = "CONVERSION_CANCELLED";
+    public const string JobNotFound = "JOB_NOT_FOUND";
+    public const string ResultNotAvailable = "RESULT_NOT_AVAILABLE";
+}
+
 public class ConversionMetadata
 {
     public int PageCount { get; set; }
@@ -36,3 +73,75 @@ public class ConversionMetadata
     public string? SourceFormat { get; set; }
     public string? TargetFormat { get; set; }
 }
+
+/// <summary>
+/// Layout options for Markdown to PDF/DOCX output.
+/// When no options are sent, each converter keeps its built-in defaults.
+/// </summary>
+public class ConversionOptions
+{
+    public string PageSize { get; set; } = "A4";
+    public string Orientation { get; set; } = "Portrait";
+
+    // Margins in centimetres
+    public double MarginTop { get; set; } = 2;
+    public double MarginBottom { get; set; } = 2;
+    public double MarginLeft { get; set; } = 2;
+    public double MarginRight { get; set; } = 2;
+
+    public string FontFamily { get; set; } = "Arial";
+    public double FontSize { get; set; } = 11;
+
+    public string? HeaderText { get; set; }
+    public string? FooterText { get; set; }
+    public bool ShowPageNumbers { get; set; } = true;
+    public bool IncludeTableOfContents { get; set; }
+
+    /// <summary>
+    /// Start the document with a title page built from its front matter (title, author, date, version)
+    /// </summary>
+    public bool IncludeTitlePage { get; set; } = true;
+
+    /// <summary>
+    /// File name of an uploaded DOCX template to style Markdown to DOCX output with
+    /// </summary>
+    public string? Template { get; set; }
+
+    public ConversionEngine Engine { get; set; } = ConversionEngine.Auto;
+
+    public bool IsLandscape => string.Equals(Orientation, "Landscape", StringComparison.OrdinalIgnoreCase);
+
+    public static readonly string[] PageSizes = { "A4", "Letter", "Legal", "A3", "A5" };
+    public static readonly string[] Orientations = { "Portrait", "Landscape" };
+
+    public const double MinFontSize = 6;
+    public const double MaxFontSize = 72;
+    public const double MaxMargin = 10;
+
+    /// <summary>
+    /// Check values the converters cannot lay out with; <paramref name="error"/> names the first bad field
+    /// </summary>
+    public bool TryValidate(out string? error)
+    {
+        error = null;
+        if (PageSize == null || !PageSizes.Contains(PageSize, StringComparer.OrdinalIgnoreCase))
+            error = $"pageSize must be one of {string.Join(", ", PageSizes)}";
+        else if (Orientation == null || !Orientations.Contains(Orientation, StringComparer.OrdinalIgnoreCase))
+            error = $"orientation must be one of {string.Join(", ", Orientations)}";
+        else if (string.IsNullOrWhiteSpace(FontFamily))
+            error = "fontFamily must not be empty";
+        else if (!double.IsFinite(FontSize) || FontSize < MinFontSize || FontSize > MaxFontSize)
+            error = $"fontSize must be between {MinFontSize} and {MaxFontSize}";
+        else if (new[] { MarginTop, MarginBottom, MarginLeft, MarginRight }.Any(margin => !double.IsFinite(margin) || margin < 0 || margin > MaxMargin))
+            error = $"margins must be between 0 and {MaxMargin} cm";
+
+        return error == null;
+    }
+}
+
+public enum ConversionEngine
+{
+    Auto,
+    Native,
+    Pandoc
+}
@@ -1,3 +1,4 @@
+using System.Globalization;
 using System.Text;
 using CliWrap;
 using CliWrap.Buffered;
@@ -14,6 +15,7 @@ public class PandocConverterService : IPandocConverterService
     private readonly string? _pandocPath;
     private readonly string _tempDirectory;
     private readonly string _referenceDocxPath;
+    private readonly Lazy<Task<string?>> _version;
 
     public PandocConverterService(ILogger<PandocConverterService> logger)
     {
@@ -21,6 +23,7 @@ public class PandocConverterService : IPandocConverterService
         _pandocPath = FindPandocPath();
         _tempDirectory = Path.Combine(Path.GetTempPath(), "MDConverter360");
         _referenceDocxPath = Path.Combine(AppDomain.CurrentDomain.BaseDirectory, "Resources", "reference.docx");
+        _version = new Lazy<Task<string?>>(ReadVersionAsync);
 
         if (!Directory.Exists(_tempDirectory))
             Directory.CreateDirectory(_tempDirectory);
@@ -33,6 +36,34 @@ public class PandocConverterService : IPandocConverterService
 
     public bool IsPandocAvailable => _pandocPath != null;
 
+    /// <summary>
+    /// Pandoc's version (e.g. "3.1.11"), read once from <c>pandoc --version</c>; null when unavailable
+    /// </summary>
+    public Task<string?> GetVersionAsync() => _version.Value;
+
+    private async Task<string?> ReadVersionAsync()
+    {
+        if (!IsPandocAvailable)
+            return null;
+
+        try
+        {
+            var result = await Cli.Wrap(_pandocPath!)
+                .WithArguments("--version")
+                .WithValidation(CommandResultValidation.None)
+                .ExecuteBufferedAsync();
+
+            // First line: "pandoc 3.1.11"
+            var firstLine = result.StandardOutput.Split('\n', 2)[0].Trim();
+            return result.ExitCode == 0 && firstLine.StartsWith("pandoc ") ? firstLine["pandoc ".Length..].Trim() : null;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Could not read the Pandoc version");
+            return null;
+        }
+    }
+
     public async Task<ConversionResult> ConvertDocxToMarkdownAsync(byte[] docxBytes, string fileName)
     {
         if (!IsPandocAvailable)
@@ -106,13 +137,15 @@ public class PandocConverterService : IPandocConverterService
         }
     }
 
-    public async Task<ConversionResult> ConvertMarkdownToDocxAsync(byte[] mdBytes, string fileName)
+    public async Task<ConversionResult> ConvertMarkdownToDocxAsync(byte[] mdBytes, string fileName, ConversionOptions? options = null, AssetBundle? assets = null, DocxTemplate? template = null)
     {
         if (!IsPandocAvailable)
             return new ConversionResult { Success = false, ErrorMessage = "Pandoc not available" };
 
         var inputPath = Path.Combine(_tempDirectory, $"{Guid.NewGuid()}.md");
         var outputPath = Path.Combine(_tempDirectory, $"{Guid.NewGuid()}.docx");
+        var templatePath = Path.Combine(_tempDirectory, $"{Guid.NewGuid()}.docx");
+        string? assetsDirectory = null;
 
         try
         {
@@ -126,8 +159,21 @@ public class PandocConverterService : IPandocConverterService
                 "--standalone"
             };
 
-            // Use reference document if available for consistent styling
-            if (File.Exists(_referenceDocxPath))
+            // The TOC is a Pandoc option; page layout, header, footer and font are applied to the output below
+            if (options?.IncludeTableOfContents == true)
+                args.Add("--toc");
+
+            assetsDirectory = await AddResourcePathAsync(args, fileName, assets);
+
+            // Use the uploaded template, else the bundled reference document, for consistent styling
+            if (template != null)
+            {
+                await File.WriteAllBytesAsync(templatePath, template.Content);
+                args.Add("--reference-doc");
+                args.Add(templatePath);
+                _logger.LogDebug("Using uploaded template: {Name}", template.Name);
+            }
+            else if (File.Exists(_referenceDocxPath))
             {
                 args.Add("--reference-doc");
                 args.Add(_referenceDocxPath);
@@ -153,6 +199,11 @@ public class PandocConverterService : IPandocConverterService
             }
 
             var docxContent = await File.ReadAllBytesAsync(outputPath);
+            if (options != null)
+            {
+                // As with the native converter, an uploaded template keeps its own body font
+                docxContent = DocxLayout.Apply(docxContent, options, includeFont: template == null);
+            }
             var outputFileName = Path.GetFileNameWithoutExtension(fileName) + ".docx";
 
             return new ConversionResult
@@ -175,7 +226,8 @@ public class PandocConverterService : IPandocConverterService
         }
         finally
         {
-            CleanupTempFiles(inputPath, outputPath);
+            CleanupTempFiles(inputPath, outputPath, templatePath);
+            CleanupTempDirectory(assetsDirectory);
         }
     }
 
@@ -247,13 +299,14 @@ public class PandocConverterService : IPandocConverterService
         }
     }
 
-    public async Task<ConversionResult> ConvertMarkdownToPdfAsync(byte[] mdBytes, string fileName)
+    public async Task<ConversionResult> ConvertMarkdownToPdfAsync(byte[] mdBytes, string fileName, ConversionOptions? options = null, AssetBundle? assets = null)
     {
         if (!IsPandocAvailable)
             return new ConversionResult { Success = false, ErrorMessage = "Pandoc not available" };
 
         var inputPath = Path.Combine(_tempDirectory, $"{Guid.NewGuid()}.md");
         var outputPath = Path.Combine(_tempDirectory, $"{Guid.NewGuid()}.pdf");
+        string? assetsDirectory = null;
 
         try
         {
@@ -265,11 +318,46 @@ public class PandocConverterService : IPandocConverterService
                 inputPath,
                 "-f", "markdown+pipe_tables+smart",
                 "-t", "pdf",
-                "--pdf-engine=wkhtmltopdf", // or weasyprint
-                "-V", "geometry:margin=1in",
-                "-o", outputPath
+                "--pdf-engine=wkhtmltopdf" // or weasyprint
             };
 
+            if (options != null)
+            {
+                args.AddRange(new[]
+                {
+                    "-V", $"margin-top={options.MarginTop.ToString(CultureInfo.InvariantCulture)}cm",
+                    "-V", $"margin-bottom={options.MarginBottom.ToString(CultureInfo.InvariantCulture)}cm",
+                    "-V", $"margin-left={options.MarginLeft.ToString(CultureInfo.InvariantCulture)}cm",
+                    "-V", $"margin-right={options.MarginRight.ToString(CultureInfo.InvariantCulture)}cm",
+                    "-V", $"mainfont={options.FontFamily}",
+                    "-V", $"fontsize={options.FontSize.ToString(CultureInfo.InvariantCulture)}pt",
+                    "--pdf-engine-opt=--page-size", $"--pdf-engine-opt={options.PageSize}",
+                    "--pdf-engine-opt=--orientation", $"--pdf-engine-opt={(options.IsLandscape ? "Landscape" : "Portrait")}"
+                });
+
+                if (!string.IsNullOrWhiteSpace(options.HeaderText))
+                    args.AddRange(new[] { "--pdf-engine-opt=--header-center", $"--pdf-engine-opt={options.HeaderText}" });
+
+                if (options.ShowPageNumbers)
+                    args.AddRange(new[] { "--pdf-engine-opt=--footer-center", $"--pdf-engine-opt={(string.IsNullOrWhiteSpace(options.FooterText) ? "" : options.FooterText + "  |  ")}Page [page] / [topage]" });
+                else if (!string.IsNullOrWhiteSpace(options.FooterText))
+                    args.AddRange(new[] { "--pdf-engine-opt=--footer-center", $"--pdf-engine-opt={options.FooterText}" });
+
+                if (options.IncludeTableOfContents)
+                    args.Add("--toc");
+            }
+            else
+            {
+                args.AddRange(new[] { "-V", "geometry:margin=1in" });
+            }
+
+            assetsDirectory = await AddResourcePathAsync(args, fileName, assets);
+            if (assetsDirectory != null)
+                args.Add("--pdf-engine-opt=--enable-local-file-access");
+
+            args.Add("-o");
+            args.Add(outputPath);
+
             var result = await Cli.Wrap(_pandocPath!)
                 .WithArguments(args)
                 .WithValidation(CommandResultValidation.None)
@@ -309,6 +397,7 @@ public class PandocConverterService : IPandocConverterService
         finally
         {
             CleanupTempFiles(inputPath, outputPath);
+            CleanupTempDirectory(assetsDirectory);
         }
     }
 
@@ -371,6 +460,41 @@ public class PandocConverterService : IPandocConverterService
         return null;
     }
 
+    /// <summary>
+    /// Write the asset bundle to a temporary directory and point Pandoc at the
+    /// document's folder inside it, so relative image paths resolve as they did
+    /// next to the original file. Returns the directory to delete afterwards.
+    /// </summary>
+    private async Task<string?> AddResourcePathAsync(List<string> args, string fileName, AssetBundle? assets)
+    {
+        if (assets == null || assets.Count == 0) return null;
+
+        var directory = Path.Combine(_tempDirectory, Guid.NewGuid().ToString());
+        await assets.ExtractToAsync(directory);
+
+        var documentFolder = AssetBundle.GetFolder(fileName);
+        args.Add("--resource-path");
+        args.Add(documentFolder.Length == 0
+            ? directory
+            : Path.Combine(directory, documentFolder.Replace('/', Path.DirectorySeparatorChar)));
+        return directory;
+    }
+
+    private void CleanupTempDirectory(string? path)
+    {
+        if (path == null) return;
+
+        try
+        {
+            if (Directory.Exists(path))
+                Directory.Delete(path, recursive: true);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to cleanup temp directory: {Path}", path);
+        }
+    }
+
     private void CleanupTempFiles(params string[] paths)
     {
         foreach (var path in paths)
@@ -397,8 +521,9 @@ public class PandocConverterService : IPandocConverterService
 public interface IPandocConverterService
 {
     bool IsPandocAvailable { get; }
+    Task<string?> GetVersionAsync();
     Task<ConversionResult> ConvertDocxToMarkdownAsync(byte[] docxBytes, string fileName);
-    Task<ConversionResult> ConvertMarkdownToDocxAsync(byte[] mdBytes, string fileName);
+    Task<ConversionResult> ConvertMarkdownToDocxAsync(byte[] mdBytes, string fileName, ConversionOptions? options = null, AssetBundle? assets = null, DocxTemplate? template = null);
     Task<ConversionResult> ConvertPdfToMarkdownAsync(byte[] pdfBytes, string fileName);
-    Task<ConversionResult> ConvertMarkdownToPdfAsync(byte[] mdBytes, string fileName);
+    Task<ConversionResult> ConvertMarkdownToPdfAsync(byte[] mdBytes, string fileName, ConversionOptions? options = null, AssetBundle? assets = null);
 }
@@ -0,0 +1,119 @@
+using System.Diagnostics;
+using System.Reflection;
+using System.Runtime.InteropServices;
+using System.Text.Json;
+
+namespace MDConverter360.Services;
+
+public class ServerBuildInfo
+{
+    /// <summary>
+    /// Assembly informational version; includes the source revision when the build knows it
+    /// </summary>
+    public string Version { get; set; } = string.Empty;
+    public DateTime BuiltAt { get; set; }
+    public string Runtime { get; set; } = string.Empty;
+    public string OperatingSystem { get; set; } = string.Empty;
+}
+
+public class ConversionEngineInfo
+{
+    public ConversionEngine Engine { get; set; }
+    public bool Available { get; set; }
+    public string? Version { get; set; }
+}
+
+/// <summary>
+/// Engine each <see cref="ConversionEngine"/> option leads to for one conversion
+/// </summary>
+public class ConversionRoute
+{
+    public ConversionType ConversionType { get; set; }
+    public Dictionary<string, ConversionEngine> Engines { get; set; } = new();
+}
+
+public class ServerDiagnosticsReport
+{
+    public string Status { get; set; } = "healthy";
+    public string Service { get; set; } = ServerDiagnostics.ServiceName;
+    public string Version { get; set; } = ServerDiagnostics.Version;
+    public string Environment { get; set; } = string.Empty;
+    public DateTime Timestamp { get; set; }
+    public DateTime StartedAt { get; set; }
+    public double UptimeSeconds { get; set; }
+    public ServerBuildInfo Build { get; set; } = new();
+    public List<ConversionEngineInfo> Engines { get; set; } = new();
+    public List<ConversionRoute> Conversions { get; set; } = new();
+    public IReadOnlyList<string> Fonts { get; set; } = Array.Empty<string>();
+}
+
+/// <summary>
+/// What this server instance can do - build, conversion engines, the engine
+/// each conversion goes to and the installed fonts - for the extended health
+/// endpoint. The process start time tells clients whether a slow first
+/// response was a cold start.
+/// </summary>
+public class ServerDiagnostics
+{
+    public const string ServiceName = "MD.converter360";
+    public const string Version = "1.0.0";
+
+    private static readonly DateTime StartedAt = Process.GetCurrentProcess().StartTime.ToUniversalTime();
+
+    private readonly IConverterService _converterService;
+    private readonly IPandocConverterService _pandocConverter;
+    private readonly IWebHostEnvironment _environment;
+
+    public ServerDiagnostics(IConverterService converterService, IPandocConverterService pandocConverter, IWebHostEnvironment environment)
+    {
+        _converterService = converterService;
+        _pandocConverter = pandocConverter;
+        _environment = environment;
+    }
+
+    public async Task<ServerDiagnosticsReport> GetReportAsync()
+    {
+        var now = DateTime.UtcNow;
+
+        return new ServerDiagnosticsReport
+        {
+            Environment = _environment.EnvironmentName,
+            Timestamp = now,
+            StartedAt = StartedAt,
+            UptimeSeconds = Math.Round((now - StartedAt).TotalSeconds),
+            Build = GetBuildInfo(),
+            Engines = new List<ConversionEngineInfo>
+            {
+                new() { Engine = ConversionEngine.Native, Available = true },
+                new()
+                {
+                    Engine = ConversionEngine.Pandoc,
+                    Available = _pandocConverter.IsPandocAvailable,
+                    Version = await _pandocConverter.GetVersionAsync()
+                }
+            },
+            Conversions = Enum.GetValues<ConversionType>()
+                .Select(conversionType => new ConversionRoute
+                {
+                    ConversionType = conversionType,
+                    Engines = Enum.GetValues<ConversionEngine>().ToDictionary(
+                        requested => JsonNamingPolicy.CamelCase.ConvertName(requested.ToString()),
+                        requested => _converterService.ResolveEngine(conversionType, requested))
+                })
+                .ToList(),
+            Fonts = FontCatalog.GetFamilies()
+        };
+    }
+
+    private static ServerBuildInfo GetBuildInfo()
+    {
+        var assembly = typeof(ServerDiagnostics).Assembly;
+        return new ServerBuildInfo
+        {
+            Version = assembly.GetCustomAttribute<AssemblyInformationalVersionAttribute>()?.InformationalVersion ?? Version,
+            BuiltAt = File.GetLastWriteTimeUtc(assembly.Location),
+            Runtime = RuntimeInformation.FrameworkDescription,
+            OperatingSystem = RuntimeInformation.OSDescription
+        };
+    }
+}
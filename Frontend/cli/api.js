@@ -0,0 +1,70 @@
+// CLI adapter over the API client: file system input/output and cold start waits
+
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { createConverterClient } from '../src/api/converterClient.js'
+import { sleep } from '../src/utils/retry.js'
+import { BACKEND_STATUS, getPollInterval } from '../src/utils/healthPolling.js'
+
+export const createApi = ({ baseUrl, timeout }) => {
+  const client = createConverterClient({ baseUrl, timeout })
+
+  // Resolve once /api/health answers. Timeouts, 503s and network errors
+  // are treated as a Render cold start and polled, as often as the web app
+  // does, until `maxWait` elapses.
+  const waitForBackend = async ({ maxWait, onWaiting }) => {
+    const startTime = Date.now()
+    for (;;) {
+      try {
+        await client.health()
+        return Date.now() - startTime
+      } catch (error) {
+        const waking = error.kind === 'timeout' || error.kind === 'network' || error.status === 503
+        if (!waking) throw error
+
+        const elapsed = Date.now() - startTime
+        if (elapsed >= maxWait) {
+          throw new Error(`Server did not respond within ${Math.round(maxWait / 1000)}s`)
+        }
+        onWaiting?.(Math.round(elapsed / 1000))
+        await sleep(getPollInterval({ status: BACKEND_STATUS.WAKING, wakeElapsed: elapsed }))
+      }
+    }
+  }
+
+  const readAsBlob = async (filePath) => new Blob([await fs.readFile(filePath)])
+
+  const toBuffer = async (blob) => Buffer.from(await blob.arrayBuffer())
+
+  // Convert one file; resolves with the output bytes and server file name
+  const convertFile = async (filePath, { targetFormat, options }) => {
+    const { blob, fileName } = await client.convert(await readAsBlob(filePath), {
+      fileName: path.basename(filePath),
+      targetFormat,
+      options: options ?? undefined
+    })
+    return { data: await toBuffer(blob), fileName }
+  }
+
+  // Convert several files in one request; file names are the relative
+  // paths so results can be matched back to their sources
+  const convertBatch = async (entries, { targetFormat, options }) => {
+    const files = await Promise.all(entries.map(async (entry) => ({
+      file: await readAsBlob(entry.absolutePath),
+      fileName: entry.relativePath
+    })))
+    const response = await client.convertBatch(files, { targetFormat, options: options ?? undefined })
+    return Promise.all(response.results.map(async (result) => ({
+      ...result,
+      data: result.blob ? await toBuffer(result.blob) : null
+    })))
+  }
+
+  return { waitForBackend, getFormats: () => client.getFormats(), convertFile, convertBatch }
+}
+
+// Readable message for a failed request, including the API's error code
+export const getErrorMessage = (error) => {
+  if (error.kind === 'http' && !error.code.startsWith('HTTP_')) return `${error.message} (${error.code})`
+  return error.message
+}
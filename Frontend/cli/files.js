@@ -0,0 +1,104 @@
+// Input resolution for the CLI: plain files, directories and glob patterns
+// Each input keeps a path relative to its root so outputs mirror the tree.
+
+import fs from 'node:fs/promises'
+import path from 'node:path'
+
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git'])
+const GLOB_CHARS = /[*?[\]{}]/
+
+export const isGlob = (pattern) => GLOB_CHARS.test(pattern)
+
+const toPosix = (filePath) => filePath.split(path.sep).join('/')
+
+// Convert a glob (*, **, ?, {a,b}) to a regular expression over posix paths
+export const globToRegExp = (pattern) => {
+  let source = ''
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    if (char === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/'
+      source += slash ? '(?:.*/)?' : '.*'
+      i += slash ? 2 : 1
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i)
+      if (end < 0) {
+        source += '\\{'
+        continue
+      }
+      const options = pattern.slice(i + 1, end).split(',').map(option => option.replace(/[.+^$()|\\]/g, '\\$&'))
+      source += `(?:${options.join('|')})`
+      i = end
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
+
+// Directory part of a glob before the first wildcard segment
+export const getGlobBase = (pattern) => {
+  const segments = toPosix(pattern).split('/')
+  const base = []
+  for (const segment of segments) {
+    if (isGlob(segment)) break
+    base.push(segment)
+  }
+  return base.join('/') || '.'
+}
+
+// `excluded` is a directory never descended into, such as the output folder
+async function* walk(directory, excluded) {
+  const entries = await fs.readdir(directory, { withFileTypes: true })
+  for (const entry of entries) {
+    const fullPath = path.join(directory, entry.name)
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRECTORIES.has(entry.name) && fullPath !== excluded) yield* walk(fullPath, excluded)
+    } else if (entry.isFile()) {
+      yield fullPath
+    }
+  }
+}
+
+// Describe where each CLI argument points; `matches` tells whether a path
+// (for example one reported by the watcher) belongs to that input
+export const describeInput = async (input) => {
+  if (isGlob(input)) {
+    const root = path.resolve(getGlobBase(input))
+    const regex = globToRegExp(toPosix(path.resolve(input)))
+    return { input, root, kind: 'glob', matches: (filePath) => regex.test(toPosix(filePath)) }
+  }
+
+  const absolute = path.resolve(input)
+  const stats = await fs.stat(absolute)
+  if (stats.isDirectory()) {
+    return { input, root: absolute, kind: 'directory', matches: (filePath) => filePath.startsWith(absolute + path.sep) }
+  }
+  return { input, root: path.dirname(absolute), kind: 'file', matches: (filePath) => filePath === absolute }
+}
+
+// Expand inputs into unique { absolutePath, relativePath } entries accepted by `filter`;
+// directories and globs skip `outDir`, so earlier results are not converted again
+export const resolveInputs = async (descriptors, filter, outDir) => {
+  const seen = new Map()
+
+  for (const descriptor of descriptors) {
+    const candidates = descriptor.kind === 'file'
+      ? [path.resolve(descriptor.input)]
+      : walk(descriptor.root, outDir)
+
+    for await (const filePath of candidates) {
+      if (seen.has(filePath) || !descriptor.matches(filePath) || !filter(filePath)) continue
+      seen.set(filePath, {
+        absolutePath: filePath,
+        relativePath: toPosix(path.relative(descriptor.root, filePath))
+      })
+    }
+  }
+
+  return [...seen.values()]
+}
@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+// MD.converter360 command-line client
+// Converts files, directories and globs through the conversion API and
+// writes the outputs to a directory that mirrors the input layout.
+
+import { parseArgs } from 'node:util'
+import { watch } from 'node:fs'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { createApi, getErrorMessage } from './api.js'
+import { describeInput, resolveInputs } from './files.js'
+import { DEFAULT_FORMATS, createFormatHelpers } from '../src/utils/formats.js'
+import { retryWithBackoff } from '../src/utils/retry.js'
+import { getUniqueFileName } from '../src/utils/download.js'
+
+const EXIT_FAILURES = 1
+const EXIT_USAGE = 2
+
+const DEFAULT_API_URL = process.env.MD_CONVERTER_API_URL || 'http://localhost:5294'
+
+// Estimated wake time for Render free tier (seconds), as in the web app
+const ESTIMATED_WAKE_TIME = 35
+
+const HELP = `Usage: md-converter360 <files|directories|globs...> [options]
+
+Converts PDF, Word and ODT documents to Markdown, and Markdown to PDF or DOCX.
+
+Options:
+  -t, --to <pdf|docx|md>    Output format for Markdown sources (default: pdf);
+                            "md" converts only non-Markdown sources
+  -o, --out <dir>           Output directory (default: ./converted)
+  -c, --concurrency <n>     Parallel conversions (default: 2)
+      --batch               Send files through /convert-batch instead of one request each
+      --options <file>      JSON file with PDF/DOCX layout options
+  -w, --watch               Keep running and re-convert files when they change
+      --api <url>           API base URL (default: $MD_CONVERTER_API_URL or ${DEFAULT_API_URL})
+      --timeout <seconds>   Request timeout (default: 300)
+      --wait <seconds>      How long to wait for a sleeping server (default: 120)
+  -h, --help                Show this help
+
+Examples:
+  md-converter360 docs --to docx --out build/docs
+  md-converter360 "manuals/**/*.pdf" --out markdown --concurrency 4
+  md-converter360 README.md --watch`
+
+const fail = (message) => {
+  console.error(`Error: ${message}`)
+  console.error('Run md-converter360 --help for usage.')
+  process.exit(EXIT_USAGE)
+}
+
+const parseCommandLine = () => {
+  try {
+    return parseArgs({
+      allowPositionals: true,
+      options: {
+        to: { type: 'string', short: 't', default: 'pdf' },
+        out: { type: 'string', short: 'o', default: 'converted' },
+        concurrency: { type: 'string', short: 'c', default: '2' },
+        batch: { type: 'boolean', default: false },
+        options: { type: 'string' },
+        watch: { type: 'boolean', short: 'w', default: false },
+        api: { type: 'string', default: DEFAULT_API_URL },
+        timeout: { type: 'string', default: '300' },
+        wait: { type: 'string', default: '120' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    })
+  } catch (error) {
+    fail(error.message)
+  }
+}
+
+// Run `task` for every item with at most `limit` running at once
+const runPool = async (items, limit, task) => {
+  let next = 0
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++]
+      await task(item)
+    }
+  })
+  await Promise.all(workers)
+}
+
+const main = async () => {
+  const { values, positionals } = parseCommandLine()
+
+  if (values.help) {
+    console.log(HELP)
+    return 0
+  }
+  if (positionals.length === 0) fail('no input files, directories or globs given')
+  if (!['pdf', 'docx', 'md'].includes(values.to)) fail(`--to must be pdf, docx or md, got "${values.to}"`)
+
+  const concurrency = Number(values.concurrency)
+  if (!Number.isInteger(concurrency) || concurrency < 1) fail('--concurrency must be a positive integer')
+
+  let options = null
+  if (values.options) {
+    try {
+      options = JSON.stringify(JSON.parse(await fs.readFile(values.options, 'utf8')))
+    } catch (error) {
+      fail(`could not read --options file: ${error.message}`)
+    }
+  }
+
+  const outDir = path.resolve(values.out)
+  const api = createApi({ baseUrl: values.api.replace(/\/$/, ''), timeout: Number(values.timeout) * 1000 })
+
+  // Cold start handling: hold everything until the server answers
+  const waitForBackend = async () => {
+    let announced = false
+    const elapsed = await api.waitForBackend({
+      maxWait: Number(values.wait) * 1000,
+      onWaiting: (seconds) => {
+        if (!announced) {
+          console.log(`Server is waking up (free tier cold start, usually ~${ESTIMATED_WAKE_TIME}s)...`)
+          announced = true
+        }
+        process.stdout.write(`\r  waiting ${seconds}s`)
+      }
+    })
+    if (announced) process.stdout.write(`\r  server online after ${Math.round(elapsed / 1000)}s\n`)
+  }
+
+  try {
+    await waitForBackend()
+  } catch (error) {
+    console.error(`\nCould not reach ${values.api}: ${getErrorMessage(error)}`)
+    return EXIT_USAGE
+  }
+
+  let formats = DEFAULT_FORMATS
+  try {
+    formats = await api.getFormats()
+  } catch {
+    // Older servers: fall back to the built-in matrix
+  }
+  const helpers = createFormatHelpers(formats)
+
+  const isConvertible = (filePath) => {
+    if (!helpers.isSupported(filePath)) return false
+    const target = helpers.getTargetFor(filePath, values.to)
+    // Markdown sources have no Markdown target; skip them for --to md
+    return !(values.to === 'md' && target !== 'md')
+  }
+
+  let descriptors
+  try {
+    descriptors = await Promise.all(positionals.map(describeInput))
+  } catch (error) {
+    fail(error.message)
+  }
+
+  const usedNames = new Set()
+  const writeOutput = async (entry, fileName, data) => {
+    const relativeDir = path.posix.dirname(entry.relativePath)
+    const relativeName = getUniqueFileName(path.posix.join(relativeDir, fileName), usedNames)
+    const outputPath = path.join(outDir, relativeName)
+    await fs.mkdir(path.dirname(outputPath), { recursive: true })
+    await fs.writeFile(outputPath, data)
+    return path.relative(process.cwd(), outputPath)
+  }
+
+  const withRetry = (fn) => retryWithBackoff(fn, {
+    onRetry: (error, attempt, delay) => {
+      console.log(`  retrying in ${Math.round(delay / 1000)}s (attempt ${attempt}): ${getErrorMessage(error)}`)
+    }
+  })
+
+  const convertOne = async (entry) => {
+    const targetFormat = helpers.getTargetFor(entry.absolutePath, values.to)
+    try {
+      const { data, fileName } = await withRetry(() => api.convertFile(entry.absolutePath, {
+        targetFormat,
+        options: targetFormat === 'md' ? null : options
+      }))
+      const outputPath = await writeOutput(entry, fileName, data)
+      console.log(`✓ ${entry.relativePath} → ${outputPath}`)
+      return true
+    } catch (error) {
+      console.error(`✗ ${entry.relativePath}: ${getErrorMessage(error)}`)
+      return false
+    }
+  }
+
+  // The batch endpoint takes one target format, so group by target
+  const convertAsBatch = async (entries) => {
+    const byTarget = new Map()
+    for (const entry of entries) {
+      const target = helpers.getTargetFor(entry.absolutePath, values.to)
+      byTarget.set(target, [...(byTarget.get(target) || []), entry])
+    }
+
+    let failed = 0
+    for (const [targetFormat, group] of byTarget) {
+      let results
+      try {
+        results = await withRetry(() => api.convertBatch(group, {
+          targetFormat,
+          options: targetFormat === 'md' ? null : options
+        }))
+      } catch (error) {
+        console.error(`✗ batch of ${group.length} file(s): ${getErrorMessage(error)}`)
+        failed += group.length
+        continue
+      }
+      for (const result of results) {
+        const entry = group.find(e => e.relativePath === result.originalFileName)
+        if (!result.success || !result.data || !entry) {
+          console.error(`✗ ${result.originalFileName}: ${result.error || 'No output returned'}`)
+          failed++
+          continue
+        }
+        const outputPath = await writeOutput(entry, result.outputFileName, result.data)
+        console.log(`✓ ${entry.relativePath} → ${outputPath}`)
+      }
+    }
+    return failed
+  }
+
+  const convertAll = async (entries) => {
+    if (values.batch) return convertAsBatch(entries)
+    let failed = 0
+    await runPool(entries, concurrency, async (entry) => {
+      if (!(await convertOne(entry))) failed++
+    })
+    return failed
+  }
+
+  const entries = await resolveInputs(descriptors, isConvertible, outDir)
+  if (entries.length === 0 && !values.watch) {
+    console.error('No convertible files found.')
+    return EXIT_FAILURES
+  }
+
+  console.log(`Converting ${entries.length} file(s) to ${outDir}`)
+  const failed = await convertAll(entries)
+  console.log(`\nDone: ${entries.length - failed} converted, ${failed} failed`)
+
+  if (!values.watch) return failed > 0 ? EXIT_FAILURES : 0
+
+  // Watch mode: re-convert a file shortly after its last change
+  console.log('Watching for changes (Ctrl+C to stop)...')
+  const timers = new Map()
+  const roots = [...new Set(descriptors.map(d => d.root))]
+
+  const onChange = (root, fileName) => {
+    if (!fileName) return
+    const filePath = path.join(root, fileName)
+    if (filePath.startsWith(outDir + path.sep)) return
+    const descriptor = descriptors.find(d => d.matches(filePath))
+    if (!descriptor || !isConvertible(filePath)) return
+
+    clearTimeout(timers.get(filePath))
+    timers.set(filePath, setTimeout(async () => {
+      timers.delete(filePath)
+      try {
+        await fs.access(filePath)
+      } catch {
+        return // Deleted
+      }
+      usedNames.clear()
+      const relativePath = path.relative(descriptor.root, filePath).split(path.sep).join('/')
+      await waitForBackend().catch(error => console.error(getErrorMessage(error)))
+      await convertOne({ absolutePath: filePath, relativePath })
+    }, 300))
+  }
+
+  roots.forEach(root => watch(root, { recursive: true }, (event, fileName) => onChange(root, fileName)))
+  return new Promise(() => {})
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error)
+    process.exit(EXIT_FAILURES)
+  })
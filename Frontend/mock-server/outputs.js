@@ -0,0 +1,59 @@
+// Small but valid output documents for the mock API
+
+import { zipSync, strToU8 } from 'fflate'
+
+const escapeXml = (text) => text.replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[char])
+
+export const buildMarkdown = (sourceName) => strToU8(`# ${sourceName}
+
+This document was produced by the **mock API**.
+
+| Property | Value |
+| -------- | ----- |
+| Source   | ${sourceName} |
+| Created  | ${new Date().toISOString()} |
+
+- First item
+- Second item
+`)
+
+// Single-page PDF with one line of text
+export const buildPdf = (text) => {
+  const content = `BT /F1 14 Tf 72 770 Td (${text.replace(/[()\\]/g, '\\$&')}) Tj ET`
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ]
+
+  let pdf = '%PDF-1.4\n'
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`
+    return offset
+  })
+  const xref = pdf.length
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+  return strToU8(pdf)
+}
+
+// Minimal WordprocessingML package with one paragraph
+export const buildDocx = (text) => zipSync({
+  '[Content_Types].xml': strToU8('<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>'),
+  '_rels/.rels': strToU8('<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>'),
+  'word/document.xml': strToU8(`<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body><w:p><w:r><w:t>${escapeXml(text)}</w:t></w:r></w:p></w:body></w:document>`)
+})
+
+// Grow an output to `sizeMb`; PDF and Markdown tolerate trailing padding
+export const padOutput = (bytes, extension, sizeMb) => {
+  const size = Math.round(sizeMb * 1024 * 1024)
+  if (!sizeMb || bytes.length >= size || extension === 'docx') return bytes
+  const padded = new Uint8Array(size)
+  padded.set(bytes)
+  padded.fill(extension === 'md' ? 0x0a : 0x20, bytes.length)
+  return padded
+}
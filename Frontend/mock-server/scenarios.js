@@ -0,0 +1,43 @@
+// Built-in behaviours for the mock API. A scenario is a plain object;
+// custom ones can be loaded from a JSON file with the same fields.
+//
+//   wakeSeconds     health and conversions answer 503 for this long after
+//                   startup (or after switching scenario), like a Render cold start
+//   healthStatus    fixed status code for /api/health (e.g. 500 to show OFFLINE)
+//   hangMs          delay before answering any request; longer than the
+//                   client timeout simulates timeouts
+//   latencyMs       extra time spent per converted file
+//   failPattern     files whose name matches this regex fail with INVALID_DOCUMENT
+//   failEvery       every Nth converted file fails with CONVERSION_FAILED
+//   outputSizeMb    pad outputs to at least this size
+
+export const DEFAULT_SCENARIO = {
+  wakeSeconds: 0,
+  healthStatus: 200,
+  hangMs: 0,
+  latencyMs: 300,
+  failPattern: null,
+  failEvery: 0,
+  outputSizeMb: 0
+}
+
+export const SCENARIOS = {
+  normal: {},
+  'cold-start': { wakeSeconds: 35 },
+  'quick-wake': { wakeSeconds: 8 },
+  unavailable: { healthStatus: 503 },
+  offline: { healthStatus: 500 },
+  timeout: { hangMs: 15000 },
+  slow: { latencyMs: 4000 },
+  flaky: { failEvery: 3 },
+  'per-file-failure': { failPattern: 'fail' },
+  large: { outputSizeMb: 25 }
+}
+
+export const resolveScenario = (nameOrObject) => {
+  if (typeof nameOrObject === 'object') return { ...DEFAULT_SCENARIO, ...nameOrObject }
+  if (!(nameOrObject in SCENARIOS)) {
+    throw new Error(`Unknown scenario "${nameOrObject}". Available: ${Object.keys(SCENARIOS).join(', ')}`)
+  }
+  return { ...DEFAULT_SCENARIO, ...SCENARIOS[nameOrObject], name: nameOrObject }
+}
@@ -0,0 +1,459 @@
+#!/usr/bin/env node
+// Mock MD.converter360 API
+// Implements the same endpoints and response shapes as the .NET backend so
+// the frontend can run without it. Start with `npm run mock-api`; the Vite
+// proxy forwards /api to it on the backend's usual port.
+//
+//   --port <n>             Port to listen on (default 5294, 0 for any free port)
+//   --scenario <name>      Built-in scenario (see scenarios.js)
+//   --scenario-file <path> JSON scenario, overriding the defaults
+//
+// Scenarios can be switched while running, e.g. from a test:
+//   POST /__mock/scenario  {"name": "cold-start"}  or  {"latencyMs": 2000}
+//   GET  /__mock/scenario  current settings and request counters
+
+import http from 'node:http'
+import fs from 'node:fs'
+import { parseArgs } from 'node:util'
+import { DEFAULT_FORMATS, getExtension } from '../src/utils/formats.js'
+import { resolveScenario, SCENARIOS } from './scenarios.js'
+import { buildMarkdown, buildPdf, buildDocx, padOutput } from './outputs.js'
+
+const MIME_TYPES = {
+  md: 'text/markdown',
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+}
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: process.env.MOCK_API_PORT || '5294' },
+    scenario: { type: 'string', default: process.env.MOCK_SCENARIO || 'normal' },
+    'scenario-file': { type: 'string' }
+  }
+})
+
+const loadInitialScenario = () => {
+  if (values['scenario-file']) {
+    return resolveScenario(JSON.parse(fs.readFileSync(values['scenario-file'], 'utf8')))
+  }
+  return resolveScenario(values.scenario)
+}
+
+const state = {
+  scenario: loadInitialScenario(),
+  startedAt: Date.now(),
+  conversions: 0,
+  requests: 0
+}
+
+const setScenario = (scenario) => {
+  state.scenario = scenario
+  state.startedAt = Date.now()
+  state.conversions = 0
+}
+
+const isWaking = () => Date.now() - state.startedAt < state.scenario.wakeSeconds * 1000
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' })
+  res.end(JSON.stringify(body))
+}
+
+const sendError = (res, status, error, code) => sendJson(res, status, { error, code })
+
+// Render answers 503 with an HTML page while an instance starts
+const sendWaking = (res) => {
+  res.writeHead(503, { 'Content-Type': 'text/html' })
+  res.end('<html><body>Service waking up</body></html>')
+}
+
+// .NET serializes TimeSpan as hh:mm:ss.fffffff
+const formatTimeSpan = (ms) => {
+  const date = new Date(ms)
+  const pad = (value, length = 2) => String(value).padStart(length, '0')
+  return `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}.${pad(date.getUTCMilliseconds() * 10000, 7)}`
+}
+
+const findInputFormat = (fileName) => DEFAULT_FORMATS.inputFormats.find(f => f.extension === getExtension(fileName))
+
+// Produce a ConversionResult-like object for one uploaded file
+const convert = async (file, requestedTarget) => {
+  const startTime = Date.now()
+  const format = findInputFormat(file.name)
+  if (!format) {
+    return { success: false, error: `Unsupported format: ${getExtension(file.name)}`, errorCode: 'UNSUPPORTED_FORMAT' }
+  }
+
+  await sleep(state.scenario.latencyMs)
+  state.conversions++
+
+  if (state.scenario.failPattern && new RegExp(state.scenario.failPattern, 'i').test(file.name)) {
+    return { success: false, error: 'Invalid DOCX document: no body found', errorCode: 'INVALID_DOCUMENT' }
+  }
+  if (state.scenario.failEvery && state.conversions % state.scenario.failEvery === 0) {
+    return { success: false, error: 'Mock conversion failure', errorCode: 'CONVERSION_FAILED' }
+  }
+
+  const target = format.targetFormats.includes(requestedTarget) ? requestedTarget : format.targetFormats[0]
+  const baseName = file.name.split('/').pop().replace(/\.[^/.]+$/, '')
+  const source = await file.text().catch(() => '')
+  const builders = { md: () => buildMarkdown(file.name), pdf: () => buildPdf(`${baseName} (mock PDF)`), docx: () => buildDocx(`${baseName} (mock DOCX)`) }
+  const data = padOutput(builders[target](), target, state.scenario.outputSizeMb)
+  const words = source.split(/\s+/).filter(Boolean).length
+
+  return {
+    success: true,
+    data,
+    outputFileName: `${baseName}.${target}`,
+    mimeType: MIME_TYPES[target],
+    metadata: {
+      pageCount: Math.max(1, Math.ceil(words / 500)),
+      wordCount: words,
+      characterCount: source.length,
+      processingTime: formatTimeSpan(Date.now() - startTime),
+      sourceFormat: getExtension(file.name).slice(1),
+      targetFormat: target
+    }
+  }
+}
+
+// Parse a multipart body with the fetch Request implementation built into Node
+const readForm = (req) => new Request('http://mock.local', {
+  method: 'POST',
+  headers: req.headers,
+  body: req,
+  duplex: 'half'
+}).formData()
+
+// Background jobs, shaped like ConversionJobSnapshot on the server. Every
+// change is kept as a numbered event; event streams start with the full state
+const jobs = new Map()
+const isJobFinished = (job) => job.status === 'completed' || job.status === 'cancelled'
+
+const jobSnapshot = (job) => ({
+  id: job.id,
+  status: job.status,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt,
+  files: job.files.map(file => ({ ...file }))
+})
+
+const publish = (job, name, data) => {
+  const event = { id: job.events.length + 1, name, data: JSON.stringify(data) }
+  job.events.push(event)
+  job.listeners.forEach(listener => listener(event))
+}
+
+const finishJob = (job) => {
+  job.status = job.cancelled ? 'cancelled' : 'completed'
+  job.finishedAt = new Date().toISOString()
+  const count = (status) => job.files.filter(file => file.status === status).length
+  publish(job, 'job-finished', { status: job.status, successful: count('done'), failed: count('failed'), cancelled: count('cancelled') })
+}
+
+const MOCK_PDF_PAGES = 4
+
+const runJob = async (job, inputs, targetFormat) => {
+  for (const file of job.files) {
+    if (file.status !== 'queued') continue
+    job.status = 'running'
+    file.status = 'converting'
+    publish(job, 'file-started', file)
+
+    // PDF inputs report page progress like the native PDF reader
+    const input = inputs[file.index]
+    if (getExtension(input.name) === '.pdf') {
+      for (let page = 1; page <= MOCK_PDF_PAGES && !job.cancelled; page++) {
+        await sleep(state.scenario.latencyMs / MOCK_PDF_PAGES)
+        Object.assign(file, { page, pageCount: MOCK_PDF_PAGES })
+        publish(job, 'file-progress', file)
+      }
+    }
+    if (job.cancelled) {
+      Object.assign(file, { status: 'cancelled', errorCode: 'CONVERSION_CANCELLED' })
+      publish(job, 'file-cancelled', file)
+      break
+    }
+
+    const result = await convert(input, targetFormat)
+    if (result.success) {
+      Object.assign(file, { status: 'done', outputFileName: result.outputFileName, mimeType: result.mimeType, metadata: result.metadata })
+      job.outputs[file.index] = result.data
+      publish(job, 'file-finished', file)
+    } else {
+      Object.assign(file, { status: 'failed', error: result.error, errorCode: result.errorCode })
+      publish(job, 'file-failed', file)
+    }
+  }
+  if (!isJobFinished(job)) finishJob(job)
+}
+
+const findJob = (res, id) => {
+  const job = jobs.get(id)
+  if (!job) sendError(res, 404, `Job not found: ${id}`, 'JOB_NOT_FOUND')
+  return job
+}
+
+const writeEvent = (res, { id, name, data }) => res.write(`id: ${id}\nevent: ${name}\ndata: ${data}\n\n`)
+
+// Routes with an id in the path, matched after the fixed routes
+const jobRoutes = [
+  ['GET', /^\/api\/conversion\/jobs\/(\w+)$/, (req, res, url, [id]) => {
+    const job = findJob(res, id)
+    if (job) sendJson(res, 200, jobSnapshot(job))
+  }],
+
+  ['GET', /^\/api\/conversion\/jobs\/(\w+)\/events$/, (req, res, url, [id]) => {
+    const job = findJob(res, id)
+    if (!job) return
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' })
+    writeEvent(res, { id: job.events.length, name: 'job', data: JSON.stringify(jobSnapshot(job)) })
+    if (isJobFinished(job)) return res.end()
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000)
+    const listener = (event) => {
+      writeEvent(res, event)
+      if (event.name === 'job-finished') res.end()
+    }
+    job.listeners.add(listener)
+    res.on('close', () => {
+      clearInterval(keepAlive)
+      job.listeners.delete(listener)
+    })
+  }],
+
+  ['GET', /^\/api\/conversion\/jobs\/(\w+)\/files\/(\d+)$/, (req, res, url, [id, index]) => {
+    const job = findJob(res, id)
+    if (!job) return
+    const file = job.files[Number(index)]
+    if (!file) return sendError(res, 404, `Job ${id} has no file ${index}`, 'RESULT_NOT_AVAILABLE')
+    const data = job.outputs[file.index]
+    if (!data) return sendError(res, 409, `${file.fileName} has no result (${file.status})`, 'RESULT_NOT_AVAILABLE')
+
+    res.writeHead(200, {
+      'Content-Type': file.mimeType,
+      'Content-Length': data.length,
+      'Content-Disposition': `attachment; filename="${file.outputFileName}"; filename*=UTF-8''${encodeURIComponent(file.outputFileName)}`,
+      'X-Conversion-Metadata': JSON.stringify(file.metadata)
+    })
+    res.end(data)
+  }],
+
+  ['DELETE', /^\/api\/conversion\/jobs\/(\w+)$/, (req, res, url, [id]) => {
+    const job = findJob(res, id)
+    if (!job) return
+    if (!isJobFinished(job)) {
+      job.cancelled = true
+      job.files.filter(file => file.status === 'queued').forEach(file => {
+        Object.assign(file, { status: 'cancelled', errorCode: 'CONVERSION_CANCELLED' })
+        publish(job, 'file-cancelled', file)
+      })
+      if (job.status === 'queued') finishJob(job)
+    }
+    sendJson(res, 200, jobSnapshot(job))
+  }]
+]
+
+const matchJobRoute = (method, pathname) => {
+  for (const [routeMethod, pattern, handler] of jobRoutes) {
+    const match = routeMethod === method && pattern.exec(pathname)
+    if (match) return (req, res, url) => handler(req, res, url, match.slice(1))
+  }
+  return null
+}
+
+const routes = {
+  'GET /api/health': (req, res) => sendJson(res, 200, {
+    status: 'healthy',
+    service: 'MD.converter360',
+    version: '1.0.0-mock',
+    environment: 'Mock',
+    timestamp: new Date().toISOString()
+  }),
+
+  // Same shape as ServerDiagnosticsReport; the mock has no Pandoc, so every
+  // conversion goes to the native engine. A scenario switch counts as a restart.
+  'GET /api/conversion/health/details': (req, res) => sendJson(res, 200, {
+    status: 'healthy',
+    service: 'MD.converter360',
+    version: '1.0.0-mock',
+    environment: 'Mock',
+    timestamp: new Date().toISOString(),
+    startedAt: new Date(state.startedAt).toISOString(),
+    uptimeSeconds: Math.round((Date.now() - state.startedAt) / 1000),
+    build: {
+      version: '1.0.0-mock',
+      builtAt: new Date(state.startedAt).toISOString(),
+      runtime: `Node.js ${process.version}`,
+      operatingSystem: process.platform
+    },
+    engines: [
+      { engine: 'native', available: true, version: null },
+      { engine: 'pandoc', available: false, version: null }
+    ],
+    conversions: ['pdfToMarkdown', 'docxToMarkdown', 'odtToMarkdown', 'markdownToPdf', 'markdownToDocx'].map(conversionType => ({
+      conversionType,
+      engines: { auto: 'native', native: 'native', pandoc: 'native' }
+    })),
+    fonts: ['Arial', 'Courier New', 'DejaVu Sans', 'Liberation Serif', 'Times New Roman']
+  }),
+
+  'GET /api/conversion/formats': (req, res) => sendJson(res, 200, {
+    inputFormats: DEFAULT_FORMATS.inputFormats.map(f => ({
+      ...f,
+      convertsTo: f.targetFormats.map(t => DEFAULT_FORMATS.outputFormats.find(o => o.extension === `.${t}`)?.label || t).join(' or ')
+    })),
+    outputFormats: DEFAULT_FORMATS.outputFormats
+  }),
+
+  'POST /api/conversion/convert': async (req, res, url) => {
+    const form = await readForm(req)
+    const file = form.get('file')
+    if (!(file instanceof File)) return sendError(res, 400, 'No file provided', 'NO_FILE')
+
+    const result = await convert(file, url.searchParams.get('targetFormat'))
+    if (!result.success) {
+      const status = result.errorCode === 'CONVERSION_FAILED' ? 500 : 400
+      return sendError(res, status, result.error, result.errorCode)
+    }
+
+    res.writeHead(200, {
+      'Content-Type': result.mimeType,
+      'Content-Length': result.data.length,
+      'Content-Disposition': `attachment; filename="${result.outputFileName}"; filename*=UTF-8''${encodeURIComponent(result.outputFileName)}`,
+      'X-Conversion-Metadata': JSON.stringify(result.metadata)
+    })
+    res.end(result.data)
+  },
+
+  'POST /api/conversion/convert-batch': async (req, res, url) => {
+    const form = await readForm(req)
+    const files = form.getAll('files').filter(file => file instanceof File)
+    if (files.length === 0) return sendError(res, 400, 'No files provided', 'NO_FILES')
+
+    const includeContent = url.searchParams.get('includeContent') === 'true'
+    const results = []
+    for (const file of files) {
+      const result = await convert(file, url.searchParams.get('targetFormat'))
+      // Same shape as BatchConversionResult
+      results.push({
+        originalFileName: file.name,
+        success: result.success,
+        outputFileName: result.outputFileName ?? null,
+        content: result.success && includeContent ? Buffer.from(result.data).toString('base64') : null,
+        mimeType: result.success && includeContent ? result.mimeType : null,
+        error: result.error ?? null,
+        errorCode: result.errorCode ?? null,
+        metadata: result.metadata ?? null
+      })
+    }
+
+    sendJson(res, 200, {
+      total: files.length,
+      successful: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      results
+    })
+  },
+
+  'POST /api/conversion/jobs': async (req, res, url) => {
+    const form = await readForm(req)
+    const inputs = form.getAll('files').filter(file => file instanceof File)
+    if (inputs.length === 0) return sendError(res, 400, 'No files provided', 'NO_FILES')
+
+    const job = {
+      id: crypto.randomUUID().replaceAll('-', ''),
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      files: inputs.map((file, index) => ({
+        index,
+        fileName: file.name,
+        status: 'queued',
+        page: 0,
+        pageCount: 0,
+        outputFileName: null,
+        mimeType: null,
+        error: null,
+        errorCode: null,
+        metadata: null
+      })),
+      outputs: [],
+      events: [],
+      listeners: new Set(),
+      cancelled: false
+    }
+    jobs.set(job.id, job)
+    runJob(job, inputs, url.searchParams.get('targetFormat')).catch(console.error)
+
+    res.setHeader('Location', `/api/conversion/jobs/${job.id}`)
+    sendJson(res, 202, jobSnapshot(job))
+  },
+
+  'GET /__mock/scenario': (req, res) => sendJson(res, 200, {
+    ...state.scenario,
+    waking: isWaking(),
+    conversions: state.conversions,
+    requests: state.requests,
+    available: Object.keys(SCENARIOS)
+  }),
+
+  'POST /__mock/scenario': async (req, res) => {
+    const body = JSON.parse(await new Response(req).text() || '{}')
+    try {
+      setScenario(body.name ? resolveScenario(body.name) : resolveScenario(body))
+    } catch (error) {
+      return sendError(res, 400, error.message, 'UNKNOWN_SCENARIO')
+    }
+    console.log(`Scenario: ${JSON.stringify(state.scenario)}`)
+    sendJson(res, 200, state.scenario)
+  }
+}
+routes['GET /api/conversion/health'] = routes['GET /api/health']
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://mock.local')
+  const route = routes[`${req.method} ${url.pathname}`] || matchJobRoute(req.method, url.pathname)
+
+  // CORS, so the client can also be pointed straight at the mock
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Headers', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS')
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, X-Conversion-Metadata')
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204)
+    return res.end()
+  }
+
+  const isControl = url.pathname.startsWith('/__mock/')
+  if (!isControl) {
+    state.requests++
+    console.log(`${req.method} ${url.pathname}${url.search}`)
+  }
+
+  try {
+    if (!route) return sendError(res, 404, 'Not found', 'NOT_FOUND')
+    if (!isControl) {
+      if (state.scenario.hangMs) await sleep(state.scenario.hangMs)
+      if (isWaking()) return sendWaking(res)
+      if (url.pathname.endsWith('/health') && state.scenario.healthStatus !== 200) {
+        return sendError(res, state.scenario.healthStatus, 'Service unavailable', 'MOCK_HEALTH')
+      }
+      if (state.scenario.healthStatus === 503) return sendWaking(res)
+    }
+    await route(req, res, url)
+  } catch (error) {
+    console.error(error)
+    if (!res.headersSent) sendError(res, 500, 'Conversion failed', 'CONVERSION_FAILED')
+  }
+})
+
+// --port 0 picks a free port; tests read it from this line
+server.listen(Number(values.port), () => {
+  console.log(`Mock API listening on http://localhost:${server.address().port}`)
+  console.log(`Scenario: ${JSON.stringify(state.scenario)}`)
+})
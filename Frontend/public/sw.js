@@ -0,0 +1,94 @@
+// MD.converter360 service worker
+// Caches the app shell for fast, installable starts and receives
+// documents from the Web Share Target (see manifest.webmanifest).
+// API requests are never cached.
+
+const SHELL_CACHE = 'md-converter360-shell-v1'
+const SHARE_CACHE = 'md-converter360-shared'
+const SHELL_FILES = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg']
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key !== SHELL_CACHE && key !== SHARE_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+// Store shared files in a cache the app reads on startup, then open the app
+const handleShare = async (request) => {
+  const formData = await request.formData()
+  const files = formData.getAll('files').filter(file => file instanceof File && file.size > 0)
+
+  // Shared text without files becomes a Markdown document
+  const text = formData.get('text')
+  if (files.length === 0 && text) {
+    const title = (formData.get('title') || 'shared').replace(/[\\/:*?"<>|]/g, '').trim() || 'shared'
+    files.push(new File([text], `${title}.md`, { type: 'text/markdown' }))
+  }
+
+  const cache = await caches.open(SHARE_CACHE)
+  await Promise.all(files.map((file, index) => cache.put(
+    `/shared-files/${Date.now()}-${index}`,
+    new Response(file, {
+      headers: {
+        'Content-Type': file.type || 'application/octet-stream',
+        'X-File-Name': encodeURIComponent(file.name)
+      }
+    })
+  )))
+
+  return Response.redirect('/?shared=1', 303)
+}
+
+// Network first for pages so deployments show up, cache fallback offline
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request)
+    const cache = await caches.open(SHELL_CACHE)
+    cache.put('/index.html', response.clone())
+    return response
+  } catch {
+    return (await caches.match('/index.html')) || Response.error()
+  }
+}
+
+// Built assets have hashed names, so a cached copy never goes stale
+const handleAsset = async (request) => {
+  const cached = await caches.match(request)
+  if (cached) return cached
+  const response = await fetch(request)
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE)
+    cache.put(request, response.clone())
+  }
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url)
+  if (url.origin !== self.location.origin) return
+
+  if (event.request.method === 'POST' && url.pathname === '/share-target') {
+    event.respondWith(handleShare(event.request))
+    return
+  }
+
+  if (event.request.method !== 'GET' || url.pathname.startsWith('/api/')) return
+
+  if (event.request.mode === 'navigate') {
+    event.respondWith(handleNavigation(event.request))
+  } else if (url.pathname.startsWith('/assets/') || SHELL_FILES.includes(url.pathname)) {
+    event.respondWith(handleAsset(event.request))
+  }
+})
@@ -1,5 +1,4 @@
-import { useState, useCallback, useRef, useEffect } from 'react'
-import axios from 'axios'
+import { useState, useCallback, useRef, useEffect, useMemo, Fragment } from 'react'
 import {
   FileText,
   Upload,
@@ -16,91 +15,230 @@ import {
   FileType2,
   Wifi,
   WifiOff,
-  Clock
+  Clock,
+  PenLine,
+  Eye,
+  Archive,
+  Ban,
+  RotateCcw,
+  History,
+  AlertTriangle,
+  SlidersHorizontal,
+  Globe,
+  Printer,
+  Folder,
+  FolderOpen,
+  Image as ImageIcon,
+  Tags,
+  GitCompareArrows,
+  ClipboardCopy,
+  ClipboardType,
+  Check,
+  X
 } from 'lucide-react'
+import MarkdownEditor from './components/MarkdownEditor'
+import PreviewDrawer from './components/PreviewDrawer'
+import HistoryPanel from './components/HistoryPanel'
+import ConversionOptionsPanel from './components/ConversionOptionsPanel'
+import ResultsSummary from './components/ResultsSummary'
+import SessionStatsPanel from './components/SessionStatsPanel'
+import PreflightReport from './components/PreflightReport'
+import FrontMatterEditor from './components/FrontMatterEditor'
+import TemplateManager from './components/TemplateManager'
+import SaveDestinationPanel from './components/SaveDestinationPanel'
+import ServerJobPanel from './components/ServerJobPanel'
+import FidelityReport from './components/FidelityReport'
+import DiagnosticsPanel from './components/DiagnosticsPanel'
+import { downloadBlob } from './utils/download'
+import { converterClient, isFinishedJob } from './api/converterClient'
+import { buildZip } from './utils/archive'
+import { JOB_STATUS, isJobActive } from './utils/conversionQueue'
+import { useConversionQueue } from './hooks/useConversionQueue'
+import { useServerJob } from './hooks/useServerJob'
+import { loadActiveJobId, storeActiveJobId, isFileFinished, countFinishedFiles } from './utils/serverJob'
+import { addHistoryEntry } from './utils/historyStore'
+import { BACKEND_STATUS, ESTIMATED_WAKE_TIME, getPollInterval } from './utils/healthPolling'
+import { addHealthSample, countStreak, loadColdStarts, recordColdStart, clearColdStarts } from './utils/diagnostics'
+import { retryWithBackoff } from './utils/retry'
+import { getCachedFormats, fetchFormats, createFormatHelpers } from './utils/formats'
+import { loadActiveOptions, saveActiveOptions, serializeOptions } from './utils/conversionOptions'
+import { parseProcessingTime, loadSessionStats, recordSessionResult, clearSessionStats } from './utils/conversionStats'
+import { checkFile, countIssues, createFailedReport, isMarkdownFile } from './utils/preflight'
+import { ASSET_EXTENSIONS, isAssetFile, createAssetIndex, collectBundle } from './utils/assets'
+import { EMPTY_FRONT_MATTER, withFrontMatter } from './utils/frontMatter'
+import { supportsRoundTrip, runRoundTrip } from './utils/fidelity'
+import { readClipboard, copyMarkdown, copyRichText } from './utils/clipboard'
+import { getTemplates, toUpload } from './utils/templateStore'
+import {
+  SAVE_STATUS,
+  loadSaveSettings,
+  storeSaveSettings,
+  loadOutputFolder,
+  pickOutputFolder,
+  forgetOutputFolder,
+  ensureFolderPermission,
+  saveOutput
+} from './utils/saveDestination'
+import { convertMarkdownToHtml, printMarkdownToPdf } from './utils/browserConverter'
+import { useI18n } from './i18n/I18nContext'
+import { LOCALES, translateApiError } from './i18n'
+import { onLaunchFiles, consumeSharedFiles } from './utils/pwa'
+import {
+  getRelativePath,
+  getFolder,
+  getPathFolder,
+  joinPath,
+  groupByFolder,
+  readDataTransfer,
+  expandArchives
+} from './utils/fileTree'
 import './App.css'
 
-// Backend status states
-const BACKEND_STATUS = {
-  CHECKING: 'checking',
-  ONLINE: 'online',
-  WAKING: 'waking',
-  OFFLINE: 'offline'
-}
-
 function App() {
+  const { t, locale, setLocale, formatSize, formatElapsedTime, formatDuration } = useI18n()
   const [files, setFiles] = useState([])
+  const [assets, setAssets] = useState([])
+  // Images that came from the clipboard, marked in the asset list
+  const [pastedAssets, setPastedAssets] = useState(() => new Set())
   const [converting, setConverting] = useState(false)
   const [results, setResults] = useState([])
   const [targetFormat, setTargetFormat] = useState('pdf')
-  const [saveToDownloads, setSaveToDownloads] = useState(true)
+  const [saveSettings, setSaveSettings] = useState(loadSaveSettings)
+  const [outputFolder, setOutputFolder] = useState(null)
   const [darkMode, setDarkMode] = useState(() => {
     return localStorage.getItem('theme') === 'dark'
   })
   const [dragActive, setDragActive] = useState(false)
+  const [inputMode, setInputMode] = useState(() => {
+    return localStorage.getItem('inputMode') || 'files'
+  })
   const [backendStatus, setBackendStatus] = useState(BACKEND_STATUS.CHECKING)
   const [wakeStartTime, setWakeStartTime] = useState(null)
   const [wakeElapsed, setWakeElapsed] = useState(0)
+  const [healthLog, setHealthLog] = useState([])
+  const [coldStarts, setColdStarts] = useState(loadColdStarts)
+  const [showDiagnostics, setShowDiagnostics] = useState(false)
   const [conversionProgress, setConversionProgress] = useState({ current: 0, total: 0 })
+  const [preview, setPreview] = useState(null)
+  const [fidelityCheck, setFidelityCheck] = useState(null)
+  const [copiedResult, setCopiedResult] = useState(null)
+  const [zipping, setZipping] = useState(false)
+  const [processingMode, setProcessingMode] = useState(() => {
+    return localStorage.getItem('processingMode') || 'queue'
+  })
+  const [concurrency, setConcurrency] = useState(() => {
+    return Number(localStorage.getItem('queueConcurrency')) || 2
+  })
+  const [historyVersion, setHistoryVersion] = useState(0)
+  const [sessionStats, setSessionStats] = useState(loadSessionStats)
+  const [waitingRequests, setWaitingRequests] = useState(0)
+  const [formats, setFormats] = useState(getCachedFormats)
+  const [rejectedFiles, setRejectedFiles] = useState([])
+  const [conversionOptions, setConversionOptions] = useState(loadActiveOptions)
+  const [fileOverrides, setFileOverrides] = useState(() => new Map())
+  const [editingFile, setEditingFile] = useState(null)
+  const [preflight, setPreflight] = useState(() => new Map())
+  const [frontMatterOverrides, setFrontMatterOverrides] = useState(() => new Map())
+  const [editingFrontMatter, setEditingFrontMatter] = useState(null)
+  const [openReport, setOpenReport] = useState(null)
+  const [templates, setTemplates] = useState([])
+  const [serverJobId, setServerJobId] = useState(loadActiveJobId)
   const fileInputRef = useRef(null)
-  const healthCheckInterval = useRef(null)
+  const folderInputRef = useRef(null)
+  const previewCache = useRef(new WeakMap())
   const wakeTimerInterval = useRef(null)
+  const pendingRequests = useRef([])
+  const formatsLoaded = useRef(false)
+  // Source files of jobs started in this session and the job files already
+  // added to the results, both keyed by job id
+  const jobSources = useRef(new Map())
+  const receivedJobFiles = useRef(new Map())
+  const backendStatusRef = useRef(backendStatus)
+
+  useEffect(() => {
+    backendStatusRef.current = backendStatus
+  }, [backendStatus])
+
+  // Release conversion requests that were held while the backend was unavailable
+  const releasePendingRequests = useCallback(() => {
+    if (pendingRequests.current.length === 0) return
+    pendingRequests.current.forEach(resolve => resolve())
+    pendingRequests.current = []
+    setWaitingRequests(0)
+  }, [])
 
-  // Check backend health
+  // Resolve once the backend is online; requests made while it is waking
+  // up or offline are held here and sent automatically afterwards
+  const waitForBackend = () => {
+    if (backendStatusRef.current === BACKEND_STATUS.ONLINE) return Promise.resolve()
+    setWaitingRequests(n => n + 1)
+    return new Promise(resolve => {
+      pendingRequests.current.push(resolve)
+    })
+  }
+
+  // Check backend health; every check is logged for the diagnostics panel
   const checkBackendHealth = useCallback(async (isInitial = false) => {
+    const time = Date.now()
     try {
-      const startTime = Date.now()
-      const response = await axios.get('/api/health', { timeout: 10000 })
-      const responseTime = Date.now() - startTime
-
-      if (response.status === 200) {
-        setBackendStatus(BACKEND_STATUS.ONLINE)
-        setWakeStartTime(null)
-        setWakeElapsed(0)
-        // If we were waking and now online, clear the wake timer
-        if (wakeTimerInterval.current) {
-          clearInterval(wakeTimerInterval.current)
-          wakeTimerInterval.current = null
-        }
-        return true
+      const { responseTime } = await converterClient.health()
+
+      setBackendStatus(BACKEND_STATUS.ONLINE)
+      backendStatusRef.current = BACKEND_STATUS.ONLINE
+      setHealthLog(log => addHealthSample(log, { time, status: BACKEND_STATUS.ONLINE, responseTime }))
+      releasePendingRequests()
+      if (wakeStartTime) {
+        setColdStarts(recordColdStart({ time: wakeStartTime, duration: Date.now() - wakeStartTime }))
       }
+      setWakeStartTime(null)
+      setWakeElapsed(0)
+      // If we were waking and now online, clear the wake timer
+      if (wakeTimerInterval.current) {
+        clearInterval(wakeTimerInterval.current)
+        wakeTimerInterval.current = null
+      }
+      return true
     } catch (error) {
+      let status = BACKEND_STATUS.OFFLINE
       // If initial check and we get a timeout or slow response, it's waking up
-      if (error.code === 'ECONNABORTED' || error.response?.status === 503) {
-        if (backendStatus !== BACKEND_STATUS.WAKING) {
-          setBackendStatus(BACKEND_STATUS.WAKING)
-          setWakeStartTime(Date.now())
-        }
-      } else if (error.message?.includes('Network Error') || !error.response) {
+      if (error.kind === 'timeout' || error.status === 503) {
+        status = BACKEND_STATUS.WAKING
+      } else if (error.kind === 'network' && (isInitial || backendStatus === BACKEND_STATUS.CHECKING)) {
         // Network error could mean waking up on Render free tier
-        if (isInitial || backendStatus === BACKEND_STATUS.CHECKING) {
-          setBackendStatus(BACKEND_STATUS.WAKING)
-          setWakeStartTime(Date.now())
-        } else {
-          setBackendStatus(BACKEND_STATUS.OFFLINE)
-        }
-      } else {
-        setBackendStatus(BACKEND_STATUS.OFFLINE)
+        status = BACKEND_STATUS.WAKING
       }
+      if (status === BACKEND_STATUS.WAKING && backendStatus !== BACKEND_STATUS.WAKING) {
+        setWakeStartTime(time)
+      }
+      setBackendStatus(status)
+      setHealthLog(log => addHealthSample(log, { time, status, responseTime: Date.now() - time, error: error.code }))
     }
     return false
-  }, [backendStatus])
+  }, [backendStatus, wakeStartTime, releasePendingRequests])
 
-  // Initial health check and periodic checks
+  // Initial health check, then adaptive polling: quick while the server
+  // wakes up, backing off while its state stays the same, slowest in a
+  // background tab
   useEffect(() => {
-    checkBackendHealth(true)
-
-    // Check every 5 seconds when online, every 3 seconds when waking
-    healthCheckInterval.current = setInterval(() => {
-      checkBackendHealth(false)
-    }, backendStatus === BACKEND_STATUS.WAKING ? 3000 : 10000)
+    const isInitial = healthLog.length === 0
+    const interval = isInitial ? 0 : getPollInterval({
+      status: backendStatus,
+      streak: countStreak(healthLog),
+      wakeElapsed: wakeStartTime ? Date.now() - wakeStartTime : 0,
+      hidden: document.hidden
+    })
+    const timer = setTimeout(() => checkBackendHealth(isInitial), interval)
+    return () => clearTimeout(timer)
+  }, [checkBackendHealth, backendStatus, healthLog, wakeStartTime])
 
-    return () => {
-      if (healthCheckInterval.current) {
-        clearInterval(healthCheckInterval.current)
-      }
+  // Check right away when a background tab is shown again
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (!document.hidden) checkBackendHealth(false)
     }
-  }, [checkBackendHealth, backendStatus])
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange)
+  }, [checkBackendHealth])
 
   // Wake timer
   useEffect(() => {
@@ -117,6 +255,73 @@ function App() {
     }
   }, [backendStatus, wakeStartTime])
 
+  // Load the supported format matrix once the backend is reachable
+  useEffect(() => {
+    if (backendStatus !== BACKEND_STATUS.ONLINE || formatsLoaded.current) return
+    formatsLoaded.current = true
+    fetchFormats()
+      .then(setFormats)
+      .catch(error => {
+        formatsLoaded.current = false
+        console.warn('Could not load supported formats, using cached list:', error)
+      })
+  }, [backendStatus])
+
+  const formatHelpers = useMemo(() => createFormatHelpers(formats), [formats])
+
+  useEffect(() => {
+    getTemplates()
+      .then(setTemplates)
+      .catch(error => console.warn('Could not load DOCX templates:', error))
+    loadOutputFolder()
+      .then(setOutputFolder)
+      .catch(error => console.warn('Could not load the output folder:', error))
+  }, [])
+
+  const changeSaveSettings = (settings) => {
+    setSaveSettings(settings)
+    storeSaveSettings(settings)
+  }
+
+  const chooseOutputFolder = async () => {
+    try {
+      const handle = await pickOutputFolder()
+      if (handle) setOutputFolder(handle)
+    } catch (error) {
+      console.error('Could not pick an output folder:', error)
+      alert(t('saveDestination.pickFailed', { message: error.message }))
+    }
+  }
+
+  const useBrowserDownloads = () => {
+    setOutputFolder(null)
+    forgetOutputFolder().catch(error => console.warn('Could not forget the output folder:', error))
+  }
+
+  // Ask for write access to the output folder while handling the click that
+  // starts a conversion; without it results are downloaded instead
+  const prepareDestination = async () => {
+    if (!saveSettings.enabled || !outputFolder) return
+    try {
+      await ensureFolderPermission(outputFolder, true)
+    } catch (error) {
+      console.warn('Could not get access to the output folder:', error)
+    }
+  }
+
+  // Save a successful result when automatic saving is on; returns the fields
+  // the results list shows (savedPath, saveStatus)
+  const deliverResult = async (result) => {
+    if (!saveSettings.enabled || !result.blob) return {}
+    try {
+      const { status, path } = await saveOutput(result, { settings: saveSettings, folder: outputFolder })
+      return { savedPath: path, saveStatus: status }
+    } catch (error) {
+      console.error('Saving the result failed:', error)
+      return { saveStatus: SAVE_STATUS.FAILED, saveError: error.message }
+    }
+  }
+
   // Toggle dark mode
   const toggleDarkMode = () => {
     const newMode = !darkMode
@@ -124,6 +329,12 @@ function App() {
     localStorage.setItem('theme', newMode ? 'dark' : 'light')
   }
 
+  // Switch between file upload and the Markdown editor
+  const changeInputMode = (mode) => {
+    setInputMode(mode)
+    localStorage.setItem('inputMode', mode)
+  }
+
   // Handle drag events
   const handleDrag = useCallback((e) => {
     e.preventDefault()
@@ -135,119 +346,427 @@ function App() {
     }
   }, [])
 
+  // Add files to the list, keeping track of the ones that were rejected.
+  // ZIP archives are unpacked first and their entries keep their paths.
+  const addFiles = async (fileList, { pasted = false } = {}) => {
+    const accepted = []
+    const acceptedAssets = []
+    const { files: expanded, failed } = await expandArchives(Array.from(fileList))
+    const rejected = failed.map(({ file, error }) => ({
+      name: getRelativePath(file),
+      reason: { key: 'rejected.archiveFailed', params: { message: error.message } }
+    }))
+    expanded.forEach(file => {
+      // Images are kept as assets for the Markdown files that reference them
+      if (isAssetFile(file.name) && file.size > 0) {
+        acceptedAssets.push(file)
+        return
+      }
+      const reason = formatHelpers.getRejectionReason(file)
+      if (reason) {
+        rejected.push({ name: getRelativePath(file), reason })
+      } else {
+        accepted.push(file)
+      }
+    })
+    setFiles(prev => [...prev, ...accepted])
+    if (acceptedAssets.length > 0) {
+      // A re-added asset replaces the one with the same path
+      const paths = new Set(acceptedAssets.map(getRelativePath))
+      setAssets(prev => [...prev.filter(asset => !paths.has(getRelativePath(asset))), ...acceptedAssets])
+      if (pasted) setPastedAssets(prev => new Set([...prev, ...acceptedAssets]))
+    }
+    setRejectedFiles(rejected)
+  }
+
+  const assetIndex = useMemo(() => createAssetIndex(assets), [assets])
+
+  // Pre-flight check of Markdown files as they are added, and again when
+  // assets change; a block/continue choice made by the user is kept
+  useEffect(() => {
+    const unchecked = files.filter(file => isMarkdownFile(file.name) && preflight.get(file)?.assetIndex !== assetIndex)
+    if (unchecked.length === 0) return
+    let cancelled = false
+    Promise.all(unchecked.map(async file => {
+      const documentPath = getRelativePath(file)
+      const report = await checkFile(file, { resolveAsset: (src) => assetIndex.find(documentPath, src) !== null })
+        .catch(error => {
+          console.error(`Pre-flight check of ${file.name} failed:`, error)
+          return createFailedReport(error)
+        })
+      return [file, { ...report, assetIndex }]
+    }))
+      .then(entries => {
+        if (cancelled) return
+        setPreflight(prev => {
+          const next = new Map(prev)
+          entries.forEach(([file, report]) => {
+            const previous = prev.get(file)
+            next.set(file, previous?.overridden ? { ...report, blocked: previous.blocked, overridden: true } : report)
+          })
+          return next
+        })
+      })
+      .catch(error => console.error('Pre-flight check failed:', error))
+    return () => {
+      cancelled = true
+    }
+  }, [files, preflight, assetIndex])
+
+  const changeBlocked = (file, blocked) => {
+    setPreflight(prev => new Map(prev).set(file, { ...prev.get(file), blocked, overridden: true }))
+  }
+
+  // Assets a Markdown file references, named by the paths it uses
+  const getBundle = (file) => {
+    const report = preflight.get(file)
+    if (!report || !usesLayoutOptions(file.name)) return []
+    return collectBundle(getRelativePath(file), report.sources, assetIndex)
+  }
+
+  const pastedAsset = assets.find(asset => pastedAssets.has(asset))
+
+  const removeAsset = (asset) => {
+    setAssets(prev => prev.filter(item => item !== asset))
+  }
+
+  // Document properties: the user's edits, else the file's own front matter
+  const getOriginalFrontMatter = (file) => preflight.get(file)?.frontMatter || EMPTY_FRONT_MATTER
+  const getFrontMatterFor = (file) => frontMatterOverrides.get(file) || getOriginalFrontMatter(file)
+
+  const changeFrontMatter = (file, fields) => {
+    setFrontMatterOverrides(prev => new Map(prev).set(file, fields))
+  }
+
+  const resetFrontMatter = (file) => {
+    setFrontMatterOverrides(prev => {
+      const next = new Map(prev)
+      next.delete(file)
+      return next
+    })
+  }
+
+  // A title set in the properties form answers the missing-title warning
+  const getPreflightReport = (file) => {
+    const report = preflight.get(file)
+    if (!report || !frontMatterOverrides.get(file)?.title.trim()) return report
+    return { ...report, issues: report.issues.filter(issue => issue.rule !== 'missingTitle') }
+  }
+
+  // The file as uploaded, with edited document properties written into its front matter
+  const prepareUpload = (file) => (
+    frontMatterOverrides.has(file) ? withFrontMatter(file, frontMatterOverrides.get(file)) : Promise.resolve(file)
+  )
+
+  const isBlocked = (file) => preflight.get(file)?.blocked === true
+  const convertibleFiles = files.filter(file => !isBlocked(file))
+  const blockedCount = files.length - convertibleFiles.length
+  const preflightPending = files.some(file => isMarkdownFile(file.name) && preflight.get(file)?.assetIndex !== assetIndex)
+
+  // Files opened with the installed app or shared from other apps
+  const addFilesRef = useRef(addFiles)
+  useEffect(() => {
+    addFilesRef.current = addFiles
+  })
+
+  useEffect(() => {
+    const receiveFiles = (received) => {
+      if (received.length === 0) return
+      addFilesRef.current(received)
+      changeInputMode('files')
+    }
+    onLaunchFiles(receiveFiles)
+    consumeSharedFiles()
+      .then(receiveFiles)
+      .catch(error => console.warn('Could not read shared files:', error))
+  }, [])
+
+  // Paste anywhere outside a text field: files and images are added as
+  // they are, pasted pages and text become a Markdown file
+  useEffect(() => {
+    const handlePaste = (e) => {
+      const target = e.target
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return
+      const pasted = readClipboard(e.clipboardData)
+      if (pasted.length === 0) return
+      e.preventDefault()
+      addFilesRef.current(pasted, { pasted: true })
+      changeInputMode('files')
+    }
+    window.addEventListener('paste', handlePaste)
+    return () => window.removeEventListener('paste', handlePaste)
+  }, [])
+
   // Handle drop
-  const handleDrop = useCallback((e) => {
+  const handleDrop = (e) => {
     e.preventDefault()
     e.stopPropagation()
     setDragActive(false)
 
     if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
-      const droppedFiles = Array.from(e.dataTransfer.files).filter(file =>
-        isSupported(file.name)
-      )
-      setFiles(prev => [...prev, ...droppedFiles])
+      readDataTransfer(e.dataTransfer)
+        .then(addFiles)
+        .catch(error => console.error('Could not read dropped items:', error))
     }
-  }, [])
+  }
 
   // Handle file input change
   const handleFileSelect = (e) => {
     if (e.target.files) {
-      const selectedFiles = Array.from(e.target.files).filter(file =>
-        isSupported(file.name)
-      )
-      setFiles(prev => [...prev, ...selectedFiles])
+      addFiles(e.target.files)
+      e.target.value = ''
     }
   }
 
-  // Check if file is supported
-  const isSupported = (fileName) => {
-    const ext = fileName.toLowerCase().split('.').pop()
-    return ['pdf', 'docx', 'doc', 'odt', 'md', 'markdown'].includes(ext)
+  // Get file type class
+  const getFileType = (fileName) => formatHelpers.getFileType(fileName)
+
+  // Get target format based on source
+  const getTargetFormat = (fileName) => formatHelpers.getTargetFor(fileName, targetFormat)
+
+  // Layout options only apply to Markdown -> PDF/DOCX
+  const usesLayoutOptions = (fileName) => getTargetFormat(fileName) !== 'md'
+
+  const getOptionsFor = (file) => fileOverrides.get(file) || conversionOptions
+
+  // A deleted template falls back to the bundled styles
+  const findTemplate = (options) => templates.find(template => template.id === options.template)
+
+  const serializeWithTemplate = (options) => (
+    serializeOptions(findTemplate(options) ? options : { ...options, template: '' })
+  )
+
+  // Stored templates the given options pick, ready to upload
+  const getTemplateUploads = (optionsList) => {
+    const used = new Map(optionsList.map(findTemplate).filter(Boolean).map(template => [template.id, template]))
+    return [...used.values()].map(toUpload)
   }
 
-  // Get file type class
-  const getFileType = (fileName) => {
-    const ext = fileName.toLowerCase().split('.').pop()
-    if (ext === 'pdf') return 'pdf'
-    if (['docx', 'doc'].includes(ext)) return 'word'
-    if (['md', 'markdown'].includes(ext)) return 'markdown'
-    if (ext === 'odt') return 'odt'
-    return 'word'
+  const changeConversionOptions = (options) => {
+    setConversionOptions(options)
+    saveActiveOptions(options)
   }
 
-  // Get target format based on source
-  const getTargetFormat = (fileName) => {
-    const ext = fileName.toLowerCase().split('.').pop()
-    if (['pdf', 'docx', 'doc', 'odt'].includes(ext)) {
-      return 'md'
+  // Per-file overrides start from the current global options
+  const editFileOptions = (file) => {
+    if (!fileOverrides.has(file)) {
+      setFileOverrides(prev => new Map(prev).set(file, { ...conversionOptions }))
     }
-    return targetFormat
+    setEditingFile(file)
   }
 
-  // Format file size
-  const formatSize = (bytes) => {
-    if (bytes < 1024) return bytes + ' B'
-    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB'
-    return (bytes / (1024 * 1024)).toFixed(1) + ' MB'
+  const changeFileOptions = (file, options) => {
+    setFileOverrides(prev => new Map(prev).set(file, options))
+  }
+
+  const resetFileOptions = (file) => {
+    setFileOverrides(prev => {
+      const next = new Map(prev)
+      next.delete(file)
+      return next
+    })
+    setEditingFile(null)
   }
 
   // Remove file from list
   const removeFile = (index) => {
+    const job = jobsByFile.get(files[index])
+    if (job) queue.remove(job.id)
+    if (editingFile === files[index]) setEditingFile(null)
+    if (editingFrontMatter === files[index]) setEditingFrontMatter(null)
+    if (openReport === files[index]) setOpenReport(null)
     setFiles(prev => prev.filter((_, i) => i !== index))
   }
 
   // Clear all files
   const clearFiles = () => {
     setFiles([])
+    setAssets([])
     setResults([])
+    queue.clear()
+    setFileOverrides(new Map())
+    setEditingFile(null)
+    setPreflight(new Map())
+    setFrontMatterOverrides(new Map())
+    setEditingFrontMatter(null)
+    setOpenReport(null)
+    previewCache.current = new WeakMap()
+  }
+
+  // Record a finished conversion in the persistent history
+  const recordConversion = async ({ file, success, outputFileName, blob, error, metadata, targetFormat: target = getTargetFormat(file.name) }) => {
+    const sourceExt = file.name.toLowerCase().split('.').pop()
+    setSessionStats(prev => recordSessionResult(prev, file.name, success))
+    try {
+      await addHistoryEntry({
+        sourceName: file.name,
+        direction: `${sourceExt.toUpperCase()} → ${target.toUpperCase()}`,
+        targetFormat: target,
+        success,
+        outputFileName: outputFileName || null,
+        error: error || null,
+        metadata: metadata || null,
+        outputBlob: success ? blob || null : null,
+        sourceBlob: file
+      })
+      setHistoryVersion(v => v + 1)
+    } catch (err) {
+      console.warn('Could not record conversion history:', err)
+    }
   }
 
-  // Convert files
+  // Put a file from history back into the list for another conversion
+  const reconvertFromHistory = (entry) => {
+    const file = new File([entry.sourceBlob], entry.sourceName, { type: entry.sourceBlob.type })
+    setFiles(prev => [...prev, file])
+    changeInputMode('files')
+  }
+
+  // Convert files, one request per file through the queue
+  // Files blocked by the pre-flight check are left out
   const convertFiles = async () => {
-    if (files.length === 0) return
-    // Allow conversion attempt even if backend status is uncertain
-    // The actual API call will fail if backend is truly down
+    if (convertibleFiles.length === 0) return
+    await prepareDestination()
+    if (processingMode === 'batch') {
+      convertFilesBatch()
+      return
+    }
+    if (processingMode === 'job') {
+      convertFilesAsJob()
+      return
+    }
 
-    setConverting(true)
     setResults([])
-    setConversionProgress({ current: 0, total: files.length })
+    queue.clear()
+    queue.enqueue(convertibleFiles)
+  }
 
-    const formData = new FormData()
-    files.forEach(file => {
-      formData.append('files', file)
-    })
+  // Queue worker: convert a single file and keep its output for the results list
+  const convertJob = async (job, { signal, onUploadProgress }) => {
+    try {
+      const { blob, fileName, metadata } = await retryWithBackoff(() => requestSingleConversion(job.file, {
+        signal,
+        onUploadProgress
+      }), { signal, onRetry: () => checkBackendHealth(false) })
+      recordConversion({ file: job.file, success: true, outputFileName: fileName, blob, metadata })
+      const saved = await deliverResult({ blob, outputFileName: fileName, sourceName: job.file.name, folder: getFolder(job.file) })
+      return { outputFileName: fileName, blob, metadata, ...saved }
+    } catch (error) {
+      if (signal.aborted) throw error
+      const message = describeError(error, t('errors.conversionFailed'))
+      recordConversion({ file: job.file, success: false, error: message })
+      throw new Error(message)
+    }
+  }
+
+  const backendReady = backendStatus === BACKEND_STATUS.ONLINE
+  const queue = useConversionQueue(convertJob, concurrency, !backendReady)
+  const queueActive = queue.jobs.some(isJobActive)
+  const serverJob = useServerJob(serverJobId, (name, data) => receiveJobEvent(name, data))
+  const serverJobActive = serverJob.job !== null && !isFinishedJob(serverJob.job)
+  const busy = converting || queueActive || serverJobActive
+  const jobsByFile = new Map(queue.jobs.map(job => [job.file, job]))
+
+  // Finished queue jobs in the same shape as batch results
+  const queueResults = queue.jobs
+    .filter(job => job.status === JOB_STATUS.DONE || job.status === JOB_STATUS.FAILED)
+    .map(job => ({
+      jobId: job.id,
+      originalFileName: getRelativePath(job.file),
+      folder: getFolder(job.file),
+      success: job.status === JOB_STATUS.DONE,
+      outputFileName: job.result?.outputFileName,
+      blob: job.result?.blob,
+      metadata: job.result?.metadata,
+      savedPath: job.result?.savedPath,
+      saveStatus: job.result?.saveStatus,
+      saveError: job.result?.saveError,
+      error: job.error,
+      engine: 'server'
+    }))
+  const allResults = [...results, ...queueResults]
+
+  const changeProcessingMode = (mode) => {
+    setProcessingMode(mode)
+    localStorage.setItem('processingMode', mode)
+  }
+
+  const changeConcurrency = (value) => {
+    setConcurrency(value)
+    localStorage.setItem('queueConcurrency', String(value))
+  }
+
+  // Files and form fields of a multi-file request (batch or server job)
+  const prepareBatchRequest = async () => {
+    // One copy of each asset, under the path the documents use
+    const bundle = new Map(convertibleFiles.flatMap(getBundle).map(asset => [asset.fileName, asset]))
+    const overrides = Object.fromEntries(convertibleFiles
+      .filter(file => fileOverrides.has(file))
+      .map(file => [getRelativePath(file), JSON.parse(serializeWithTemplate(fileOverrides.get(file)))]))
+
+    // Relative paths as file names keep results of same-named files in
+    // different folders apart
+    const batchFiles = await Promise.all(convertibleFiles.map(async file => ({
+      file: await prepareUpload(file),
+      fileName: getRelativePath(file)
+    })))
+
+    return {
+      batchFiles,
+      targetFormat,
+      options: serializeWithTemplate(conversionOptions),
+      fileOptions: overrides,
+      assets: [...bundle.values()],
+      templates: getTemplateUploads([conversionOptions, ...convertibleFiles.map(getOptionsFor)])
+    }
+  }
+
+  // Convert all files in a single multipart request (fallback)
+  const convertFilesBatch = async () => {
+    setConverting(true)
+    setResults([])
+    queue.clear()
+    setConversionProgress({ current: 0, total: convertibleFiles.length })
 
     try {
-      const response = await axios.post('/api/conversion/convert-batch', formData, {
-        params: {
-          targetFormat: targetFormat,
-          saveToDownloads: saveToDownloads
-        },
-        headers: {
-          'Content-Type': 'multipart/form-data'
-        },
-        timeout: 300000, // 5 minutes timeout for large files
-        onUploadProgress: (progressEvent) => {
-          const progress = Math.round((progressEvent.loaded * 100) / progressEvent.total)
-          setConversionProgress(prev => ({ ...prev, uploadProgress: progress }))
+      const { batchFiles, ...request } = await prepareBatchRequest()
+      await waitForBackend()
+      const response = await retryWithBackoff(() => converterClient.convertBatch(batchFiles, {
+        ...request,
+        onUploadProgress: (progress) => {
+          setConversionProgress(prev => ({ ...prev, uploadProgress: progress.percent }))
         }
+      }), { onRetry: () => checkBackendHealth(false) })
+
+      const batchResults = response.results.map(r => ({
+        ...r,
+        folder: getPathFolder(r.originalFileName),
+        error: translateApiError(t, r.errorCode, r.error),
+        engine: 'server'
+      }))
+      setResults(batchResults)
+      batchResults.forEach(result => {
+        const source = convertibleFiles.find(f => getRelativePath(f) === result.originalFileName)
+        if (source) recordConversion({ file: source, ...result })
       })
+      setConversionProgress({ current: convertibleFiles.length, total: convertibleFiles.length })
 
-      setResults(response.data.results)
-      setConversionProgress({ current: files.length, total: files.length })
+      if (saveSettings.enabled) {
+        const saved = []
+        for (const result of batchResults) {
+          saved.push(result.success
+            ? { ...result, ...await deliverResult({ ...result, sourceName: result.originalFileName }) }
+            : result)
+        }
+        setResults(saved)
+      }
     } catch (error) {
       console.error('Conversion failed:', error)
-      let errorMessage = 'Conversion failed'
-      if (error.code === 'ECONNABORTED') {
-        errorMessage = 'Request timed out. The file may be too large or the server is busy.'
-      } else if (error.response?.data?.error) {
-        errorMessage = error.response.data.error
-      } else if (error.message) {
-        errorMessage = error.message
-      }
       setResults([{
         success: false,
-        error: errorMessage
+        error: error.kind === 'timeout'
+          ? t('errors.batchTimeout')
+          : describeError(error, t('errors.conversionFailed'))
       }])
     } finally {
       setConverting(false)
@@ -255,64 +774,300 @@ function App() {
     }
   }
 
-  // Convert single file and download
-  const convertSingleFile = async (file) => {
-    // Allow conversion attempt regardless of backend status
-    const formData = new FormData()
-    formData.append('file', file)
+  const followServerJob = (jobId) => {
+    setServerJobId(jobId)
+    storeActiveJobId(jobId)
+  }
+
+  // Upload all files as a background job on the server; its progress is
+  // streamed back and each file's result is fetched as soon as it is done
+  const convertFilesAsJob = async () => {
+    const sources = [...convertibleFiles]
+    setConverting(true)
+    setResults([])
+    queue.clear()
+    setConversionProgress({ current: 0, total: sources.length })
+
+    try {
+      const { batchFiles, ...request } = await prepareBatchRequest()
+      await waitForBackend()
+      const job = await retryWithBackoff(() => converterClient.submitJob(batchFiles, {
+        ...request,
+        onUploadProgress: (progress) => {
+          setConversionProgress(prev => ({ ...prev, uploadProgress: progress.percent }))
+        }
+      }), { onRetry: () => checkBackendHealth(false) })
+      jobSources.current.set(job.id, sources)
+      receivedJobFiles.current.set(job.id, new Set())
+      followServerJob(job.id)
+    } catch (error) {
+      console.error('Could not start the conversion job:', error)
+      setResults([{ success: false, error: describeError(error, t('errors.conversionFailed')) }])
+    } finally {
+      setConverting(false)
+      setConversionProgress({ current: 0, total: 0 })
+    }
+  }
+
+  // Add a finished job file to the results, once. Only jobs started in this
+  // session are collected; after a reload the job panel offers the downloads.
+  const collectJobFile = async (jobId, file) => {
+    const received = receivedJobFiles.current.get(jobId)
+    if (!received || received.has(file.index) || !isFileFinished(file) || file.status === 'cancelled') return
+    received.add(file.index)
+
+    const source = jobSources.current.get(jobId)?.[file.index]
+    const base = { originalFileName: file.fileName, folder: getPathFolder(file.fileName), metadata: file.metadata, engine: 'server' }
+    if (file.status === 'failed') {
+      const error = translateApiError(t, file.errorCode, file.error) || t('errors.conversionFailed')
+      if (source) recordConversion({ file: source, success: false, error })
+      setResults(prev => [...prev, { ...base, success: false, error }])
+      return
+    }
+
+    try {
+      const { blob, fileName } = await converterClient.getJobFile(jobId, file.index)
+      const result = { ...base, success: true, outputFileName: fileName, blob }
+      if (source) recordConversion({ file: source, ...result })
+      const saved = await deliverResult({ ...result, sourceName: file.fileName })
+      setResults(prev => [...prev, { ...result, ...saved }])
+    } catch (error) {
+      console.error('Could not fetch a job result:', error)
+      setResults(prev => [...prev, { ...base, success: false, error: describeError(error, t('errors.downloadFailed')) }])
+    }
+  }
+
+  // The first event after connecting is the whole job, which covers files
+  // that finished before the stream was open
+  const receiveJobEvent = (name, data) => {
+    if (name === 'job') data.files.forEach(file => collectJobFile(data.id, file))
+    else if (name.startsWith('file-')) collectJobFile(serverJobId, data)
+  }
+
+  const cancelServerJob = async () => {
+    try {
+      await converterClient.cancelJob(serverJobId)
+    } catch (error) {
+      console.error('Could not cancel the job:', error)
+      alert(t('serverJob.cancelFailed', { message: describeError(error, t('errors.conversionFailed')) }))
+    }
+  }
 
+  const downloadJobFile = async (file) => {
     try {
-      const response = await axios.post('/api/conversion/convert', formData, {
-        params: {
-          targetFormat: getTargetFormat(file.name),
-          saveToDownloads: true
-        },
-        responseType: 'blob',
-        headers: {
-          'Content-Type': 'multipart/form-data'
-        },
-        timeout: 120000 // 2 minutes timeout
+      const { blob, fileName } = await converterClient.getJobFile(serverJobId, file.index)
+      downloadBlob(blob, fileName)
+    } catch (error) {
+      console.error('Download failed:', error)
+      alert(t('errors.downloadFailedAlert', { message: describeError(error, t('errors.downloadFailed')) }))
+    }
+  }
+
+  // Request conversion of a single file, returns the output blob and file name
+  const requestSingleConversion = async (file, { signal, onUploadProgress } = {}) => {
+    const bundle = getBundle(file)
+    return converterClient.convert(await prepareUpload(file), {
+      targetFormat: getTargetFormat(file.name),
+      // With assets the server resolves references against the document's folder
+      fileName: bundle.length > 0 ? getRelativePath(file) : file.name,
+      options: usesLayoutOptions(file.name) ? serializeWithTemplate(getOptionsFor(file)) : undefined,
+      assets: bundle,
+      templates: usesLayoutOptions(file.name) ? getTemplateUploads([getOptionsFor(file)]) : undefined,
+      signal,
+      timeout: 120000, // 2 minutes timeout
+      onUploadProgress: onUploadProgress && ((progress) => {
+        onUploadProgress(progress.percent ?? Math.round((progress.loaded * 100) / (file.size || 1)))
       })
+    })
+  }
 
-      // Create download link
-      const url = window.URL.createObjectURL(new Blob([response.data]))
-      const link = document.createElement('a')
-      const contentDisposition = response.headers['content-disposition']
-      let fileName = file.name.replace(/\.[^/.]+$/, '') + '.md'
+  // Build a user-facing message from a failed request (ConversionApiError)
+  const describeError = (error, fallback) => {
+    if (error.kind === 'timeout') return t('errors.timeout')
+    return translateApiError(t, error.code, error.message) || fallback
+  }
 
-      if (contentDisposition) {
-        const fileNameMatch = contentDisposition.match(/filename="?(.+)"?/i)
-        if (fileNameMatch) {
-          fileName = fileNameMatch[1]
-        }
-      }
+  // One-line summary of a result's ConversionMetadata
+  const describeMetadata = (metadata) => {
+    const seconds = parseProcessingTime(metadata.processingTime)
+    return [
+      metadata.pageCount > 0 && t('summary.pages', { count: metadata.pageCount }),
+      metadata.wordCount > 0 && t('summary.words', { count: metadata.wordCount }),
+      metadata.characterCount > 0 && t('summary.characters', { count: metadata.characterCount }),
+      seconds !== null && formatDuration(seconds)
+    ].filter(Boolean).join(' · ')
+  }
 
-      link.href = url
-      link.setAttribute('download', fileName)
-      document.body.appendChild(link)
-      link.click()
-      link.remove()
-      window.URL.revokeObjectURL(url)
+  // Convert single file and download, or save it to the destination when automatic saving is on
+  const convertSingleFile = async (file) => {
+    try {
+      await prepareDestination()
+      await waitForBackend()
+      const { blob, fileName, metadata } = await retryWithBackoff(() => requestSingleConversion(file), {
+        onRetry: () => checkBackendHealth(false)
+      })
+      const saved = await deliverResult({ blob, outputFileName: fileName, sourceName: file.name, folder: getFolder(file) })
+      if (!saved.savedPath) downloadBlob(blob, fileName)
+      recordConversion({ file, success: true, outputFileName: fileName, blob, metadata })
     } catch (error) {
       console.error('Download failed:', error)
-      let errorMessage = error.response?.data?.error || error.message || 'Download failed'
-      if (error.code === 'ECONNABORTED') {
-        errorMessage = 'Request timed out. Please try again.'
+      const errorMessage = describeError(error, t('errors.downloadFailed'))
+      recordConversion({ file, success: false, error: errorMessage })
+      alert(t('errors.downloadFailedAlert', { message: errorMessage }))
+    }
+  }
+
+  // Convert one Markdown file in the browser: standalone HTML or PDF via print
+  const convertInBrowser = async (file, format) => {
+    const base = { originalFileName: getRelativePath(file), folder: getFolder(file), engine: 'browser' }
+    try {
+      if (format === 'html') {
+        const { blob, fileName } = await convertMarkdownToHtml(file, getOptionsFor(file), locale)
+        recordConversion({ file, success: true, outputFileName: fileName, blob, targetFormat: 'html' })
+        return { ...base, success: true, outputFileName: fileName, blob }
       }
-      alert('Download failed: ' + errorMessage)
+      const { fileName } = await printMarkdownToPdf(file, getOptionsFor(file), locale)
+      recordConversion({ file, success: true, outputFileName: fileName, targetFormat: 'pdf' })
+      return { ...base, success: true, outputFileName: fileName, printed: true }
+    } catch (error) {
+      console.error('Browser conversion failed:', error)
+      const message = error.message || t('fallback.failed')
+      recordConversion({ file, success: false, error: message, targetFormat: format })
+      return { ...base, success: false, error: message }
     }
   }
 
-  // Format elapsed time
-  const formatElapsedTime = (seconds) => {
-    if (seconds < 60) return `${seconds}s`
-    const mins = Math.floor(seconds / 60)
-    const secs = seconds % 60
-    return `${mins}m ${secs}s`
+  // Fallback while the server is down or asleep; only Markdown sources can be
+  // converted locally, everything else is reported as needing the server
+  const convertFilesInBrowser = async (format) => {
+    await prepareDestination()
+    setConverting(true)
+    queue.clear()
+    setResults([])
+    const browserResults = []
+    for (const file of convertibleFiles) {
+      if (getFileType(file.name) !== 'markdown') {
+        browserResults.push({
+          originalFileName: getRelativePath(file),
+          folder: getFolder(file),
+          success: false,
+          error: t('fallback.markdownOnly'),
+          engine: 'browser'
+        })
+        continue
+      }
+      const result = await convertInBrowser(file, format)
+      browserResults.push({ ...result, ...await deliverResult({ ...result, sourceName: file.name }) })
+    }
+    setResults(browserResults)
+    setConverting(false)
+  }
+
+  // Editor fallback: export or print the draft directly
+  const convertEditorInBrowser = async (file, format) => {
+    const result = await convertInBrowser(file, format)
+    if (result.blob) downloadBlob(result.blob, result.outputFileName)
+    if (!result.success) alert(t('errors.conversionFailedAlert', { message: result.error }))
+  }
+
+  // Convert a file to Markdown and open it in the preview drawer
+  const previewFile = async (file) => {
+    const cached = previewCache.current.get(file)
+    if (cached) {
+      setPreview(cached)
+      return
+    }
+
+    setPreview({ fileName: file.name, loading: true })
+    try {
+      await waitForBackend()
+      const { blob, fileName } = await requestSingleConversion(file)
+      const entry = { fileName, blob, content: await blob.text() }
+      previewCache.current.set(file, entry)
+      setPreview(entry)
+    } catch (error) {
+      console.error('Preview failed:', error)
+      setPreview({
+        fileName: file.name,
+        error: describeError(error, t('errors.previewFailed'))
+      })
+    }
   }
 
-  // Estimated wake time for Render free tier (seconds)
-  const ESTIMATED_WAKE_TIME = 35
+  // Fidelity check: convert a Markdown or Word file there and back and compare
+  // the Markdown. Title page and table of contents are left out, since they
+  // would come back as content the original does not have.
+  const checkFidelity = async (file) => {
+    setFidelityCheck({ fileName: file.name, loading: true })
+    try {
+      await waitForBackend()
+      const options = { ...getOptionsFor(file), includeTitlePage: false, includeTableOfContents: false }
+      const bundle = getBundle(file)
+      const source = await prepareUpload(file)
+      const result = await runRoundTrip(source, (blob, fileName, format) => converterClient.convert(blob, {
+        targetFormat: format,
+        // With assets the server resolves references against the document's folder
+        fileName: fileName === file.name && bundle.length > 0 ? getRelativePath(file) : fileName,
+        options: format === 'docx' ? serializeWithTemplate(options) : undefined,
+        assets: format === 'docx' ? bundle : undefined,
+        templates: format === 'docx' ? getTemplateUploads([options]) : undefined,
+        timeout: 120000
+      }))
+      setFidelityCheck({ fileName: file.name, ...result })
+    } catch (error) {
+      console.error('Fidelity check failed:', error)
+      setFidelityCheck({ fileName: file.name, error: describeError(error, t('fidelity.failed')) })
+    }
+  }
+
+  // Preview a batch result, falling back to re-converting its source file
+  const previewResult = async (result) => {
+    if (result.blob) {
+      setPreview({ fileName: result.outputFileName, blob: result.blob, content: await result.blob.text() })
+      return
+    }
+    const source = files.find(f => getRelativePath(f) === result.originalFileName)
+    if (source) previewFile(source)
+  }
+
+  // Copy a Markdown result as its source text or as formatted text
+  const copyResult = async (result, kind) => {
+    try {
+      const markdown = await result.blob.text()
+      await (kind === 'rich' ? copyRichText(markdown) : copyMarkdown(markdown))
+      setCopiedResult({ result, kind })
+      setTimeout(() => setCopiedResult(current => (current?.result === result ? null : current)), 2000)
+    } catch (error) {
+      console.error('Copy failed:', error)
+    }
+  }
+
+  const isCopied = (result, kind) => copiedResult?.result === result && copiedResult.kind === kind
+
+  // Download a single result
+  const downloadResult = (result) => {
+    downloadBlob(result.blob, result.outputFileName)
+  }
+
+  // Download every successful batch result as one ZIP archive
+  const downloadAllResults = async () => {
+    const entries = allResults
+      .filter(r => r.success && r.blob)
+      .map(r => ({ name: joinPath(r.folder, r.outputFileName), blob: r.blob }))
+    if (entries.length === 0) return
+
+    setZipping(true)
+    try {
+      const zip = await buildZip(entries)
+      const stamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '')
+      downloadBlob(zip, `md-converter360-${stamp}.zip`)
+    } catch (error) {
+      console.error('ZIP creation failed:', error)
+      alert(t('errors.zipFailed', { message: error.message }))
+    } finally {
+      setZipping(false)
+    }
+  }
 
   // Get wake progress percentage
   const getWakeProgress = () => {
@@ -326,31 +1081,31 @@ function App() {
     switch (backendStatus) {
       case BACKEND_STATUS.ONLINE:
         return (
-          <div className="status-indicator online">
+          <button className="status-indicator online" onClick={() => setShowDiagnostics(true)} title={t('diagnostics.open')}>
             <Wifi size={16} />
-            <span>Online</span>
-          </div>
+            <span>{t('status.online')}</span>
+          </button>
         )
       case BACKEND_STATUS.WAKING:
         return (
-          <div className="status-indicator waking">
+          <button className="status-indicator waking" onClick={() => setShowDiagnostics(true)} title={t('diagnostics.open')}>
             <Clock size={16} className="spinner-slow" />
-            <span>Waking up... {formatElapsedTime(wakeElapsed)}</span>
-          </div>
+            <span>{t('status.waking', { time: formatElapsedTime(wakeElapsed) })}</span>
+          </button>
         )
       case BACKEND_STATUS.OFFLINE:
         return (
-          <div className="status-indicator offline">
+          <button className="status-indicator offline" onClick={() => setShowDiagnostics(true)} title={t('diagnostics.open')}>
             <WifiOff size={16} />
-            <span>Offline</span>
-          </div>
+            <span>{t('status.offline')}</span>
+          </button>
         )
       default:
         return (
-          <div className="status-indicator checking">
+          <button className="status-indicator checking" onClick={() => setShowDiagnostics(true)} title={t('diagnostics.open')}>
             <Loader2 size={16} className="spinner" />
-            <span>Connecting...</span>
-          </div>
+            <span>{t('status.connecting')}</span>
+          </button>
         )
     }
   }
@@ -369,11 +1124,16 @@ function App() {
             <Loader2 size={24} className="spinner" />
           </div>
           <div className="wake-banner-text">
-            <h4>☕ Serverul se trezește...</h4>
+            <h4>{t('wake.title')}</h4>
             <p>
-              Folosim hosting gratuit (Render Free Tier) care adoarme după 15 minute de inactivitate.
-              {remainingTime > 0 && ` Estimare: ~${remainingTime}s`}
+              {t('wake.description')}
+              {remainingTime > 0 && ` ${t('wake.estimate', { time: formatElapsedTime(remainingTime) })}`}
             </p>
+            {pendingCount > 0 && (
+              <p className="wake-banner-pending">
+                {t('wake.pending', { count: pendingCount })}
+              </p>
+            )}
           </div>
           <div className="wake-banner-timer">
             <Clock size={18} />
@@ -390,8 +1150,43 @@ function App() {
     )
   }
 
-  const successCount = results.filter(r => r.success).length
-  const errorCount = results.filter(r => !r.success).length
+  // Issue counts for a Markdown file; opens the full report
+  const renderPreflightBadge = (file, report) => {
+    if (!report) {
+      return <span className="preflight-badge checking">{t('preflight.checking')}</span>
+    }
+    const { errors, warnings } = countIssues(report.issues)
+    const level = errors > 0 ? 'error' : warnings > 0 ? 'warning' : 'ok'
+    const label = level === 'ok'
+      ? t('preflight.ok')
+      : [
+          errors > 0 && t('preflight.errors', { count: errors }),
+          warnings > 0 && t('preflight.warnings', { count: warnings })
+        ].filter(Boolean).join(' · ')
+    return (
+      <button
+        className={`preflight-badge ${level}`}
+        onClick={(e) => {
+          e.stopPropagation()
+          setOpenReport(openReport === file ? null : file)
+        }}
+        title={t('preflight.showReport')}
+      >
+        {level === 'ok' ? <CheckCircle size={12} /> : <AlertTriangle size={12} />}
+        {label}
+        {report.blocked && ` · ${t('preflight.blocked')}`}
+      </button>
+    )
+  }
+
+  const successCount = allResults.filter(r => r.success).length
+  const errorCount = allResults.filter(r => !r.success).length
+  const downloadableCount = allResults.filter(r => r.success && r.blob).length
+  const queueFinished = queue.jobs.filter(j => !isJobActive(j)).length
+  const serverUnavailable = backendStatus === BACKEND_STATUS.OFFLINE || backendStatus === BACKEND_STATUS.WAKING
+  const markdownFileCount = convertibleFiles.filter(f => getFileType(f.name) === 'markdown').length
+  const pendingCount = waitingRequests +
+    (backendReady ? 0 : queue.jobs.filter(j => j.status === JOB_STATUS.QUEUED).length)
 
   return (
     <div className={`app ${darkMode ? 'dark' : 'light'}`}>
@@ -403,11 +1198,24 @@ function App() {
             </div>
             <h1>MD.converter360</h1>
           </div>
-          <p className="subtitle">Convert PDF, Word to Markdown and vice versa</p>
+          <p className="subtitle">{t('header.subtitle')}</p>
         </div>
         <div className="header-controls">
           {getStatusIndicator()}
-          <button className="theme-toggle" onClick={toggleDarkMode} title="Toggle theme">
+          <div className="language-switcher" role="group" aria-label={t('header.language')}>
+            {LOCALES.map(option => (
+              <button
+                key={option.code}
+                className={locale === option.code ? 'active' : ''}
+                onClick={() => setLocale(option.code)}
+                title={option.label}
+                lang={option.code}
+              >
+                {option.short}
+              </button>
+            ))}
+          </div>
+          <button className="theme-toggle" onClick={toggleDarkMode} title={t('header.toggleTheme')}>
             {darkMode ? <Sun size={20} /> : <Moon size={20} />}
           </button>
         </div>
@@ -416,119 +1224,447 @@ function App() {
       <WakeUpBanner />
 
       <main className="main">
-        {/* Drop Zone */}
-        <div
-          className={`drop-zone ${dragActive ? 'active' : ''}`}
-          onDragEnter={handleDrag}
-          onDragLeave={handleDrag}
-          onDragOver={handleDrag}
-          onDrop={handleDrop}
-          onClick={() => fileInputRef.current?.click()}
-        >
-          <input
-            ref={fileInputRef}
-            type="file"
-            multiple
-            accept=".pdf,.docx,.doc,.odt,.md,.markdown"
-            onChange={handleFileSelect}
-            style={{ display: 'none' }}
+        {/* Input Mode Tabs */}
+        <div className="mode-tabs">
+          <button
+            className={`mode-tab ${inputMode === 'files' ? 'active' : ''}`}
+            onClick={() => changeInputMode('files')}
+          >
+            <Upload size={16} />
+            {t('tabs.files')}
+          </button>
+          <button
+            className={`mode-tab ${inputMode === 'editor' ? 'active' : ''}`}
+            onClick={() => changeInputMode('editor')}
+          >
+            <PenLine size={16} />
+            {t('tabs.editor')}
+          </button>
+          <button
+            className={`mode-tab ${inputMode === 'history' ? 'active' : ''}`}
+            onClick={() => changeInputMode('history')}
+          >
+            <History size={16} />
+            {t('tabs.history')}
+          </button>
+        </div>
+
+        {/* Conversion History */}
+        {inputMode === 'history' && (
+          <SessionStatsPanel
+            stats={sessionStats}
+            onClear={() => setSessionStats(clearSessionStats())}
+          />
+        )}
+        {inputMode === 'history' && (
+          <HistoryPanel
+            refreshKey={historyVersion}
+            onReconvert={reconvertFromHistory}
           />
-          <div className="upload-icon-wrapper">
-            <Upload size={48} className="upload-icon" />
-            <div className="pulse-ring"></div>
+        )}
+
+        {/* Markdown Editor */}
+        {inputMode === 'editor' && (
+          <MarkdownEditor
+            targetFormat={targetFormat}
+            disabled={busy}
+            onConvert={convertSingleFile}
+            offline={serverUnavailable}
+            onBrowserConvert={convertEditorInBrowser}
+          />
+        )}
+
+        {/* Drop Zone */}
+        {inputMode === 'files' && (
+          <div
+            className={`drop-zone ${dragActive ? 'active' : ''}`}
+            onDragEnter={handleDrag}
+            onDragLeave={handleDrag}
+            onDragOver={handleDrag}
+            onDrop={handleDrop}
+            onClick={() => fileInputRef.current?.click()}
+          >
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept={`${formatHelpers.accept},.zip,${ASSET_EXTENSIONS.join(',')}`}
+              onChange={handleFileSelect}
+              style={{ display: 'none' }}
+            />
+            <input
+              ref={folderInputRef}
+              type="file"
+              webkitdirectory=""
+              onChange={handleFileSelect}
+              style={{ display: 'none' }}
+            />
+            <div className="upload-icon-wrapper">
+              <Upload size={48} className="upload-icon" />
+              <div className="pulse-ring"></div>
+            </div>
+            <h3>{t('dropZone.title')}</h3>
+            <p>{t('dropZone.subtitle')}</p>
+            <p className="drop-zone-hint">{t('dropZone.paste')}</p>
+            <button
+              className="btn-select-folder"
+              onClick={(e) => {
+                e.stopPropagation()
+                folderInputRef.current?.click()
+              }}
+            >
+              <FolderOpen size={16} />
+              {t('dropZone.selectFolder')}
+            </button>
+            <div className="formats-container">
+              {formatHelpers.badges.map(badge => (
+                <span key={badge.label} className={`format-badge ${badge.category}`} title={badge.description}>
+                  {badge.label}
+                </span>
+              ))}
+            </div>
           </div>
-          <h3>Drop your files here</h3>
-          <p>or click to browse</p>
-          <div className="formats-container">
-            <span className="format-badge pdf">PDF</span>
-            <span className="format-badge word">DOCX</span>
-            <span className="format-badge word">DOC</span>
-            <span className="format-badge odt">ODT</span>
-            <span className="format-badge markdown">MD</span>
+        )}
+
+        {/* Rejected Files */}
+        {inputMode === 'files' && rejectedFiles.length > 0 && (
+          <div className="rejected-files">
+            <div className="rejected-header">
+              <AlertTriangle size={16} />
+              <span>
+                {t('rejected.title', { count: rejectedFiles.length })}
+              </span>
+              <button className="btn-action remove" onClick={() => setRejectedFiles([])} title={t('rejected.dismiss')}>
+                <XCircle size={16} />
+              </button>
+            </div>
+            <ul>
+              {rejectedFiles.map((rejected, index) => (
+                <li key={index}>
+                  <span className="rejected-name">{rejected.name}</span>
+                  <span className="rejected-reason">{t(rejected.reason.key, rejected.reason.params)}</span>
+                </li>
+              ))}
+            </ul>
           </div>
-        </div>
+        )}
 
         {/* Options */}
         <div className="options">
           <div className="option-card">
-            <label>Output for Markdown:</label>
+            <label>{t('options.outputForMarkdown')}</label>
             <select
               value={targetFormat}
               onChange={(e) => setTargetFormat(e.target.value)}
-              disabled={converting}
+              disabled={busy}
+            >
+              {formatHelpers.markdownTargets.map(format => (
+                <option key={format} value={format}>{formatHelpers.getOutputLabel(format)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="option-card">
+            <label>{t('options.processing')}</label>
+            <select
+              value={processingMode}
+              onChange={(e) => changeProcessingMode(e.target.value)}
+              disabled={busy}
             >
-              <option value="pdf">PDF</option>
-              <option value="docx">Word (DOCX)</option>
+              <option value="queue">{t('options.queue')}</option>
+              <option value="batch">{t('options.batch')}</option>
+              <option value="job">{t('options.serverJob')}</option>
             </select>
+            {processingMode === 'queue' && (
+              <select
+                value={concurrency}
+                onChange={(e) => changeConcurrency(Number(e.target.value))}
+                title={t('options.parallel')}
+              >
+                {[1, 2, 3, 4, 6].map(n => (
+                  <option key={n} value={n}>{t('options.atATime', { count: n })}</option>
+                ))}
+              </select>
+            )}
           </div>
-          <div className="option-card checkbox" onClick={() => !converting && setSaveToDownloads(!saveToDownloads)}>
+          <div
+            className="option-card checkbox"
+            onClick={() => !busy && changeSaveSettings({ ...saveSettings, enabled: !saveSettings.enabled })}
+          >
             <input
               type="checkbox"
-              id="saveToDownloads"
-              checked={saveToDownloads}
-              onChange={(e) => setSaveToDownloads(e.target.checked)}
-              disabled={converting}
+              id="autoSave"
+              checked={saveSettings.enabled}
+              onChange={(e) => changeSaveSettings({ ...saveSettings, enabled: e.target.checked })}
+              disabled={busy}
             />
-            <label htmlFor="saveToDownloads">
+            <label htmlFor="autoSave">
               <FolderDown size={18} />
-              Auto-save to Downloads
+              {t('options.autoSave')}
             </label>
           </div>
         </div>
 
+        {/* Layout Options */}
+        {inputMode !== 'history' && (
+          <ConversionOptionsPanel
+            title={t('layout.title')}
+            options={conversionOptions}
+            onChange={changeConversionOptions}
+            templates={templates}
+            disabled={busy}
+          />
+        )}
+
+        {inputMode !== 'history' && (
+          <TemplateManager templates={templates} onChange={setTemplates} disabled={busy} />
+        )}
+
+        {inputMode !== 'history' && saveSettings.enabled && (
+          <SaveDestinationPanel
+            settings={saveSettings}
+            onChange={changeSaveSettings}
+            folder={outputFolder}
+            onPickFolder={chooseOutputFolder}
+            onForgetFolder={useBrowserDownloads}
+            disabled={busy}
+          />
+        )}
+
+        {/* Per-file Layout Override */}
+        {inputMode === 'files' && editingFile && fileOverrides.has(editingFile) && (
+          <ConversionOptionsPanel
+            key={editingFile.name}
+            title={t('layout.customFor')}
+            subtitle={editingFile.name}
+            options={fileOverrides.get(editingFile)}
+            onChange={(options) => changeFileOptions(editingFile, options)}
+            onResetOverride={() => resetFileOptions(editingFile)}
+            templates={templates}
+            disabled={busy}
+            defaultOpen
+          />
+        )}
+
+        {/* Document Properties */}
+        {inputMode === 'files' && editingFrontMatter && preflight.has(editingFrontMatter) && (
+          <FrontMatterEditor
+            key={getRelativePath(editingFrontMatter)}
+            fileName={editingFrontMatter.name}
+            value={getFrontMatterFor(editingFrontMatter)}
+            original={getOriginalFrontMatter(editingFrontMatter)}
+            onChange={(fields) => changeFrontMatter(editingFrontMatter, fields)}
+            onReset={() => resetFrontMatter(editingFrontMatter)}
+            onClose={() => setEditingFrontMatter(null)}
+            disabled={busy}
+          />
+        )}
+
         {/* File List */}
         {files.length > 0 && (
           <div className="file-list">
             <div className="file-list-header">
               <h3>
-                Files to convert
+                {t('fileList.title')}
                 <span className="file-count">{files.length}</span>
               </h3>
               <button className="btn-clear" onClick={clearFiles} disabled={converting}>
                 <Trash2 size={16} />
-                Clear all
+                {t('fileList.clearAll')}
               </button>
             </div>
             <ul>
-              {files.map((file, index) => (
-                <li key={index} className="file-item">
-                  <div className="file-info">
-                    <div className={`file-icon-wrapper ${getFileType(file.name)}`}>
-                      <FileType2 size={20} />
-                    </div>
-                    <div className="file-details">
-                      <span className="file-name">{file.name}</span>
-                      <span className="file-meta">{formatSize(file.size)}</span>
-                    </div>
-                    <div className="conversion-arrow">
-                      <ArrowRight size={16} className="arrow-icon" />
-                      <span className="file-target">{getTargetFormat(file.name)}</span>
-                    </div>
-                  </div>
-                  <div className="file-actions">
-                    <button
-                      className="btn-action download"
-                      onClick={(e) => {
-                        e.stopPropagation()
-                        convertSingleFile(file)
-                      }}
-                      disabled={converting}
-                      title="Convert & Download"
-                    >
-                      <Download size={16} />
-                    </button>
-                    <button
-                      className="btn-action remove"
-                      onClick={(e) => {
-                        e.stopPropagation()
-                        removeFile(index)
-                      }}
-                      disabled={converting}
-                      title="Remove"
-                    >
-                      <XCircle size={16} />
-                    </button>
-                  </div>
+              {groupByFolder(files).map(group => (
+                <Fragment key={group.folder}>
+                  {group.folder && (
+                    <li className="folder-header">
+                      <Folder size={16} />
+                      <span>{group.folder}</span>
+                      <span className="file-count">{group.items.length}</span>
+                    </li>
+                  )}
+                  {group.items.map(({ file, index }) => {
+                    const job = jobsByFile.get(file)
+                    const report = getPreflightReport(file)
+                    return (
+                      <li
+                        key={index}
+                        className={`file-item ${job ? `job-${job.status}` : ''} ${openReport === file ? 'expanded' : ''} ${report?.blocked ? 'blocked' : ''}`}
+                      >
+                        <div className="file-info">
+                          <div className={`file-icon-wrapper ${getFileType(file.name)}`}>
+                            <FileType2 size={20} />
+                          </div>
+                          <div className="file-details">
+                            <span className="file-name">{file.name}</span>
+                            <span className="file-meta">
+                              {formatSize(file.size)}
+                              {job?.status === JOB_STATUS.UPLOADING && ` · ${job.progress}%`}
+                              {job?.status === JOB_STATUS.FAILED && ` · ${job.error}`}
+                            </span>
+                            {isMarkdownFile(file.name) && renderPreflightBadge(file, report)}
+                            {report && getBundle(file).length > 0 && (
+                              <span className="file-assets">
+                                <ImageIcon size={12} />
+                                {t('assets.bundled', { count: getBundle(file).length })}
+                              </span>
+                            )}
+                          </div>
+                          {job && (
+                            <span className={`job-status ${job.status}`}>
+                              {(job.status === JOB_STATUS.UPLOADING || job.status === JOB_STATUS.CONVERTING) && (
+                                <Loader2 size={12} className="spinner" />
+                              )}
+                              {t(`jobStatus.${job.status}`)}
+                            </span>
+                          )}
+                          <div className="conversion-arrow">
+                            <ArrowRight size={16} className="arrow-icon" />
+                            <span className="file-target">{getTargetFormat(file.name)}</span>
+                          </div>
+                        </div>
+                        <div className="file-actions">
+                          {job && isJobActive(job) && (
+                            <button
+                              className="btn-action remove"
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                queue.cancel(job.id)
+                              }}
+                              title={t('fileList.cancel')}
+                            >
+                              <Ban size={16} />
+                            </button>
+                          )}
+                          {(job?.status === JOB_STATUS.FAILED || job?.status === JOB_STATUS.CANCELLED) && (
+                            <button
+                              className="btn-action retry"
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                queue.retry(job.id)
+                              }}
+                              title={t('fileList.retry')}
+                            >
+                              <RotateCcw size={16} />
+                            </button>
+                          )}
+                          {usesLayoutOptions(file.name) && (
+                            <button
+                              className={`btn-action options ${frontMatterOverrides.has(file) ? 'active' : ''}`}
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                setEditingFrontMatter(editingFrontMatter === file ? null : file)
+                              }}
+                              disabled={busy || !report}
+                              title={t('fileList.editProperties')}
+                            >
+                              <Tags size={16} />
+                            </button>
+                          )}
+                          {usesLayoutOptions(file.name) && (
+                            <button
+                              className={`btn-action options ${fileOverrides.has(file) ? 'active' : ''}`}
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                editFileOptions(file)
+                              }}
+                              disabled={busy}
+                              title={fileOverrides.has(file) ? t('fileList.editLayout') : t('fileList.customLayout')}
+                            >
+                              <SlidersHorizontal size={16} />
+                            </button>
+                          )}
+                          {supportsRoundTrip(file.name) && (
+                            <button
+                              className="btn-action preview"
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                checkFidelity(file)
+                              }}
+                              disabled={converting}
+                              title={t('fileList.checkFidelity')}
+                            >
+                              <GitCompareArrows size={16} />
+                            </button>
+                          )}
+                          {getTargetFormat(file.name) === 'md' && (
+                            <button
+                              className="btn-action preview"
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                previewFile(file)
+                              }}
+                              disabled={converting}
+                              title={t('fileList.previewMarkdown')}
+                            >
+                              <Eye size={16} />
+                            </button>
+                          )}
+                          <button
+                            className="btn-action download"
+                            onClick={(e) => {
+                              e.stopPropagation()
+                              convertSingleFile(file)
+                            }}
+                            disabled={converting}
+                            title={t('fileList.convertDownload')}
+                          >
+                            <Download size={16} />
+                          </button>
+                          <button
+                            className="btn-action remove"
+                            onClick={(e) => {
+                              e.stopPropagation()
+                              removeFile(index)
+                            }}
+                            disabled={converting}
+                            title={t('fileList.remove')}
+                          >
+                            <XCircle size={16} />
+                          </button>
+                        </div>
+                        {openReport === file && report && (
+                          <PreflightReport
+                            report={report}
+                            onChangeBlocked={(blocked) => changeBlocked(file, blocked)}
+                            disabled={busy}
+                          />
+                        )}
+                      </li>
+                    )
+                  })}
+                </Fragment>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Assets */}
+        {assets.length > 0 && (
+          <div className="asset-list">
+            <div className="file-list-header">
+              <h3>
+                <ImageIcon size={18} />
+                {t('assets.title')}
+                <span className="file-count">{assets.length}</span>
+              </h3>
+              <button className="btn-clear" onClick={() => setAssets([])} disabled={busy}>
+                <Trash2 size={16} />
+                {t('fileList.clearAll')}
+              </button>
+            </div>
+            <p className="asset-hint">{t('assets.hint')}</p>
+            {pastedAsset && (
+              <p className="asset-hint pasted">{t('assets.pastedNote', { name: getRelativePath(pastedAsset) })}</p>
+            )}
+            <ul>
+              {assets.map(asset => (
+                <li key={getRelativePath(asset)} className={`asset-chip ${pastedAssets.has(asset) ? 'pasted' : ''}`}>
+                  <span title={getRelativePath(asset)}>{getRelativePath(asset)}</span>
+                  {pastedAssets.has(asset) && <span className="asset-badge">{t('assets.pasted')}</span>}
+                  <span className="asset-size">{formatSize(asset.size)}</span>
+                  <button onClick={() => removeAsset(asset)} disabled={busy} title={t('fileList.remove')}>
+                    <X size={14} />
+                  </button>
                 </li>
               ))}
             </ul>
@@ -539,22 +1675,43 @@ function App() {
         {files.length > 0 && (
           <div className="convert-section">
             <button
-              className="btn-convert"
+              className={`btn-convert ${pendingCount > 0 ? 'waiting' : ''}`}
               onClick={convertFiles}
-              disabled={converting || files.length === 0}
+              disabled={busy || convertibleFiles.length === 0 || preflightPending}
             >
-              {converting ? (
+              {pendingCount > 0 ? (
+                <>
+                  <Clock size={20} className="spinner-slow" />
+                  {t('convert.waiting', { count: pendingCount })}
+                </>
+              ) : converting ? (
+                <>
+                  <Loader2 size={20} className="spinner" />
+                  {t('convert.converting')} {conversionProgress.uploadProgress ? `(${conversionProgress.uploadProgress}%)` : ''}
+                </>
+              ) : queueActive ? (
                 <>
                   <Loader2 size={20} className="spinner" />
-                  Converting... {conversionProgress.uploadProgress ? `(${conversionProgress.uploadProgress}%)` : ''}
+                  {t('convert.converting')} ({queueFinished}/{queue.jobs.length})
+                </>
+              ) : serverJobActive ? (
+                <>
+                  <Loader2 size={20} className="spinner" />
+                  {t('convert.converting')} ({countFinishedFiles(serverJob.job)}/{serverJob.job.files.length})
                 </>
               ) : (
                 <>
                   <RefreshCw size={20} />
-                  Convert All Files
+                  {t('convert.convertAll')}
                 </>
               )}
             </button>
+            {blockedCount > 0 && (
+              <p className="preflight-blocked-note">
+                <Ban size={14} />
+                {t('preflight.blockedCount', { count: blockedCount })}
+              </p>
+            )}
             {converting && (
               <div className="conversion-progress-bar">
                 <div
@@ -563,31 +1720,80 @@ function App() {
                 ></div>
               </div>
             )}
+            {queueActive && (
+              <div className="conversion-progress-bar">
+                <div
+                  className="conversion-progress-fill"
+                  style={{ width: `${(queueFinished / queue.jobs.length) * 100}%` }}
+                ></div>
+              </div>
+            )}
+            {serverUnavailable && markdownFileCount > 0 && (
+              <div className="browser-fallback">
+                <p>
+                  <Globe size={16} />
+                  {t('fallback.message', { count: markdownFileCount })}
+                </p>
+                <div className="browser-fallback-actions">
+                  <button className="btn-drawer" onClick={() => convertFilesInBrowser('html')} disabled={busy}>
+                    <FileText size={16} />
+                    {t('fallback.exportHtml')}
+                  </button>
+                  <button className="btn-drawer" onClick={() => convertFilesInBrowser('pdf')} disabled={busy}>
+                    <Printer size={16} />
+                    {t('fallback.printPdf')}
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
         )}
 
+        {/* Server Job */}
+        {serverJobId && (
+          <ServerJobPanel
+            job={serverJob.job}
+            error={serverJob.error}
+            onCancel={cancelServerJob}
+            onDismiss={() => followServerJob(null)}
+            onDownload={downloadJobFile}
+            describeMetadata={describeMetadata}
+          />
+        )}
+
         {/* Results */}
-        {results.length > 0 && (
+        {allResults.length > 0 && (
           <div className="results">
             <div className="results-header">
-              <h3>Conversion Results</h3>
+              <h3>{t('results.title')}</h3>
               <div className="results-stats">
                 {successCount > 0 && (
                   <span className="stat-badge success">
                     <CheckCircle size={14} />
-                    {successCount} success
+                    {t('results.success', { count: successCount })}
                   </span>
                 )}
                 {errorCount > 0 && (
                   <span className="stat-badge error">
                     <XCircle size={14} />
-                    {errorCount} failed
+                    {t('results.failed', { count: errorCount })}
                   </span>
                 )}
               </div>
+              {downloadableCount > 0 && (
+                <button
+                  className="btn-download-all"
+                  onClick={downloadAllResults}
+                  disabled={zipping}
+                >
+                  {zipping ? <Loader2 size={16} className="spinner" /> : <Archive size={16} />}
+                  {t('results.downloadAll')}
+                </button>
+              )}
             </div>
+            <ResultsSummary results={allResults} />
             <ul>
-              {results.map((result, index) => (
+              {allResults.map((result, index) => (
                 <li key={index} className={`result-item ${result.success ? 'success' : 'error'}`}>
                   <div className="result-icon-wrapper">
                     {result.success ? (
@@ -597,18 +1803,74 @@ function App() {
                     )}
                   </div>
                   <div className="result-info">
-                    <span className="result-file">{result.originalFileName || 'Unknown'}</span>
+                    <span className="result-file">
+                      {result.originalFileName || t('results.unknown')}
+                      {result.engine && (
+                        <span className={`engine-badge ${result.engine}`}>{t(`engine.${result.engine}`)}</span>
+                      )}
+                    </span>
                     {result.success ? (
                       <>
                         <span className="result-output">{result.outputFileName}</span>
-                        {result.savedPath && (
-                          <span className="result-path">{result.savedPath}</span>
+                        {result.metadata && (
+                          <span className="result-metadata">{describeMetadata(result.metadata)}</span>
+                        )}
+                        {result.saveStatus && (
+                          <span className={`result-path save-${result.saveStatus}`}>
+                            {t(`saveDestination.status.${result.saveStatus}`, {
+                              path: result.savedPath,
+                              message: result.saveError
+                            })}
+                          </span>
+                        )}
+                        {result.printed && (
+                          <span className="result-path">{t('fallback.printed')}</span>
                         )}
                       </>
                     ) : (
                       <span className="result-error">{result.error}</span>
                     )}
                   </div>
+                  {result.success && (
+                    <div className="file-actions">
+                      {result.outputFileName?.endsWith('.md') && (
+                        <button
+                          className="btn-action preview"
+                          onClick={() => previewResult(result)}
+                          title={t('fileList.previewMarkdown')}
+                        >
+                          <Eye size={16} />
+                        </button>
+                      )}
+                      {result.outputFileName?.endsWith('.md') && result.blob && (
+                        <>
+                          <button
+                            className="btn-action preview"
+                            onClick={() => copyResult(result, 'markdown')}
+                            title={t('results.copyMarkdown')}
+                          >
+                            {isCopied(result, 'markdown') ? <Check size={16} /> : <ClipboardCopy size={16} />}
+                          </button>
+                          <button
+                            className="btn-action preview"
+                            onClick={() => copyResult(result, 'rich')}
+                            title={t('results.copyRichText')}
+                          >
+                            {isCopied(result, 'rich') ? <Check size={16} /> : <ClipboardType size={16} />}
+                          </button>
+                        </>
+                      )}
+                      {result.blob && (
+                        <button
+                          className="btn-action download"
+                          onClick={() => downloadResult(result)}
+                          title={t('results.download')}
+                        >
+                          <Download size={16} />
+                        </button>
+                      )}
+                    </div>
+                  )}
                 </li>
               ))}
             </ul>
@@ -616,15 +1878,47 @@ function App() {
         )}
       </main>
 
+      {preview && (
+        <PreviewDrawer
+          preview={preview}
+          onClose={() => setPreview(null)}
+          onDownload={() => downloadBlob(preview.blob, preview.fileName)}
+        />
+      )}
+
+      {fidelityCheck && (
+        <FidelityReport check={fidelityCheck} onClose={() => setFidelityCheck(null)} />
+      )}
+
+      {showDiagnostics && (
+        <DiagnosticsPanel
+          status={backendStatus}
+          healthLog={healthLog}
+          pollInterval={getPollInterval({
+            status: backendStatus,
+            streak: countStreak(healthLog),
+            wakeElapsed: wakeElapsed * 1000,
+            hidden: document.hidden
+          })}
+          coldStarts={coldStarts}
+          engine={conversionOptions.engine}
+          onCheckNow={() => checkBackendHealth(false)}
+          onClearColdStarts={() => setColdStarts(clearColdStarts())}
+          onClose={() => setShowDiagnostics(false)}
+        />
+      )}
+
       <footer className="footer">
-        <p>MD.converter360 v1.0.0 | Part of the 360 Suite</p>
+        <p>MD.converter360 v1.0.0 | {t('footer.suite')}</p>
         <p className="footer-links">
-          <a href="https://md-converter-api.onrender.com/swagger" target="_blank" rel="noopener noreferrer">API Docs</a>
+          <a href="https://md-converter-api.onrender.com/swagger" target="_blank" rel="noopener noreferrer">{t('footer.apiDocs')}</a>
           <span className="footer-separator">|</span>
           <span className="footer-status">
-            Server: {backendStatus === BACKEND_STATUS.ONLINE ? 'Online' :
-                     backendStatus === BACKEND_STATUS.WAKING ? 'Starting...' :
-                     backendStatus === BACKEND_STATUS.OFFLINE ? 'Offline' : 'Checking...'}
+            {t('footer.server', {
+              status: backendStatus === BACKEND_STATUS.ONLINE ? t('footer.online') :
+                backendStatus === BACKEND_STATUS.WAKING ? t('footer.starting') :
+                backendStatus === BACKEND_STATUS.OFFLINE ? t('footer.offline') : t('footer.checking')
+            })}
           </span>
         </p>
       </footer>
@@ -0,0 +1,253 @@
+// Type declarations for converterClient.js
+
+export type TargetFormat = 'md' | 'pdf' | 'docx'
+
+export type ErrorKind = 'http' | 'network' | 'timeout' | 'aborted'
+
+/** Layout options for Markdown -> PDF/DOCX, matching ConversionOptions on the server */
+export interface ConversionOptions {
+  pageSize?: 'A4' | 'Letter' | 'Legal' | 'A3' | 'A5'
+  orientation?: 'Portrait' | 'Landscape'
+  marginTop?: number
+  marginBottom?: number
+  marginLeft?: number
+  marginRight?: number
+  fontFamily?: string
+  fontSize?: number
+  headerText?: string
+  footerText?: string
+  showPageNumbers?: boolean
+  includeTableOfContents?: boolean
+  includeTitlePage?: boolean
+  /** Name of a DOCX template sent in `templates`, styling Markdown -> DOCX output */
+  template?: string
+  engine?: 'Auto' | 'Native' | 'Pandoc'
+}
+
+export interface ConversionMetadata {
+  pageCount: number
+  wordCount: number
+  characterCount: number
+  processingTime: string
+  sourceFormat: string
+  targetFormat: string
+}
+
+export interface UploadProgress {
+  loaded: number
+  total: number | null
+  percent: number | null
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal
+  /** Request timeout in milliseconds, overriding the client default */
+  timeout?: number
+}
+
+export interface ConvertOptions extends RequestOptions {
+  targetFormat?: TargetFormat
+  /** Name sent to the server, defaults to `file.name` */
+  fileName?: string
+  /** Layout options, as an object or pre-serialized JSON */
+  options?: ConversionOptions | string
+  /** Images referenced by a Markdown file, named by the path the document uses */
+  assets?: BatchFile[]
+  /** DOCX templates, named as `options.template` refers to them */
+  templates?: BatchFile[]
+  onUploadProgress?: (progress: UploadProgress) => void
+}
+
+export interface ConvertResult {
+  blob: Blob
+  fileName: string
+  mimeType: string
+  /** From the X-Conversion-Metadata header, null when the server did not send it */
+  metadata: ConversionMetadata | null
+}
+
+export interface BatchFile {
+  file: Blob
+  fileName?: string
+}
+
+export interface ConvertBatchOptions extends RequestOptions {
+  targetFormat?: TargetFormat
+  options?: ConversionOptions | string
+  /** Per-file overrides keyed by the file name sent to the server */
+  fileOptions?: Record<string, ConversionOptions>
+  /** Images shared by the Markdown files, named by their path relative to the bundle root */
+  assets?: BatchFile[]
+  /** DOCX templates, named as the batch or per-file `template` option refers to them */
+  templates?: BatchFile[]
+  /** Return converted bytes in the response (default true) */
+  includeContent?: boolean
+  onUploadProgress?: (progress: UploadProgress) => void
+}
+
+export interface BatchItemResult {
+  originalFileName: string
+  success: boolean
+  outputFileName: string | null
+  mimeType: string | null
+  error: string | null
+  errorCode: string | null
+  metadata: ConversionMetadata | null
+  blob: Blob | null
+}
+
+export interface BatchResult {
+  total: number
+  successful: number
+  failed: number
+  results: BatchItemResult[]
+}
+
+export type SubmitJobOptions = Omit<ConvertBatchOptions, 'includeContent'>
+
+export type JobStatus = 'queued' | 'running' | 'completed' | 'cancelled'
+
+export type JobFileStatus = 'queued' | 'converting' | 'done' | 'failed' | 'cancelled'
+
+export interface JobFile {
+  /** Position in the submitted file list */
+  index: number
+  fileName: string
+  status: JobFileStatus
+  /** Pages read so far; only inputs converted page by page (PDF) report them */
+  page: number
+  pageCount: number
+  outputFileName: string | null
+  mimeType: string | null
+  error: string | null
+  errorCode: string | null
+  metadata: ConversionMetadata | null
+}
+
+export interface Job {
+  id: string
+  status: JobStatus
+  createdAt: string
+  finishedAt: string | null
+  files: JobFile[]
+}
+
+export interface JobSummary {
+  status: JobStatus
+  successful: number
+  failed: number
+  cancelled: number
+}
+
+export type JobEventName = 'file-started' | 'file-progress' | 'file-finished' | 'file-failed' | 'file-cancelled' | 'job-finished'
+
+export interface WatchJobHandlers {
+  /** `job` carries the full state, file events a JobFile, `job-finished` a JobSummary */
+  onEvent(name: 'job' | JobEventName, data: Job | JobFile | JobSummary): void
+  /** The watch ended because of an error that reconnecting cannot fix, e.g. JOB_NOT_FOUND or INVALID_EVENT */
+  onError?(error: ConversionApiError): void
+}
+
+export interface InputFormat {
+  extension: string
+  description: string
+  convertsTo: string
+  category: string
+  targetFormats: TargetFormat[]
+}
+
+export interface OutputFormat {
+  extension: string
+  mimeType: string
+  label: string
+}
+
+export interface FormatMatrix {
+  inputFormats: InputFormat[]
+  outputFormats: OutputFormat[]
+}
+
+export interface HealthResult {
+  status: string
+  service: string
+  version: string
+  timestamp: string
+  /** Round trip time of the health request in milliseconds */
+  responseTime: number
+  [key: string]: unknown
+}
+
+export type ConversionEngine = 'native' | 'pandoc'
+
+export type ConversionType = 'pdfToMarkdown' | 'docxToMarkdown' | 'odtToMarkdown' | 'markdownToPdf' | 'markdownToDocx'
+
+export interface DiagnosticsReport {
+  status: string
+  service: string
+  version: string
+  environment: string
+  timestamp: string
+  /** When the server process started; a recent time means the last wait was a cold start */
+  startedAt: string
+  uptimeSeconds: number
+  build: {
+    /** Assembly informational version, with the source revision when known */
+    version: string
+    builtAt: string
+    runtime: string
+    operatingSystem: string
+  }
+  engines: Array<{ engine: ConversionEngine; available: boolean; version: string | null }>
+  /** Engine each engine option (auto, native, pandoc) leads to, per conversion */
+  conversions: Array<{ conversionType: ConversionType; engines: Record<'auto' | 'native' | 'pandoc', ConversionEngine> }>
+  /** Font families installed on the server */
+  fonts: string[]
+}
+
+export interface ConverterClientConfig {
+  /** API origin, e.g. https://md-converter-api.onrender.com; '' for same origin */
+  baseUrl?: string
+  /** Default timeout for conversions in milliseconds (default 300000) */
+  timeout?: number
+  /** Timeout for health and format requests in milliseconds (default 10000) */
+  healthTimeout?: number
+  headers?: Record<string, string>
+}
+
+export interface ConverterClient {
+  readonly baseUrl: string
+  convert(file: Blob & { name?: string }, options?: ConvertOptions): Promise<ConvertResult>
+  convertBatch(files: Array<File | BatchFile>, options?: ConvertBatchOptions): Promise<BatchResult>
+  /** Start a background conversion job; resolves with its state once uploaded */
+  submitJob(files: Array<File | BatchFile>, options?: SubmitJobOptions): Promise<Job>
+  getJob(jobId: string, options?: RequestOptions): Promise<Job>
+  /** Converted output of one finished file of a job */
+  getJobFile(jobId: string, index: number, options?: RequestOptions): Promise<ConvertResult>
+  /** Cancel a job; files already converted stay available */
+  cancelJob(jobId: string, options?: RequestOptions): Promise<Job>
+  /** Follow a job's progress over Server-Sent Events (browser only); returns a function that stops watching */
+  watchJob(jobId: string, handlers: WatchJobHandlers): () => void
+  getFormats(options?: RequestOptions): Promise<FormatMatrix>
+  health(options?: RequestOptions): Promise<HealthResult>
+  diagnostics(options?: RequestOptions): Promise<DiagnosticsReport>
+}
+
+export class ConversionApiError extends Error {
+  name: 'ConversionApiError'
+  /** API error code (e.g. UNSUPPORTED_FORMAT) or TIMEOUT, NETWORK_ERROR, ABORTED, INVALID_EVENT, HTTP_<status> */
+  code: string
+  kind: ErrorKind
+  status: number | null
+  details: string | null
+  readonly retryable: boolean
+}
+
+export const JOB_EVENTS: JobEventName[]
+
+export function isFinishedJob(job: Pick<Job, 'status'>): boolean
+
+export function normalizeError(error: unknown): Promise<ConversionApiError>
+
+export function createConverterClient(config?: ConverterClientConfig): ConverterClient
+
+export const converterClient: ConverterClient
@@ -0,0 +1,366 @@
+// MD.converter360 API client
+// Standalone wrapper around the conversion endpoints, usable from the web
+// app, other 360 Suite apps and Node. Types live in converterClient.d.ts.
+
+import axios from 'axios'
+import { API_BASE_URL } from '../config.js'
+import { getFileNameFromDisposition, base64ToBlob } from '../utils/download.js'
+
+const DEFAULT_TIMEOUT = 300000 // 5 minutes for large files
+const HEALTH_TIMEOUT = 10000
+const JOB_RECONNECT_DELAY = 5000
+
+// Server-Sent Events of a conversion job, after the initial `job` snapshot
+export const JOB_EVENTS = ['file-started', 'file-progress', 'file-finished', 'file-failed', 'file-cancelled', 'job-finished']
+
+export const isFinishedJob = (job) => job.status === 'completed' || job.status === 'cancelled'
+
+/**
+ * Error thrown by every client method.
+ * `code` is the API's stable error code when the server sent one, otherwise
+ * TIMEOUT, NETWORK_ERROR, ABORTED, INVALID_EVENT (a job event that could not
+ * be read) or HTTP_<status>.
+ */
+export class ConversionApiError extends Error {
+  constructor(message, { code, kind, status = null, details = null, cause } = {}) {
+    super(message, { cause })
+    this.name = 'ConversionApiError'
+    this.code = code
+    this.kind = kind
+    this.status = status
+    this.details = details
+  }
+
+  // Worth retrying: the server is unreachable, restarting or overloaded
+  get retryable() {
+    return this.kind === 'network' || [502, 503, 504].includes(this.status)
+  }
+}
+
+// Binary responses carry JSON error bodies as ArrayBuffer, Buffer or Blob
+const parseErrorBody = async (data) => {
+  try {
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return JSON.parse(new TextDecoder().decode(data))
+    if (typeof Blob !== 'undefined' && data instanceof Blob) return JSON.parse(await data.text())
+    if (typeof data === 'string') return JSON.parse(data)
+  } catch {
+    return null
+  }
+  return data && typeof data === 'object' ? data : null
+}
+
+// Turn an axios error into a ConversionApiError
+export const normalizeError = async (error) => {
+  if (error instanceof ConversionApiError) return error
+
+  if (axios.isCancel(error) || error.code === 'ERR_CANCELED') {
+    return new ConversionApiError('Request was cancelled', { code: 'ABORTED', kind: 'aborted', cause: error })
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new ConversionApiError('Request timed out', { code: 'TIMEOUT', kind: 'timeout', cause: error })
+  }
+  if (!error.response) {
+    return new ConversionApiError(error.message || 'Network error', { code: 'NETWORK_ERROR', kind: 'network', cause: error })
+  }
+
+  const { status } = error.response
+  const body = await parseErrorBody(error.response.data)
+  return new ConversionApiError(body?.error || `Request failed with status ${status}`, {
+    code: body?.code || `HTTP_${status}`,
+    kind: 'http',
+    status,
+    details: body?.details || null,
+    cause: error
+  })
+}
+
+const toProgress = (onProgress) => onProgress && ((event) => {
+  onProgress({
+    loaded: event.loaded,
+    total: event.total || null,
+    percent: event.total ? Math.round((event.loaded * 100) / event.total) : null
+  })
+})
+
+const withoutExtension = (fileName) => fileName.replace(/\.[^/.]+$/, '')
+
+// Single-file conversions send their ConversionMetadata as a JSON header
+const parseMetadataHeader = (value) => {
+  if (!value) return null
+  try {
+    return JSON.parse(value)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Create a client bound to one API base URL.
+ * @param {import('./converterClient').ConverterClientConfig} [config]
+ * @returns {import('./converterClient').ConverterClient}
+ */
+export const createConverterClient = ({
+  baseUrl = API_BASE_URL,
+  timeout = DEFAULT_TIMEOUT,
+  healthTimeout = HEALTH_TIMEOUT,
+  headers
+} = {}) => {
+  const http = axios.create({ baseURL: baseUrl.replace(/\/$/, ''), timeout, headers })
+
+  const request = async (config) => {
+    try {
+      return await http.request(config)
+    } catch (error) {
+      throw await normalizeError(error)
+    }
+  }
+
+  // Bundled assets are named by their path relative to the bundle root
+  const appendAssets = (formData, assets) => {
+    assets?.forEach(({ file, fileName }) => formData.append('assets', file, fileName || file.name))
+  }
+
+  // DOCX templates are named by the id ConversionOptions.template refers to
+  const appendTemplates = (formData, templates) => {
+    templates?.forEach(({ file, fileName }) => formData.append('templates', file, fileName || file.name))
+  }
+
+  const appendOptions = (formData, name, value) => {
+    if (value === undefined || value === null) return
+    formData.append(name, typeof value === 'string' ? value : JSON.stringify(value))
+  }
+
+  // Form fields shared by convert-batch and jobs
+  const createBatchForm = (files, { options, fileOptions, assets, templates }) => {
+    const formData = new FormData()
+    files.forEach(item => {
+      const file = item.file || item
+      formData.append('files', file, item.fileName || file.name)
+    })
+    appendOptions(formData, 'options', options)
+    if (fileOptions && Object.keys(fileOptions).length > 0) {
+      appendOptions(formData, 'fileOptions', fileOptions)
+    }
+    appendAssets(formData, assets)
+    appendTemplates(formData, templates)
+    return formData
+  }
+
+  // A binary conversion response as { blob, fileName, mimeType, metadata }
+  const toFileResult = (response, fallbackName) => {
+    const mimeType = response.headers['content-type'] || 'application/octet-stream'
+    return {
+      blob: new Blob([response.data], { type: mimeType }),
+      fileName: getFileNameFromDisposition(response.headers['content-disposition'], fallbackName),
+      mimeType,
+      metadata: parseMetadataHeader(response.headers['x-conversion-metadata'])
+    }
+  }
+
+  const jobUrl = (jobId) => `/api/conversion/jobs/${encodeURIComponent(jobId)}`
+
+  const getJob = async (jobId, { signal } = {}) => {
+    const response = await request({ method: 'get', url: jobUrl(jobId), signal, timeout: healthTimeout })
+    return response.data
+  }
+
+  return {
+    baseUrl,
+
+    async convert(file, {
+      targetFormat,
+      fileName = file.name,
+      options,
+      assets,
+      templates,
+      signal,
+      onUploadProgress,
+      timeout: requestTimeout
+    } = {}) {
+      const formData = new FormData()
+      formData.append('file', file, fileName)
+      appendOptions(formData, 'options', options)
+      appendAssets(formData, assets)
+      appendTemplates(formData, templates)
+
+      const response = await request({
+        method: 'post',
+        url: '/api/conversion/convert',
+        data: formData,
+        params: { targetFormat },
+        responseType: 'arraybuffer',
+        signal,
+        timeout: requestTimeout,
+        onUploadProgress: toProgress(onUploadProgress)
+      })
+
+      return toFileResult(response, targetFormat ? `${withoutExtension(fileName)}.${targetFormat}` : fileName)
+    },
+
+    async convertBatch(files, {
+      targetFormat,
+      options,
+      fileOptions,
+      assets,
+      templates,
+      includeContent = true,
+      signal,
+      onUploadProgress,
+      timeout: requestTimeout
+    } = {}) {
+      const response = await request({
+        method: 'post',
+        url: '/api/conversion/convert-batch',
+        data: createBatchForm(files, { options, fileOptions, assets, templates }),
+        params: { targetFormat, includeContent },
+        signal,
+        timeout: requestTimeout,
+        onUploadProgress: toProgress(onUploadProgress)
+      })
+
+      return {
+        ...response.data,
+        results: response.data.results.map(({ content, ...result }) => ({
+          ...result,
+          blob: content ? base64ToBlob(content, result.mimeType || undefined) : null
+        }))
+      }
+    },
+
+    // Start a background job; resolves with its state once the upload is done
+    async submitJob(files, {
+      targetFormat,
+      options,
+      fileOptions,
+      assets,
+      templates,
+      signal,
+      onUploadProgress,
+      timeout: requestTimeout
+    } = {}) {
+      const response = await request({
+        method: 'post',
+        url: '/api/conversion/jobs',
+        data: createBatchForm(files, { options, fileOptions, assets, templates }),
+        params: { targetFormat },
+        signal,
+        timeout: requestTimeout,
+        onUploadProgress: toProgress(onUploadProgress)
+      })
+      return response.data
+    },
+
+    getJob,
+
+    async getJobFile(jobId, index, { signal, timeout: requestTimeout } = {}) {
+      const response = await request({
+        method: 'get',
+        url: `${jobUrl(jobId)}/files/${index}`,
+        responseType: 'arraybuffer',
+        signal,
+        timeout: requestTimeout
+      })
+      return toFileResult(response, `file-${index}`)
+    },
+
+    async cancelJob(jobId, { signal } = {}) {
+      const response = await request({ method: 'delete', url: jobUrl(jobId), signal, timeout: healthTimeout })
+      return response.data
+    },
+
+    /**
+     * Follow a job's progress events (browser only, needs EventSource).
+     * Every (re)connection starts with a `job` event holding the full state.
+     * A dropped stream is reopened until `job-finished` arrives; `onError`
+     * only hears about errors that end the watch, such as JOB_NOT_FOUND.
+     * @returns {() => void} stops watching
+     */
+    watchJob(jobId, { onEvent, onError }) {
+      let source = null
+      let retryTimer = null
+      let stopped = false
+
+      const stop = () => {
+        stopped = true
+        clearTimeout(retryTimer)
+        source?.close()
+      }
+
+      const open = () => {
+        source = new EventSource(`${http.defaults.baseURL}${jobUrl(jobId)}/events`)
+        const listen = (name) => source.addEventListener(name, (event) => {
+          let data
+          try {
+            data = JSON.parse(event.data)
+          } catch (error) {
+            // A truncated or malformed event would leave the job state
+            // out of date; end the watch instead of dropping it silently
+            stop()
+            onError?.(new ConversionApiError(`Invalid ${name} event from the server`, { code: 'INVALID_EVENT', kind: 'network', cause: error }))
+            return
+          }
+          onEvent(name, data)
+          if (name === 'job-finished' || (name === 'job' && isFinishedJob(data))) stop()
+        })
+        listen('job')
+        JOB_EVENTS.forEach(listen)
+
+        // EventSource retries dropped connections itself, but gives up on
+        // error responses; ask the API why before trying again
+        source.onerror = () => {
+          if (stopped || source.readyState !== EventSource.CLOSED) return
+          getJob(jobId).then(
+            () => !stopped && open(),
+            (error) => {
+              if (stopped) return
+              if (error.retryable || error.kind === 'timeout') {
+                retryTimer = setTimeout(open, JOB_RECONNECT_DELAY)
+              } else {
+                stop()
+                onError?.(error)
+              }
+            }
+          )
+        }
+      }
+
+      open()
+      return stop
+    },
+
+    async getFormats({ signal } = {}) {
+      const response = await request({
+        method: 'get',
+        url: '/api/conversion/formats',
+        signal,
+        timeout: healthTimeout
+      })
+      return response.data
+    },
+
+    async health({ signal, timeout: requestTimeout = healthTimeout } = {}) {
+      const startTime = Date.now()
+      const response = await request({
+        method: 'get',
+        url: '/api/health',
+        signal,
+        timeout: requestTimeout
+      })
+      return { ...response.data, responseTime: Date.now() - startTime }
+    },
+
+    // Extended health report: build, uptime, engines, conversion routing and fonts
+    async diagnostics({ signal } = {}) {
+      const response = await request({
+        method: 'get',
+        url: '/api/conversion/health/details',
+        signal,
+        timeout: healthTimeout
+      })
+      return response.data
+    }
+  }
+}
+
+// Client for this app, using VITE_API_URL or the dev proxy
+export const converterClient = createConverterClient()
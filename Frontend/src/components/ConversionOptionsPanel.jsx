@@ -0,0 +1,193 @@
+import { useState } from 'react'
+import { SlidersHorizontal, ChevronDown, ChevronUp, Save, Trash2, RotateCcw } from 'lucide-react'
+import {
+  PAGE_SIZES,
+  FONT_FAMILIES,
+  ENGINES,
+  DEFAULT_OPTIONS,
+  loadPresets,
+  savePreset,
+  deletePreset
+} from '../utils/conversionOptions'
+import { useI18n } from '../i18n/I18nContext'
+
+const MARGINS = ['marginTop', 'marginBottom', 'marginLeft', 'marginRight']
+
+function ConversionOptionsPanel({ options, onChange, title, subtitle, onResetOverride, templates = [], disabled, defaultOpen = false }) {
+  const { t } = useI18n()
+  const [open, setOpen] = useState(defaultOpen)
+  const [presets, setPresets] = useState(loadPresets)
+  const [selectedPreset, setSelectedPreset] = useState('')
+
+  const update = (key, value) => {
+    onChange({ ...options, [key]: value })
+    setSelectedPreset('')
+  }
+
+  const applyPreset = (name) => {
+    setSelectedPreset(name)
+    if (presets[name]) onChange({ ...DEFAULT_OPTIONS, ...presets[name] })
+  }
+
+  const saveAsPreset = () => {
+    const name = prompt(t('layout.presetPrompt'), selectedPreset || '')?.trim()
+    if (!name) return
+    setPresets(savePreset(name, options))
+    setSelectedPreset(name)
+  }
+
+  const removePreset = () => {
+    if (!selectedPreset) return
+    setPresets(deletePreset(selectedPreset))
+    setSelectedPreset('')
+  }
+
+  return (
+    <div className="options-panel">
+      <button className="options-panel-toggle" onClick={() => setOpen(!open)}>
+        <SlidersHorizontal size={18} />
+        <span>{title}</span>
+        {subtitle && <span className="options-panel-subtitle">{subtitle}</span>}
+        {open ? <ChevronUp size={18} /> : <ChevronDown size={18} />}
+      </button>
+
+      {open && (
+        <fieldset className="options-panel-body" disabled={disabled}>
+          <div className="options-presets">
+            <select value={selectedPreset} onChange={(e) => applyPreset(e.target.value)}>
+              <option value="">{t('layout.presets')}</option>
+              {Object.keys(presets).map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <button className="btn-drawer" onClick={saveAsPreset} title={t('layout.savePresetTitle')}>
+              <Save size={14} />
+              {t('layout.savePreset')}
+            </button>
+            {selectedPreset && (
+              <button className="btn-drawer" onClick={removePreset} title={t('layout.deletePreset')}>
+                <Trash2 size={14} />
+              </button>
+            )}
+            <button className="btn-drawer" onClick={() => onChange({ ...DEFAULT_OPTIONS })} title={t('layout.defaultsTitle')}>
+              <RotateCcw size={14} />
+              {t('layout.defaults')}
+            </button>
+            {onResetOverride && (
+              <button className="btn-drawer" onClick={onResetOverride}>
+                {t('layout.useGlobal')}
+              </button>
+            )}
+          </div>
+
+          <div className="options-grid">
+            <label>
+              {t('layout.pageSize')}
+              <select value={options.pageSize} onChange={(e) => update('pageSize', e.target.value)}>
+                {PAGE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+              </select>
+            </label>
+            <label>
+              {t('layout.orientation')}
+              <select value={options.orientation} onChange={(e) => update('orientation', e.target.value)}>
+                <option value="Portrait">{t('layout.portrait')}</option>
+                <option value="Landscape">{t('layout.landscape')}</option>
+              </select>
+            </label>
+            <label>
+              {t('layout.font')}
+              <select value={options.fontFamily} onChange={(e) => update('fontFamily', e.target.value)}>
+                {FONT_FAMILIES.map(font => <option key={font} value={font}>{font}</option>)}
+              </select>
+            </label>
+            <label>
+              {t('layout.fontSize')}
+              <input
+                type="number"
+                min="6"
+                max="24"
+                step="0.5"
+                value={options.fontSize}
+                onChange={(e) => update('fontSize', Number(e.target.value))}
+              />
+            </label>
+            {MARGINS.map(margin => (
+              <label key={margin}>
+                {t(`layout.margins.${margin}`)}
+                <input
+                  type="number"
+                  min="0"
+                  max="10"
+                  step="0.1"
+                  value={options[margin]}
+                  onChange={(e) => update(margin, Number(e.target.value))}
+                />
+              </label>
+            ))}
+            <label className="wide">
+              {t('layout.headerText')}
+              <input
+                type="text"
+                value={options.headerText}
+                onChange={(e) => update('headerText', e.target.value)}
+                placeholder={t('layout.none')}
+              />
+            </label>
+            <label className="wide">
+              {t('layout.footerText')}
+              <input
+                type="text"
+                value={options.footerText}
+                onChange={(e) => update('footerText', e.target.value)}
+                placeholder={t('layout.none')}
+              />
+            </label>
+            <label>
+              {t('layout.template')}
+              <select
+                value={templates.some(template => template.id === options.template) ? options.template : ''}
+                onChange={(e) => update('template', e.target.value)}
+                title={t('layout.templateHint')}
+              >
+                <option value="">{t('layout.builtInTemplate')}</option>
+                {templates.map(template => <option key={template.id} value={template.id}>{template.name}</option>)}
+              </select>
+            </label>
+            <label>
+              {t('layout.engine')}
+              <select value={options.engine} onChange={(e) => update('engine', e.target.value)}>
+                {ENGINES.map(engine => <option key={engine} value={engine}>{t(`layout.engines.${engine}`)}</option>)}
+              </select>
+            </label>
+            <label className="inline">
+              <input
+                type="checkbox"
+                checked={options.showPageNumbers}
+                onChange={(e) => update('showPageNumbers', e.target.checked)}
+              />
+              {t('layout.pageNumbers')}
+            </label>
+            <label className="inline">
+              <input
+                type="checkbox"
+                checked={options.includeTableOfContents}
+                onChange={(e) => update('includeTableOfContents', e.target.checked)}
+              />
+              {t('layout.tableOfContents')}
+            </label>
+            <label className="inline" title={t('layout.titlePageHint')}>
+              <input
+                type="checkbox"
+                checked={options.includeTitlePage}
+                onChange={(e) => update('includeTitlePage', e.target.checked)}
+              />
+              {t('layout.titlePage')}
+            </label>
+          </div>
+        </fieldset>
+      )}
+    </div>
+  )
+}
+
+export default ConversionOptionsPanel
@@ -0,0 +1,285 @@
+import { useState, useEffect } from 'react'
+import { X, RefreshCw, Loader2, Activity, Snowflake, Server, Cpu, Type, Trash2, CheckCircle, XCircle } from 'lucide-react'
+import { converterClient } from '../api/converterClient'
+import { ENGINES, FONT_FAMILIES } from '../utils/conversionOptions'
+import { BACKEND_STATUS, ESTIMATED_WAKE_TIME } from '../utils/healthPolling'
+import { HEALTH_LOG_LIMIT, summarizeLatency } from '../utils/diagnostics'
+import { useI18n } from '../i18n/I18nContext'
+import { translateApiError } from '../i18n'
+
+// Cold starts listed, newest first
+const COLD_STARTS_SHOWN = 10
+
+// Response times at or below this fill the timeline's full height
+const MIN_LATENCY_SCALE = 1000
+
+// Health checks of this session, past cold starts and what the server
+// reports about itself: build, engines, conversion routing and fonts
+function DiagnosticsPanel({ status, healthLog, pollInterval, coldStarts, engine, onCheckNow, onClearColdStarts, onClose }) {
+  const { t, formatDuration, formatDateTime, formatElapsedTime } = useI18n()
+  const [report, setReport] = useState(null)
+  const [reportError, setReportError] = useState(null)
+  const [reloadToken, setReloadToken] = useState(0)
+  const online = status === BACKEND_STATUS.ONLINE
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [onClose])
+
+  // Fetched again when the server comes back online
+  useEffect(() => {
+    if (!online) return
+    let cancelled = false
+    converterClient.diagnostics()
+      .then(data => {
+        if (cancelled) return
+        setReport(data)
+        setReportError(null)
+      })
+      .catch(error => {
+        console.error('Failed to load server diagnostics:', error)
+        if (!cancelled) setReportError(error)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [online, reloadToken])
+
+  const refresh = () => {
+    onCheckNow()
+    setReloadToken(n => n + 1)
+  }
+
+  const latency = summarizeLatency(healthLog)
+  const latencyScale = Math.max(latency?.slowest || 0, MIN_LATENCY_SCALE)
+  const formatMs = (ms) => formatDuration(ms / 1000)
+
+  const recentColdStarts = coldStarts.slice(-COLD_STARTS_SHOWN).reverse()
+  const estimateMs = ESTIMATED_WAKE_TIME * 1000
+  const coldStartScale = Math.max(estimateMs, ...coldStarts.map(coldStart => coldStart.duration))
+  const averageColdStart = coldStarts.length > 0
+    ? coldStarts.reduce((sum, coldStart) => sum + coldStart.duration, 0) / coldStarts.length
+    : 0
+
+  const requestedEngine = engine?.toLowerCase() || 'auto'
+  const isFontInstalled = (font) => report.fonts.some(name => name.toLowerCase() === font.toLowerCase())
+
+  return (
+    <div className="drawer-overlay" onClick={onClose}>
+      <aside className="preview-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="drawer-header">
+          <h3>{t('diagnostics.title')}</h3>
+          <button className="btn-action remove" onClick={onClose} title={t('preview.close')}>
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="drawer-toolbar">
+          <span className={`status-dot ${status}`}>{t(`diagnostics.status.${status}`)}</span>
+          <div className="drawer-actions">
+            <button className="btn-drawer" onClick={refresh}>
+              <RefreshCw size={16} />
+              {t('diagnostics.checkNow')}
+            </button>
+          </div>
+        </div>
+
+        <div className="drawer-body diagnostics">
+          <section>
+            <h4><Activity size={16} />{t('diagnostics.latencyTitle')}</h4>
+            {healthLog.length === 0 ? (
+              <p className="diagnostics-note">{t('diagnostics.noChecks')}</p>
+            ) : (
+              <div className="latency-timeline" style={{ gridTemplateColumns: `repeat(${HEALTH_LOG_LIMIT}, 1fr)` }}>
+                {healthLog.map((sample, index) => (
+                  <span
+                    key={index}
+                    className={`latency-bar ${sample.status}`}
+                    style={{ height: `${sample.error ? 100 : Math.max((sample.responseTime / latencyScale) * 100, 4)}%` }}
+                    title={[
+                      formatDateTime(sample.time),
+                      t(`diagnostics.status.${sample.status}`),
+                      sample.error || formatMs(sample.responseTime)
+                    ].join(' · ')}
+                  />
+                ))}
+              </div>
+            )}
+            {latency && (
+              <p className="diagnostics-note">
+                {t('diagnostics.latency', {
+                  last: formatMs(latency.last),
+                  average: formatMs(latency.average),
+                  slowest: formatMs(latency.slowest)
+                })}
+              </p>
+            )}
+            <p className="diagnostics-note">{t('diagnostics.polling', { interval: formatMs(pollInterval) })}</p>
+          </section>
+
+          <section>
+            <h4>
+              <Snowflake size={16} />
+              {t('diagnostics.coldStartsTitle')}
+              {coldStarts.length > 0 && (
+                <button className="btn-clear" onClick={onClearColdStarts}>
+                  <Trash2 size={14} />
+                  {t('diagnostics.clear')}
+                </button>
+              )}
+            </h4>
+            {coldStarts.length === 0 ? (
+              <p className="diagnostics-note">{t('diagnostics.noColdStarts')}</p>
+            ) : (
+              <>
+                <p className="diagnostics-note">
+                  {t('diagnostics.coldStartAverage', {
+                    average: formatElapsedTime(Math.round(averageColdStart / 1000)),
+                    estimate: formatElapsedTime(ESTIMATED_WAKE_TIME)
+                  })}
+                </p>
+                <ul className="cold-starts">
+                  {recentColdStarts.map(coldStart => {
+                    const difference = Math.round((coldStart.duration - estimateMs) / 1000)
+                    return (
+                      <li key={coldStart.time}>
+                        <span className="cold-start-time">{formatDateTime(coldStart.time)}</span>
+                        <div className="cold-start-track">
+                          <div
+                            className={`cold-start-fill ${difference > 0 ? 'slow' : ''}`}
+                            style={{ width: `${(coldStart.duration / coldStartScale) * 100}%` }}
+                          />
+                          <div className="cold-start-estimate" style={{ left: `${(estimateMs / coldStartScale) * 100}%` }} />
+                        </div>
+                        <span className="cold-start-duration">
+                          {formatElapsedTime(Math.round(coldStart.duration / 1000))}
+                          {difference !== 0 && (
+                            <small>
+                              {t(difference > 0 ? 'diagnostics.slower' : 'diagnostics.faster', {
+                                time: formatElapsedTime(Math.abs(difference))
+                              })}
+                            </small>
+                          )}
+                        </span>
+                      </li>
+                    )
+                  })}
+                </ul>
+              </>
+            )}
+          </section>
+
+          {!report && reportError && (
+            <div className="drawer-status error">
+              {t('diagnostics.reportFailed', {
+                message: translateApiError(t, reportError.code, reportError.message)
+              })}
+            </div>
+          )}
+          {!report && !reportError && (
+            <div className="drawer-status">
+              {online ? (
+                <>
+                  <Loader2 size={24} className="spinner" />
+                  <span>{t('diagnostics.loading')}</span>
+                </>
+              ) : (
+                <span>{t('diagnostics.waitingForServer')}</span>
+              )}
+            </div>
+          )}
+
+          {report && (
+            <>
+              <section>
+                <h4><Server size={16} />{t('diagnostics.serverTitle')}</h4>
+                <dl className="diagnostics-facts">
+                  <dt>{t('diagnostics.version')}</dt>
+                  <dd>{report.version}</dd>
+                  <dt>{t('diagnostics.build')}</dt>
+                  <dd>{report.build.version} · {formatDateTime(report.build.builtAt)}</dd>
+                  <dt>{t('diagnostics.runtime')}</dt>
+                  <dd>{report.build.runtime} · {report.build.operatingSystem}</dd>
+                  <dt>{t('diagnostics.environment')}</dt>
+                  <dd>{report.environment}</dd>
+                  <dt>{t('diagnostics.startedAt')}</dt>
+                  <dd>
+                    {formatDateTime(report.startedAt)}
+                    {' '}({t('diagnostics.uptime', { time: formatElapsedTime(report.uptimeSeconds) })})
+                  </dd>
+                </dl>
+              </section>
+
+              <section>
+                <h4><Cpu size={16} />{t('diagnostics.enginesTitle')}</h4>
+                <ul className="diagnostics-checks">
+                  {report.engines.map(item => (
+                    <li key={item.engine} className={item.available ? 'ok' : 'missing'}>
+                      {item.available ? <CheckCircle size={14} /> : <XCircle size={14} />}
+                      {t(`diagnostics.engines.${item.engine}`)}
+                      {item.version && <span className="diagnostics-version">{item.version}</span>}
+                      {!item.available && <span className="diagnostics-version">{t('diagnostics.unavailable')}</span>}
+                    </li>
+                  ))}
+                </ul>
+                <table className="diagnostics-routes">
+                  <thead>
+                    <tr>
+                      <th>{t('diagnostics.conversion')}</th>
+                      {ENGINES.map(option => (
+                        <th key={option} className={option.toLowerCase() === requestedEngine ? 'current' : ''}>
+                          {t(`layout.engines.${option}`)}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.conversions.map(route => (
+                      <tr key={route.conversionType}>
+                        <td>{t(`diagnostics.conversions.${route.conversionType}`)}</td>
+                        {ENGINES.map(option => (
+                          <td key={option} className={option.toLowerCase() === requestedEngine ? 'current' : ''}>
+                            {t(`diagnostics.engines.${route.engines[option.toLowerCase()]}`)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="diagnostics-note">{t('diagnostics.routesNote')}</p>
+              </section>
+
+              <section>
+                <h4><Type size={16} />{t('diagnostics.fontsTitle')}</h4>
+                <ul className="diagnostics-checks">
+                  {FONT_FAMILIES.map(font => (
+                    <li key={font} className={isFontInstalled(font) ? 'ok' : 'missing'}>
+                      {isFontInstalled(font) ? <CheckCircle size={14} /> : <XCircle size={14} />}
+                      {font}
+                      {!isFontInstalled(font) && <span className="diagnostics-version">{t('diagnostics.fontFallback')}</span>}
+                    </li>
+                  ))}
+                </ul>
+                {report.fonts.length > 0 ? (
+                  <details className="diagnostics-fonts">
+                    <summary>{t('diagnostics.fontCount', { count: report.fonts.length })}</summary>
+                    <p>{report.fonts.join(', ')}</p>
+                  </details>
+                ) : (
+                  <p className="diagnostics-note">{t('diagnostics.noFonts')}</p>
+                )}
+              </section>
+            </>
+          )}
+        </div>
+      </aside>
+    </div>
+  )
+}
+
+export default DiagnosticsPanel
@@ -0,0 +1,132 @@
+import { useState, useEffect, useMemo } from 'react'
+import { X, Loader2, CheckCircle, AlertTriangle } from 'lucide-react'
+import { FIDELITY_CATEGORIES, DIFF_TYPE, compareMarkdown } from '../utils/fidelity'
+import { useI18n } from '../i18n/I18nContext'
+
+// Lost items listed per category before the rest is summed up
+const MAX_LOST_ITEMS = 8
+
+// Result of a round-trip fidelity check: what was lost, and the original and
+// round-tripped Markdown side by side
+function FidelityReport({ check, onClose }) {
+  const { t } = useI18n()
+  const [changesOnly, setChangesOnly] = useState(false)
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [onClose])
+
+  const hasResult = typeof check.roundTrip === 'string'
+  const comparison = useMemo(
+    () => hasResult ? compareMarkdown(check.original, check.roundTrip) : null,
+    [hasResult, check.original, check.roundTrip]
+  )
+  const differences = comparison ? comparison.rows.length - comparison.stats.same : 0
+  const rows = comparison && changesOnly
+    ? comparison.rows.filter(row => row.type !== DIFF_TYPE.SAME)
+    : comparison?.rows
+
+  return (
+    <div className="drawer-overlay" onClick={onClose}>
+      <aside className="preview-drawer wide" onClick={(e) => e.stopPropagation()}>
+        <div className="drawer-header">
+          <h3>{t('fidelity.title', { name: check.fileName })}</h3>
+          <button className="btn-action remove" onClick={onClose} title={t('preview.close')}>
+            <X size={18} />
+          </button>
+        </div>
+
+        {comparison && (
+          <div className="drawer-toolbar">
+            <span className="fidelity-steps">{check.steps.join(' → ')}</span>
+            <label className="fidelity-toggle">
+              <input
+                type="checkbox"
+                checked={changesOnly}
+                onChange={(e) => setChangesOnly(e.target.checked)}
+              />
+              {t('fidelity.changesOnly')}
+            </label>
+          </div>
+        )}
+
+        <div className="drawer-body">
+          {check.loading && (
+            <div className="drawer-status">
+              <Loader2 size={24} className="spinner" />
+              <span>{t('fidelity.running')}</span>
+            </div>
+          )}
+          {check.error && (
+            <div className="drawer-status error">{check.error}</div>
+          )}
+          {comparison && (
+            <>
+              <p className={`fidelity-verdict ${differences === 0 ? 'ok' : 'changed'}`}>
+                {differences === 0 ? <CheckCircle size={16} /> : <AlertTriangle size={16} />}
+                {differences === 0
+                  ? t('fidelity.identical')
+                  : t('fidelity.differences', {
+                    changed: comparison.stats.changed,
+                    removed: comparison.stats.removed,
+                    added: comparison.stats.added
+                  })}
+              </p>
+
+              <div className="fidelity-summary">
+                {FIDELITY_CATEGORIES.map(category => {
+                  const { original, roundTrip, lost } = comparison.summary[category]
+                  return (
+                    <div key={category} className={`fidelity-category ${lost.length > 0 ? 'lost' : 'ok'}`}>
+                      <span className="fidelity-category-name">{t(`fidelity.categories.${category}`)}</span>
+                      <span className="fidelity-category-count">{original} → {roundTrip}</span>
+                      {lost.length > 0 && (
+                        <>
+                          <span className="fidelity-category-lost">{t('fidelity.lost', { count: lost.length })}</span>
+                          <ul>
+                            {lost.slice(0, MAX_LOST_ITEMS).map((item, index) => (
+                              <li key={index} title={item}>{item}</li>
+                            ))}
+                            {lost.length > MAX_LOST_ITEMS && (
+                              <li className="fidelity-more">{t('fidelity.more', { count: lost.length - MAX_LOST_ITEMS })}</li>
+                            )}
+                          </ul>
+                        </>
+                      )}
+                    </div>
+                  )
+                })}
+              </div>
+
+              <table className="fidelity-diff">
+                <thead>
+                  <tr>
+                    <th colSpan={2}>{t('fidelity.original')}</th>
+                    <th colSpan={2}>{t('fidelity.roundTrip')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row, index) => (
+                    <tr key={index} className={`diff-${row.type}`}>
+                      <td className="diff-number">{row.left?.number}</td>
+                      <td className="diff-text left">{row.left?.text}</td>
+                      <td className="diff-number">{row.right?.number}</td>
+                      <td className="diff-text right">{row.right?.text}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      </aside>
+    </div>
+  )
+}
+
+export default FidelityReport
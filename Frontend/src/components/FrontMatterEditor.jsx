@@ -0,0 +1,79 @@
+import { useState } from 'react'
+import { Tags, RotateCcw, X } from 'lucide-react'
+import { isSameFrontMatter } from '../utils/frontMatter'
+import { useI18n } from '../i18n/I18nContext'
+
+const TEXT_FIELDS = ['title', 'author', 'date', 'version']
+
+const splitKeywords = (text) => text.split(',').map(keyword => keyword.trim()).filter(Boolean)
+
+// Document properties of one Markdown file, prefilled from its front matter
+// (original). Edited values replace the front matter of the uploaded copy.
+function FrontMatterEditor({ fileName, value, original, onChange, onReset, onClose, disabled }) {
+  const { t } = useI18n()
+  // Typed as text so a trailing comma is not lost while editing
+  const [keywordText, setKeywordText] = useState(() => value.keywords.join(', '))
+
+  const update = (key, fieldValue) => {
+    onChange({ ...value, [key]: fieldValue })
+  }
+
+  const changeKeywords = (text) => {
+    setKeywordText(text)
+    update('keywords', splitKeywords(text))
+  }
+
+  const reset = () => {
+    setKeywordText(original.keywords.join(', '))
+    onReset()
+  }
+
+  return (
+    <div className="options-panel front-matter-panel">
+      <div className="options-panel-toggle front-matter-header">
+        <Tags size={18} />
+        <span>{t('frontMatter.title')}</span>
+        <span className="options-panel-subtitle">{fileName}</span>
+        <button className="btn-action" onClick={onClose} title={t('frontMatter.close')}>
+          <X size={16} />
+        </button>
+      </div>
+
+      <fieldset className="options-panel-body" disabled={disabled}>
+        <p className="front-matter-hint">{t('frontMatter.hint')}</p>
+        <div className="options-grid">
+          {TEXT_FIELDS.map(field => (
+            <label key={field} className={field === 'title' ? 'wide' : undefined}>
+              {t(`frontMatter.fields.${field}`)}
+              <input
+                type="text"
+                value={value[field]}
+                onChange={(e) => update(field, e.target.value)}
+                placeholder={field === 'date' ? t('frontMatter.datePlaceholder') : t('layout.none')}
+              />
+            </label>
+          ))}
+          <label className="wide">
+            {t('frontMatter.fields.keywords')}
+            <input
+              type="text"
+              value={keywordText}
+              onChange={(e) => changeKeywords(e.target.value)}
+              placeholder={t('frontMatter.keywordsPlaceholder')}
+            />
+          </label>
+        </div>
+        {!isSameFrontMatter(value, original) && (
+          <div className="front-matter-actions">
+            <button className="btn-drawer" onClick={reset} title={t('frontMatter.resetTitle')}>
+              <RotateCcw size={14} />
+              {t('frontMatter.reset')}
+            </button>
+          </div>
+        )}
+      </fieldset>
+    </div>
+  )
+}
+
+export default FrontMatterEditor
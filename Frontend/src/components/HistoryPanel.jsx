@@ -0,0 +1,175 @@
+import { useState, useEffect } from 'react'
+import {
+  History,
+  Search,
+  Download,
+  RotateCcw,
+  Trash2,
+  XCircle,
+  CheckCircle
+} from 'lucide-react'
+import {
+  getHistory,
+  deleteHistoryEntry,
+  clearHistory,
+  getHistoryQuotaMb,
+  setHistoryQuotaMb,
+  getHistoryUsage
+} from '../utils/historyStore'
+import { downloadBlob } from '../utils/download'
+import { useI18n } from '../i18n/I18nContext'
+
+const QUOTA_OPTIONS = [10, 25, 50, 100, 250]
+
+function HistoryPanel({ refreshKey, onReconvert }) {
+  const { t, formatSize, formatDateTime } = useI18n()
+  const [entries, setEntries] = useState([])
+  const [query, setQuery] = useState('')
+  const [quotaMb, setQuotaMb] = useState(getHistoryQuotaMb)
+  const [error, setError] = useState(false)
+  const [reloadToken, setReloadToken] = useState(0)
+
+  useEffect(() => {
+    let cancelled = false
+    getHistory()
+      .then(list => {
+        if (cancelled) return
+        setEntries(list)
+        setError(false)
+      })
+      .catch(err => {
+        console.error('Failed to load history:', err)
+        if (!cancelled) setError(true)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [refreshKey, reloadToken])
+
+  const loadHistory = () => setReloadToken(t => t + 1)
+
+  const changeQuota = async (value) => {
+    setQuotaMb(value)
+    await setHistoryQuotaMb(value)
+    loadHistory()
+  }
+
+  const removeEntry = async (id) => {
+    await deleteHistoryEntry(id)
+    loadHistory()
+  }
+
+  const purgeHistory = async () => {
+    if (!confirm(t('history.purgeConfirm'))) return
+    await clearHistory()
+    loadHistory()
+  }
+
+  const normalizedQuery = query.trim().toLowerCase()
+  const filtered = normalizedQuery
+    ? entries.filter(entry =>
+      entry.sourceName.toLowerCase().includes(normalizedQuery) ||
+      entry.outputFileName?.toLowerCase().includes(normalizedQuery) ||
+      entry.direction.toLowerCase().includes(normalizedQuery))
+    : entries
+
+  return (
+    <div className="history-panel">
+      <div className="file-list-header">
+        <h3>
+          <History size={18} />
+          {t('history.title')}
+          <span className="file-count">{entries.length}</span>
+        </h3>
+        <button className="btn-clear" onClick={purgeHistory} disabled={entries.length === 0}>
+          <Trash2 size={16} />
+          {t('history.purge')}
+        </button>
+      </div>
+
+      <div className="history-toolbar">
+        <div className="history-search">
+          <Search size={16} />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t('history.search')}
+          />
+        </div>
+        <label className="history-quota">
+          {t('history.storage', { used: formatSize(getHistoryUsage(entries)) })}
+          <select value={quotaMb} onChange={(e) => changeQuota(Number(e.target.value))}>
+            {QUOTA_OPTIONS.map(mb => (
+              <option key={mb} value={mb}>{mb} MB</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && <p className="history-empty">{t('history.unavailable')}</p>}
+      {!error && filtered.length === 0 && (
+        <p className="history-empty">
+          {entries.length === 0 ? t('history.empty') : t('history.noMatches')}
+        </p>
+      )}
+
+      <ul>
+        {filtered.map(entry => (
+          <li key={entry.id} className={`result-item ${entry.success ? 'success' : 'error'}`}>
+            <div className="result-icon-wrapper">
+              {entry.success ? <CheckCircle size={18} /> : <XCircle size={18} />}
+            </div>
+            <div className="result-info">
+              <span className="result-file">{entry.sourceName}</span>
+              <span className="history-meta">
+                {entry.direction} · {formatDateTime(entry.createdAt)}
+                {entry.metadata?.pageCount > 0 && ` · ${t('history.pages', { count: entry.metadata.pageCount })}`}
+                {entry.metadata?.wordCount > 0 && ` · ${t('history.words', { count: entry.metadata.wordCount })}`}
+                {entry.metadata?.characterCount > 0 && ` · ${t('history.characters', { count: entry.metadata.characterCount })}`}
+                {entry.metadata?.processingTime && ` · ${entry.metadata.processingTime}`}
+              </span>
+              {entry.success ? (
+                <span className="result-output">
+                  {entry.outputFileName}
+                  {entry.blobsEvicted && <span className="history-evicted"> {t('history.evicted')}</span>}
+                </span>
+              ) : (
+                <span className="result-error">{entry.error}</span>
+              )}
+            </div>
+            <div className="file-actions">
+              {entry.outputBlob && (
+                <button
+                  className="btn-action download"
+                  onClick={() => downloadBlob(entry.outputBlob, entry.outputFileName)}
+                  title={t('history.downloadAgain')}
+                >
+                  <Download size={16} />
+                </button>
+              )}
+              {entry.sourceBlob && (
+                <button
+                  className="btn-action retry"
+                  onClick={() => onReconvert(entry)}
+                  title={t('history.reconvert')}
+                >
+                  <RotateCcw size={16} />
+                </button>
+              )}
+              <button
+                className="btn-action remove"
+                onClick={() => removeEntry(entry.id)}
+                title={t('history.remove')}
+              >
+                <XCircle size={16} />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default HistoryPanel
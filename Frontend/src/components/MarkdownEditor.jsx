@@ -0,0 +1,159 @@
+import { useState, useEffect, useMemo } from 'react'
+import { PenLine, Download, Loader2, Trash2, Eye, Code, FileText, Printer } from 'lucide-react'
+import { renderMarkdown } from '../utils/markdown'
+import { useI18n } from '../i18n/I18nContext'
+
+const DRAFT_KEY = 'editorDraft'
+const DRAFT_NAME_KEY = 'editorDraftName'
+const DEFAULT_NAME = 'document'
+
+function MarkdownEditor({ targetFormat, disabled, onConvert, offline, onBrowserConvert }) {
+  const { t, locale } = useI18n()
+  const [content, setContent] = useState(() => {
+    return localStorage.getItem(DRAFT_KEY) ?? t('editor.sample')
+  })
+  const [fileName, setFileName] = useState(() => {
+    return localStorage.getItem(DRAFT_NAME_KEY) || DEFAULT_NAME
+  })
+  const [view, setView] = useState('split')
+  const [busy, setBusy] = useState(false)
+
+  // Persist draft so it survives page reloads
+  useEffect(() => {
+    localStorage.setItem(DRAFT_KEY, content)
+  }, [content])
+
+  useEffect(() => {
+    localStorage.setItem(DRAFT_NAME_KEY, fileName)
+  }, [fileName])
+
+  const previewHtml = useMemo(() => renderMarkdown(content), [content])
+
+  // Build a virtual .md file from the editor content
+  const buildFile = () => {
+    const baseName = (fileName.trim() || DEFAULT_NAME).replace(/\.(md|markdown)$/i, '')
+    return new File([content], `${baseName}.md`, { type: 'text/markdown' })
+  }
+
+  const handleConvert = async () => {
+    if (!content.trim()) return
+    setBusy(true)
+    try {
+      await onConvert(buildFile())
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleBrowserConvert = async (format) => {
+    if (!content.trim()) return
+    setBusy(true)
+    try {
+      await onBrowserConvert(buildFile(), format)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const clearDraft = () => {
+    setContent('')
+  }
+
+  return (
+    <div className="editor-panel">
+      <div className="editor-header">
+        <h3>
+          <PenLine size={18} />
+          {t('editor.title')}
+        </h3>
+        <div className="editor-toolbar">
+          <input
+            type="text"
+            className="editor-filename"
+            value={fileName}
+            onChange={(e) => setFileName(e.target.value)}
+            placeholder={DEFAULT_NAME}
+            title={t('editor.fileName')}
+          />
+          <div className="editor-view-toggle">
+            <button
+              className={view === 'source' ? 'active' : ''}
+              onClick={() => setView('source')}
+              title={t('editor.sourceOnly')}
+            >
+              <Code size={16} />
+            </button>
+            <button
+              className={view === 'split' ? 'active' : ''}
+              onClick={() => setView('split')}
+              title={t('editor.split')}
+            >
+              <Code size={14} />
+              <Eye size={14} />
+            </button>
+            <button
+              className={view === 'preview' ? 'active' : ''}
+              onClick={() => setView('preview')}
+              title={t('editor.previewOnly')}
+            >
+              <Eye size={16} />
+            </button>
+          </div>
+          <button className="btn-clear" onClick={clearDraft} disabled={busy || !content}>
+            <Trash2 size={16} />
+            {t('editor.clear')}
+          </button>
+        </div>
+      </div>
+
+      <div className={`editor-body ${view}`}>
+        {view !== 'preview' && (
+          <textarea
+            className="editor-source"
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+            spellCheck={false}
+            placeholder={t('editor.placeholder')}
+          />
+        )}
+        {view !== 'source' && (
+          <div
+            className="editor-preview markdown-body"
+            dangerouslySetInnerHTML={{ __html: previewHtml }}
+          />
+        )}
+      </div>
+
+      <div className="editor-footer">
+        <span className="editor-stats">
+          {t('editor.stats', {
+            words: content.split(/\s+/).filter(Boolean).length.toLocaleString(locale),
+            characters: content.length.toLocaleString(locale)
+          })}
+        </span>
+        {offline && onBrowserConvert && (
+          <div className="editor-browser-actions" title={t('fallback.editorHint')}>
+            <button className="btn-drawer" onClick={() => handleBrowserConvert('html')} disabled={busy || !content.trim()}>
+              <FileText size={16} />
+              {t('fallback.editorHtml')}
+            </button>
+            <button className="btn-drawer" onClick={() => handleBrowserConvert('pdf')} disabled={busy || !content.trim()}>
+              <Printer size={16} />
+              {t('fallback.editorPdf')}
+            </button>
+          </div>
+        )}
+        <button
+          className="btn-editor-convert"
+          onClick={handleConvert}
+          disabled={disabled || busy || !content.trim()}
+        >
+          {busy ? <Loader2 size={16} className="spinner" /> : <Download size={16} />}
+          {t('editor.convertTo', { format: targetFormat.toUpperCase() })}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default MarkdownEditor
@@ -0,0 +1,45 @@
+import { AlertTriangle, XCircle, Ban, Play } from 'lucide-react'
+import { SEVERITY } from '../utils/preflight'
+import { useI18n } from '../i18n/I18nContext'
+
+// Pre-flight issues of one Markdown file with the block/continue decision
+function PreflightReport({ report, onChangeBlocked, disabled }) {
+  const { t } = useI18n()
+
+  return (
+    <div className="preflight-report" onClick={(e) => e.stopPropagation()}>
+      {report.issues.length === 0 ? (
+        <p className="preflight-clean">{t('preflight.clean')}</p>
+      ) : (
+        <ul>
+          {report.issues.map((issue, index) => (
+            <li key={index} className={`preflight-issue ${issue.severity}`}>
+              {issue.severity === SEVERITY.ERROR ? <XCircle size={14} /> : <AlertTriangle size={14} />}
+              {issue.line && <span className="preflight-line">{t('preflight.line', { line: issue.line })}</span>}
+              <span className="preflight-message">{t(`preflight.rules.${issue.rule}`, issue.params)}</span>
+              {issue.snippet && <code className="preflight-snippet">{issue.snippet}</code>}
+            </li>
+          ))}
+        </ul>
+      )}
+      {report.issues.length > 0 && (
+        <div className="preflight-decision">
+          <span>{report.blocked ? t('preflight.blockedHint') : t('preflight.continueHint')}</span>
+          {report.blocked ? (
+            <button className="btn-drawer primary" onClick={() => onChangeBlocked(false)} disabled={disabled}>
+              <Play size={14} />
+              {t('preflight.continue')}
+            </button>
+          ) : (
+            <button className="btn-drawer" onClick={() => onChangeBlocked(true)} disabled={disabled}>
+              <Ban size={14} />
+              {t('preflight.block')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PreflightReport
@@ -0,0 +1,108 @@
+import { useState, useEffect, useMemo } from 'react'
+import { X, Copy, Check, Download, Loader2, Eye, Code, ClipboardType } from 'lucide-react'
+import { renderMarkdown } from '../utils/markdown'
+import { copyMarkdown, copyRichText } from '../utils/clipboard'
+import { useI18n } from '../i18n/I18nContext'
+
+function PreviewDrawer({ preview, onClose, onDownload }) {
+  const { t } = useI18n()
+  const [view, setView] = useState('rendered')
+  const [copied, setCopied] = useState(null)
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [onClose])
+
+  const renderedHtml = useMemo(() => renderMarkdown(preview.content), [preview.content])
+
+  // Copy the Markdown source, or the rendered document as rich text
+  const copyToClipboard = async (kind) => {
+    try {
+      await (kind === 'rich' ? copyRichText(preview.content) : copyMarkdown(preview.content))
+      setCopied(kind)
+      setTimeout(() => setCopied(null), 2000)
+    } catch (error) {
+      console.error('Copy failed:', error)
+    }
+  }
+
+  const hasContent = typeof preview.content === 'string'
+
+  return (
+    <div className="drawer-overlay" onClick={onClose}>
+      <aside className="preview-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="drawer-header">
+          <h3>{preview.fileName}</h3>
+          <button className="btn-action remove" onClick={onClose} title={t('preview.close')}>
+            <X size={18} />
+          </button>
+        </div>
+
+        {hasContent && (
+          <div className="drawer-toolbar">
+            <div className="editor-view-toggle">
+              <button
+                className={view === 'rendered' ? 'active' : ''}
+                onClick={() => setView('rendered')}
+                title={t('preview.rendered')}
+              >
+                <Eye size={16} />
+              </button>
+              <button
+                className={view === 'raw' ? 'active' : ''}
+                onClick={() => setView('raw')}
+                title={t('preview.raw')}
+              >
+                <Code size={16} />
+              </button>
+            </div>
+            <div className="drawer-actions">
+              <button className="btn-drawer" onClick={() => copyToClipboard('markdown')}>
+                {copied === 'markdown' ? <Check size={16} /> : <Copy size={16} />}
+                {copied === 'markdown' ? t('preview.copied') : t('preview.copy')}
+              </button>
+              <button className="btn-drawer" onClick={() => copyToClipboard('rich')}>
+                {copied === 'rich' ? <Check size={16} /> : <ClipboardType size={16} />}
+                {copied === 'rich' ? t('preview.copied') : t('preview.copyRichText')}
+              </button>
+              {preview.blob && (
+                <button className="btn-drawer primary" onClick={onDownload}>
+                  <Download size={16} />
+                  {t('preview.download')}
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        <div className="drawer-body">
+          {preview.loading && (
+            <div className="drawer-status">
+              <Loader2 size={24} className="spinner" />
+              <span>{t('preview.converting')}</span>
+            </div>
+          )}
+          {preview.error && (
+            <div className="drawer-status error">{preview.error}</div>
+          )}
+          {hasContent && view === 'rendered' && (
+            <div
+              className="markdown-body"
+              dangerouslySetInnerHTML={{ __html: renderedHtml }}
+            />
+          )}
+          {hasContent && view === 'raw' && (
+            <pre className="drawer-raw">{preview.content}</pre>
+          )}
+        </div>
+      </aside>
+    </div>
+  )
+}
+
+export default PreviewDrawer
@@ -0,0 +1,34 @@
+import { Gauge } from 'lucide-react'
+import { summarizeResults } from '../utils/conversionStats'
+import { useI18n } from '../i18n/I18nContext'
+
+// Aggregated ConversionMetadata for the current results list
+function ResultsSummary({ results }) {
+  const { t, formatNumber, formatDuration } = useI18n()
+  const summary = summarizeResults(results)
+  if (!summary) return null
+
+  return (
+    <div className="results-summary">
+      <Gauge size={16} />
+      <span>{t('summary.pages', { count: summary.totalPages })}</span>
+      <span>{t('summary.words', { count: summary.totalWords })}</span>
+      <span>{t('summary.averageTime', { time: formatDuration(summary.averageSeconds) })}</span>
+      {summary.wordsPerSecond !== null && (
+        <span>
+          {t('summary.throughput', {
+            words: formatNumber(summary.wordsPerSecond),
+            pages: formatNumber(summary.pagesPerMinute, 1)
+          })}
+        </span>
+      )}
+      {summary.files > 1 && (
+        <span title={summary.slowest.fileName}>
+          {t('summary.slowest', { name: summary.slowest.fileName, time: formatDuration(summary.slowest.seconds) })}
+        </span>
+      )}
+    </div>
+  )
+}
+
+export default ResultsSummary
@@ -0,0 +1,87 @@
+import { useState } from 'react'
+import { FolderDown, ChevronDown, ChevronUp, FolderOpen, Download } from 'lucide-react'
+import { CONFLICT_POLICIES, NAMING_TOKENS, formatOutputName, supportsFolderPicker } from '../utils/saveDestination'
+import { useI18n } from '../i18n/I18nContext'
+
+const EXAMPLE_OUTPUT = 'report.pdf'
+const EXAMPLE_SOURCE = 'report.md'
+
+// Where automatically saved results go and how they are named
+function SaveDestinationPanel({ settings, onChange, folder, onPickFolder, onForgetFolder, disabled }) {
+  const { t } = useI18n()
+  const [open, setOpen] = useState(false)
+
+  const update = (key, value) => {
+    onChange({ ...settings, [key]: value })
+  }
+
+  const destination = folder ? folder.name : t('saveDestination.downloads')
+
+  return (
+    <div className="options-panel">
+      <button className="options-panel-toggle" onClick={() => setOpen(!open)}>
+        <FolderDown size={18} />
+        <span>{t('saveDestination.title')}</span>
+        <span className="options-panel-subtitle">{destination}</span>
+        {open ? <ChevronUp size={18} /> : <ChevronDown size={18} />}
+      </button>
+
+      {open && (
+        <fieldset className="options-panel-body" disabled={disabled}>
+          <div className="save-destination-folder">
+            {folder ? <FolderOpen size={16} /> : <Download size={16} />}
+            <span>{folder ? t('saveDestination.folder', { name: folder.name }) : t('saveDestination.downloadsHint')}</span>
+            {supportsFolderPicker() ? (
+              <>
+                <button className="btn-drawer" onClick={onPickFolder}>
+                  {folder ? t('saveDestination.change') : t('saveDestination.pick')}
+                </button>
+                {folder && (
+                  <button className="btn-drawer" onClick={onForgetFolder}>
+                    {t('saveDestination.useDownloads')}
+                  </button>
+                )}
+              </>
+            ) : (
+              <span className="save-destination-note">{t('saveDestination.unsupported')}</span>
+            )}
+          </div>
+
+          <div className="options-grid">
+            <label className="wide">
+              {t('saveDestination.naming')}
+              <input
+                type="text"
+                value={settings.namingTemplate}
+                onChange={(e) => update('namingTemplate', e.target.value)}
+                placeholder="{name}.{ext}"
+              />
+              <span className="save-destination-note">
+                {t('saveDestination.tokens', { tokens: NAMING_TOKENS.map(token => `{${token}}`).join(' ') })}
+                {' · '}
+                {t('saveDestination.example', {
+                  name: formatOutputName(settings.namingTemplate, EXAMPLE_OUTPUT, { sourceName: EXAMPLE_SOURCE })
+                })}
+              </span>
+            </label>
+            <label>
+              {t('saveDestination.conflicts')}
+              <select
+                value={settings.conflictPolicy}
+                onChange={(e) => update('conflictPolicy', e.target.value)}
+                disabled={!folder}
+                title={folder ? undefined : t('saveDestination.conflictsDownloads')}
+              >
+                {CONFLICT_POLICIES.map(policy => (
+                  <option key={policy} value={policy}>{t(`saveDestination.policies.${policy}`)}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </fieldset>
+      )}
+    </div>
+  )
+}
+
+export default SaveDestinationPanel
@@ -0,0 +1,99 @@
+import { Server, Ban, X, Download, Loader2 } from 'lucide-react'
+import { isFinishedJob } from '../api/converterClient'
+import { getJobProgress, countFinishedFiles } from '../utils/serverJob'
+import { useI18n } from '../i18n/I18nContext'
+import { translateApiError } from '../i18n'
+
+// Progress of a background conversion job on the server, per file. Survives
+// reloads: the job is found again by its id and its files can still be
+// downloaded from the server until the job expires.
+function ServerJobPanel({ job, error, onCancel, onDismiss, onDownload, describeMetadata }) {
+  const { t, formatDateTime } = useI18n()
+  const finished = !job || isFinishedJob(job)
+  const doneCount = countFinishedFiles(job)
+
+  const describeFile = (file) => {
+    switch (file.status) {
+      case 'converting':
+        return file.pageCount > 0 ? t('serverJob.page', { page: file.page, count: file.pageCount }) : null
+      case 'done':
+        return [file.outputFileName, file.metadata && describeMetadata(file.metadata)].filter(Boolean).join(' · ')
+      case 'failed':
+        return translateApiError(t, file.errorCode, file.error) || t('errors.conversionFailed')
+      default:
+        return null
+    }
+  }
+
+  return (
+    <div className="server-job">
+      <div className="file-list-header">
+        <h3>
+          <Server size={18} />
+          {t('serverJob.title')}
+          {job && <span className={`job-status ${job.status}`}>{t(`serverJob.status.${job.status}`)}</span>}
+        </h3>
+        {finished ? (
+          <button className="btn-clear" onClick={onDismiss}>
+            <X size={16} />
+            {t('serverJob.dismiss')}
+          </button>
+        ) : (
+          <button className="btn-clear" onClick={onCancel}>
+            <Ban size={16} />
+            {t('serverJob.cancel')}
+          </button>
+        )}
+      </div>
+
+      {error ? (
+        <p className="server-job-note error">
+          {error.code === 'JOB_NOT_FOUND' ? t('serverJob.expired') : t('serverJob.lost', { message: error.message })}
+        </p>
+      ) : !job ? (
+        <p className="server-job-note">
+          <Loader2 size={14} className="spinner" />
+          {t('serverJob.connecting')}
+        </p>
+      ) : (
+        <>
+          <p className="server-job-note">
+            {t('serverJob.summary', { done: doneCount, total: job.files.length, time: formatDateTime(job.createdAt) })}
+          </p>
+          <div className="conversion-progress-bar">
+            <div className="conversion-progress-fill" style={{ width: `${getJobProgress(job) * 100}%` }}></div>
+          </div>
+          <ul>
+            {job.files.map(file => {
+              const detail = describeFile(file)
+              return (
+                <li key={file.index} className={`server-job-file job-${file.status}`}>
+                  <div className="server-job-file-info">
+                    <span className="server-job-file-name">{file.fileName}</span>
+                    {detail && <span className="server-job-file-detail">{detail}</span>}
+                    {file.status === 'converting' && file.pageCount > 0 && (
+                      <div className="conversion-progress-bar">
+                        <div className="conversion-progress-fill" style={{ width: `${(file.page / file.pageCount) * 100}%` }}></div>
+                      </div>
+                    )}
+                  </div>
+                  <span className={`job-status ${file.status}`}>
+                    {file.status === 'converting' && <Loader2 size={12} className="spinner" />}
+                    {t(`jobStatus.${file.status}`)}
+                  </span>
+                  {file.status === 'done' && (
+                    <button className="btn-action download" onClick={() => onDownload(file)} title={t('results.download')}>
+                      <Download size={16} />
+                    </button>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ServerJobPanel
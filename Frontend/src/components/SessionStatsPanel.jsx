@@ -0,0 +1,71 @@
+import { BarChart3, Trash2 } from 'lucide-react'
+import { useI18n } from '../i18n/I18nContext'
+
+// Success/failure rates by source format for this browser session
+function SessionStatsPanel({ stats, onClear }) {
+  const { t, formatNumber } = useI18n()
+  const rows = Object.entries(stats)
+    .map(([format, { succeeded, failed }]) => ({ format, succeeded, failed, total: succeeded + failed }))
+    .sort((a, b) => b.total - a.total)
+  const total = rows.reduce((sum, row) => sum + row.total, 0)
+  const succeeded = rows.reduce((sum, row) => sum + row.succeeded, 0)
+
+  return (
+    <div className="session-stats">
+      <div className="file-list-header">
+        <h3>
+          <BarChart3 size={18} />
+          {t('sessionStats.title')}
+          <span className="file-count">{total}</span>
+        </h3>
+        <button className="btn-clear" onClick={onClear} disabled={total === 0}>
+          <Trash2 size={16} />
+          {t('sessionStats.reset')}
+        </button>
+      </div>
+
+      {total === 0 ? (
+        <p className="history-empty">{t('sessionStats.empty')}</p>
+      ) : (
+        <table className="session-stats-table">
+          <thead>
+            <tr>
+              <th>{t('sessionStats.format')}</th>
+              <th>{t('sessionStats.succeeded')}</th>
+              <th>{t('sessionStats.failed')}</th>
+              <th>{t('sessionStats.successRate')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => {
+              const rate = (row.succeeded * 100) / row.total
+              return (
+                <tr key={row.format} className={row.failed > row.succeeded ? 'poor' : ''}>
+                  <td>.{row.format}</td>
+                  <td>{formatNumber(row.succeeded)}</td>
+                  <td>{formatNumber(row.failed)}</td>
+                  <td>
+                    <div className="success-rate">
+                      <div className="success-rate-bar" style={{ width: `${rate}%` }} />
+                      <span>{formatNumber(rate)}%</span>
+                    </div>
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td>{t('sessionStats.all')}</td>
+              <td>{formatNumber(succeeded)}</td>
+              <td>{formatNumber(total - succeeded)}</td>
+              <td>{formatNumber((succeeded * 100) / total)}%</td>
+            </tr>
+          </tfoot>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default SessionStatsPanel
@@ -0,0 +1,101 @@
+import { useRef, useState } from 'react'
+import { FileStack, ChevronDown, ChevronUp, Upload, Pencil, Trash2 } from 'lucide-react'
+import { addTemplate, deleteTemplate, getTemplates, renameTemplate, validateTemplate } from '../utils/templateStore'
+import { useI18n } from '../i18n/I18nContext'
+
+const withoutExtension = (fileName) => fileName.replace(/\.[^.]+$/, '')
+
+// Stored DOCX templates: upload, rename and delete. Picking one for a
+// conversion happens in the layout options.
+function TemplateManager({ templates, onChange, disabled }) {
+  const { t, formatSize, formatDateTime } = useI18n()
+  const [open, setOpen] = useState(false)
+  const [error, setError] = useState(null)
+  const inputRef = useRef(null)
+
+  const run = async (action) => {
+    setError(null)
+    try {
+      await action()
+      onChange(await getTemplates())
+    } catch (err) {
+      console.error('Template storage failed:', err)
+      setError(t('templates.errors.storage'))
+    }
+  }
+
+  const upload = async (file) => {
+    const problem = await validateTemplate(file)
+    if (problem) {
+      setError(t(`templates.errors.${problem}`, { name: file.name }))
+      return
+    }
+    const name = prompt(t('templates.namePrompt'), withoutExtension(file.name))?.trim()
+    if (!name) return
+    await run(() => addTemplate(name, file))
+  }
+
+  const rename = (template) => {
+    const name = prompt(t('templates.namePrompt'), template.name)?.trim()
+    if (!name || name === template.name) return
+    run(() => renameTemplate(template, name))
+  }
+
+  const remove = (template) => {
+    if (!confirm(t('templates.deleteConfirm', { name: template.name }))) return
+    run(() => deleteTemplate(template.id))
+  }
+
+  return (
+    <div className="options-panel">
+      <button className="options-panel-toggle" onClick={() => setOpen(!open)}>
+        <FileStack size={18} />
+        <span>{t('templates.title')}</span>
+        {templates.length > 0 && <span className="file-count">{templates.length}</span>}
+        {open ? <ChevronUp size={18} /> : <ChevronDown size={18} />}
+      </button>
+
+      {open && (
+        <fieldset className="options-panel-body" disabled={disabled}>
+          <p className="template-hint">{t('templates.hint')}</p>
+          {templates.length > 0 && (
+            <ul className="template-list">
+              {templates.map(template => (
+                <li key={template.id} className="template-item">
+                  <span className="template-name">{template.name}</span>
+                  <span className="template-meta">
+                    {template.fileName} · {formatSize(template.size)} · {formatDateTime(template.createdAt)}
+                  </span>
+                  <button className="btn-action" onClick={() => rename(template)} title={t('templates.rename')}>
+                    <Pencil size={14} />
+                  </button>
+                  <button className="btn-action remove" onClick={() => remove(template)} title={t('templates.delete')}>
+                    <Trash2 size={14} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {error && <p className="template-error">{error}</p>}
+          <input
+            ref={inputRef}
+            type="file"
+            accept=".docx"
+            hidden
+            onChange={(e) => {
+              const file = e.target.files?.[0]
+              e.target.value = ''
+              if (file) upload(file)
+            }}
+          />
+          <button className="btn-drawer" onClick={() => inputRef.current?.click()}>
+            <Upload size={14} />
+            {t('templates.upload')}
+          </button>
+        </fieldset>
+      )}
+    </div>
+  )
+}
+
+export default TemplateManager
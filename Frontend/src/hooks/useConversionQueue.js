@@ -0,0 +1,33 @@
+import { useState, useEffect } from 'react'
+import { createConversionQueue } from '../utils/conversionQueue'
+
+// React binding for the conversion queue. The latest `worker` is always used,
+// so it may close over current component state. While `paused` is true,
+// queued jobs wait instead of starting
+export const useConversionQueue = (worker, concurrency, paused = false) => {
+  const [jobs, setJobs] = useState([])
+  const [queue] = useState(() => createConversionQueue({
+    worker,
+    concurrency,
+    onChange: setJobs
+  }))
+
+  useEffect(() => {
+    queue.setWorker(worker)
+  })
+
+  useEffect(() => {
+    queue.setConcurrency(concurrency)
+  }, [queue, concurrency])
+
+  useEffect(() => {
+    queue.setPaused(paused)
+  }, [queue, paused])
+
+  // Abort in-flight requests when the component unmounts
+  useEffect(() => {
+    return () => queue.cancelAll()
+  }, [queue])
+
+  return { jobs, ...queue }
+}
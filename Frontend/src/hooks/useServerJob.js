@@ -0,0 +1,34 @@
+import { useState, useEffect, useRef } from 'react'
+import { converterClient } from '../api/converterClient'
+import { applyJobEvent } from '../utils/serverJob'
+
+// Follow a server conversion job while `jobId` is set. `onEvent(name, data)`
+// is called for every event after the state is updated; the latest handler
+// is always used. Returns the job state (null until the first event) and the
+// error that ended the watch, if any.
+export const useServerJob = (jobId, onEvent) => {
+  const [state, setState] = useState({ jobId: null, job: null, error: null })
+  const onEventRef = useRef(onEvent)
+
+  useEffect(() => {
+    onEventRef.current = onEvent
+  })
+
+  useEffect(() => {
+    if (!jobId) return
+    return converterClient.watchJob(jobId, {
+      onEvent: (name, data) => {
+        setState(prev => ({
+          jobId,
+          job: applyJobEvent(prev.jobId === jobId ? prev.job : null, name, data),
+          error: null
+        }))
+        onEventRef.current?.(name, data)
+      },
+      onError: (error) => setState({ jobId, job: null, error })
+    })
+  }, [jobId])
+
+  // State left over from a previous job is never shown
+  return state.jobId === jobId ? { job: state.job, error: state.error } : { job: null, error: null }
+}
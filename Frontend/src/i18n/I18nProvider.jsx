@@ -0,0 +1,36 @@
+import { useState, useEffect, useMemo } from 'react'
+import { I18nContext } from './I18nContext'
+import {
+  getInitialLocale,
+  saveLocale,
+  createTranslator,
+  formatSize,
+  formatElapsedTime,
+  formatDuration
+} from './index'
+
+function I18nProvider({ children }) {
+  const [locale, setLocale] = useState(getInitialLocale)
+
+  useEffect(() => {
+    document.documentElement.lang = locale
+  }, [locale])
+
+  const value = useMemo(() => ({
+    locale,
+    setLocale: (next) => {
+      setLocale(next)
+      saveLocale(next)
+    },
+    t: createTranslator(locale),
+    formatSize: (bytes) => formatSize(locale, bytes),
+    formatElapsedTime: (seconds) => formatElapsedTime(locale, seconds),
+    formatDuration: (seconds) => formatDuration(locale, seconds),
+    formatNumber: (value, maximumFractionDigits = 0) => value.toLocaleString(locale, { maximumFractionDigits }),
+    formatDateTime: (date) => new Date(date).toLocaleString(locale)
+  }), [locale])
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>
+}
+
+export default I18nProvider
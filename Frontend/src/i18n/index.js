@@ -0,0 +1,101 @@
+// Translation helpers and locale-aware formatting
+// Bundles are nested objects; keys are dotted paths such as 'header.subtitle'.
+// Plural entries are objects keyed by Intl.PluralRules category and are
+// selected with the `count` parameter.
+
+import en from './locales/en'
+import ro from './locales/ro'
+
+const LOCALE_KEY = 'locale'
+
+export const LOCALES = [
+  { code: 'en', label: 'English', short: 'EN' },
+  { code: 'ro', label: 'Română', short: 'RO' }
+]
+
+const BUNDLES = { en, ro }
+
+export const DEFAULT_LOCALE = 'en'
+
+export const getInitialLocale = () => {
+  const saved = localStorage.getItem(LOCALE_KEY)
+  if (saved && BUNDLES[saved]) return saved
+  const browser = (navigator.language || '').slice(0, 2).toLowerCase()
+  return BUNDLES[browser] ? browser : DEFAULT_LOCALE
+}
+
+export const saveLocale = (locale) => {
+  localStorage.setItem(LOCALE_KEY, locale)
+}
+
+const lookup = (bundle, key) => key.split('.').reduce((node, part) => node?.[part], bundle)
+
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => (
+  params[name] !== undefined ? String(params[name]) : match
+))
+
+// Build a translator for a locale, falling back to English for missing keys
+export const createTranslator = (locale) => {
+  const bundle = BUNDLES[locale] || BUNDLES[DEFAULT_LOCALE]
+  const pluralRules = new Intl.PluralRules(locale)
+  const numberFormat = new Intl.NumberFormat(locale)
+
+  const t = (key, params = {}) => {
+    let value = lookup(bundle, key) ?? lookup(BUNDLES[DEFAULT_LOCALE], key)
+    if (value && typeof value === 'object' && params.count !== undefined) {
+      value = value[pluralRules.select(params.count)] ?? value.other
+    }
+    if (typeof value !== 'string') return key
+
+    const formatted = { ...params }
+    if (typeof params.count === 'number') formatted.count = numberFormat.format(params.count)
+    return interpolate(value, formatted)
+  }
+
+  t.has = (key) => lookup(bundle, key) !== undefined || lookup(BUNDLES[DEFAULT_LOCALE], key) !== undefined
+
+  return t
+}
+
+const unitFormatters = new Map()
+
+const formatUnit = (locale, value, unit, maximumFractionDigits = 0) => {
+  const cacheKey = `${locale}:${unit}:${maximumFractionDigits}`
+  if (!unitFormatters.has(cacheKey)) {
+    unitFormatters.set(cacheKey, new Intl.NumberFormat(locale, {
+      style: 'unit',
+      unit,
+      unitDisplay: ['millisecond', 'second', 'minute'].includes(unit) ? 'narrow' : 'short',
+      maximumFractionDigits
+    }))
+  }
+  return unitFormatters.get(cacheKey).format(value)
+}
+
+// File size with localized decimal separator, e.g. "1.5 MB" / "1,5 MB"
+export const formatSize = (locale, bytes) => {
+  if (bytes < 1024) return formatUnit(locale, bytes, 'byte')
+  if (bytes < 1024 * 1024) return formatUnit(locale, bytes / 1024, 'kilobyte', 1)
+  return formatUnit(locale, bytes / (1024 * 1024), 'megabyte', 1)
+}
+
+// Elapsed time as seconds, or minutes and seconds past one minute
+export const formatElapsedTime = (locale, seconds) => {
+  if (seconds < 60) return formatUnit(locale, seconds, 'second')
+  const mins = Math.floor(seconds / 60)
+  const secs = seconds % 60
+  return `${formatUnit(locale, mins, 'minute')} ${formatUnit(locale, secs, 'second')}`
+}
+
+// Processing time with sub-second precision, e.g. "350ms" / "2.4s"
+export const formatDuration = (locale, seconds) => {
+  if (seconds < 1) return formatUnit(locale, Math.round(seconds * 1000), 'millisecond')
+  if (seconds < 60) return formatUnit(locale, seconds, 'second', 1)
+  return formatElapsedTime(locale, Math.round(seconds))
+}
+
+// Prefer the translated message for a stable API error code
+export const translateApiError = (t, code, fallback) => {
+  if (code && t.has(`apiErrors.${code}`)) return t(`apiErrors.${code}`)
+  return fallback
+}
@@ -0,0 +1,461 @@
+// English strings
+
+export default {
+  header: {
+    subtitle: 'Convert PDF, Word to Markdown and vice versa',
+    toggleTheme: 'Toggle theme',
+    language: 'Language'
+  },
+  status: {
+    online: 'Online',
+    waking: 'Waking up... {time}',
+    offline: 'Offline',
+    connecting: 'Connecting...'
+  },
+  wake: {
+    title: '☕ The server is waking up...',
+    description: 'We use free hosting (Render Free Tier), which goes to sleep after 15 minutes of inactivity.',
+    estimate: 'Estimate: ~{time}',
+    pending: {
+      one: '{count} conversion waiting - it starts automatically once the server is online.',
+      other: '{count} conversions waiting - they start automatically once the server is online.'
+    }
+  },
+  tabs: {
+    files: 'Files',
+    editor: 'Editor',
+    history: 'History'
+  },
+  dropZone: {
+    title: 'Drop your files here',
+    subtitle: 'or click to browse - folders and .zip archives keep their structure',
+    paste: 'You can also paste (Ctrl+V) files, images, web pages or Markdown text',
+    selectFolder: 'Select folder'
+  },
+  rejected: {
+    title: {
+      one: '{count} file was not added',
+      other: '{count} files were not added'
+    },
+    dismiss: 'Dismiss',
+    unsupportedFormat: 'Unsupported format: {ext}',
+    noExtension: 'File has no extension',
+    empty: 'File is empty',
+    archiveFailed: 'Could not read archive: {message}'
+  },
+  options: {
+    outputForMarkdown: 'Output for Markdown:',
+    processing: 'Processing:',
+    queue: 'Per-file queue',
+    batch: 'Single batch request',
+    serverJob: 'Server job with live progress',
+    parallel: 'Parallel conversions',
+    atATime: '{count} at a time',
+    autoSave: 'Save results automatically'
+  },
+  layout: {
+    title: 'PDF / DOCX layout',
+    customFor: 'Custom layout for',
+    presets: 'Presets...',
+    savePreset: 'Save preset',
+    savePresetTitle: 'Save current options as a preset',
+    presetPrompt: 'Preset name:',
+    deletePreset: 'Delete preset',
+    defaults: 'Defaults',
+    defaultsTitle: 'Restore defaults',
+    useGlobal: 'Use global options',
+    pageSize: 'Page size',
+    orientation: 'Orientation',
+    portrait: 'Portrait',
+    landscape: 'Landscape',
+    font: 'Font',
+    fontSize: 'Font size (pt)',
+    margins: {
+      marginTop: 'Top margin (cm)',
+      marginBottom: 'Bottom margin (cm)',
+      marginLeft: 'Left margin (cm)',
+      marginRight: 'Right margin (cm)'
+    },
+    headerText: 'Header text',
+    footerText: 'Footer text',
+    none: 'None',
+    engine: 'Engine',
+    engines: {
+      Auto: 'Automatic',
+      Native: 'Native (QuestPDF / OpenXML)',
+      Pandoc: 'Pandoc (when available)'
+    },
+    pageNumbers: 'Page numbers',
+    tableOfContents: 'Table of contents',
+    titlePage: 'Title page',
+    titlePageHint: 'Start with a page showing the title, author, date and version from the document properties',
+    template: 'Word template',
+    templateHint: 'Styles for Word output; PDF output is not affected',
+    builtInTemplate: 'Built-in styles'
+  },
+  fileList: {
+    title: 'Files to convert',
+    clearAll: 'Clear all',
+    cancel: 'Cancel',
+    retry: 'Retry',
+    editLayout: 'Edit custom layout',
+    customLayout: 'Use custom layout for this file',
+    editProperties: 'Document properties',
+    checkFidelity: 'Round-trip fidelity check',
+    previewMarkdown: 'Preview Markdown',
+    convertDownload: 'Convert & Download',
+    remove: 'Remove'
+  },
+  frontMatter: {
+    title: 'Document properties',
+    hint: 'Read from the YAML front matter. Changes are written into the uploaded copy and used for the title page, the PDF document info and the Word properties.',
+    close: 'Close',
+    fields: {
+      title: 'Title',
+      author: 'Author',
+      date: 'Date',
+      version: 'Version',
+      keywords: 'Keywords'
+    },
+    datePlaceholder: 'YYYY-MM-DD',
+    keywordsPlaceholder: 'Comma-separated',
+    reset: 'Use values from file',
+    resetTitle: 'Discard the edits and keep the front matter as written'
+  },
+  saveDestination: {
+    title: 'Save destination',
+    downloads: 'Browser downloads',
+    downloadsHint: 'Results are downloaded by the browser.',
+    folder: 'Results are written to the folder {name}, keeping the source folders.',
+    pick: 'Choose folder',
+    change: 'Change folder',
+    useDownloads: 'Use downloads instead',
+    unsupported: 'This browser cannot write to a folder; results are downloaded.',
+    pickFailed: 'Could not use this folder: {message}',
+    naming: 'File names',
+    tokens: 'Available: {tokens}',
+    example: 'Example: {name}',
+    conflicts: 'If the file exists',
+    conflictsDownloads: 'The browser decides when downloading',
+    policies: {
+      rename: 'Keep both (add a number)',
+      overwrite: 'Overwrite',
+      skip: 'Skip'
+    },
+    status: {
+      saved: 'Saved to {path}',
+      renamed: 'Saved as {path} (name was taken)',
+      overwritten: 'Overwrote {path}',
+      skipped: 'Skipped, {path} already exists',
+      downloaded: 'Downloaded as {path}',
+      failed: 'Could not save: {message}'
+    }
+  },
+  templates: {
+    title: 'Word templates',
+    hint: 'Reference .docx files whose styles (fonts, headings, colours) are used for Word output. They are stored in this browser and uploaded with the conversions that use them.',
+    upload: 'Upload template',
+    namePrompt: 'Template name:',
+    rename: 'Rename',
+    delete: 'Delete',
+    deleteConfirm: 'Delete the template "{name}"?',
+    errors: {
+      extension: '{name} is not a .docx file',
+      size: '{name} is empty or larger than 10 MB',
+      notWord: '{name} is not a valid Word document',
+      noStyles: '{name} has no style definitions',
+      storage: 'The template could not be saved in the browser'
+    }
+  },
+  assets: {
+    title: 'Images & assets',
+    hint: 'Uploaded with the Markdown files that reference them. Paths are matched relative to each document; a lone file with the same name also matches.',
+    pasted: 'Pasted',
+    pastedNote: 'Pasted images are not converted on their own. They are bundled with Markdown files that reference them by name, e.g. ![]({name}).',
+    bundled: {
+      one: '{count} image bundled',
+      other: '{count} images bundled'
+    }
+  },
+  preflight: {
+    checking: 'Checking...',
+    ok: 'No issues',
+    errors: {
+      one: '{count} error',
+      other: '{count} errors'
+    },
+    warnings: {
+      one: '{count} warning',
+      other: '{count} warnings'
+    },
+    blocked: 'Blocked',
+    showReport: 'Show pre-flight report',
+    clean: 'No problems found.',
+    line: 'Line {line}',
+    blockedHint: 'This file will be skipped when converting.',
+    continueHint: 'This file will be converted despite the issues.',
+    continue: 'Convert anyway',
+    block: 'Skip this file',
+    blockedCount: {
+      one: '{count} file is skipped because of pre-flight issues',
+      other: '{count} files are skipped because of pre-flight issues'
+    },
+    rules: {
+      missingTitle: 'No level-1 heading or front matter title; the document has no title.',
+      unresolvedImage: 'Image "{src}" is missing. Add it together with the Markdown file, or drop the whole folder or ZIP.',
+      emptyImage: 'Image has no source.',
+      relativeLink: 'Relative link "{href}" will not work in the converted document.',
+      tableDelimiter: 'Table header has {expected} columns but the separator row has {actual}; it will not render as a table.',
+      tableHeader: 'Table rows without a header separator row (| --- |) will render as plain text.',
+      tableColumns: 'Row has {actual} cells, the table has {expected}.',
+      htmlBlock: 'HTML block <{tag}> is not supported and will be dropped.',
+      unreadable: 'The file could not be read ({message}). It may have been moved, deleted or changed since it was added.'
+    }
+  },
+  serverJob: {
+    title: 'Server job',
+    status: {
+      queued: 'Waiting',
+      running: 'Running',
+      completed: 'Finished',
+      cancelled: 'Cancelled'
+    },
+    summary: '{done} of {total} files finished · started {time}',
+    page: 'Page {page} of {count}',
+    connecting: 'Connecting to the job...',
+    cancel: 'Cancel job',
+    dismiss: 'Dismiss',
+    cancelFailed: 'Could not cancel the job: {message}',
+    expired: 'This job is no longer available. Finished jobs are kept on the server for 30 minutes, and a server restart removes them.',
+    lost: 'Lost contact with the job: {message}'
+  },
+  jobStatus: {
+    queued: 'Queued',
+    uploading: 'Uploading',
+    converting: 'Converting',
+    done: 'Done',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+  },
+  convert: {
+    waiting: 'Waiting for server... ({count} pending)',
+    converting: 'Converting...',
+    convertAll: 'Convert All Files'
+  },
+  fallback: {
+    message: {
+      one: 'The server is unavailable. {count} Markdown file can be converted in your browser instead:',
+      other: 'The server is unavailable. {count} Markdown files can be converted in your browser instead:'
+    },
+    exportHtml: 'Export HTML',
+    printPdf: 'Print to PDF',
+    editorHint: 'The server is unavailable; convert in the browser',
+    editorHtml: 'HTML',
+    editorPdf: 'Print PDF',
+    markdownOnly: 'Only Markdown files can be converted without the server',
+    printed: 'Saved through the browser print dialog',
+    failed: 'Browser conversion failed'
+  },
+  engine: {
+    server: 'Server',
+    browser: 'Browser'
+  },
+  results: {
+    title: 'Conversion Results',
+    success: '{count} success',
+    failed: '{count} failed',
+    downloadAll: 'Download all (.zip)',
+    unknown: 'Unknown',
+    preview: 'Preview Markdown',
+    copyMarkdown: 'Copy as Markdown',
+    copyRichText: 'Copy as rich text',
+    download: 'Download'
+  },
+  summary: {
+    pages: {
+      one: '{count} page',
+      other: '{count} pages'
+    },
+    words: {
+      one: '{count} word',
+      other: '{count} words'
+    },
+    characters: {
+      one: '{count} character',
+      other: '{count} characters'
+    },
+    averageTime: 'avg. {time} per file',
+    throughput: '{words} words/s · {pages} pages/min',
+    slowest: 'slowest: {name} ({time})'
+  },
+  sessionStats: {
+    title: 'This Session',
+    reset: 'Reset',
+    empty: 'No conversions in this session yet.',
+    format: 'Source format',
+    succeeded: 'Succeeded',
+    failed: 'Failed',
+    successRate: 'Success rate',
+    all: 'All formats'
+  },
+  errors: {
+    conversionFailed: 'Conversion failed',
+    downloadFailed: 'Download failed',
+    previewFailed: 'Preview failed',
+    batchTimeout: 'Request timed out. The file may be too large or the server is busy.',
+    timeout: 'Request timed out. Please try again.',
+    conversionFailedAlert: 'Conversion failed: {message}',
+    downloadFailedAlert: 'Download failed: {message}',
+    zipFailed: 'Could not create ZIP archive: {message}'
+  },
+  apiErrors: {
+    NO_FILE: 'No file was provided.',
+    NO_FILES: 'No files were provided.',
+    INVALID_OPTIONS: 'The layout options are invalid.',
+    INVALID_FILE_OPTIONS: 'The per-file layout options are invalid.',
+    INVALID_TEMPLATE: 'The Word template is missing or not a valid .docx document.',
+    UNSUPPORTED_FORMAT: 'This file format is not supported.',
+    INVALID_DOCUMENT: 'The document is damaged or not a valid file of this type.',
+    CONVERSION_FAILED: 'The server could not convert this file.',
+    CONVERSION_CANCELLED: 'The conversion was cancelled.',
+    JOB_NOT_FOUND: 'The conversion job no longer exists on the server.',
+    INVALID_EVENT: 'The server sent a progress update that could not be read.',
+    RESULT_NOT_AVAILABLE: 'This file has no converted result.'
+  },
+  editor: {
+    title: 'Markdown Editor',
+    fileName: 'Output file name',
+    sourceOnly: 'Source only',
+    split: 'Source and preview',
+    previewOnly: 'Preview only',
+    clear: 'Clear',
+    placeholder: '# Start typing Markdown...',
+    stats: '{words} words · {characters} characters',
+    convertTo: 'Convert to {format}',
+    sample: `# Untitled document
+
+Write **Markdown** here and convert it without saving a file.
+
+| Column | Value |
+| ------ | ----- |
+| A      | 1     |
+
+- First item
+- Second item
+
+\`\`\`
+code block
+\`\`\`
+`
+  },
+  fidelity: {
+    title: 'Fidelity check: {name}',
+    running: 'Converting there and back...',
+    failed: 'The fidelity check failed.',
+    changesOnly: 'Changed lines only',
+    identical: 'The round trip returned exactly the same Markdown.',
+    differences: '{changed} changed, {removed} lost and {added} new lines after the round trip.',
+    original: 'Original',
+    roundTrip: 'After round trip',
+    lost: {
+      one: '{count} lost',
+      other: '{count} lost'
+    },
+    more: 'and {count} more',
+    categories: {
+      headings: 'Headings',
+      links: 'Links',
+      tables: 'Tables',
+      emphasis: 'Emphasis'
+    }
+  },
+  preview: {
+    close: 'Close',
+    rendered: 'Rendered view',
+    raw: 'Raw Markdown',
+    copy: 'Copy Markdown',
+    copyRichText: 'Copy as rich text',
+    copied: 'Copied',
+    download: 'Download',
+    converting: 'Converting...'
+  },
+  history: {
+    title: 'Conversion History',
+    purge: 'Purge',
+    purgeConfirm: 'Delete the entire conversion history?',
+    search: 'Search by file name or format',
+    storage: 'Storage: {used} of',
+    unavailable: 'History is not available in this browser.',
+    empty: 'No conversions recorded yet.',
+    noMatches: 'No matching conversions.',
+    pages: '{count} pages',
+    words: '{count} words',
+    characters: '{count} chars',
+    evicted: '(file removed to free space)',
+    downloadAgain: 'Download again',
+    reconvert: 'Re-convert with different options',
+    remove: 'Delete from history'
+  },
+  diagnostics: {
+    open: 'Server diagnostics',
+    title: 'Server diagnostics',
+    checkNow: 'Check now',
+    status: {
+      checking: 'Checking...',
+      online: 'Online',
+      waking: 'Waking up',
+      offline: 'Offline'
+    },
+    latencyTitle: 'Health checks',
+    noChecks: 'No health checks yet.',
+    latency: 'Response time: {last} last, {average} on average, {slowest} slowest.',
+    polling: 'Next check in about {interval}; checks slow down while nothing changes.',
+    coldStartsTitle: 'Cold starts',
+    clear: 'Clear',
+    noColdStarts: 'No cold starts measured yet.',
+    coldStartAverage: 'Average wake-up: {average} (estimate: {estimate}).',
+    faster: '{time} faster',
+    slower: '{time} slower',
+    loading: 'Loading the server report...',
+    waitingForServer: 'The server report is loaded once the server is online.',
+    reportFailed: 'Could not load the server report: {message}',
+    serverTitle: 'Server',
+    version: 'Version',
+    build: 'Build',
+    runtime: 'Runtime',
+    environment: 'Environment',
+    startedAt: 'Started',
+    uptime: 'up {time}',
+    enginesTitle: 'Engines',
+    unavailable: 'not installed',
+    engines: {
+      native: 'Native',
+      pandoc: 'Pandoc'
+    },
+    conversion: 'Conversion',
+    conversions: {
+      pdfToMarkdown: 'PDF → Markdown',
+      docxToMarkdown: 'DOCX → Markdown',
+      odtToMarkdown: 'ODT → Markdown',
+      markdownToPdf: 'Markdown → PDF',
+      markdownToDocx: 'Markdown → DOCX'
+    },
+    routesNote: 'The highlighted column is the engine chosen under PDF / DOCX layout. If Pandoc fails, the native engine takes over.',
+    fontsTitle: 'Fonts',
+    fontFallback: 'missing, a default font is used',
+    fontCount: {
+      one: '{count} font family installed',
+      other: '{count} font families installed'
+    },
+    noFonts: 'The server did not report any installed fonts.'
+  },
+  footer: {
+    suite: 'Part of the 360 Suite',
+    apiDocs: 'API Docs',
+    server: 'Server: {status}',
+    online: 'Online',
+    starting: 'Starting...',
+    offline: 'Offline',
+    checking: 'Checking...'
+  }
+}
@@ -0,0 +1,473 @@
+// Romanian strings
+
+export default {
+  header: {
+    subtitle: 'Convertește PDF și Word în Markdown și invers',
+    toggleTheme: 'Schimbă tema',
+    language: 'Limbă'
+  },
+  status: {
+    online: 'Online',
+    waking: 'Se trezește... {time}',
+    offline: 'Offline',
+    connecting: 'Se conectează...'
+  },
+  wake: {
+    title: '☕ Serverul se trezește...',
+    description: 'Folosim hosting gratuit (Render Free Tier) care adoarme după 15 minute de inactivitate.',
+    estimate: 'Estimare: ~{time}',
+    pending: {
+      one: '{count} conversie în așteptare - pornește automat când serverul e online.',
+      few: '{count} conversii în așteptare - pornesc automat când serverul e online.',
+      other: '{count} de conversii în așteptare - pornesc automat când serverul e online.'
+    }
+  },
+  tabs: {
+    files: 'Fișiere',
+    editor: 'Editor',
+    history: 'Istoric'
+  },
+  dropZone: {
+    title: 'Trage fișierele aici',
+    subtitle: 'sau apasă pentru a le alege - folderele și arhivele .zip își păstrează structura',
+    paste: 'Poți și lipi (Ctrl+V) fișiere, imagini, pagini web sau text Markdown',
+    selectFolder: 'Alege un folder'
+  },
+  rejected: {
+    title: {
+      one: '{count} fișier nu a fost adăugat',
+      few: '{count} fișiere nu au fost adăugate',
+      other: '{count} de fișiere nu au fost adăugate'
+    },
+    dismiss: 'Închide',
+    unsupportedFormat: 'Format neacceptat: {ext}',
+    noExtension: 'Fișierul nu are extensie',
+    empty: 'Fișierul este gol',
+    archiveFailed: 'Arhiva nu a putut fi citită: {message}'
+  },
+  options: {
+    outputForMarkdown: 'Ieșire pentru Markdown:',
+    processing: 'Procesare:',
+    queue: 'Coadă per fișier',
+    batch: 'O singură cerere batch',
+    serverJob: 'Job pe server cu progres live',
+    parallel: 'Conversii în paralel',
+    atATime: '{count} simultan',
+    autoSave: 'Salvează automat rezultatele'
+  },
+  layout: {
+    title: 'Aspect PDF / DOCX',
+    customFor: 'Aspect personalizat pentru',
+    presets: 'Presetări...',
+    savePreset: 'Salvează presetarea',
+    savePresetTitle: 'Salvează opțiunile curente ca presetare',
+    presetPrompt: 'Numele presetării:',
+    deletePreset: 'Șterge presetarea',
+    defaults: 'Implicite',
+    defaultsTitle: 'Revino la valorile implicite',
+    useGlobal: 'Folosește opțiunile globale',
+    pageSize: 'Dimensiune pagină',
+    orientation: 'Orientare',
+    portrait: 'Portret',
+    landscape: 'Peisaj',
+    font: 'Font',
+    fontSize: 'Mărime font (pt)',
+    margins: {
+      marginTop: 'Margine sus (cm)',
+      marginBottom: 'Margine jos (cm)',
+      marginLeft: 'Margine stânga (cm)',
+      marginRight: 'Margine dreapta (cm)'
+    },
+    headerText: 'Text antet',
+    footerText: 'Text subsol',
+    none: 'Niciunul',
+    engine: 'Motor',
+    engines: {
+      Auto: 'Automat',
+      Native: 'Nativ (QuestPDF / OpenXML)',
+      Pandoc: 'Pandoc (când e disponibil)'
+    },
+    pageNumbers: 'Numere de pagină',
+    tableOfContents: 'Cuprins',
+    titlePage: 'Pagină de titlu',
+    titlePageHint: 'Începe cu o pagină cu titlul, autorul, data și versiunea din proprietățile documentului',
+    template: 'Șablon Word',
+    templateHint: 'Stiluri pentru documentele Word; nu afectează PDF-urile',
+    builtInTemplate: 'Stiluri implicite'
+  },
+  fileList: {
+    title: 'Fișiere de convertit',
+    clearAll: 'Șterge tot',
+    cancel: 'Anulează',
+    retry: 'Reîncearcă',
+    editLayout: 'Editează aspectul personalizat',
+    customLayout: 'Folosește un aspect personalizat pentru acest fișier',
+    editProperties: 'Proprietățile documentului',
+    checkFidelity: 'Verificare fidelitate dus-întors',
+    previewMarkdown: 'Previzualizează Markdown',
+    convertDownload: 'Convertește și descarcă',
+    remove: 'Elimină'
+  },
+  frontMatter: {
+    title: 'Proprietățile documentului',
+    hint: 'Citite din antetul YAML (front matter). Modificările sunt scrise în copia încărcată și folosite pentru pagina de titlu, informațiile PDF și proprietățile Word.',
+    close: 'Închide',
+    fields: {
+      title: 'Titlu',
+      author: 'Autor',
+      date: 'Dată',
+      version: 'Versiune',
+      keywords: 'Cuvinte cheie'
+    },
+    datePlaceholder: 'AAAA-LL-ZZ',
+    keywordsPlaceholder: 'Separate prin virgulă',
+    reset: 'Folosește valorile din fișier',
+    resetTitle: 'Renunță la modificări și păstrează antetul așa cum e scris'
+  },
+  saveDestination: {
+    title: 'Destinația salvării',
+    downloads: 'Descărcări din browser',
+    downloadsHint: 'Rezultatele sunt descărcate de browser.',
+    folder: 'Rezultatele sunt scrise în dosarul {name}, păstrând dosarele surselor.',
+    pick: 'Alege dosarul',
+    change: 'Schimbă dosarul',
+    useDownloads: 'Folosește descărcările',
+    unsupported: 'Acest browser nu poate scrie într-un dosar; rezultatele sunt descărcate.',
+    pickFailed: 'Dosarul nu poate fi folosit: {message}',
+    naming: 'Numele fișierelor',
+    tokens: 'Disponibile: {tokens}',
+    example: 'Exemplu: {name}',
+    conflicts: 'Dacă fișierul există',
+    conflictsDownloads: 'La descărcare decide browserul',
+    policies: {
+      rename: 'Păstrează ambele (adaugă un număr)',
+      overwrite: 'Suprascrie',
+      skip: 'Sari peste'
+    },
+    status: {
+      saved: 'Salvat în {path}',
+      renamed: 'Salvat ca {path} (numele era ocupat)',
+      overwritten: 'Suprascris {path}',
+      skipped: 'Sărit, {path} există deja',
+      downloaded: 'Descărcat ca {path}',
+      failed: 'Nu a putut fi salvat: {message}'
+    }
+  },
+  templates: {
+    title: 'Șabloane Word',
+    hint: 'Fișiere .docx de referință ale căror stiluri (fonturi, titluri, culori) sunt folosite pentru documentele Word. Sunt păstrate în acest browser și încărcate odată cu conversiile care le folosesc.',
+    upload: 'Încarcă șablon',
+    namePrompt: 'Numele șablonului:',
+    rename: 'Redenumește',
+    delete: 'Șterge',
+    deleteConfirm: 'Ștergi șablonul „{name}”?',
+    errors: {
+      extension: '{name} nu este un fișier .docx',
+      size: '{name} este gol sau mai mare de 10 MB',
+      notWord: '{name} nu este un document Word valid',
+      noStyles: '{name} nu are definiții de stiluri',
+      storage: 'Șablonul nu a putut fi salvat în browser'
+    }
+  },
+  assets: {
+    title: 'Imagini și resurse',
+    hint: 'Se încarcă împreună cu fișierele Markdown care le folosesc. Căile sunt potrivite relativ la fiecare document; se potrivește și un fișier unic cu același nume.',
+    pasted: 'Lipită',
+    pastedNote: 'Imaginile lipite nu sunt convertite separat. Sunt incluse în fișierele Markdown care le referă după nume, de ex. ![]({name}).',
+    bundled: {
+      one: '{count} imagine inclusă',
+      few: '{count} imagini incluse',
+      other: '{count} de imagini incluse'
+    }
+  },
+  preflight: {
+    checking: 'Se verifică...',
+    ok: 'Nicio problemă',
+    errors: {
+      one: '{count} eroare',
+      few: '{count} erori',
+      other: '{count} de erori'
+    },
+    warnings: {
+      one: '{count} avertisment',
+      few: '{count} avertismente',
+      other: '{count} de avertismente'
+    },
+    blocked: 'Blocat',
+    showReport: 'Arată raportul de verificare',
+    clean: 'Nu au fost găsite probleme.',
+    line: 'Linia {line}',
+    blockedHint: 'Fișierul va fi omis la conversie.',
+    continueHint: 'Fișierul va fi convertit în ciuda problemelor.',
+    continue: 'Convertește oricum',
+    block: 'Omite fișierul',
+    blockedCount: {
+      one: '{count} fișier este omis din cauza problemelor găsite',
+      few: '{count} fișiere sunt omise din cauza problemelor găsite',
+      other: '{count} de fișiere sunt omise din cauza problemelor găsite'
+    },
+    rules: {
+      missingTitle: 'Lipsește un titlu de nivel 1 sau un titlu în front matter; documentul nu are titlu.',
+      unresolvedImage: 'Imaginea „{src}” lipsește. Adaug-o împreună cu fișierul Markdown sau adaugă tot folderul ori arhiva ZIP.',
+      emptyImage: 'Imaginea nu are sursă.',
+      relativeLink: 'Linkul relativ „{href}” nu va funcționa în documentul convertit.',
+      tableDelimiter: 'Antetul tabelului are {expected} coloane, dar rândul separator are {actual}; nu va fi afișat ca tabel.',
+      tableHeader: 'Rândurile de tabel fără rând separator (| --- |) vor fi afișate ca text simplu.',
+      tableColumns: 'Rândul are {actual} celule, tabelul are {expected}.',
+      htmlBlock: 'Blocul HTML <{tag}> nu este suportat și va fi eliminat.',
+      unreadable: 'Fișierul nu a putut fi citit ({message}). Poate a fost mutat, șters sau modificat după ce a fost adăugat.'
+    }
+  },
+  serverJob: {
+    title: 'Job pe server',
+    status: {
+      queued: 'În așteptare',
+      running: 'În lucru',
+      completed: 'Terminat',
+      cancelled: 'Anulat'
+    },
+    summary: '{done} din {total} fișiere terminate · pornit la {time}',
+    page: 'Pagina {page} din {count}',
+    connecting: 'Conectare la job...',
+    cancel: 'Anulează jobul',
+    dismiss: 'Închide',
+    cancelFailed: 'Jobul nu a putut fi anulat: {message}',
+    expired: 'Acest job nu mai este disponibil. Joburile terminate sunt păstrate pe server 30 de minute, iar o repornire a serverului le șterge.',
+    lost: 'Legătura cu jobul s-a pierdut: {message}'
+  },
+  jobStatus: {
+    queued: 'În coadă',
+    uploading: 'Se încarcă',
+    converting: 'Se convertește',
+    done: 'Gata',
+    failed: 'Eșuat',
+    cancelled: 'Anulat'
+  },
+  convert: {
+    waiting: 'Se așteaptă serverul... ({count} în așteptare)',
+    converting: 'Se convertește...',
+    convertAll: 'Convertește toate fișierele'
+  },
+  fallback: {
+    message: {
+      one: 'Serverul nu este disponibil. {count} fișier Markdown poate fi convertit direct în browser:',
+      few: 'Serverul nu este disponibil. {count} fișiere Markdown pot fi convertite direct în browser:',
+      other: 'Serverul nu este disponibil. {count} de fișiere Markdown pot fi convertite direct în browser:'
+    },
+    exportHtml: 'Exportă HTML',
+    printPdf: 'Tipărește ca PDF',
+    editorHint: 'Serverul nu este disponibil; convertește în browser',
+    editorHtml: 'HTML',
+    editorPdf: 'Tipărește PDF',
+    markdownOnly: 'Doar fișierele Markdown pot fi convertite fără server',
+    printed: 'Salvat prin dialogul de tipărire al browserului',
+    failed: 'Conversia în browser a eșuat'
+  },
+  engine: {
+    server: 'Server',
+    browser: 'Browser'
+  },
+  results: {
+    title: 'Rezultatele conversiei',
+    success: '{count} reușite',
+    failed: '{count} eșuate',
+    downloadAll: 'Descarcă tot (.zip)',
+    unknown: 'Necunoscut',
+    preview: 'Previzualizează Markdown',
+    copyMarkdown: 'Copiază ca Markdown',
+    copyRichText: 'Copiază ca text formatat',
+    download: 'Descarcă'
+  },
+  summary: {
+    pages: {
+      one: '{count} pagină',
+      few: '{count} pagini',
+      other: '{count} de pagini'
+    },
+    words: {
+      one: '{count} cuvânt',
+      few: '{count} cuvinte',
+      other: '{count} de cuvinte'
+    },
+    characters: {
+      one: '{count} caracter',
+      few: '{count} caractere',
+      other: '{count} de caractere'
+    },
+    averageTime: 'în medie {time} pe fișier',
+    throughput: '{words} cuvinte/s · {pages} pagini/min',
+    slowest: 'cel mai lent: {name} ({time})'
+  },
+  sessionStats: {
+    title: 'Sesiunea curentă',
+    reset: 'Resetează',
+    empty: 'Nicio conversie în această sesiune.',
+    format: 'Format sursă',
+    succeeded: 'Reușite',
+    failed: 'Eșuate',
+    successRate: 'Rată de succes',
+    all: 'Toate formatele'
+  },
+  errors: {
+    conversionFailed: 'Conversia a eșuat',
+    downloadFailed: 'Descărcarea a eșuat',
+    previewFailed: 'Previzualizarea a eșuat',
+    batchTimeout: 'Cererea a expirat. Fișierul poate fi prea mare sau serverul este ocupat.',
+    timeout: 'Cererea a expirat. Încearcă din nou.',
+    conversionFailedAlert: 'Conversia a eșuat: {message}',
+    downloadFailedAlert: 'Descărcarea a eșuat: {message}',
+    zipFailed: 'Arhiva ZIP nu a putut fi creată: {message}'
+  },
+  apiErrors: {
+    NO_FILE: 'Nu a fost trimis niciun fișier.',
+    NO_FILES: 'Nu au fost trimise fișiere.',
+    INVALID_OPTIONS: 'Opțiunile de aspect nu sunt valide.',
+    INVALID_FILE_OPTIONS: 'Opțiunile de aspect per fișier nu sunt valide.',
+    INVALID_TEMPLATE: 'Șablonul Word lipsește sau nu este un document .docx valid.',
+    UNSUPPORTED_FORMAT: 'Acest format de fișier nu este acceptat.',
+    INVALID_DOCUMENT: 'Documentul este deteriorat sau nu este un fișier valid de acest tip.',
+    CONVERSION_FAILED: 'Serverul nu a putut converti acest fișier.',
+    CONVERSION_CANCELLED: 'Conversia a fost anulată.',
+    JOB_NOT_FOUND: 'Jobul de conversie nu mai există pe server.',
+    INVALID_EVENT: 'Serverul a trimis o actualizare de progres care nu a putut fi citită.',
+    RESULT_NOT_AVAILABLE: 'Acest fișier nu are un rezultat convertit.'
+  },
+  editor: {
+    title: 'Editor Markdown',
+    fileName: 'Numele fișierului rezultat',
+    sourceOnly: 'Doar sursa',
+    split: 'Sursă și previzualizare',
+    previewOnly: 'Doar previzualizare',
+    clear: 'Golește',
+    placeholder: '# Începe să scrii Markdown...',
+    stats: '{words} cuvinte · {characters} caractere',
+    convertTo: 'Convertește în {format}',
+    sample: `# Document fără titlu
+
+Scrie **Markdown** aici și convertește-l fără să salvezi un fișier.
+
+| Coloană | Valoare |
+| ------- | ------- |
+| A       | 1       |
+
+- Primul element
+- Al doilea element
+
+\`\`\`
+bloc de cod
+\`\`\`
+`
+  },
+  fidelity: {
+    title: 'Verificare fidelitate: {name}',
+    running: 'Conversie dus și întors...',
+    failed: 'Verificarea fidelității a eșuat.',
+    changesOnly: 'Doar liniile modificate',
+    identical: 'Conversia dus-întors a returnat exact același Markdown.',
+    differences: 'După conversia dus-întors: {changed} linii modificate, {removed} pierdute și {added} noi.',
+    original: 'Original',
+    roundTrip: 'După dus-întors',
+    lost: {
+      one: '{count} pierdut',
+      few: '{count} pierdute',
+      other: '{count} pierdute'
+    },
+    more: 'și încă {count}',
+    categories: {
+      headings: 'Titluri',
+      links: 'Linkuri',
+      tables: 'Tabele',
+      emphasis: 'Evidențieri'
+    }
+  },
+  preview: {
+    close: 'Închide',
+    rendered: 'Vizualizare formatată',
+    raw: 'Markdown brut',
+    copy: 'Copiază Markdown',
+    copyRichText: 'Copiază ca text formatat',
+    copied: 'Copiat',
+    download: 'Descarcă',
+    converting: 'Se convertește...'
+  },
+  history: {
+    title: 'Istoricul conversiilor',
+    purge: 'Golește',
+    purgeConfirm: 'Ștergi tot istoricul conversiilor?',
+    search: 'Caută după numele fișierului sau format',
+    storage: 'Spațiu: {used} din',
+    unavailable: 'Istoricul nu este disponibil în acest browser.',
+    empty: 'Nicio conversie înregistrată încă.',
+    noMatches: 'Nicio conversie găsită.',
+    pages: '{count} pagini',
+    words: '{count} cuvinte',
+    characters: '{count} caractere',
+    evicted: '(fișier eliminat pentru a elibera spațiu)',
+    downloadAgain: 'Descarcă din nou',
+    reconvert: 'Convertește din nou cu alte opțiuni',
+    remove: 'Șterge din istoric'
+  },
+  diagnostics: {
+    open: 'Diagnosticare server',
+    title: 'Diagnosticare server',
+    checkNow: 'Verifică acum',
+    status: {
+      checking: 'Se verifică...',
+      online: 'Online',
+      waking: 'Se pornește',
+      offline: 'Offline'
+    },
+    latencyTitle: 'Verificări de stare',
+    noChecks: 'Nicio verificare de stare încă.',
+    latency: 'Timp de răspuns: {last} ultimul, {average} în medie, {slowest} cel mai lent.',
+    polling: 'Următoarea verificare în aproximativ {interval}; verificările se răresc cât timp nu se schimbă nimic.',
+    coldStartsTitle: 'Porniri la rece',
+    clear: 'Golește',
+    noColdStarts: 'Nicio pornire la rece măsurată încă.',
+    coldStartAverage: 'Pornire medie: {average} (estimare: {estimate}).',
+    faster: 'cu {time} mai rapid',
+    slower: 'cu {time} mai lent',
+    loading: 'Se încarcă raportul serverului...',
+    waitingForServer: 'Raportul serverului se încarcă după ce serverul este online.',
+    reportFailed: 'Raportul serverului nu a putut fi încărcat: {message}',
+    serverTitle: 'Server',
+    version: 'Versiune',
+    build: 'Build',
+    runtime: 'Runtime',
+    environment: 'Mediu',
+    startedAt: 'Pornit',
+    uptime: 'activ de {time}',
+    enginesTitle: 'Motoare',
+    unavailable: 'neinstalat',
+    engines: {
+      native: 'Nativ',
+      pandoc: 'Pandoc'
+    },
+    conversion: 'Conversie',
+    conversions: {
+      pdfToMarkdown: 'PDF → Markdown',
+      docxToMarkdown: 'DOCX → Markdown',
+      odtToMarkdown: 'ODT → Markdown',
+      markdownToPdf: 'Markdown → PDF',
+      markdownToDocx: 'Markdown → DOCX'
+    },
+    routesNote: 'Coloana evidențiată este motorul ales la Aspect PDF / DOCX. Dacă Pandoc eșuează, preia motorul nativ.',
+    fontsTitle: 'Fonturi',
+    fontFallback: 'lipsește, se folosește un font implicit',
+    fontCount: {
+      one: '{count} familie de fonturi instalată',
+      few: '{count} familii de fonturi instalate',
+      other: '{count} de familii de fonturi instalate'
+    },
+    noFonts: 'Serverul nu a raportat niciun font instalat.'
+  },
+  footer: {
+    suite: 'Parte din 360 Suite',
+    apiDocs: 'Documentație API',
+    server: 'Server: {status}',
+    online: 'Online',
+    starting: 'Pornește...',
+    offline: 'Offline',
+    checking: 'Se verifică...'
+  }
+}
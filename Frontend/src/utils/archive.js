@@ -0,0 +1,40 @@
+// ZIP archive helpers for bundling conversion outputs and unpacking
+// uploaded archives in the browser
+
+import { zipSync, unzip } from 'fflate'
+import { getUniqueFileName } from './download'
+
+// Build a ZIP blob from a list of { name, blob } entries
+export const buildZip = async (entries) => {
+  const usedNames = new Set()
+  const archive = {}
+
+  for (const entry of entries) {
+    const name = getUniqueFileName(entry.name, usedNames)
+    archive[name] = new Uint8Array(await entry.blob.arrayBuffer())
+  }
+
+  return new Blob([zipSync(archive)], { type: 'application/zip' })
+}
+
+export const isZipFile = (file) => /\.zip$/i.test(file.name)
+
+// Skip folder entries and metadata added by macOS Finder
+const isArchiveContent = (name) => !name.endsWith('/') && !name.startsWith('__MACOSX/') &&
+  !name.split('/').pop().startsWith('.')
+
+// Unpack a ZIP file into { path, file } entries, paths relative to the archive root
+export const extractZip = async (zipFile) => {
+  const data = new Uint8Array(await zipFile.arrayBuffer())
+  const contents = await new Promise((resolve, reject) => {
+    unzip(data, { filter: entry => isArchiveContent(entry.name) }, (error, result) => {
+      if (error) reject(error)
+      else resolve(result)
+    })
+  })
+
+  return Object.entries(contents).map(([path, bytes]) => ({
+    path,
+    file: new File([bytes], path.split('/').pop())
+  }))
+}
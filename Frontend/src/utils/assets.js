@@ -0,0 +1,85 @@
+// Assets bundled with Markdown files
+// Images added next to Markdown files (individually, from a folder or from a
+// ZIP) are matched to the references in each document and uploaded with it,
+// named by the path the document uses so the server can resolve them.
+
+import { getRelativePath, getPathFolder } from './fileTree'
+
+export const ASSET_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.svg', '.webp']
+
+const IMAGE_SOURCE = /!\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g
+const ABSOLUTE_URL = /^(?:[a-z][a-z\d+.-]*:|\/\/)/i
+
+export const isAssetFile = (fileName) => {
+  const dot = fileName.lastIndexOf('.')
+  return dot !== -1 && ASSET_EXTENSIONS.includes(fileName.slice(dot).toLowerCase())
+}
+
+const baseName = (path) => path.slice(path.lastIndexOf('/') + 1).toLowerCase()
+
+// Forward slashes without "." and ".." segments; null if the path leaves the root
+export const normalizePath = (path) => {
+  const segments = []
+  for (const segment of path.replace(/\\/g, '/').split('/')) {
+    if (!segment || segment === '.') continue
+    if (segment === '..') {
+      if (segments.length === 0) return null
+      segments.pop()
+      continue
+    }
+    segments.push(segment)
+  }
+  return segments.length > 0 ? segments.join('/') : null
+}
+
+// Path an image reference points to, relative to the bundle root (same rules
+// as AssetBundle.ResolvePath on the server); null for remote URLs
+export const resolveReference = (documentPath, reference) => {
+  if (!reference || ABSOLUTE_URL.test(reference)) return null
+  let path = reference.replace(/[?#].*$/, '')
+  try {
+    path = decodeURIComponent(path)
+  } catch {
+    // Keep malformed escapes as written
+  }
+  return normalizePath(path.startsWith('/') ? path : `${getPathFolder(documentPath)}/${path}`)
+}
+
+// Image references of a Markdown document, in order and without duplicates
+export const findImageSources = (markdown) => {
+  const sources = [...markdown.matchAll(IMAGE_SOURCE)].map(match => match[1])
+  return [...new Set(sources)]
+}
+
+/**
+ * Index the available assets for lookups by reference. An exact path match
+ * wins; otherwise a file with the same name is used when it is the only one,
+ * so images picked one by one still match "img/arch.png".
+ */
+export const createAssetIndex = (assets) => {
+  const byPath = new Map()
+  const byName = new Map()
+  for (const file of assets) {
+    byPath.set(getRelativePath(file).toLowerCase(), file)
+    const name = baseName(getRelativePath(file))
+    byName.set(name, byName.has(name) ? null : file)
+  }
+
+  const find = (documentPath, reference) => {
+    const path = resolveReference(documentPath, reference)
+    if (!path) return null
+    return byPath.get(path.toLowerCase()) || byName.get(baseName(path)) || null
+  }
+
+  return { find, size: assets.length }
+}
+
+// Assets a document needs, named by the path it references them with
+export const collectBundle = (documentPath, sources, index) => {
+  const bundle = new Map()
+  for (const source of sources) {
+    const file = index.find(documentPath, source)
+    if (file) bundle.set(resolveReference(documentPath, source), file)
+  }
+  return [...bundle].map(([fileName, file]) => ({ file, fileName }))
+}
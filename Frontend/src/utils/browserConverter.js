@@ -0,0 +1,100 @@
+// In-browser Markdown conversion, used when the backend is unreachable
+// Produces standalone HTML, or a PDF through the browser's print dialog
+
+import { renderMarkdown } from './markdown'
+import { DEFAULT_OPTIONS } from './conversionOptions'
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// Build a self-contained HTML document; page layout follows the
+// PDF/DOCX layout options so printed output matches the server's defaults.
+// lang tags the document with the active locale and is left out when unknown
+export const buildStandaloneHtml = (markdown, title, options = DEFAULT_OPTIONS, lang) => {
+  const layout = { ...DEFAULT_OPTIONS, ...options }
+  const orientation = layout.orientation === 'Landscape' ? 'landscape' : 'portrait'
+
+  return `<!doctype html>
+<html${lang ? ` lang="${escapeHtml(lang)}"` : ''}>
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  @page {
+    size: ${layout.pageSize} ${orientation};
+    margin: ${layout.marginTop}cm ${layout.marginRight}cm ${layout.marginBottom}cm ${layout.marginLeft}cm;
+  }
+  body { font-family: '${layout.fontFamily}', sans-serif; font-size: ${layout.fontSize}pt; line-height: 1.5; color: #1f2937; max-width: 800px; margin: 2rem auto; padding: 0 1rem; }
+  @media print { body { max-width: none; margin: 0; padding: 0; } }
+  h1 { font-size: 24pt; } h2 { font-size: 20pt; } h3 { font-size: 16pt; } h4 { font-size: 14pt; }
+  h1, h2, h3, h4, h5, h6 { margin: 1.2em 0 0.5em; page-break-after: avoid; }
+  pre { background: #f3f4f6; padding: 10px; overflow-x: auto; font-size: 10pt; }
+  code { font-family: 'Courier New', monospace; }
+  blockquote { border-left: 3px solid #9ca3af; margin-left: 0; padding-left: 10px; color: #4b5563; }
+  table { border-collapse: collapse; width: 100%; margin: 1em 0; }
+  th, td { border: 1px solid #9ca3af; padding: 5px; text-align: left; }
+  th { background: #e5e7eb; }
+  img { max-width: 100%; }
+</style>
+</head>
+<body>
+${layout.headerText ? `<header>${escapeHtml(layout.headerText)}</header>` : ''}
+${renderMarkdown(markdown)}
+${layout.footerText ? `<footer>${escapeHtml(layout.footerText)}</footer>` : ''}
+</body>
+</html>`
+}
+
+const baseName = (fileName) => fileName.replace(/\.[^/.]+$/, '')
+
+// Convert a Markdown file to a standalone HTML blob
+export const convertMarkdownToHtml = async (file, options, lang) => {
+  const markdown = await file.text()
+  const html = buildStandaloneHtml(markdown, baseName(file.name), options, lang)
+  return {
+    blob: new Blob([html], { type: 'text/html' }),
+    fileName: `${baseName(file.name)}.html`
+  }
+}
+
+// Render a Markdown file in a hidden frame and open the print dialog,
+// where the user can choose "Save as PDF". Resolves once the dialog closes
+export const printMarkdownToPdf = async (file, options, lang) => {
+  const markdown = await file.text()
+  const html = buildStandaloneHtml(markdown, baseName(file.name), options, lang)
+
+  return new Promise((resolve, reject) => {
+    const frame = document.createElement('iframe')
+    frame.style.position = 'fixed'
+    frame.style.width = '0'
+    frame.style.height = '0'
+    frame.style.border = '0'
+    frame.setAttribute('aria-hidden', 'true')
+
+    frame.onload = () => {
+      const frameWindow = frame.contentWindow
+      const cleanup = () => {
+        frame.remove()
+        resolve({ fileName: `${baseName(file.name)}.pdf` })
+      }
+      try {
+        frameWindow.addEventListener('afterprint', cleanup, { once: true })
+        frameWindow.focus()
+        frameWindow.print()
+        // Some browsers do not fire afterprint for iframes
+        setTimeout(() => {
+          if (frame.isConnected) cleanup()
+        }, 60000)
+      } catch (error) {
+        frame.remove()
+        reject(error)
+      }
+    }
+
+    frame.srcdoc = html
+    document.body.appendChild(frame)
+  })
+}
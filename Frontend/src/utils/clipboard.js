@@ -0,0 +1,249 @@
+// Clipboard support: pasted web pages, emails and documents become Markdown
+// files to convert, and Markdown results can be copied back as Markdown or
+// as rich text for editors that take formatted paste
+
+import { renderMarkdown } from './markdown'
+import { stripFrontMatter } from './frontMatter'
+
+// Elements that never hold pasted content
+const SKIPPED_TAGS = new Set(['HEAD', 'SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'META', 'LINK', 'TITLE'])
+
+// Elements that start a block of their own; everything else is inline
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BODY', 'CENTER', 'DD', 'DETAILS', 'DIV', 'DL', 'DT',
+  'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER',
+  'HR', 'HTML', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL'
+])
+const BLOCK_SELECTOR = [...BLOCK_TAGS].join(', ').toLowerCase()
+
+// HTML that only styles plain text (code editors, terminals) is pasted as
+// its text; these elements mark HTML with structure worth keeping
+const STRUCTURE_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, ul, ol, table, a[href], strong, b, em, i, blockquote, pre'
+
+const escapeText = (text) => text.replace(/([\\`*_[\]])/g, '\\$1')
+
+// Google Docs marks bold and italic with inline styles, and wraps the
+// whole paste in <b style="font-weight:normal">
+const isBoldStyle = (weight) => weight === 'bold' || weight === 'bolder' || Number(weight) >= 600
+const isNormalWeight = (weight) => weight === 'normal' || (weight !== '' && Number(weight) < 600)
+
+const getEmphasis = (element) => {
+  const { fontWeight, fontStyle } = element.style
+  const tag = element.tagName
+  return {
+    bold: ((tag === 'B' || tag === 'STRONG') && !isNormalWeight(fontWeight)) || isBoldStyle(fontWeight),
+    italic: tag === 'EM' || tag === 'I' || fontStyle === 'italic',
+    strike: tag === 'S' || tag === 'DEL' || tag === 'STRIKE'
+  }
+}
+
+// Markers go around the text, not its surrounding spaces: "** bold **"
+// is not emphasis in Markdown
+const wrap = (text, before, after = before) => {
+  const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/)
+  return core ? `${leading}${before}${core}${after}${trailing}` : text
+}
+
+const formatUrl = (url) => url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29')
+
+// Links relative to the page they were copied from lead nowhere
+const isLinkable = (url) => /^(https?:|mailto:)/i.test(url)
+
+const inlineCode = (text) => {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length))
+  const fence = '`'.repeat(longestRun + 1)
+  const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : ''
+  return `${fence}${padding}${text}${padding}${fence}`
+}
+
+// Inline content of an element; line breaks come out as '\n' and are
+// turned into hard breaks or spaces by the block that holds them
+const convertInline = (node, state = {}) => {
+  if (node.nodeType === Node.TEXT_NODE) return escapeText(node.textContent.replace(/\s+/g, ' '))
+  if (node.nodeType !== Node.ELEMENT_NODE || SKIPPED_TAGS.has(node.tagName)) return ''
+
+  switch (node.tagName) {
+    case 'BR':
+      return '\n'
+    case 'IMG': {
+      const src = node.getAttribute('src') || ''
+      const alt = escapeText(node.getAttribute('alt') || '')
+      // Pasted images are inlined as data URLs; those come in as files instead
+      return isLinkable(src) ? `![${alt}](${formatUrl(src)})` : alt
+    }
+    case 'CODE':
+      return inlineCode(node.textContent)
+    case 'A': {
+      const href = (node.getAttribute('href') || '').trim()
+      const text = Array.from(node.childNodes).map(child => convertInline(child, state)).join('')
+      return isLinkable(href) ? wrap(text, '[', `](${formatUrl(href)})`) : text
+    }
+    default: {
+      const emphasis = getEmphasis(node)
+      const nested = {
+        ...state,
+        bold: state.bold || emphasis.bold,
+        italic: state.italic || emphasis.italic,
+        strike: state.strike || emphasis.strike
+      }
+      let text = Array.from(node.childNodes).map(child => convertInline(child, nested)).join('')
+      if (emphasis.strike && !state.strike) text = wrap(text, '~~')
+      if (emphasis.italic && !state.italic) text = wrap(text, '*')
+      if (emphasis.bold && !state.bold) text = wrap(text, '**')
+      // Paragraphs inside table cells and headings still need a break
+      return BLOCK_TAGS.has(node.tagName) ? `${text}\n` : text
+    }
+  }
+}
+
+// Collapse the spaces around line breaks; a paragraph keeps its breaks,
+// headings and table cells put everything on one line
+const cleanInline = (text) => text
+  .split('\n')
+  .map(line => line.replace(/ +/g, ' ').trim())
+  .filter(Boolean)
+
+const toParagraph = (text) => cleanInline(text).join('  \n').trim()
+
+const toLine = (text) => cleanInline(text).join(' ').trim()
+
+const indent = (text, prefix) => text.split('\n').map(line => (line ? prefix + line : line)).join('\n')
+
+const convertList = (list) => {
+  const ordered = list.tagName === 'OL'
+  const start = Number(list.getAttribute('start')) || 1
+  const items = []
+  Array.from(list.children).forEach(child => {
+    // Some editors put a nested list next to its item instead of inside it
+    if ((child.tagName === 'UL' || child.tagName === 'OL') && items.length > 0) {
+      items[items.length - 1] += `\n${indent(convertList(child), '   ')}`
+      return
+    }
+    const marker = ordered ? `${start + items.length}.` : '-'
+    const content = convertBlocks(child).join('\n')
+    items.push(`${marker} ${indent(content, ' '.repeat(marker.length + 1)).trimStart()}`)
+  })
+  return items.join('\n')
+}
+
+const convertTable = (table) => {
+  const rows = Array.from(table.rows).map(row => (
+    Array.from(row.cells).map(cell => toLine(convertInline(cell)).replace(/\|/g, '\\|'))
+  ))
+  if (rows.length === 0) return ''
+  const columnCount = Math.max(...rows.map(cells => cells.length))
+  const formatRow = (cells) => `| ${Array.from({ length: columnCount }, (_, i) => cells[i] || '').join(' | ')} |`
+  const [header, ...body] = rows
+  return [
+    formatRow(header),
+    formatRow(Array(columnCount).fill('---')),
+    ...body.map(formatRow)
+  ].join('\n')
+}
+
+const convertPre = (pre) => {
+  const code = pre.textContent.replace(/\n$/, '')
+  const language = (pre.querySelector('code')?.className.match(/language-(\S+)/) || [])[1] || ''
+  const longestRun = Math.max(0, ...(code.match(/`{3,}/g) || []).map(run => run.length))
+  const fence = '`'.repeat(Math.max(3, longestRun + 1))
+  return `${fence}${language}\n${code}\n${fence}`
+}
+
+const convertBlock = (element) => {
+  const tag = element.tagName
+  if (/^H[1-6]$/.test(tag)) {
+    const text = toLine(convertInline(element))
+    return text ? [`${'#'.repeat(Number(tag[1]))} ${text}`] : []
+  }
+  switch (tag) {
+    case 'UL':
+    case 'OL':
+      return [convertList(element)]
+    case 'TABLE':
+      return [convertTable(element)]
+    case 'PRE':
+      return [convertPre(element)]
+    case 'HR':
+      return ['---']
+    case 'BLOCKQUOTE': {
+      const quoted = convertBlocks(element).join('\n\n')
+      return quoted ? [quoted.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')] : []
+    }
+    default:
+      return convertBlocks(element)
+  }
+}
+
+// Blocks of an element: runs of inline content become paragraphs
+function convertBlocks(parent) {
+  const blocks = []
+  let inline = ''
+  const flush = () => {
+    const paragraph = toParagraph(inline)
+    if (paragraph) blocks.push(paragraph)
+    inline = ''
+  }
+
+  parent.childNodes.forEach(child => {
+    if (child.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.has(child.tagName)) {
+      flush()
+      blocks.push(...convertBlock(child).filter(Boolean))
+    } else if (child.nodeType === Node.ELEMENT_NODE && child.querySelector(BLOCK_SELECTOR)) {
+      // An inline wrapper around whole blocks, like the one Google Docs adds
+      flush()
+      blocks.push(...convertBlocks(child))
+    } else {
+      inline += convertInline(child)
+    }
+  })
+  flush()
+  return blocks
+}
+
+const parseBody = (html) => new DOMParser().parseFromString(html, 'text/html').body
+
+// Convert pasted HTML to Markdown, keeping headings, lists, tables, links
+// and emphasis; styling and layout are dropped
+const toMarkdown = (body) => convertBlocks(body).join('\n\n').trim()
+
+export const htmlToMarkdown = (html) => toMarkdown(parseBody(html))
+
+const timestamp = (date) => date.toISOString().slice(0, 19).replace('T', '-').replace(/:/g, '')
+
+// Screenshots and copied images all arrive as "image.png"; give each its
+// own name so they don't replace each other in the asset list, where they
+// are marked as pasted and can be referenced by that name
+const nameFile = (file, index, date) => {
+  if (!/^image\.\w+$/i.test(file.name)) return file
+  const extension = file.name.split('.').pop()
+  return new File([file], `pasted-${timestamp(date)}-${index + 1}.${extension}`, { type: file.type, lastModified: file.lastModified })
+}
+
+// What a paste event carries: files, else rich HTML converted to Markdown,
+// else plain text taken as Markdown. Markdown comes back as a virtual .md file.
+export const readClipboard = (clipboardData, date = new Date()) => {
+  const files = Array.from(clipboardData.files || [])
+  if (files.length > 0) return files.map((file, index) => nameFile(file, index, date))
+
+  const html = clipboardData.getData('text/html')
+  const text = clipboardData.getData('text/plain')
+  const body = html ? parseBody(html) : null
+  const markdown = body?.querySelector(STRUCTURE_SELECTOR) ? toMarkdown(body) : text
+  if (!markdown.trim()) return []
+  return [new File([`${markdown.trim()}\n`], `pasted-${timestamp(date)}.md`, { type: 'text/markdown', lastModified: date.getTime() })]
+}
+
+export const copyMarkdown = (markdown) => navigator.clipboard.writeText(markdown)
+
+// Rich text for word processors and email, with the Markdown as the plain
+// text alternative; browsers without ClipboardItem get the plain text only
+export const copyRichText = (markdown) => {
+  if (typeof ClipboardItem === 'undefined') return copyMarkdown(markdown)
+  const html = renderMarkdown(stripFrontMatter(markdown))
+  return navigator.clipboard.write([
+    new ClipboardItem({
+      'text/html': new Blob([html], { type: 'text/html' }),
+      'text/plain': new Blob([markdown], { type: 'text/plain' })
+    })
+  ])
+}
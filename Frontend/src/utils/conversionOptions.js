@@ -0,0 +1,68 @@
+// Layout options for Markdown -> PDF/DOCX output and locally saved presets
+// Field names match ConversionOptions on the server
+
+const PRESETS_KEY = 'optionPresets'
+const ACTIVE_KEY = 'conversionOptions'
+
+export const PAGE_SIZES = ['A4', 'Letter', 'Legal', 'A3', 'A5']
+export const FONT_FAMILIES = ['Arial', 'Calibri', 'Times New Roman', 'Georgia', 'Verdana', 'Courier New']
+// Labels live in the locale bundles under layout.engines
+export const ENGINES = ['Auto', 'Native', 'Pandoc']
+
+export const DEFAULT_OPTIONS = {
+  pageSize: 'A4',
+  orientation: 'Portrait',
+  marginTop: 2,
+  marginBottom: 2,
+  marginLeft: 2,
+  marginRight: 2,
+  fontFamily: 'Arial',
+  fontSize: 11,
+  headerText: '',
+  footerText: '',
+  showPageNumbers: true,
+  includeTableOfContents: false,
+  includeTitlePage: true,
+  // Id of a stored DOCX template (templateStore), '' for the bundled styles
+  template: '',
+  engine: 'Auto'
+}
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback
+  } catch {
+    return fallback
+  }
+}
+
+export const loadActiveOptions = () => ({ ...DEFAULT_OPTIONS, ...readJson(ACTIVE_KEY, {}) })
+
+export const saveActiveOptions = (options) => {
+  localStorage.setItem(ACTIVE_KEY, JSON.stringify(options))
+}
+
+// Presets are stored as { [name]: options }
+export const loadPresets = () => readJson(PRESETS_KEY, {})
+
+export const savePreset = (name, options) => {
+  const presets = { ...loadPresets(), [name]: options }
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets))
+  return presets
+}
+
+export const deletePreset = (name) => {
+  const presets = { ...loadPresets() }
+  delete presets[name]
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets))
+  return presets
+}
+
+// Only the fields the server understands, with blank texts omitted
+export const serializeOptions = (options) => {
+  const payload = { ...DEFAULT_OPTIONS, ...options }
+  if (!payload.headerText) delete payload.headerText
+  if (!payload.footerText) delete payload.footerText
+  if (!payload.template) delete payload.template
+  return JSON.stringify(payload)
+}
@@ -0,0 +1,160 @@
+// Client-side conversion queue
+// Runs one request per file with a concurrency limit, so a slow file no longer
+// blocks the rest of the batch and each file can be cancelled or retried alone
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  UPLOADING: 'uploading',
+  CONVERTING: 'converting',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+}
+
+export const isJobActive = (job) => {
+  return job.status === JOB_STATUS.QUEUED ||
+    job.status === JOB_STATUS.UPLOADING ||
+    job.status === JOB_STATUS.CONVERTING
+}
+
+// Create a queue. `worker(job, { signal, onUploadProgress })` performs the
+// conversion and resolves with the job result; `onChange(jobs)` receives a
+// fresh snapshot after every state change
+export const createConversionQueue = ({ worker, concurrency = 2, onChange }) => {
+  let jobs = []
+  let limit = concurrency
+  let runJob = worker
+  let paused = false
+  let nextId = 1
+  const controllers = new Map()
+
+  const emit = () => onChange?.(jobs)
+
+  const update = (id, patch) => {
+    jobs = jobs.map(job => job.id === id ? { ...job, ...patch } : job)
+    emit()
+  }
+
+  const run = async (job) => {
+    const controller = new AbortController()
+    controllers.set(job.id, controller)
+    update(job.id, {
+      status: JOB_STATUS.UPLOADING,
+      progress: 0,
+      error: null,
+      result: null,
+      startedAt: Date.now(),
+      finishedAt: null
+    })
+
+    try {
+      const result = await runJob(job, {
+        signal: controller.signal,
+        onUploadProgress: (progress) => {
+          if (controller.signal.aborted) return
+          update(job.id, progress >= 100
+            ? { status: JOB_STATUS.CONVERTING, progress: 100 }
+            : { progress })
+        }
+      })
+      update(job.id, { status: JOB_STATUS.DONE, result, finishedAt: Date.now() })
+    } catch (error) {
+      if (controller.signal.aborted) {
+        update(job.id, { status: JOB_STATUS.CANCELLED, error: 'Cancelled', finishedAt: Date.now() })
+      } else {
+        update(job.id, {
+          status: JOB_STATUS.FAILED,
+          error: error.message || 'Conversion failed',
+          finishedAt: Date.now()
+        })
+      }
+    } finally {
+      controllers.delete(job.id)
+      pump()
+    }
+  }
+
+  // Start queued jobs until the concurrency limit is reached
+  const pump = () => {
+    if (paused) return
+    while (controllers.size < limit) {
+      const next = jobs.find(job => job.status === JOB_STATUS.QUEUED && !controllers.has(job.id))
+      if (!next) break
+      run(next)
+    }
+  }
+
+  const enqueue = (files) => {
+    const added = files.map(file => ({
+      id: nextId++,
+      file,
+      status: JOB_STATUS.QUEUED,
+      progress: 0,
+      error: null,
+      result: null,
+      attempts: 0
+    }))
+    jobs = [...jobs, ...added]
+    emit()
+    pump()
+    return added.map(job => job.id)
+  }
+
+  const cancel = (id) => {
+    const controller = controllers.get(id)
+    if (controller) {
+      controller.abort()
+      return
+    }
+    const job = jobs.find(j => j.id === id)
+    if (job?.status === JOB_STATUS.QUEUED) {
+      update(id, { status: JOB_STATUS.CANCELLED, error: 'Cancelled' })
+    }
+  }
+
+  const cancelAll = () => {
+    jobs.filter(isJobActive).forEach(job => cancel(job.id))
+  }
+
+  const retry = (id) => {
+    const job = jobs.find(j => j.id === id)
+    if (!job || isJobActive(job)) return
+    update(id, {
+      status: JOB_STATUS.QUEUED,
+      progress: 0,
+      error: null,
+      result: null,
+      attempts: job.attempts + 1
+    })
+    pump()
+  }
+
+  const remove = (id) => {
+    cancel(id)
+    jobs = jobs.filter(job => job.id !== id)
+    emit()
+  }
+
+  const clear = () => {
+    cancelAll()
+    jobs = []
+    emit()
+  }
+
+  const setConcurrency = (value) => {
+    limit = Math.max(1, value)
+    pump()
+  }
+
+  const setWorker = (value) => {
+    runJob = value
+  }
+
+  // Hold queued jobs (e.g. while the backend is waking up); running jobs continue
+  const setPaused = (value) => {
+    paused = value
+    pump()
+  }
+
+  return { enqueue, cancel, cancelAll, retry, remove, clear, setConcurrency, setWorker, setPaused }
+}
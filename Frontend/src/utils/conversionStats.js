@@ -0,0 +1,80 @@
+// Conversion statistics
+// Aggregates the ConversionMetadata of a results list and keeps per-format
+// success/failure counts for the browser session (sessionStorage)
+
+const SESSION_KEY = 'sessionStats'
+
+// ConversionMetadata.processingTime is a .NET TimeSpan ("hh:mm:ss.fffffff"
+// or "d.hh:mm:ss.fffffff"); returns seconds
+export const parseProcessingTime = (value) => {
+  if (typeof value === 'number') return value
+  const match = /^(?:(\d+)\.)?(\d+):(\d+):(\d+(?:\.\d+)?)$/.exec(value || '')
+  if (!match) return null
+  const [, days = 0, hours, minutes, seconds] = match
+  return Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)
+}
+
+// Totals over the successful results that carry metadata
+export const summarizeResults = (results) => {
+  const measured = results.filter(r => r.success && r.metadata)
+  if (measured.length === 0) return null
+
+  let totalPages = 0
+  let totalWords = 0
+  let totalSeconds = 0
+  let slowest = null
+  for (const result of measured) {
+    const seconds = parseProcessingTime(result.metadata.processingTime) ?? 0
+    totalPages += result.metadata.pageCount || 0
+    totalWords += result.metadata.wordCount || 0
+    totalSeconds += seconds
+    if (!slowest || seconds > slowest.seconds) {
+      slowest = { fileName: result.originalFileName, seconds }
+    }
+  }
+
+  return {
+    files: measured.length,
+    totalPages,
+    totalWords,
+    totalSeconds,
+    slowest,
+    averageSeconds: totalSeconds / measured.length,
+    // Zero-length timings (e.g. very small files) would make throughput meaningless
+    wordsPerSecond: totalSeconds > 0 ? totalWords / totalSeconds : null,
+    pagesPerMinute: totalSeconds > 0 ? (totalPages * 60) / totalSeconds : null
+  }
+}
+
+export const getFormatKey = (fileName) => {
+  const dot = fileName.lastIndexOf('.')
+  return dot === -1 ? '?' : fileName.slice(dot + 1).toLowerCase()
+}
+
+export const loadSessionStats = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+// Count one finished conversion under its source format, returns the new stats
+export const recordSessionResult = (stats, fileName, success) => {
+  const key = getFormatKey(fileName)
+  const current = stats[key] || { succeeded: 0, failed: 0 }
+  const next = {
+    ...stats,
+    [key]: {
+      succeeded: current.succeeded + (success ? 1 : 0),
+      failed: current.failed + (success ? 0 : 1)
+    }
+  }
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify(next))
+  return next
+}
+
+export const clearSessionStats = () => {
+  sessionStorage.removeItem(SESSION_KEY)
+  return {}
+}
@@ -0,0 +1,53 @@
+// Health check history for the diagnostics panel
+// Samples are kept for the session; cold starts are kept in localStorage so
+// wake-up times can be compared across visits
+
+const COLD_STARTS_KEY = 'coldStarts'
+
+// Samples in the latency timeline
+export const HEALTH_LOG_LIMIT = 60
+const COLD_START_LIMIT = 20
+
+// Append a health check result ({ time, status, responseTime, error })
+export const addHealthSample = (log, sample) => [...log, sample].slice(-HEALTH_LOG_LIMIT)
+
+// Checks in a row, counted from the latest, that found the same status
+export const countStreak = (log) => {
+  if (log.length === 0) return 0
+  const { status } = log[log.length - 1]
+  let streak = 0
+  for (let i = log.length - 1; i >= 0 && log[i].status === status; i--) streak++
+  return streak
+}
+
+// Response times of the checks the server answered, in milliseconds
+export const summarizeLatency = (log) => {
+  const times = log.filter(sample => !sample.error).map(sample => sample.responseTime)
+  if (times.length === 0) return null
+  return {
+    last: times[times.length - 1],
+    average: Math.round(times.reduce((sum, time) => sum + time, 0) / times.length),
+    slowest: Math.max(...times)
+  }
+}
+
+export const loadColdStarts = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COLD_STARTS_KEY))
+    return Array.isArray(stored) ? stored : []
+  } catch {
+    return []
+  }
+}
+
+// Store a wake-up ({ time, duration } in milliseconds); returns the updated list
+export const recordColdStart = (coldStart) => {
+  const coldStarts = [...loadColdStarts(), coldStart].slice(-COLD_START_LIMIT)
+  localStorage.setItem(COLD_STARTS_KEY, JSON.stringify(coldStarts))
+  return coldStarts
+}
+
+export const clearColdStarts = () => {
+  localStorage.removeItem(COLD_STARTS_KEY)
+  return []
+}
@@ -0,0 +1,59 @@
+// Browser download helpers
+
+// Extract the file name from a Content-Disposition header
+export const getFileNameFromDisposition = (contentDisposition, fallback) => {
+  if (!contentDisposition) return fallback
+
+  // Prefer RFC 5987 encoded name (filename*=UTF-8''...)
+  const encodedMatch = contentDisposition.match(/filename\*=UTF-8''([^;]+)/i)
+  if (encodedMatch) {
+    try {
+      return decodeURIComponent(encodedMatch[1])
+    } catch {
+      // Fall through to the plain filename
+    }
+  }
+
+  const fileNameMatch = contentDisposition.match(/filename="?([^";]+)"?/i)
+  return fileNameMatch ? fileNameMatch[1] : fallback
+}
+
+// Trigger a browser download for a blob
+export const downloadBlob = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.setAttribute('download', fileName)
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  window.URL.revokeObjectURL(url)
+}
+
+// Decode a base64 payload returned by the API into a Blob
+export const base64ToBlob = (base64, mimeType = 'application/octet-stream') => {
+  const binary = atob(base64)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return new Blob([bytes], { type: mimeType })
+}
+
+// Resolve name collisions the same way the server's GetUniqueFilePath does:
+// report.md, report_1.md, report_2.md, ...
+export const getUniqueFileName = (fileName, usedNames) => {
+  const dotIndex = fileName.lastIndexOf('.')
+  const baseName = dotIndex > 0 ? fileName.slice(0, dotIndex) : fileName
+  const extension = dotIndex > 0 ? fileName.slice(dotIndex) : ''
+
+  let candidate = fileName
+  let counter = 1
+  while (usedNames.has(candidate.toLowerCase())) {
+    candidate = `${baseName}_${counter}${extension}`
+    counter++
+  }
+
+  usedNames.add(candidate.toLowerCase())
+  return candidate
+}
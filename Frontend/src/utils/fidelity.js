@@ -0,0 +1,222 @@
+// Round-trip fidelity check
+// Sends a document through both directions (Markdown -> DOCX -> Markdown, or
+// DOCX -> Markdown -> DOCX -> Markdown) and compares the Markdown before and
+// after: a line-level diff for side-by-side display, and a summary of the
+// headings, links, tables and emphasis that did not come back.
+
+import { marked } from 'marked'
+import { stripFrontMatter } from './frontMatter'
+
+export const FIDELITY_CATEGORIES = ['headings', 'links', 'tables', 'emphasis']
+
+export const DIFF_TYPE = {
+  SAME: 'same',
+  CHANGED: 'changed',
+  REMOVED: 'removed',
+  ADDED: 'added'
+}
+
+// Above this many line pairs the changed middle of the documents is shown
+// as replaced instead of diffed, to keep the check responsive
+const MAX_DIFF_CELLS = 4_000_000
+
+export const supportsRoundTrip = (fileName) => /\.(md|markdown|docx)$/i.test(fileName)
+
+const withoutExtension = (fileName) => fileName.replace(/\.[^.]+$/, '')
+
+/**
+ * Convert a file there and back.
+ * @param {File} file Markdown or DOCX source
+ * @param {(blob: Blob, fileName: string, targetFormat: 'md' | 'docx') => Promise<{ blob: Blob }>} convert
+ * @returns {Promise<{ steps: string[], original: string, roundTrip: string }>}
+ */
+export const runRoundTrip = async (file, convert) => {
+  const base = withoutExtension(file.name)
+  if (/\.docx$/i.test(file.name)) {
+    // The first Markdown is the reference: Word formatting it cannot hold is
+    // not a round-trip loss
+    const markdown = await convert(file, file.name, 'md')
+    const docx = await convert(markdown.blob, `${base}.md`, 'docx')
+    const back = await convert(docx.blob, `${base}.docx`, 'md')
+    return { steps: ['DOCX', 'MD', 'DOCX', 'MD'], original: await markdown.blob.text(), roundTrip: await back.blob.text() }
+  }
+
+  const docx = await convert(file, file.name, 'docx')
+  const back = await convert(docx.blob, `${base}.docx`, 'md')
+  return { steps: ['MD', 'DOCX', 'MD'], original: await file.text(), roundTrip: await back.blob.text() }
+}
+
+const splitLines = (text) => text.replace(/\r\n?/g, '\n').replace(/\n+$/, '').split('\n')
+
+// Trailing spaces are not worth a diff line
+const lineKey = (line) => line.trimEnd()
+
+// Edit script between two line lists: common prefix and suffix, then a
+// longest-common-subsequence diff of the rest
+const diffOperations = (a, b) => {
+  let start = 0
+  while (start < a.length && start < b.length && lineKey(a[start]) === lineKey(b[start])) start++
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && lineKey(a[endA - 1]) === lineKey(b[endB - 1])) {
+    endA--
+    endB--
+  }
+
+  const operations = []
+  for (let i = 0; i < start; i++) operations.push({ type: DIFF_TYPE.SAME, a: i, b: i })
+
+  const n = endA - start
+  const m = endB - start
+  if (n * m > MAX_DIFF_CELLS) {
+    for (let i = start; i < endA; i++) operations.push({ type: DIFF_TYPE.REMOVED, a: i })
+    for (let j = start; j < endB; j++) operations.push({ type: DIFF_TYPE.ADDED, b: j })
+  } else {
+    // lengths[i][j]: LCS length of a[start + i..] and b[start + j..]
+    const width = m + 1
+    const lengths = new Uint32Array((n + 1) * width)
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * width + j] = lineKey(a[start + i]) === lineKey(b[start + j])
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1])
+      }
+    }
+
+    let i = 0
+    let j = 0
+    while (i < n || j < m) {
+      if (i < n && j < m && lineKey(a[start + i]) === lineKey(b[start + j])) {
+        operations.push({ type: DIFF_TYPE.SAME, a: start + i++, b: start + j++ })
+      } else if (j < m && (i === n || lengths[i * width + j + 1] >= lengths[(i + 1) * width + j])) {
+        operations.push({ type: DIFF_TYPE.ADDED, b: start + j++ })
+      } else {
+        operations.push({ type: DIFF_TYPE.REMOVED, a: start + i++ })
+      }
+    }
+  }
+
+  const offset = b.length - a.length
+  for (let i = endA; i < a.length; i++) operations.push({ type: DIFF_TYPE.SAME, a: i, b: i + offset })
+  return operations
+}
+
+/**
+ * Side-by-side line diff. Each row has a `left` and/or `right` line
+ * ({ number, text }, numbers from 1); removed lines followed by added ones
+ * are paired up as changed rows.
+ */
+export const diffLines = (before, after) => {
+  const a = splitLines(before)
+  const b = splitLines(after)
+  const operations = diffOperations(a, b)
+  const line = (lines, index) => ({ number: index + 1, text: lines[index] })
+
+  const rows = []
+  let removed = []
+  let added = []
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const left = removed[k] !== undefined ? line(a, removed[k]) : null
+      const right = added[k] !== undefined ? line(b, added[k]) : null
+      const type = left && right ? DIFF_TYPE.CHANGED : left ? DIFF_TYPE.REMOVED : DIFF_TYPE.ADDED
+      rows.push({ type, left, right })
+    }
+    removed = []
+    added = []
+  }
+
+  for (const operation of operations) {
+    if (operation.type === DIFF_TYPE.REMOVED) removed.push(operation.a)
+    else if (operation.type === DIFF_TYPE.ADDED) added.push(operation.b)
+    else {
+      flush()
+      rows.push({ type: DIFF_TYPE.SAME, left: line(a, operation.a), right: line(b, operation.b) })
+    }
+  }
+  flush()
+  return rows
+}
+
+// Plain text of inline tokens, whitespace collapsed
+const plainText = (tokens, fallback = '') => {
+  const text = tokens
+    ? tokens.map(token => token.tokens ? plainText(token.tokens) : token.text ?? '').join('')
+    : fallback
+  return text.replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Headings, links, tables and emphasis of a Markdown document, each as a
+ * list of comparable labels. Front matter is left out.
+ */
+export const collectStructure = (markdown) => {
+  const structure = Object.fromEntries(FIDELITY_CATEGORIES.map(category => [category, []]))
+
+  const visit = (tokens) => {
+    for (const token of tokens || []) {
+      switch (token.type) {
+        case 'heading':
+          structure.headings.push(`${'#'.repeat(token.depth)} ${plainText(token.tokens, token.text)}`)
+          break
+        case 'link':
+          structure.links.push(`[${plainText(token.tokens, token.text)}](${token.href})`)
+          break
+        case 'table': {
+          const header = token.header.map(cell => plainText(cell.tokens, cell.text)).join(' | ')
+          structure.tables.push(`${token.header.length}×${token.rows.length + 1}: ${header}`)
+          token.header.forEach(cell => visit(cell.tokens))
+          token.rows.forEach(row => row.forEach(cell => visit(cell.tokens)))
+          break
+        }
+        case 'em':
+          structure.emphasis.push(`*${plainText(token.tokens, token.text)}*`)
+          break
+        case 'strong':
+          structure.emphasis.push(`**${plainText(token.tokens, token.text)}**`)
+          break
+        case 'del':
+          structure.emphasis.push(`~~${plainText(token.tokens, token.text)}~~`)
+          break
+      }
+      if (token.type !== 'table') visit(token.tokens)
+      if (token.type === 'list') token.items.forEach(item => visit(item.tokens))
+    }
+  }
+
+  visit(marked.lexer(stripFrontMatter(markdown), { gfm: true }))
+  return structure
+}
+
+// Items of `before` that `after` does not have, counting duplicates
+const missingFrom = (before, after) => {
+  const remaining = new Map()
+  after.forEach(item => remaining.set(item, (remaining.get(item) || 0) + 1))
+  return before.filter(item => {
+    const count = remaining.get(item) || 0
+    if (count === 0) return true
+    remaining.set(item, count - 1)
+    return false
+  })
+}
+
+/**
+ * Compare the original and round-tripped Markdown.
+ * @returns {{ rows: object[], stats: { same: number, changed: number, removed: number, added: number },
+ *   summary: Record<string, { original: number, roundTrip: number, lost: string[] }> }}
+ */
+export const compareMarkdown = (original, roundTrip) => {
+  const rows = diffLines(original, roundTrip)
+  const stats = Object.fromEntries(Object.values(DIFF_TYPE).map(type => [type, 0]))
+  rows.forEach(row => stats[row.type]++)
+
+  const before = collectStructure(original)
+  const after = collectStructure(roundTrip)
+  const summary = Object.fromEntries(FIDELITY_CATEGORIES.map(category => [category, {
+    original: before[category].length,
+    roundTrip: after[category].length,
+    lost: missingFrom(before[category], after[category])
+  }]))
+
+  return { rows, stats, summary }
+}
@@ -0,0 +1,104 @@
+// Relative paths for files added from folders and ZIP archives
+// Dropped folders and unpacked archives have no webkitRelativePath, so the
+// path is kept in a WeakMap keyed by File; outputs reuse it to rebuild the
+// same directory layout.
+
+import { isZipFile, extractZip } from './archive'
+
+const relativePaths = new WeakMap()
+
+export const setRelativePath = (file, path) => {
+  relativePaths.set(file, path)
+  return file
+}
+
+export const getRelativePath = (file) => relativePaths.get(file) || file.webkitRelativePath || file.name
+
+// Folder part of a relative path, '' for loose files
+export const getPathFolder = (path) => {
+  const slashIndex = path.lastIndexOf('/')
+  return slashIndex > 0 ? path.slice(0, slashIndex) : ''
+}
+
+export const getFolder = (file) => getPathFolder(getRelativePath(file))
+
+export const joinPath = (folder, fileName) => (folder ? `${folder}/${fileName}` : fileName)
+
+// Group files by folder, keeping each file's index in the original list
+export const groupByFolder = (files) => {
+  const groups = new Map()
+  files.forEach((file, index) => {
+    const folder = getFolder(file)
+    if (!groups.has(folder)) groups.set(folder, [])
+    groups.get(folder).push({ file, index })
+  })
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([folder, items]) => ({ folder, items }))
+}
+
+const readEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+
+const readEntryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject))
+
+// Walk a FileSystemEntry tree; readEntries returns results in chunks
+const collectEntry = async (entry, files) => {
+  if (entry.isFile) {
+    const file = await readEntryFile(entry)
+    files.push(setRelativePath(file, entry.fullPath.replace(/^\//, '')))
+    return
+  }
+  if (!entry.isDirectory) return
+
+  const reader = entry.createReader()
+  let batch = await readEntries(reader)
+  while (batch.length > 0) {
+    for (const child of batch) {
+      await collectEntry(child, files)
+    }
+    batch = await readEntries(reader)
+  }
+}
+
+// Read dropped files and folders. Entries must be taken synchronously while
+// the drop event is being handled, before any await.
+export const readDataTransfer = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+
+  if (entries.length === 0 || entries.some(entry => !entry)) {
+    return Array.from(dataTransfer.files)
+  }
+
+  const files = []
+  for (const entry of entries) {
+    await collectEntry(entry, files)
+  }
+  return files
+}
+
+// Replace ZIP files with their contents, placed in a folder named after
+// the archive. Archives that cannot be read are returned in `failed`.
+export const expandArchives = async (files) => {
+  const expanded = []
+  const failed = []
+
+  for (const file of files) {
+    if (!isZipFile(file)) {
+      expanded.push(file)
+      continue
+    }
+    try {
+      const root = joinPath(getFolder(file), file.name.replace(/\.zip$/i, ''))
+      const entries = await extractZip(file)
+      entries.forEach(({ path, file: entryFile }) => {
+        expanded.push(setRelativePath(entryFile, joinPath(root, path)))
+      })
+    } catch (error) {
+      failed.push({ file, error })
+    }
+  }
+
+  return { files: expanded, failed }
+}
@@ -0,0 +1,106 @@
+// Supported format matrix
+// Loaded from /api/conversion/formats so the UI follows GetSupportedFormats
+// on the server; the last good response is cached for offline starts
+
+import { converterClient } from '../api/converterClient.js'
+
+const CACHE_KEY = 'formatsCache'
+
+// Used when the backend has never been reached from this browser
+export const DEFAULT_FORMATS = {
+  inputFormats: [
+    { extension: '.pdf', description: 'PDF Document', category: 'pdf', targetFormats: ['md'] },
+    { extension: '.docx', description: 'Microsoft Word', category: 'word', targetFormats: ['md'] },
+    { extension: '.doc', description: 'Microsoft Word (Legacy)', category: 'word', targetFormats: ['md'] },
+    { extension: '.odt', description: 'OpenDocument Text', category: 'odt', targetFormats: ['md'] },
+    { extension: '.md', description: 'Markdown', category: 'markdown', targetFormats: ['pdf', 'docx'] },
+    { extension: '.markdown', description: 'Markdown', category: 'markdown', targetFormats: ['pdf', 'docx'] }
+  ],
+  outputFormats: [
+    { extension: '.md', mimeType: 'text/markdown', label: 'Markdown' },
+    { extension: '.pdf', mimeType: 'application/pdf', label: 'PDF' },
+    { extension: '.docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', label: 'Word (DOCX)' }
+  ]
+}
+
+const isValidMatrix = (data) => {
+  return Array.isArray(data?.inputFormats) && data.inputFormats.length > 0 &&
+    data.inputFormats.every(f => f.extension && Array.isArray(f.targetFormats))
+}
+
+export const getCachedFormats = () => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(CACHE_KEY))
+    return isValidMatrix(cached) ? cached : DEFAULT_FORMATS
+  } catch {
+    return DEFAULT_FORMATS
+  }
+}
+
+// Fetch the matrix from the backend and refresh the cache
+export const fetchFormats = async () => {
+  const matrix = await converterClient.getFormats()
+  if (!isValidMatrix(matrix)) {
+    throw new Error('Invalid format list received from server')
+  }
+  localStorage.setItem(CACHE_KEY, JSON.stringify(matrix))
+  return matrix
+}
+
+export const getExtension = (fileName) => {
+  const dotIndex = fileName.lastIndexOf('.')
+  return dotIndex >= 0 ? fileName.slice(dotIndex).toLowerCase() : ''
+}
+
+// Build the lookups the UI needs from a format matrix
+export const createFormatHelpers = (matrix) => {
+  const byExtension = new Map(matrix.inputFormats.map(f => [f.extension.toLowerCase(), f]))
+  const outputLabels = new Map((matrix.outputFormats || []).map(f => [
+    f.extension.replace(/^\./, ''),
+    f.label || f.extension.replace(/^\./, '').toUpperCase()
+  ]))
+
+  const getInputFormat = (fileName) => byExtension.get(getExtension(fileName))
+
+  // Formats Markdown sources can be converted to (for the target selector)
+  const markdownTargets = [...new Set(matrix.inputFormats
+    .filter(f => f.targetFormats.length > 1)
+    .flatMap(f => f.targetFormats))]
+
+  // One badge per distinct extension, in server order
+  const badges = matrix.inputFormats.map(f => ({
+    label: f.extension.replace(/^\./, '').toUpperCase(),
+    category: f.category || 'word',
+    description: f.description
+  }))
+
+  return {
+    accept: matrix.inputFormats.map(f => f.extension).join(','),
+    badges,
+    markdownTargets,
+    isSupported: (fileName) => byExtension.has(getExtension(fileName)),
+    getFileType: (fileName) => getInputFormat(fileName)?.category || 'word',
+    getOutputLabel: (format) => outputLabels.get(format) || format.toUpperCase(),
+
+    // Resolve the output format for a file, honouring the user's choice
+    // when the source supports more than one target
+    getTargetFor: (fileName, preferred) => {
+      const targets = getInputFormat(fileName)?.targetFormats || []
+      if (targets.includes(preferred)) return preferred
+      return targets[0] || preferred
+    },
+
+    // Explain why a file cannot be added as a translation key and its
+    // parameters, or null if it is acceptable
+    getRejectionReason: (file) => {
+      const ext = getExtension(file.name)
+      if (!byExtension.has(ext)) {
+        return ext
+          ? { key: 'rejected.unsupportedFormat', params: { ext } }
+          : { key: 'rejected.noExtension' }
+      }
+      if (file.size === 0) return { key: 'rejected.empty' }
+      return null
+    }
+  }
+}
@@ -0,0 +1,130 @@
+// YAML front matter of Markdown files
+// Reads and rewrites the document properties the server turns into a title
+// page, PDF document info and DOCX core properties (same subset as
+// FrontMatter.cs: scalars, [a, b] lists and "- item" lists). Other keys in
+// the block are kept as written.
+
+import { getRelativePath, setRelativePath } from './fileTree'
+
+export const FRONT_MATTER_FIELDS = ['title', 'author', 'date', 'version', 'keywords']
+
+export const EMPTY_FRONT_MATTER = { title: '', author: '', date: '', version: '', keywords: [] }
+
+const CLOSING = /^(---|\.\.\.)\s*$/
+const KEY = /^([A-Za-z_][\w-]*)\s*:(.*)$/
+
+const unquote = (value) => {
+  if (/^".*"$/.test(value) && value.length >= 2) {
+    return value.slice(1, -1).replace(/\\"/g, '"').replace(/\\\\/g, '\\')
+  }
+  if (/^'.*'$/.test(value) && value.length >= 2) return value.slice(1, -1).replace(/''/g, "'")
+  return value
+}
+
+const splitList = (value) => value.split(',').map(item => unquote(item.trim())).filter(Boolean)
+
+// YAML lines and body of a document, or null without a front matter block
+const splitBlock = (markdown) => {
+  const lines = markdown.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n')
+  if (lines[0]?.trim() !== '---') return null
+  const end = lines.findIndex((line, index) => index > 0 && CLOSING.test(line))
+  if (end === -1) return null
+  return { yaml: lines.slice(1, end), body: lines.slice(end + 1).join('\n').replace(/^\n+/, '') }
+}
+
+const parseValues = (yaml) => {
+  const values = {}
+  let list = null
+  for (const line of yaml) {
+    const trimmed = line.trim()
+    if (!trimmed || trimmed.startsWith('#')) continue
+    if (list && trimmed.startsWith('- ')) {
+      list.push(unquote(trimmed.slice(2).trim()))
+      continue
+    }
+    list = null
+    const match = KEY.exec(line)
+    if (!match) continue
+    const key = match[1].toLowerCase()
+    const value = match[2].trim()
+    if (!value) {
+      list = values[key] = []
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      values[key] = splitList(value.slice(1, -1))
+    } else {
+      values[key] = [unquote(value)]
+    }
+  }
+  return values
+}
+
+/**
+ * Document properties from a Markdown file's front matter.
+ * @returns {{ title: string, author: string, date: string, version: string, keywords: string[] }}
+ */
+export const parseFrontMatter = (markdown) => {
+  const block = splitBlock(markdown)
+  if (!block) return { ...EMPTY_FRONT_MATTER }
+  const values = parseValues(block.yaml)
+  const scalar = (key) => (values[key] || []).join(', ')
+  let keywords = values.keywords || []
+  // A single "keywords: a, b" string is split like a list
+  if (keywords.length === 1 && keywords[0].includes(',')) keywords = splitList(keywords[0])
+  return {
+    title: scalar('title'),
+    author: scalar('author'),
+    date: scalar('date'),
+    version: scalar('version'),
+    keywords
+  }
+}
+
+// The document without its front matter block
+export const stripFrontMatter = (markdown) => splitBlock(markdown)?.body ?? markdown
+
+export const isSameFrontMatter = (a, b) => FRONT_MATTER_FIELDS.every(field => (
+  field === 'keywords' ? a.keywords.join('\n') === b.keywords.join('\n') : a[field] === b[field]
+))
+
+const serializeFields = (fields) => FRONT_MATTER_FIELDS.flatMap(field => {
+  if (field === 'keywords') {
+    return fields.keywords.length > 0 ? [`keywords: [${fields.keywords.map(k => JSON.stringify(k)).join(', ')}]`] : []
+  }
+  const value = fields[field]?.trim()
+  return value ? [`${field}: ${JSON.stringify(value)}`] : []
+})
+
+/**
+ * Rewrite the document properties of a Markdown file. Empty fields are
+ * removed; keys other than the document properties stay untouched.
+ */
+export const applyFrontMatter = (markdown, fields) => {
+  const block = splitBlock(markdown)
+  const kept = []
+  let skipping = false
+  for (const line of block?.yaml || []) {
+    const match = KEY.exec(line)
+    if (match) {
+      skipping = FRONT_MATTER_FIELDS.includes(match[1].toLowerCase())
+    } else if (skipping && (/^\s/.test(line) || line.startsWith('-'))) {
+      continue
+    } else {
+      skipping = false
+    }
+    if (!skipping) kept.push(line)
+  }
+
+  const yaml = [...serializeFields(fields), ...kept]
+  const body = block ? block.body : markdown
+  return yaml.length > 0 ? `---\n${yaml.join('\n')}\n---\n\n${body}` : body
+}
+
+// Copy of a Markdown file with its front matter replaced, keeping its
+// name and folder path
+export const withFrontMatter = async (file, fields) => {
+  const updated = new File([applyFrontMatter(await file.text(), fields)], file.name, {
+    type: file.type || 'text/markdown',
+    lastModified: file.lastModified
+  })
+  return setRelativePath(updated, getRelativePath(file))
+}
@@ -0,0 +1,42 @@
+// Backend health states and how often to check each one
+// Shared by the web app and the CLI, so both wait for a cold start the same way
+
+export const BACKEND_STATUS = {
+  CHECKING: 'checking',
+  ONLINE: 'online',
+  WAKING: 'waking',
+  OFFLINE: 'offline'
+}
+
+// Seconds Render's free tier usually takes to wake a sleeping server
+export const ESTIMATED_WAKE_TIME = 35
+
+export const POLL_INTERVALS = {
+  waking: 3000,
+  // Once the estimate has passed the wait is open-ended, so poll less often
+  wakingLate: 6000,
+  online: 15000,
+  offline: 5000,
+  max: 60000
+}
+
+// Consecutive online checks before the interval doubles
+const ONLINE_BACKOFF_STEP = 4
+
+/**
+ * Delay before the next health check. A waking server is polled quickly so
+ * held conversions start as soon as it answers; a steady state is polled
+ * less often the longer it lasts (`streak` checks in a row), which also lets
+ * an idle server go back to sleep; background tabs use the slowest rate.
+ */
+export const getPollInterval = ({ status, streak = 0, wakeElapsed = 0, hidden = false }) => {
+  if (status === BACKEND_STATUS.WAKING || status === BACKEND_STATUS.CHECKING) {
+    return wakeElapsed < ESTIMATED_WAKE_TIME * 1000 ? POLL_INTERVALS.waking : POLL_INTERVALS.wakingLate
+  }
+  if (hidden) return POLL_INTERVALS.max
+
+  const interval = status === BACKEND_STATUS.ONLINE
+    ? POLL_INTERVALS.online * 2 ** Math.floor(streak / ONLINE_BACKOFF_STEP)
+    : POLL_INTERVALS.offline * 2 ** Math.max(streak - 1, 0)
+  return Math.min(interval, POLL_INTERVALS.max)
+}
@@ -0,0 +1,75 @@
+// Conversion history persisted in IndexedDB
+// Each record keeps the conversion details and, while the storage quota
+// allows, the source and output blobs so results can be re-downloaded or
+// re-converted after a page reload
+
+import { createStore } from './idb'
+
+const QUOTA_KEY = 'historyQuotaMb'
+
+export const DEFAULT_QUOTA_MB = 50
+
+const withStore = createStore('md-converter360', 'history', { keyPath: 'id', autoIncrement: true }, ['createdAt'])
+
+export const getHistoryQuotaMb = () => {
+  return Number(localStorage.getItem(QUOTA_KEY)) || DEFAULT_QUOTA_MB
+}
+
+export const setHistoryQuotaMb = (value) => {
+  localStorage.setItem(QUOTA_KEY, String(value))
+  return enforceQuota()
+}
+
+const entryBytes = (entry) => (entry.outputBlob?.size || 0) + (entry.sourceBlob?.size || 0)
+
+// Drop stored blobs from the oldest entries until the quota is respected.
+// The entries themselves stay so the history remains searchable
+const enforceQuota = async () => {
+  const quotaBytes = getHistoryQuotaMb() * 1024 * 1024
+  const entries = await getHistory()
+  let total = entries.reduce((sum, entry) => sum + entryBytes(entry), 0)
+  if (total <= quotaBytes) return
+
+  const oldestFirst = [...entries].reverse()
+  for (const entry of oldestFirst) {
+    if (total <= quotaBytes) break
+    const bytes = entryBytes(entry)
+    if (bytes === 0) continue
+    total -= bytes
+    await withStore('readwrite', store => store.put({
+      ...entry,
+      outputBlob: null,
+      sourceBlob: null,
+      blobsEvicted: true
+    }))
+  }
+}
+
+// Add a conversion record, returns the stored id
+export const addHistoryEntry = async (entry) => {
+  const id = await withStore('readwrite', store => store.add({
+    createdAt: Date.now(),
+    ...entry
+  }))
+  await enforceQuota()
+  return id
+}
+
+// All entries, newest first
+export const getHistory = async () => {
+  const entries = await withStore('readonly', store => store.getAll())
+  return (entries || []).sort((a, b) => b.createdAt - a.createdAt)
+}
+
+export const deleteHistoryEntry = (id) => {
+  return withStore('readwrite', store => store.delete(id))
+}
+
+export const clearHistory = () => {
+  return withStore('readwrite', store => store.clear())
+}
+
+// Total bytes of blobs currently kept in history
+export const getHistoryUsage = (entries) => {
+  return entries.reduce((sum, entry) => sum + entryBytes(entry), 0)
+}
@@ -0,0 +1,47 @@
+// Small IndexedDB helper for single-store databases kept by the app
+// (conversion history, DOCX templates, the output folder handle)
+
+/**
+ * @param {string} dbName
+ * @param {string} storeName
+ * @param {IDBObjectStoreParameters} [storeOptions]
+ * @param {string[]} [indexes] key paths indexed under their own name
+ * @returns {(mode: IDBTransactionMode, action: (store: IDBObjectStore) => IDBRequest | void) => Promise<any>}
+ *   runs a request against the store and resolves with its result once the
+ *   transaction completes
+ */
+export const createStore = (dbName, storeName, storeOptions, indexes = []) => {
+  let dbPromise = null
+
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1)
+        request.onupgradeneeded = () => {
+          const db = request.result
+          if (!db.objectStoreNames.contains(storeName)) {
+            const store = db.createObjectStore(storeName, storeOptions)
+            indexes.forEach(keyPath => store.createIndex(keyPath, keyPath))
+          }
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => {
+          dbPromise = null
+          reject(request.error)
+        }
+      })
+    }
+    return dbPromise
+  }
+
+  return async (mode, action) => {
+    const db = await openDb()
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode)
+      const request = action(tx.objectStore(storeName))
+      tx.oncomplete = () => resolve(request?.result)
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error)
+    })
+  }
+}
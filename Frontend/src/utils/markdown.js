@@ -0,0 +1,17 @@
+// Markdown rendering for in-browser previews
+// Uses GitHub-flavoured Markdown (tables, fenced code, task lists) to match
+// what the backend renders in RenderBlockToPdf / RenderBlockToDocx
+
+import { marked } from 'marked'
+import DOMPurify from 'dompurify'
+
+marked.setOptions({
+  gfm: true,
+  breaks: false
+})
+
+// Render Markdown to sanitized HTML
+export const renderMarkdown = (markdown) => {
+  const html = marked.parse(markdown || '')
+  return DOMPurify.sanitize(html)
+}
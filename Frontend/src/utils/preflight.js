@@ -0,0 +1,180 @@
+// Pre-flight checks for Markdown -> PDF/DOCX
+// Finds content that RenderBlockToPdf / RenderBlockToDocx cannot reproduce
+// (HTML blocks are dropped, relative links point nowhere, images need their
+// bundled asset) before the file is uploaded. Each issue carries a line
+// number and the affected source line.
+
+import { findImageSources } from './assets'
+import { parseFrontMatter } from './frontMatter'
+
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+}
+
+const SNIPPET_LENGTH = 120
+
+const FENCE = /^\s{0,3}(`{3,}|~{3,})/
+const ATX_H1 = /^\s{0,3}#\s+\S/
+const SETEXT_H1 = /^\s{0,3}=+\s*$/
+const HTML_BLOCK = /^\s{0,3}<([a-zA-Z][\w-]*)[\s/>]/
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/
+// Images and links, skipping the image form when matching links
+const IMAGE = /!\[([^\]]*)\]\(\s*<?([^)\s>]*)>?(?:\s+"[^"]*")?\s*\)/g
+const LINK = /(?<!!)\[([^\]]*)\]\(\s*<?([^)\s>]*)>?(?:\s+"[^"]*")?\s*\)/g
+const ABSOLUTE_URL = /^(?:[a-z][a-z\d+.-]*:|\/\/)/i
+const FRONT_MATTER_TITLE = /^title\s*:\s*\S/m
+
+const snippetOf = (line) => {
+  const trimmed = line.trim()
+  return trimmed.length > SNIPPET_LENGTH ? `${trimmed.slice(0, SNIPPET_LENGTH - 1)}…` : trimmed
+}
+
+// Pipe-table cells, ignoring escaped pipes and the optional outer pipes
+const countCells = (line) => {
+  const cells = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/)
+  return cells.length
+}
+
+const looksLikeTableRow = (line) => (line.match(/(?<!\\)\|/g) || []).length >= 2 || /^\s*\|/.test(line)
+
+// Report a broken table once, not for every row; returns its last line
+const skipTableRows = (lines, index) => {
+  while (lines[index + 1] !== undefined && /^\s*\|/.test(lines[index + 1])) index++
+  return index
+}
+
+// Front matter is metadata, not content; keep its title for the title check
+const splitFrontMatter = (lines) => {
+  if (lines[0]?.trim() !== '---') return { start: 0, title: false }
+  const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line))
+  if (end === -1) return { start: 0, title: false }
+  return { start: end + 1, title: FRONT_MATTER_TITLE.test(lines.slice(1, end).join('\n')) }
+}
+
+/**
+ * Analyse Markdown source and return the problems found, in line order.
+ * @param {string} markdown
+ * @param {{ resolveAsset?: (path: string) => boolean }} [options]
+ *   resolveAsset tells whether a relative image reference has a matching
+ *   asset to upload; without it every local image is unresolved.
+ * @returns {Array<{ rule: string, severity: string, line: number, snippet: string, params?: object }>}
+ */
+export const analyzeMarkdown = (markdown, { resolveAsset } = {}) => {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n')
+  const issues = []
+  const { start, title: hasFrontMatterTitle } = splitFrontMatter(lines)
+  let hasTitle = hasFrontMatterTitle
+  let fence = null
+  let table = null
+
+  const report = (rule, severity, index, params) => {
+    issues.push({ rule, severity, line: index + 1, snippet: snippetOf(lines[index]), params })
+  }
+
+  for (let index = start; index < lines.length; index++) {
+    const line = lines[index]
+
+    // Nothing inside fenced code is rendered as Markdown
+    const fenceMatch = FENCE.exec(line)
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null
+      continue
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1]
+      table = null
+      continue
+    }
+
+    if (ATX_H1.test(line) || (SETEXT_H1.test(line) && index > start && lines[index - 1].trim())) {
+      hasTitle = true
+    }
+
+    // Pipe tables: header, delimiter row with the same column count, rows
+    if (table) {
+      if (looksLikeTableRow(line) && line.trim()) {
+        const cells = countCells(line)
+        if (cells !== table.columns) {
+          report('tableColumns', SEVERITY.WARNING, index, { expected: table.columns, actual: cells })
+        }
+        continue
+      }
+      table = null
+    }
+    const next = lines[index + 1]
+    if (looksLikeTableRow(line) && next !== undefined && TABLE_DELIMITER.test(next) && next.includes('-')) {
+      const columns = countCells(line)
+      const delimiterColumns = countCells(next)
+      if (columns !== delimiterColumns) {
+        report('tableDelimiter', SEVERITY.ERROR, index, { expected: columns, actual: delimiterColumns })
+        index = skipTableRows(lines, index + 1)
+      } else {
+        table = { columns }
+        index++
+      }
+      continue
+    }
+    if (/^\s*\|/.test(line) && looksLikeTableRow(line)) {
+      report('tableHeader', SEVERITY.ERROR, index)
+      index = skipTableRows(lines, index)
+      continue
+    }
+
+    const html = HTML_BLOCK.exec(line)
+    if (html) {
+      report('htmlBlock', SEVERITY.WARNING, index, { tag: html[1].toLowerCase() })
+    }
+
+    for (const [, alt, src] of line.matchAll(IMAGE)) {
+      if (!src) {
+        report('emptyImage', SEVERITY.ERROR, index, { alt })
+      } else if (!ABSOLUTE_URL.test(src) && !resolveAsset?.(src)) {
+        report('unresolvedImage', SEVERITY.ERROR, index, { src })
+      }
+    }
+
+    for (const [, text, href] of line.matchAll(LINK)) {
+      if (href && !href.startsWith('#') && !ABSOLUTE_URL.test(href)) {
+        report('relativeLink', SEVERITY.WARNING, index, { href, text })
+      }
+    }
+  }
+
+  if (!hasTitle) {
+    issues.unshift({ rule: 'missingTitle', severity: SEVERITY.WARNING, line: start + 1, snippet: snippetOf(lines[start] || '') })
+  }
+
+  return issues
+}
+
+export const countIssues = (issues) => ({
+  errors: issues.filter(issue => issue.severity === SEVERITY.ERROR).length,
+  warnings: issues.filter(issue => issue.severity === SEVERITY.WARNING).length
+})
+
+export const isMarkdownFile = (fileName) => /\.(md|markdown)$/i.test(fileName)
+
+// Read and analyse one file; files with errors start out blocked. The image
+// sources are kept to pick the assets uploaded with the file, the front
+// matter to prefill its document properties.
+export const checkFile = async (file, options) => {
+  const markdown = await file.text()
+  const issues = analyzeMarkdown(markdown, options)
+  return {
+    issues,
+    blocked: issues.some(issue => issue.severity === SEVERITY.ERROR),
+    sources: findImageSources(markdown),
+    frontMatter: parseFrontMatter(markdown)
+  }
+}
+
+// Report for a file that could not be read (moved, deleted or unreadable);
+// it starts out blocked like any file with errors
+export const createFailedReport = (error) => ({
+  issues: [{ rule: 'unreadable', severity: SEVERITY.ERROR, line: null, snippet: '', params: { message: error?.message || String(error) } }],
+  blocked: true,
+  failed: true,
+  sources: [],
+  frontMatter: null
+})
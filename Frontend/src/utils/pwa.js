@@ -0,0 +1,45 @@
+// Installable app support: service worker registration, files opened
+// through the OS ("Open with MD.converter360") and the Web Share Target
+
+const SHARE_CACHE = 'md-converter360-shared'
+const SHARED_PARAM = 'shared'
+
+export const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.warn('Service worker registration failed:', error)
+    })
+  })
+}
+
+// Call back with the files the app was launched with via file_handlers
+export const onLaunchFiles = (callback) => {
+  if (!('launchQueue' in window)) return
+  window.launchQueue.setConsumer(async (launchParams) => {
+    if (!launchParams.files?.length) return
+    const files = await Promise.all(launchParams.files.map(handle => handle.getFile()))
+    callback(files)
+  })
+}
+
+// Read files the service worker stored after a share, then clear them.
+// Returns an empty list unless the app was opened by the share target.
+export const consumeSharedFiles = async () => {
+  const url = new URL(window.location.href)
+  if (!url.searchParams.has(SHARED_PARAM) || !('caches' in window)) return []
+
+  url.searchParams.delete(SHARED_PARAM)
+  window.history.replaceState(null, '', url.pathname + url.search + url.hash)
+
+  const cache = await caches.open(SHARE_CACHE)
+  const requests = await cache.keys()
+  const files = await Promise.all(requests.map(async (request) => {
+    const response = await cache.match(request)
+    const blob = await response.blob()
+    const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared-file')
+    await cache.delete(request)
+    return new File([blob], name, { type: blob.type })
+  }))
+  return files
+}
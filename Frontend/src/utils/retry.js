@@ -0,0 +1,46 @@
+// Retry helpers for requests that hit a sleeping or restarting backend
+
+// Network failures and gateway/unavailable responses are worth retrying;
+// timeouts, cancellations and other HTTP errors are not. Client errors
+// (ConversionApiError) already know whether they are retryable.
+export const isRetryableError = (error) => {
+  if (typeof error?.retryable === 'boolean') return error.retryable
+  if (error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED') return false
+  if (error?.code === 'ECONNABORTED') return false
+  if (!error?.response) return true
+  return [502, 503, 504].includes(error.response.status)
+}
+
+// Resolve after `ms`, or reject early when the signal aborts
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason)
+    return
+  }
+  const timer = setTimeout(resolve, ms)
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer)
+    reject(signal.reason)
+  }, { once: true })
+})
+
+// Run `fn` and retry retryable failures with exponential backoff
+export const retryWithBackoff = async (fn, {
+  retries = 4,
+  baseDelay = 2000,
+  maxDelay = 30000,
+  signal,
+  shouldRetry = isRetryableError,
+  onRetry
+} = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt)
+    } catch (error) {
+      if (attempt >= retries || signal?.aborted || !shouldRetry(error)) throw error
+      const delay = Math.min(baseDelay * 2 ** attempt, maxDelay)
+      onRetry?.(error, attempt + 1, delay)
+      await sleep(delay, signal)
+    }
+  }
+}
@@ -0,0 +1,177 @@
+// Automatic saving of conversion results on the user's machine
+// Results are written to a folder picked once through the File System Access
+// API (the handle is kept in IndexedDB), keeping the folder structure of the
+// sources. Browsers without the API, or without permission for the folder,
+// fall back to regular downloads, where conflicts are left to the browser.
+
+import { createStore } from './idb'
+import { downloadBlob } from './download'
+import { joinPath } from './fileTree'
+
+const SETTINGS_KEY = 'saveDestination'
+const FOLDER_KEY = 'outputFolder'
+
+const withStore = createStore('md-converter360-settings', 'handles')
+
+export const CONFLICT_POLICIES = ['rename', 'overwrite', 'skip']
+export const NAMING_TOKENS = ['name', 'ext', 'source', 'date', 'time']
+
+export const DEFAULT_SAVE_SETTINGS = {
+  enabled: false,
+  namingTemplate: '{name}.{ext}',
+  conflictPolicy: 'rename'
+}
+
+export const SAVE_STATUS = {
+  SAVED: 'saved',
+  RENAMED: 'renamed',
+  OVERWRITTEN: 'overwritten',
+  SKIPPED: 'skipped',
+  DOWNLOADED: 'downloaded',
+  FAILED: 'failed'
+}
+
+export const loadSaveSettings = () => {
+  try {
+    return { ...DEFAULT_SAVE_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) }
+  } catch {
+    return { ...DEFAULT_SAVE_SETTINGS }
+  }
+}
+
+export const storeSaveSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+}
+
+export const supportsFolderPicker = () => typeof window !== 'undefined' && 'showDirectoryPicker' in window
+
+// The remembered output folder, or null
+export const loadOutputFolder = async () => {
+  if (!supportsFolderPicker()) return null
+  return (await withStore('readonly', store => store.get(FOLDER_KEY))) || null
+}
+
+// Ask for a folder; resolves with null when the user cancels the picker
+export const pickOutputFolder = async () => {
+  try {
+    const handle = await window.showDirectoryPicker({ id: 'md-converter360-output', mode: 'readwrite' })
+    await withStore('readwrite', store => store.put(handle, FOLDER_KEY))
+    return handle
+  } catch (error) {
+    if (error.name === 'AbortError') return null
+    throw error
+  }
+}
+
+export const forgetOutputFolder = () => withStore('readwrite', store => store.delete(FOLDER_KEY))
+
+/**
+ * Whether the app may write to the folder. Asking (request = true) shows a
+ * browser prompt and only works while handling a user gesture such as a click.
+ */
+export const ensureFolderPermission = async (handle, request = false) => {
+  const options = { mode: 'readwrite' }
+  if (await handle.queryPermission(options) === 'granted') return true
+  if (!request) return false
+  return await handle.requestPermission(options) === 'granted'
+}
+
+const pad = (value) => String(value).padStart(2, '0')
+
+const splitExtension = (fileName) => {
+  const dot = fileName.lastIndexOf('.')
+  return dot > 0 ? [fileName.slice(0, dot), fileName.slice(dot + 1)] : [fileName, '']
+}
+
+/**
+ * Apply a naming template such as "{name}-{date}.{ext}" to an output file name.
+ * {name} and {ext} come from the output, {source} is the source extension,
+ * {date} and {time} the local time of saving. Unknown tokens stay as written.
+ */
+export const formatOutputName = (template, outputFileName, { sourceName = '', date = new Date() } = {}) => {
+  const [name, ext] = splitExtension(outputFileName)
+  const values = {
+    name,
+    ext,
+    source: splitExtension(sourceName)[1],
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`
+  }
+  const formatted = (template || '')
+    .replace(/\{(\w+)\}/g, (token, key) => values[key] ?? token)
+    .replace(/[\\/:*?"<>|]/g, '_')
+    .trim()
+  return formatted && formatted !== '.' ? formatted : outputFileName
+}
+
+const fileExists = async (directory, name) => {
+  try {
+    await directory.getFileHandle(name)
+    return true
+  } catch (error) {
+    if (error.name === 'NotFoundError' || error.name === 'TypeMismatchError') return false
+    throw error
+  }
+}
+
+// report.md, report_1.md, ... as in getUniqueFileName
+const findFreeName = async (directory, fileName) => {
+  const [base, ext] = splitExtension(fileName)
+  let counter = 1
+  let candidate = fileName
+  while (await fileExists(directory, candidate)) {
+    candidate = `${base}_${counter}${ext ? `.${ext}` : ''}`
+    counter++
+  }
+  return candidate
+}
+
+const writeToFolder = async (handle, { blob, fileName, folder }, conflictPolicy) => {
+  let directory = handle
+  for (const part of folder ? folder.split('/') : []) {
+    directory = await directory.getDirectoryHandle(part, { create: true })
+  }
+
+  let name = fileName
+  let status = SAVE_STATUS.SAVED
+  if (await fileExists(directory, name)) {
+    if (conflictPolicy === 'skip') {
+      return { status: SAVE_STATUS.SKIPPED, path: joinPath(joinPath(handle.name, folder), name) }
+    }
+    if (conflictPolicy === 'rename') {
+      name = await findFreeName(directory, name)
+      status = SAVE_STATUS.RENAMED
+    } else {
+      status = SAVE_STATUS.OVERWRITTEN
+    }
+  }
+
+  const fileHandle = await directory.getFileHandle(name, { create: true })
+  const writable = await fileHandle.createWritable()
+  await writable.write(blob)
+  await writable.close()
+  return { status, path: joinPath(joinPath(handle.name, folder), name) }
+}
+
+// Saves run one at a time so parallel queue jobs cannot claim the same free name
+let pendingSave = Promise.resolve()
+
+/**
+ * Save one result with the naming template and conflict policy.
+ * @param {{ blob: Blob, outputFileName: string, sourceName?: string, folder?: string }} result
+ * @param {{ settings: object, folder: FileSystemDirectoryHandle | null }} destination
+ *   without a folder (or permission to write to it) the file is downloaded
+ * @returns {Promise<{ status: string, path: string }>}
+ */
+export const saveOutput = (result, { settings, folder }) => {
+  const fileName = formatOutputName(settings.namingTemplate, result.outputFileName, { sourceName: result.sourceName })
+  const run = pendingSave.then(async () => {
+    if (folder && await ensureFolderPermission(folder)) {
+      return writeToFolder(folder, { blob: result.blob, fileName, folder: result.folder }, settings.conflictPolicy)
+    }
+    downloadBlob(result.blob, fileName)
+    return { status: SAVE_STATUS.DOWNLOADED, path: fileName }
+  })
+  pendingSave = run.catch(() => {})
+  return run
+}
@@ -0,0 +1,39 @@
+// Background conversion jobs on the server
+// The id of the job being followed is kept in localStorage, so its progress
+// view comes back after a reload. Events from the job's stream are folded
+// into the last known job state with applyJobEvent.
+
+const ACTIVE_JOB_KEY = 'activeServerJob'
+
+export const loadActiveJobId = () => localStorage.getItem(ACTIVE_JOB_KEY)
+
+export const storeActiveJobId = (jobId) => {
+  if (jobId) localStorage.setItem(ACTIVE_JOB_KEY, jobId)
+  else localStorage.removeItem(ACTIVE_JOB_KEY)
+}
+
+// Return the job state after one event; file events carry the whole file entry
+export const applyJobEvent = (job, name, data) => {
+  if (name === 'job') return data
+  if (!job) return job
+  if (name === 'job-finished') return { ...job, status: data.status, finishedAt: new Date().toISOString() }
+  return {
+    ...job,
+    status: job.status === 'queued' ? 'running' : job.status,
+    files: job.files.map(file => file.index === data.index ? data : file)
+  }
+}
+
+export const isFileFinished = (file) => file.status !== 'queued' && file.status !== 'converting'
+
+export const countFinishedFiles = (job) => job ? job.files.filter(isFileFinished).length : 0
+
+// Fraction of the job that is done, counting pages of the file being converted
+export const getJobProgress = (job) => {
+  if (!job || job.files.length === 0) return 0
+  const done = job.files.reduce((sum, file) => {
+    if (file.status === 'converting') return sum + (file.pageCount ? file.page / file.pageCount : 0)
+    return isFileFinished(file) ? sum + 1 : sum
+  }, 0)
+  return done / job.files.length
+}
@@ -0,0 +1,71 @@
+// DOCX templates kept in IndexedDB
+// Reference documents uploaded by the user, named and picked per conversion
+// through ConversionOptions.template (the record id). The server validates
+// them again before use; the checks here only catch obvious mistakes early.
+
+import { unzip } from 'fflate'
+import { createStore } from './idb'
+
+const withStore = createStore('md-converter360-templates', 'templates', { keyPath: 'id' })
+
+// Same limit as DocxTemplate.MaxSize on the server
+export const MAX_TEMPLATE_BYTES = 10 * 1024 * 1024
+
+const listEntries = async (blob) => {
+  const data = new Uint8Array(await blob.arrayBuffer())
+  return new Promise((resolve, reject) => {
+    // Only the names are needed, so no entry is decompressed
+    const names = []
+    unzip(data, { filter: entry => { names.push(entry.name); return false } }, (error) => {
+      if (error) reject(error)
+      else resolve(names)
+    })
+  })
+}
+
+/**
+ * Check that a file looks like a Word document with styles.
+ * @returns {Promise<string|null>} an error key under templates.errors, or null
+ */
+export const validateTemplate = async (file) => {
+  if (!/\.docx$/i.test(file.name)) return 'extension'
+  if (file.size === 0 || file.size > MAX_TEMPLATE_BYTES) return 'size'
+  try {
+    const names = await listEntries(file)
+    if (!names.includes('word/document.xml')) return 'notWord'
+    if (!names.includes('word/styles.xml')) return 'noStyles'
+    return null
+  } catch {
+    return 'notWord'
+  }
+}
+
+// Newest first
+export const getTemplates = async () => {
+  const templates = await withStore('readonly', store => store.getAll())
+  return templates.sort((a, b) => b.createdAt - a.createdAt)
+}
+
+export const addTemplate = async (name, file) => {
+  const template = {
+    id: crypto.randomUUID(),
+    name,
+    fileName: file.name,
+    size: file.size,
+    createdAt: Date.now(),
+    blob: file
+  }
+  await withStore('readwrite', store => store.put(template))
+  return template
+}
+
+export const renameTemplate = async (template, name) => {
+  const renamed = { ...template, name }
+  await withStore('readwrite', store => store.put(renamed))
+  return renamed
+}
+
+export const deleteTemplate = (id) => withStore('readwrite', store => store.delete(id))
+
+// The template file in the form the API client uploads it
+export const toUpload = (template) => ({ file: template.blob, fileName: template.id })
@@ -0,0 +1,39 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { BACKEND_STATUS, ESTIMATED_WAKE_TIME, POLL_INTERVALS, getPollInterval } from '../src/utils/healthPolling.js'
+
+const estimateMs = ESTIMATED_WAKE_TIME * 1000
+
+test('a waking server is polled quickly until the wake estimate has passed', () => {
+  assert.equal(getPollInterval({ status: BACKEND_STATUS.WAKING, wakeElapsed: 0 }), POLL_INTERVALS.waking)
+  assert.equal(getPollInterval({ status: BACKEND_STATUS.WAKING, wakeElapsed: estimateMs - 1 }), POLL_INTERVALS.waking)
+  assert.equal(getPollInterval({ status: BACKEND_STATUS.WAKING, wakeElapsed: estimateMs }), POLL_INTERVALS.wakingLate)
+  assert.equal(getPollInterval({ status: BACKEND_STATUS.CHECKING }), POLL_INTERVALS.waking)
+})
+
+test('a hidden tab still polls a waking server at the waking rate', () => {
+  assert.equal(getPollInterval({ status: BACKEND_STATUS.WAKING, hidden: true }), POLL_INTERVALS.waking)
+})
+
+test('online polling slows down the longer the server stays online', () => {
+  const interval = (streak) => getPollInterval({ status: BACKEND_STATUS.ONLINE, streak })
+  assert.equal(interval(0), POLL_INTERVALS.online)
+  assert.equal(interval(3), POLL_INTERVALS.online)
+  assert.equal(interval(4), POLL_INTERVALS.online * 2)
+  assert.equal(interval(8), POLL_INTERVALS.max)
+  assert.equal(interval(100), POLL_INTERVALS.max)
+})
+
+test('offline polling backs off from the first failed check', () => {
+  const interval = (streak) => getPollInterval({ status: BACKEND_STATUS.OFFLINE, streak })
+  assert.equal(interval(0), POLL_INTERVALS.offline)
+  assert.equal(interval(1), POLL_INTERVALS.offline)
+  assert.equal(interval(2), POLL_INTERVALS.offline * 2)
+  assert.equal(interval(3), POLL_INTERVALS.offline * 4)
+  assert.equal(interval(20), POLL_INTERVALS.max)
+})
+
+test('hidden tabs poll a settled server at the slowest rate', () => {
+  assert.equal(getPollInterval({ status: BACKEND_STATUS.ONLINE, hidden: true }), POLL_INTERVALS.max)
+  assert.equal(getPollInterval({ status: BACKEND_STATUS.OFFLINE, hidden: true }), POLL_INTERVALS.max)
+})
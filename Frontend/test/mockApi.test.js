@@ -0,0 +1,123 @@
+// Cold start, unavailable, timeout and per-file failure scenarios of the
+// mock API, as seen by the API client, the retry helper and the CLI's wake hold
+
+import { after, before, beforeEach, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createConverterClient } from '../src/api/converterClient.js'
+import { retryWithBackoff } from '../src/utils/retry.js'
+import { createApi } from '../cli/api.js'
+import { startMockServer } from './mockServer.js'
+
+const markdown = (fileName) => ({ file: new Blob(['# Title\n\nSome text.']), fileName })
+
+describe('mock API scenarios', () => {
+  let mock
+  let client
+
+  before(async () => {
+    mock = await startMockServer()
+    client = createConverterClient({ baseUrl: mock.baseUrl })
+  })
+
+  after(() => mock?.stop())
+
+  beforeEach(() => mock.setScenario({ latencyMs: 0 }))
+
+  describe('cold start', () => {
+    test('health answers 503 while the server wakes, and conversions are retried until it is up', async () => {
+      await mock.setScenario({ wakeSeconds: 1, latencyMs: 0 })
+
+      await assert.rejects(client.health(), (error) => error.status === 503 && error.retryable)
+
+      const retries = []
+      const { fileName } = await retryWithBackoff(() => client.convert(markdown('notes.md').file, {
+        fileName: 'notes.md',
+        targetFormat: 'pdf'
+      }), { baseDelay: 250, onRetry: (error) => retries.push(error.status) })
+
+      assert.equal(fileName, 'notes.pdf')
+      assert.ok(retries.length > 0)
+      assert.ok(retries.every(status => status === 503))
+    })
+
+    test('the wake hold resolves once health answers', async () => {
+      await mock.setScenario({ wakeSeconds: 1, latencyMs: 0 })
+      const api = createApi({ baseUrl: mock.baseUrl, timeout: 5000 })
+
+      const waited = []
+      const elapsed = await api.waitForBackend({ maxWait: 20000, onWaiting: (seconds) => waited.push(seconds) })
+
+      assert.ok(waited.length > 0)
+      assert.ok(elapsed >= 1000)
+      const health = await client.health()
+      assert.equal(health.status, 'healthy')
+    })
+  })
+
+  describe('unavailable', () => {
+    test('the wake hold gives up after the maximum wait', async () => {
+      await mock.setScenario('unavailable')
+      const api = createApi({ baseUrl: mock.baseUrl, timeout: 5000 })
+
+      await assert.rejects(api.waitForBackend({ maxWait: 500 }), /did not respond within/)
+    })
+
+    test('a server error is not taken for a cold start', async () => {
+      await mock.setScenario('offline')
+      const api = createApi({ baseUrl: mock.baseUrl, timeout: 5000 })
+
+      await assert.rejects(api.waitForBackend({ maxWait: 20000 }), (error) => error.status === 500 && !error.retryable)
+    })
+  })
+
+  describe('timeout', () => {
+    test('requests slower than the client timeout fail with TIMEOUT and are not retried', async () => {
+      await mock.setScenario({ hangMs: 1000, latencyMs: 0 })
+      const impatient = createConverterClient({ baseUrl: mock.baseUrl, timeout: 200 })
+
+      let attempts = 0
+      await assert.rejects(
+        retryWithBackoff(() => {
+          attempts++
+          return impatient.convert(markdown('notes.md').file, { fileName: 'notes.md', targetFormat: 'pdf' })
+        }, { baseDelay: 1 }),
+        (error) => error.code === 'TIMEOUT' && error.kind === 'timeout'
+      )
+      assert.equal(attempts, 1)
+    })
+  })
+
+  describe('per-file failure', () => {
+    test('only the matching file fails in a batch', async () => {
+      await mock.setScenario('per-file-failure')
+
+      const response = await client.convertBatch([markdown('good.md'), markdown('will-fail.md')], { targetFormat: 'docx' })
+
+      assert.equal(response.successful, 1)
+      assert.equal(response.failed, 1)
+      const failed = response.results.find(result => !result.success)
+      assert.equal(failed.originalFileName, 'will-fail.md')
+      assert.equal(failed.errorCode, 'INVALID_DOCUMENT')
+      assert.ok(response.results.find(result => result.success).blob instanceof Blob)
+    })
+
+    test('a failing single file is reported with its error code and not retried', async () => {
+      await mock.setScenario({ failPattern: 'fail', latencyMs: 0 })
+
+      let attempts = 0
+      await assert.rejects(
+        retryWithBackoff(() => {
+          attempts++
+          return client.convert(markdown('will-fail.md').file, { fileName: 'will-fail.md', targetFormat: 'pdf' })
+        }, { baseDelay: 1 }),
+        (error) => error.code === 'INVALID_DOCUMENT' && error.status === 400
+      )
+      assert.equal(attempts, 1)
+    })
+
+    test('files named "fail" convert normally outside the failure scenario', async () => {
+      const { fileName } = await client.convert(markdown('will-fail.md').file, { fileName: 'will-fail.md', targetFormat: 'pdf' })
+      assert.equal(fileName, 'will-fail.pdf')
+    })
+  })
+})
@@ -0,0 +1,48 @@
+// Runs the mock API in a child process on a free port for the tests
+
+import { spawn } from 'node:child_process'
+import { fileURLToPath } from 'node:url'
+
+const SERVER_PATH = fileURLToPath(new URL('../mock-server/server.js', import.meta.url))
+const LISTENING = /listening on http:\/\/localhost:(\d+)/
+
+export const startMockServer = async (scenario = 'normal') => {
+  const child = spawn(process.execPath, [SERVER_PATH, '--port', '0', '--scenario', scenario], {
+    stdio: ['ignore', 'pipe', 'inherit']
+  })
+
+  const port = await new Promise((resolve, reject) => {
+    let output = ''
+    const onData = (chunk) => {
+      output += chunk
+      const match = LISTENING.exec(output)
+      if (!match) return
+      child.stdout.off('data', onData)
+      // Keep draining the request log so the pipe never fills
+      child.stdout.resume()
+      resolve(Number(match[1]))
+    }
+    child.stdout.setEncoding('utf8')
+    child.stdout.on('data', onData)
+    child.once('exit', (code) => reject(new Error(`Mock API exited with code ${code}`)))
+  })
+
+  const baseUrl = `http://127.0.0.1:${port}`
+
+  return {
+    baseUrl,
+
+    // A built-in scenario name or an object of scenario fields
+    async setScenario(nameOrFields) {
+      const body = typeof nameOrFields === 'string' ? { name: nameOrFields } : nameOrFields
+      const response = await fetch(`${baseUrl}/__mock/scenario`, { method: 'POST', body: JSON.stringify(body) })
+      if (!response.ok) throw new Error(`Could not set scenario: ${await response.text()}`)
+    },
+
+    stop: () => new Promise(resolve => {
+      if (child.exitCode !== null) return resolve()
+      child.once('exit', resolve)
+      child.kill()
+    })
+  }
+}
@@ -0,0 +1,75 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { ConversionApiError } from '../src/api/converterClient.js'
+import { isRetryableError, retryWithBackoff } from '../src/utils/retry.js'
+
+const unavailable = () => new ConversionApiError('Service unavailable', { code: 'HTTP_503', kind: 'http', status: 503 })
+const invalid = () => new ConversionApiError('Invalid document', { code: 'INVALID_DOCUMENT', kind: 'http', status: 400 })
+
+test('network errors and gateway responses are retryable; timeouts and client errors are not', () => {
+  assert.equal(isRetryableError(new ConversionApiError('Network error', { kind: 'network' })), true)
+  assert.equal(isRetryableError(unavailable()), true)
+  assert.equal(isRetryableError(new ConversionApiError('Request timed out', { code: 'TIMEOUT', kind: 'timeout' })), false)
+  assert.equal(isRetryableError(invalid()), false)
+  assert.equal(isRetryableError({ response: { status: 502 } }), true)
+  assert.equal(isRetryableError({ code: 'ECONNABORTED' }), false)
+})
+
+test('retries retryable failures until the call succeeds', async () => {
+  const retries = []
+  const result = await retryWithBackoff(async (attempt) => {
+    if (attempt < 2) throw unavailable()
+    return 'done'
+  }, { baseDelay: 1, onRetry: (error, attempt) => retries.push(attempt) })
+
+  assert.equal(result, 'done')
+  assert.deepEqual(retries, [1, 2])
+})
+
+test('gives up after the last retry with the last error', async () => {
+  let calls = 0
+  await assert.rejects(
+    retryWithBackoff(async () => {
+      calls++
+      throw unavailable()
+    }, { retries: 2, baseDelay: 1 }),
+    { status: 503 }
+  )
+  assert.equal(calls, 3)
+})
+
+test('does not retry errors that are not retryable', async () => {
+  let calls = 0
+  await assert.rejects(
+    retryWithBackoff(async () => {
+      calls++
+      throw invalid()
+    }, { baseDelay: 1 }),
+    { code: 'INVALID_DOCUMENT' }
+  )
+  assert.equal(calls, 1)
+})
+
+test('backoff delays double up to the maximum', async () => {
+  const delays = []
+  await assert.rejects(retryWithBackoff(async () => {
+    throw unavailable()
+  }, { retries: 4, baseDelay: 1, maxDelay: 4, onRetry: (error, attempt, delay) => delays.push(delay) }))
+  assert.deepEqual(delays, [1, 2, 4, 4])
+})
+
+test('an aborted signal stops the wait between attempts', async () => {
+  const controller = new AbortController()
+  let calls = 0
+  const pending = retryWithBackoff(async () => {
+    calls++
+    throw unavailable()
+  }, {
+    baseDelay: 60000,
+    signal: controller.signal,
+    onRetry: () => setTimeout(() => controller.abort(new Error('stopped')), 10)
+  })
+
+  await assert.rejects(pending, { message: 'stopped' })
+  assert.equal(calls, 1)
+})
@@ -11,7 +11,8 @@ export default defineConfig({
     allowedHosts: ['localhost', '127.0.0.1'],
     proxy: {
       '/api': {
-        target: 'http://localhost:5294',
+        // Point at the mock API or another backend with API_PROXY_TARGET
+        target: process.env.API_PROXY_TARGET || 'http://localhost:5294',
         changeOrigin: true,
         secure: false
       }